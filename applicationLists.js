@@ -0,0 +1,123 @@
+import {
+  listPage,
+  listBatches,
+  searchCondition,
+  dateRangeConditions,
+  timestampSort,
+  textSort,
+  idSort,
+} from './listing.js';
+import { decryptFields, filterCondition } from './fieldEncryption.js';
+
+// ========================================
+// ADMIN APPLICATION LISTS
+// ========================================
+//
+// Filters, search and sorting for GET /api/<type-path>; the cross-type queue
+// (applicationQueue.js) applies the same conditions. What can be searched
+// and filtered per type is declared in the registry (applicationTypes.js:
+// searchColumns, listFilters); migration 014 adds the indexes behind the
+// filters and the date sorts. Filters on encrypted columns go through their
+// blind indexes (fieldEncryption.js).
+
+export const APPLICATION_SORTS = ['createdAt', 'updatedAt', 'status', 'name', 'id'];
+export const APPLICATION_DATE_FIELDS = { createdAt: 'created_at', updatedAt: 'updated_at' };
+
+// The cross-type queue (applicationQueue.js)
+export const QUEUE_SORTS = ['createdAt', 'lastActivity', 'status', 'name', 'type'];
+export const QUEUE_DATE_FIELDS = { createdAt: 'created_at', lastActivity: 'last_activity_at' };
+
+// Name sorts by last name, then first name
+const applicationSorts = (type) => ({
+  createdAt: timestampSort('created_at'),
+  updatedAt: timestampSort('updated_at'),
+  status: textSort('status'),
+  name: textSort(type.nameColumns[1], type.nameColumns[0]),
+  id: idSort,
+});
+
+/**
+ * WHERE conditions on one type's table as `{ conditions, params }`, or null
+ * when the filters exclude the type entirely (a listFilter it does not have).
+ * `dateColumn` is the column `from`/`to` bound; `assignee` is a staff id or
+ * 'none'.
+ */
+export const applicationConditions = (type, {
+  statuses,
+  from,
+  to,
+  dateColumn = 'created_at',
+  search,
+  filters = {},
+  assignee,
+}) => {
+  const range = dateRangeConditions(dateColumn, { from, to });
+  const conditions = [...range.conditions];
+  const params = [...range.params];
+
+  if (statuses && statuses.length) {
+    conditions.push('status IN (?)');
+    params.push(statuses);
+  }
+  const listFilters = type.listFilters || {};
+  for (const [name, value] of Object.entries(filters)) {
+    if (!value) continue;
+    if (!listFilters[name]) return null;
+    const matches = listFilters[name].map((column) => filterCondition(type, column, value));
+    conditions.push(`(${matches.map((match) => match.sql).join(' OR ')})`);
+    params.push(...matches.map((match) => match.param));
+  }
+  if (assignee === 'none') {
+    conditions.push('assigned_to IS NULL');
+  } else if (assignee) {
+    conditions.push('assigned_to = ?');
+    params.push(assignee);
+  }
+  const searched = searchCondition(type.searchColumns, search);
+  if (searched) {
+    conditions.push(searched.sql);
+    params.push(...searched.params);
+  }
+  return { conditions, params };
+};
+
+// listPage options for a type's list, sorted by `sort` and filtered by `criteria`
+const applicationListOptions = (type, { dateField = 'createdAt', sort = 'createdAt', order = 'desc', ...criteria }) => {
+  const { conditions, params } = applicationConditions(type, {
+    ...criteria,
+    dateColumn: APPLICATION_DATE_FIELDS[dateField],
+  });
+  return {
+    table: type.table,
+    select: type.listColumns.map(([column, alias]) => `${column} as ${alias}`).join(', '),
+    conditions,
+    params,
+    sorts: applicationSorts(type),
+    sort,
+    order,
+  };
+};
+
+/**
+ * One page of a type's applications, as `{ applications, total, nextCursor }`.
+ * `statuses` is a list; `filters` holds values for the type's listFilters,
+ * each matching any of its columns; `from`/`to` bound `dateField`.
+ */
+export const listApplications = async (type, { limit, offset, cursor, ...criteria } = {}) => {
+  const { rows, total, nextCursor } = await listPage({
+    ...applicationListOptions(type, criteria),
+    limit,
+    offset,
+    cursor,
+  });
+  const aliases = Object.fromEntries(type.listColumns);
+  return { applications: rows.map((row) => decryptFields(type, row, aliases)), total, nextCursor };
+};
+
+// Every application listApplications would page through, in batches (exports)
+export async function* applicationBatches(type, criteria = {}) {
+  const aliases = Object.fromEntries(type.listColumns);
+  for await (const rows of listBatches(applicationListOptions(type, criteria))) {
+    yield rows.map((row) => decryptFields(type, row, aliases));
+  }
+}
@@ -0,0 +1,175 @@
+import { pool } from './db.js';
+import { APPLICATION_TYPES, applicationReference, parseReference } from './applicationTypes.js';
+import { applicationConditions, QUEUE_DATE_FIELDS } from './applicationLists.js';
+import { listPage, timestampSort, textSort } from './listing.js';
+import { workflowStatuses } from './workflow.js';
+
+// ========================================
+// CROSS-TYPE APPLICATION QUEUE
+// ========================================
+//
+// Every application type as one feed (GET /api/admin/applications). Each
+// type's table is a branch of a UNION ALL with the same normalized columns,
+// filtered inside the branch so each table uses its own indexes. The
+// dashboard counters (queueCounts) are built from the same branches, so they
+// always agree with the list.
+
+// queue_key = the type's position * KEY_SPACE + id, unique across branches
+const KEY_SPACE = 2 ** 32;
+
+const QUEUE_SORT_COLUMNS = {
+  createdAt: timestampSort('q.created_at'),
+  lastActivity: timestampSort('q.last_activity_at'),
+  status: textSort('q.status'),
+  name: textSort('q.last_name', 'q.first_name'),
+  type: textSort('q.type'),
+};
+
+const QUEUE_SELECT = `q.type, q.id, q.user_name, q.first_name, q.last_name, q.status, q.sub_type,
+  q.tracking_number, q.assigned_to, u.firstname as assignee_first_name, u.lastname as assignee_last_name,
+  q.created_at, q.updated_at, q.last_activity_at, DATEDIFF(CURRENT_DATE, q.created_at) as age_days`;
+
+// Every status of every workflow, in registry order
+export const QUEUE_STATUSES = [...new Set(Object.values(APPLICATION_TYPES)
+  .flatMap((type) => workflowStatuses(type.workflow)))];
+
+// Query parameters accepted by the queue: every type's listFilters
+export const QUEUE_FILTERS = [...new Set(Object.values(APPLICATION_TYPES)
+  .flatMap((type) => Object.keys(type.listFilters || {})))];
+
+const branch = (key, index, criteria) => {
+  const type = APPLICATION_TYPES[key];
+  const reference = parseReference(criteria.search);
+  if (reference && reference.key !== key) return null;
+
+  const found = applicationConditions(type, {
+    ...criteria,
+    // A reference (VIS-000123) is looked up directly instead of searched
+    search: reference ? null : criteria.search,
+    dateColumn: QUEUE_DATE_FIELDS[criteria.dateField || 'createdAt'],
+  });
+  if (!found) return null;
+  const conditions = [...found.conditions];
+  const params = [...found.params];
+  if (reference) {
+    conditions.push('id = ?');
+    params.push(reference.id);
+  }
+  if (criteria.trackingNumber) {
+    conditions.push('tracking_number = ?');
+    params.push(criteria.trackingNumber);
+  }
+
+  return {
+    sql: `SELECT ? as type, id, ? + id as queue_key, user_name, ?? as first_name, ?? as last_name, status,
+        ${type.typeDetailColumn || 'NULL'} as sub_type, tracking_number, assigned_to,
+        created_at, updated_at, last_activity_at
+      FROM ?? ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    params: [key, index * KEY_SPACE, ...type.nameColumns, type.table, ...params],
+  };
+};
+
+const queueTypes = (types) => Object.keys(APPLICATION_TYPES)
+  .filter((key) => !types || !types.length || types.includes(key));
+
+// The UNION of every matching branch as `q`, or null when no type matches
+const queueSource = (criteria) => {
+  const branches = Object.keys(APPLICATION_TYPES)
+    .map((key, index) => (queueTypes(criteria.types).includes(key) ? branch(key, index, criteria) : null))
+    .filter(Boolean);
+  if (!branches.length) return null;
+  return {
+    sql: `(${branches.map((part) => part.sql).join(' UNION ALL ')}) q`,
+    params: branches.flatMap((part) => part.params),
+  };
+};
+
+const personName = (first, last) => `${first || ''} ${last || ''}`.trim();
+
+const toQueueItem = (row) => ({
+  type: row.type,
+  id: row.id,
+  reference: applicationReference(APPLICATION_TYPES[row.type], row.id),
+  applicantName: personName(row.first_name, row.last_name),
+  userName: row.user_name,
+  status: row.status,
+  subType: row.sub_type,
+  trackingNumber: row.tracking_number,
+  assignee: row.assigned_to
+    ? { id: row.assigned_to, name: personName(row.assignee_first_name, row.assignee_last_name) }
+    : null,
+  ageDays: Number(row.age_days),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  lastActivityAt: row.last_activity_at,
+});
+
+/**
+ * One page of the queue, as `{ applications, total, nextCursor }`.
+ * Criteria: `types` and `statuses` (lists), `assignee` (a staff id or
+ * 'none'), `from`/`to` on `dateField`, `search` (text, or a reference such as
+ * VIS-000123), `trackingNumber`, and `filters` for the types' listFilters.
+ * A listFilter leaves out the types that do not have it.
+ */
+export const listQueue = async ({
+  sort = 'createdAt',
+  order = 'asc',
+  limit,
+  offset,
+  cursor,
+  ...criteria
+} = {}) => {
+  const source = queueSource(criteria);
+  if (!source) return { applications: [], total: 0, nextCursor: null };
+
+  const { rows, total, nextCursor } = await listPage({
+    source: { sql: `${source.sql} LEFT JOIN login u ON u.id = q.assigned_to`, params: source.params },
+    key: 'q.queue_key',
+    select: QUEUE_SELECT,
+    sorts: QUEUE_SORT_COLUMNS,
+    sort,
+    order,
+    limit,
+    offset,
+    cursor,
+  });
+  return { applications: rows.map(toQueueItem), total, nextCursor };
+};
+
+/**
+ * Counts of the applications matching the same criteria as listQueue:
+ * `{ total, unassigned, byStatus, byType: { <key>: { total, unassigned,
+ * byStatus } } }`. Every status of an included type is present, zero or not.
+ */
+export const queueCounts = async (criteria = {}) => {
+  const empty = (statuses) => ({
+    total: 0,
+    unassigned: 0,
+    byStatus: Object.fromEntries(statuses.map((status) => [status, 0])),
+  });
+  const types = queueTypes(criteria.types);
+  const statusesOf = (key) => workflowStatuses(APPLICATION_TYPES[key].workflow);
+  const counts = {
+    ...empty([...new Set(types.flatMap(statusesOf))]),
+    byType: Object.fromEntries(types.map((key) => [key, empty(statusesOf(key))])),
+  };
+
+  const source = queueSource(criteria);
+  if (!source) return counts;
+  const [rows] = await pool.query(
+    `SELECT q.type, q.status, COUNT(*) as count, SUM(q.assigned_to IS NULL) as unassigned
+     FROM ${source.sql}
+     GROUP BY q.type, q.status`,
+    source.params
+  );
+  for (const row of rows) {
+    const count = Number(row.count);
+    const unassigned = Number(row.unassigned);
+    for (const target of [counts, counts.byType[row.type]]) {
+      target.total += count;
+      target.unassigned += unassigned;
+      target.byStatus[row.status] = (target.byStatus[row.status] || 0) + count;
+    }
+  }
+  return counts;
+};
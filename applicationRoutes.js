@@ -0,0 +1,694 @@
+import { pool, withTransaction } from './db.js';
+import { authMiddleware, requirePermission } from './auth.js';
+import { hasPermission } from './permissions.js';
+import { sendApplicationPdf } from './pdf.js';
+import { storage } from './storage.js';
+import {
+  DEFAULT_DOCUMENT_LIMITS,
+  sniffFileType,
+  parseUpload,
+  listDocuments,
+  countDocuments,
+  saveDocument,
+  findDocument,
+} from './documents.js';
+import { APPLICATION_TYPES, applicantName, applicationReference } from './applicationTypes.js';
+import { planTransition, allowedTransitions, describeWorkflow, workflowStatuses, trackingStatuses } from './workflow.js';
+import { recordEvent, listEvents, markActivity } from './events.js';
+import { recordAudit, requestActor, auditDiff } from './audit.js';
+import { encryptFields, decryptFields, omitEncryptedFields } from './fieldEncryption.js';
+import { lookupIp } from './geoip.js';
+import { queueEmail, recipientLocale, wakeOutboxWorker } from './outbox.js';
+import { createInvoice, findApplicationInvoice, invoiceDetails } from './fees.js';
+import {
+  feeOptionRules,
+  applicationListValidation,
+  applicationExportValidation,
+  applicationQueueValidation,
+  applicationAssignValidation,
+} from './validation.js';
+import { listApplications, applicationBatches } from './applicationLists.js';
+import { listQueue, queueCounts, QUEUE_STATUSES, QUEUE_FILTERS } from './applicationQueue.js';
+import { pageOptions } from './listing.js';
+import { sendExport, pickColumns } from './spreadsheets.js';
+import { requestLocale, t, translate } from './i18n.js';
+
+const readFieldValue = (field, body) => {
+  const value = body[field.input || field.column];
+  if (value === undefined || value === null || value === '') {
+    return field.default === undefined ? null : field.default;
+  }
+  if (field.type === 'boolean') {
+    return value === true || value === 'true' || value === 1 || value === '1';
+  }
+  return value;
+};
+
+// Users can only reach their own applications unless they're staff
+const canAccess = (user, application) =>
+  hasPermission(user, 'applications:read') || user.username === application.user_name;
+
+// Anyone reading another person's application (staff) is recorded in the audit log
+const auditAccess = (req, key, application, action, details) => (req.user.username === application.user_name
+  ? null
+  : recordAudit(pool, { ...requestActor(req), action, targetType: key, targetId: application.id, details }));
+
+const findAccessibleApplication = async (type, id, user) => {
+  const [rows] = await pool.query('SELECT id, user_name FROM ?? WHERE id = ?', [type.table, id]);
+  if (!rows.length) return { status: 404, error: 'errors.applicationNotFound' };
+  if (!canAccess(user, rows[0])) return { status: 403, error: 'errors.accessDenied' };
+  return { application: rows[0] };
+};
+
+const uploadErrorMessage = (req, err, limits) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return req.t('errors.fileTooLarge', { mb: Math.floor(limits.maxFileSize / (1024 * 1024)) });
+  }
+  if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return req.t('errors.tooManyFiles', { max: limits.maxFiles });
+  }
+  return req.t('errors.invalidUpload');
+};
+
+// Per-type text (statusMessages.visa.shipped) overrides the shared default
+const statusMessage = (locale, key, status) => {
+  const specific = t(locale, `statusMessages.${key}.${status}`);
+  if (specific !== `statusMessages.${key}.${status}`) return specific;
+  return t(locale, `statusMessages.default.${status}`, { type: t(locale, `applicationTypes.${key}.name`) });
+};
+
+// Side effects named by workflow transitions. They queue emails with the
+// caller's connection so they commit or roll back with the change itself.
+const sideEffects = {
+  notifyStatus: async (db, key, type, application, { reason } = {}) => {
+    const locale = await recipientLocale(db, application.user_id);
+    return queueEmail({
+      template: 'application-status',
+      to: application.user_name,
+      locale,
+      vars: {
+        typeLabel: t(locale, `applicationTypes.${key}.label`),
+        applicantName: applicantName(type, application),
+        applicationId: application.id,
+        statusLabel: t(locale, `statuses.${application.status}`),
+        statusMessage: statusMessage(locale, key, application.status),
+        reason: application.status === 'denied' ? reason : null,
+      },
+    }, db);
+  },
+
+  notifyTracking: async (db, key, type, application) => {
+    const locale = await recipientLocale(db, application.user_id);
+    const shippedItem = t(locale, `shippedItems.${type.shippedItem || 'documents'}`);
+    return queueEmail({
+      template: 'application-tracking',
+      to: application.user_name,
+      locale,
+      vars: {
+        typeLabel: t(locale, `applicationTypes.${key}.label`),
+        typeName: t(locale, `applicationTypes.${key}.name`),
+        shippedItem,
+        shippedItemTitle: shippedItem.charAt(0).toLocaleUpperCase(locale) + shippedItem.slice(1),
+        applicantName: applicantName(type, application),
+        applicationId: application.id,
+        carrier: application.shipping_carrier ? application.shipping_carrier.toUpperCase() : null,
+        trackingNumber: application.tracking_number,
+      },
+    }, db);
+  },
+};
+
+const registerType = (app, key, type) => {
+  const base = `/api/${type.path}`;
+  const listAliases = Object.fromEntries(type.listColumns);
+  const listSelect = type.listColumns.map(([column, alias]) => `${column} as ${alias}`).join(', ');
+  const documentLimits = { ...DEFAULT_DOCUMENT_LIMITS, ...type.documents };
+  const listValidation = applicationListValidation({
+    statuses: workflowStatuses(type.workflow),
+    filters: Object.keys(type.listFilters),
+  });
+  // The list's columns, plus the reference staff quote
+  const exportColumns = {
+    reference: (row) => applicationReference(type, row.id),
+    ...Object.fromEntries(type.listColumns.map(([, alias]) => [alias, (row) => row[alias]])),
+  };
+  const exportValidation = applicationExportValidation({
+    statuses: workflowStatuses(type.workflow),
+    filters: Object.keys(type.listFilters),
+    columns: Object.keys(exportColumns),
+  });
+
+  // The application and its invoice are created together
+  app.post(base, authMiddleware, [...feeOptionRules, ...type.validation], async (req, res) => {
+    const { user } = req;
+
+    let connection;
+    let applicationId;
+    let invoice;
+    try {
+      // A failure to connect is reported like any other
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const values = Object.fromEntries(type.fields.map((field) => [field.column, readFieldValue(field, req.body)]));
+      const stored = encryptFields(type, values);
+      const [result] = await connection.query(
+        'INSERT INTO ?? (user_id, user_name, status, ??) VALUES (?, ?, ?, ?)',
+        [type.table, Object.keys(stored), user.id, user.username.toLowerCase(), type.workflow.initial, Object.values(stored)]
+      );
+      applicationId = result.insertId;
+
+      await recordEvent(connection, {
+        applicationType: key,
+        applicationId,
+        eventType: 'submitted',
+        newStatus: type.workflow.initial,
+        actor: user,
+        location: lookupIp(req.ip),
+      });
+      invoice = await createInvoice(connection, {
+        applicationType: key,
+        subType: type.typeDetailColumn ? values[type.typeDetailColumn] : '',
+        application: { id: applicationId, user_id: user.id, user_name: user.username.toLowerCase() },
+        options: { expedited: req.body.expedited, returnShipping: req.body.returnShipping },
+      });
+      await connection.commit();
+    } catch (err) {
+      if (connection) await connection.rollback();
+      console.error(err);
+      return res.status(500).json({ error: req.t('errors.submitFailed') });
+    } finally {
+      if (connection) connection.release();
+    }
+
+    res.json({
+      success: true,
+      id: applicationId,
+      invoice: invoice
+        ? { id: invoice.id, invoiceNumber: invoice.invoiceNumber, totalCents: invoice.totalCents, currency: invoice.currency }
+        : null,
+    });
+  });
+
+  // The list's filters and sorting from the query string
+  const listCriteria = (query) => ({
+    statuses: query.status || null,
+    from: query.from,
+    to: query.to,
+    dateField: query.dateField || undefined,
+    search: query.q,
+    filters: Object.fromEntries(Object.keys(type.listFilters).map((name) => [name, query[name]])),
+    sort: query.sort || undefined,
+    order: query.order || undefined,
+  });
+
+  // Filtered, searched and paged admin list (applicationLists.js)
+  app.get(base, authMiddleware, requirePermission('applications:read'), listValidation, async (req, res) => {
+    const page = pageOptions(req.query);
+
+    try {
+      const result = await listApplications(type, { ...listCriteria(req.query), ...page });
+      res.json({ ...result, limit: page.limit, offset: page.cursor ? null : page.offset });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Every application the list filters match, as CSV or XLSX (spreadsheets.js)
+  app.get(`${base}/export`, authMiddleware, requirePermission('applications:export'), exportValidation, async (req, res) => {
+    try {
+      await recordAudit(pool, { ...requestActor(req), action: 'application.export', targetType: key, details: req.query });
+      await sendExport(res, {
+        filename: `${type.path}-${new Date().toISOString().slice(0, 10)}`,
+        format: req.query.format,
+        columns: pickColumns(exportColumns, req.query.columns),
+        batches: applicationBatches(type, listCriteria(req.query)),
+      });
+    } catch (err) {
+      console.error('Application export error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+      else res.destroy(err);
+    }
+  });
+
+  app.get(`${base}/workflow`, authMiddleware, requirePermission('applications:read'), (req, res) => {
+    res.json(describeWorkflow(type.workflow));
+  });
+
+  app.get(`${base}/:id`, authMiddleware, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const [rows] = await pool.query('SELECT * FROM ?? WHERE id = ?', [type.table, id]);
+      if (!rows.length) return res.status(404).json({ error: req.t('errors.applicationNotFound') });
+
+      const application = decryptFields(type, rows[0]);
+      if (!canAccess(req.user, application)) {
+        return res.status(403).json({ error: req.t('errors.accessDenied') });
+      }
+
+      await auditAccess(req, key, application, 'application.view');
+      res.json(application);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get(`${base}/:id/pdf`, authMiddleware, async (req, res) => {
+    const { id } = req.params;
+    try {
+      const [rows] = await pool.query('SELECT * FROM ?? WHERE id = ?', [type.table, id]);
+      if (!rows.length) return res.status(404).json({ error: req.t('errors.applicationNotFound') });
+
+      const application = decryptFields(type, rows[0]);
+      if (!canAccess(req.user, application)) {
+        return res.status(403).json({ error: req.t('errors.accessDenied') });
+      }
+
+      await auditAccess(req, key, application, 'application.pdf');
+      await sendApplicationPdf(res, { ...type.pdf, application, locale: requestLocale(req) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get(`${base}/user/:username`, authMiddleware, async (req, res) => {
+    const { username } = req.params;
+    if (!username) return res.status(400).json({ error: req.t('errors.missingUsername') });
+
+    if (!hasPermission(req.user, 'applications:read') && req.user.username !== username.toLowerCase()) {
+      return res.status(403).json({ error: req.t('errors.accessDenied') });
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT ${listSelect} FROM ?? WHERE user_name = ? ORDER BY created_at DESC`,
+        [type.table, username.toLowerCase()]
+      );
+      res.json(rows.map((row) => decryptFields(type, row, listAliases)));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put(`${base}/:id/status`, authMiddleware, requirePermission('applications:status'), async (req, res) => {
+    const { id } = req.params;
+    const { status, reason, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: req.t('errors.statusRequired') });
+    }
+
+    let connection;
+    let application;
+    let oldStatus;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      // Lock the row so concurrent changes cannot both pass the transition check
+      const [rows] = await connection.query(
+        'SELECT * FROM ?? WHERE id = ? FOR UPDATE',
+        [type.table, id]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ error: req.t('errors.applicationNotFound') });
+      }
+
+      application = decryptFields(type, rows[0]);
+      oldStatus = application.status;
+
+      const invoice = await findApplicationInvoice(connection, key, application.id);
+      const plan = planTransition(type.workflow, application, status, req.body, { invoice });
+      if (plan.error) {
+        await connection.rollback();
+        const locale = requestLocale(req);
+        return res.status(plan.statusCode).json({
+          error: translate(locale, plan.error),
+          ...(plan.fields
+            ? { fields: Object.fromEntries(Object.entries(plan.fields).map(([field, message]) => [field, translate(locale, message)])) }
+            : {}),
+        });
+      }
+
+      await connection.query(
+        'UPDATE ?? SET ?, updated_at = NOW() WHERE id = ?',
+        [type.table, encryptFields(type, { ...plan.updates, status }), id]
+      );
+      // Encrypted columns (the issued pass's number) stay out of the event and audit records
+      const recorded = omitEncryptedFields(type, plan.updates);
+      await recordEvent(connection, {
+        applicationType: key,
+        applicationId: application.id,
+        eventType: 'status_changed',
+        oldStatus,
+        newStatus: status,
+        actor: req.user,
+        reason,
+        note,
+        details: recorded,
+      });
+      await recordAudit(connection, {
+        ...requestActor(req),
+        action: 'application.status',
+        targetType: key,
+        targetId: application.id,
+        diff: auditDiff(application, { ...recorded, status }),
+        details: { reason, note },
+      });
+
+      const updated = { ...application, ...plan.updates, status };
+      for (const effect of plan.effects) {
+        await sideEffects[effect](connection, key, type, updated, { reason });
+      }
+      await connection.commit();
+    } catch (err) {
+      if (connection) await connection.rollback();
+      console.error(err);
+      return res.status(500).json({ error: req.t('errors.server') });
+    } finally {
+      if (connection) connection.release();
+    }
+
+    wakeOutboxWorker();
+
+    res.json({
+      success: true,
+      application: {
+        id: application.id,
+        status,
+        previousStatus: oldStatus,
+        allowedTransitions: allowedTransitions(type.workflow, status),
+      },
+    });
+  });
+
+  app.put(`${base}/:id/tracking`, authMiddleware, requirePermission('applications:tracking'), async (req, res) => {
+    const { id } = req.params;
+    const { trackingNumber, carrier, note } = req.body;
+
+    if (!trackingNumber || typeof trackingNumber !== 'string' || trackingNumber.trim().length === 0) {
+      return res.status(400).json({ error: req.t('errors.trackingNumberRequired') });
+    }
+
+    // Travel passes are collected; shipping them is not a step of their workflow
+    const statuses = trackingStatuses(type.workflow);
+    if (!statuses.length) {
+      return res.status(400).json({ error: req.t('workflow.notShipped') });
+    }
+
+    const updates = { tracking_number: trackingNumber.trim(), shipping_carrier: carrier || null };
+    let connection;
+    let application;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT id, user_id, user_name, status, tracking_number, shipping_carrier, ?? FROM ?? WHERE id = ? FOR UPDATE',
+        [type.nameColumns, type.table, id]
+      );
+      if (!rows.length) {
+        await connection.rollback();
+        return res.status(404).json({ error: req.t('errors.applicationNotFound') });
+      }
+
+      application = rows[0];
+      // Before approval the number is premature; shipping itself goes through the status route
+      if (!statuses.includes(application.status)) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: req.t('workflow.trackingNotAllowed', { status: application.status, statuses: statuses.join(', ') }),
+        });
+      }
+
+      await connection.query('UPDATE ?? SET ?, updated_at = NOW() WHERE id = ?', [type.table, updates, id]);
+      await recordEvent(connection, {
+        applicationType: key,
+        applicationId: application.id,
+        eventType: 'tracking_updated',
+        oldStatus: application.status,
+        newStatus: application.status,
+        actor: req.user,
+        note,
+        details: updates,
+      });
+      await recordAudit(connection, {
+        ...requestActor(req),
+        action: 'application.tracking',
+        targetType: key,
+        targetId: application.id,
+        diff: auditDiff(application, updates),
+        details: { note },
+      });
+      await sideEffects.notifyTracking(connection, key, type, { ...application, ...updates });
+      await connection.commit();
+    } catch (err) {
+      if (connection) await connection.rollback();
+      console.error(err);
+      return res.status(500).json({ error: req.t('errors.server') });
+    } finally {
+      if (connection) connection.release();
+    }
+
+    wakeOutboxWorker();
+
+    res.json({
+      success: true,
+      application: {
+        id: application.id,
+        trackingNumber: updates.tracking_number,
+        carrier: updates.shipping_carrier,
+      },
+    });
+  });
+
+  // Staff take an application (userId: their own id) or give it back (null);
+  // assigning someone else or taking over needs applications:assign
+  app.put(`${base}/:id/assign`, authMiddleware, requirePermission('applications:read'), applicationAssignValidation, async (req, res) => {
+    const userId = req.body.userId ?? null;
+    const canAssign = hasPermission(req.user, 'applications:assign');
+    if (userId !== null && userId !== req.user.id && !canAssign) {
+      return res.status(403).json({ error: req.t('errors.insufficientPermissions') });
+    }
+
+    try {
+      const [rows] = await pool.query('SELECT id, assigned_to FROM ?? WHERE id = ?', [type.table, req.params.id]);
+      if (!rows.length) return res.status(404).json({ error: req.t('errors.applicationNotFound') });
+      if (rows[0].assigned_to && rows[0].assigned_to !== req.user.id && !canAssign) {
+        return res.status(403).json({ error: req.t('errors.insufficientPermissions') });
+      }
+
+      let assignee = null;
+      if (userId !== null) {
+        const [staff] = await pool.query('SELECT id, firstname, lastname, role FROM login WHERE id = ?', [userId]);
+        if (!staff.length || !hasPermission(staff[0], 'applications:read')) {
+          return res.status(400).json({ error: req.t('errors.invalidApplicationAssignee') });
+        }
+        assignee = { id: staff[0].id, name: `${staff[0].firstname} ${staff[0].lastname}`.trim() };
+      }
+
+      await withTransaction(async (connection) => {
+        await connection.query('UPDATE ?? SET assigned_to = ?, updated_at = updated_at WHERE id = ?', [type.table, userId, rows[0].id]);
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'application.assign',
+          targetType: key,
+          targetId: rows[0].id,
+          diff: auditDiff(rows[0], { assigned_to: userId }),
+        });
+      });
+      res.json({ success: true, application: { id: rows[0].id, reference: applicationReference(type, rows[0].id), assignee } });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Status, tracking and submission history, oldest first
+  app.get(`${base}/:id/timeline`, authMiddleware, async (req, res) => {
+    try {
+      const found = await findAccessibleApplication(type, req.params.id, req.user);
+      if (found.error) return res.status(found.status).json({ error: req.t(found.error) });
+
+      const events = await listEvents(key, found.application.id, {
+        includeInternal: hasPermission(req.user, 'applications:read'),
+      });
+      res.json({ applicationId: found.application.id, events });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Fees owed for the application, with line items and payments
+  app.get(`${base}/:id/invoice`, authMiddleware, async (req, res) => {
+    try {
+      const found = await findAccessibleApplication(type, req.params.id, req.user);
+      if (found.error) return res.status(found.status).json({ error: req.t(found.error) });
+
+      const invoice = await findApplicationInvoice(pool, key, found.application.id);
+      res.json({ applicationId: found.application.id, invoice: invoice ? await invoiceDetails(invoice) : null });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Supporting documents (multipart field "files")
+  app.post(`${base}/:id/documents`, authMiddleware, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const { application, status, error } = await findAccessibleApplication(type, id, req.user);
+      if (!application) return res.status(status).json({ error: req.t(error) });
+
+      let files;
+      try {
+        files = await parseUpload(req, res, documentLimits);
+      } catch (uploadErr) {
+        const statusCode = uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(statusCode).json({ error: uploadErrorMessage(req, uploadErr, documentLimits) });
+      }
+
+      if (!files.length) {
+        return res.status(400).json({ error: req.t('errors.noFiles') });
+      }
+
+      const existing = await countDocuments(key, application.id);
+      if (existing + files.length > documentLimits.maxFiles) {
+        return res.status(400).json({
+          error: req.t('errors.documentLimit', { existing, max: documentLimits.maxFiles }),
+        });
+      }
+
+      const fileTypes = files.map((file) => sniffFileType(file.buffer));
+      const rejected = files.find((file, i) => !fileTypes[i] || !documentLimits.mimeTypes.includes(fileTypes[i].mimeType));
+      if (rejected) {
+        return res.status(415).json({
+          error: req.t('errors.unsupportedFileType', { name: rejected.originalname, allowed: documentLimits.mimeTypes.join(', ') }),
+        });
+      }
+
+      const documents = [];
+      for (const [i, file] of files.entries()) {
+        documents.push(await saveDocument({
+          applicationType: key,
+          applicationId: application.id,
+          file,
+          fileType: fileTypes[i],
+          uploadedBy: req.user.id,
+        }));
+      }
+      await markActivity(pool, key, application.id);
+
+      res.status(201).json({ success: true, documents });
+    } catch (err) {
+      console.error('Document upload error:', err);
+      res.status(500).json({ error: req.t('errors.uploadFailed') });
+    }
+  });
+
+  app.get(`${base}/:id/documents`, authMiddleware, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const { application, status, error } = await findAccessibleApplication(type, id, req.user);
+      if (!application) return res.status(status).json({ error: req.t(error) });
+
+      res.json({ documents: await listDocuments(key, application.id) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get(`${base}/:id/documents/:documentId`, authMiddleware, async (req, res) => {
+    const { id, documentId } = req.params;
+
+    try {
+      const { application, status, error } = await findAccessibleApplication(type, id, req.user);
+      if (!application) return res.status(status).json({ error: req.t(error) });
+
+      const document = await findDocument(key, application.id, documentId);
+      if (!document) return res.status(404).json({ error: req.t('errors.documentNotFound') });
+
+      await auditAccess(req, key, application, 'application.document', { documentId: document.id });
+      res.setHeader('Content-Type', document.mime_type);
+      res.setHeader('Content-Length', document.size_bytes);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.attachment(document.original_name);
+
+      const stream = storage.createReadStream(document.storage_key);
+      stream.on('error', (streamErr) => {
+        console.error('Document read error:', streamErr);
+        if (!res.headersSent) {
+          res.status(500).json({ error: req.t('errors.server') });
+        } else {
+          res.destroy(streamErr);
+        }
+      });
+      stream.pipe(res);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
+
+// Criteria shared by the queue and its counters, from validated query parameters
+const queueCriteria = (req) => ({
+  types: req.query.type || null,
+  statuses: req.query.status || null,
+  assignee: req.query.assignee === 'me' ? req.user.id : req.query.assignee || null,
+  from: req.query.from,
+  to: req.query.to,
+  dateField: req.query.dateField || undefined,
+  search: req.query.q,
+  filters: Object.fromEntries(QUEUE_FILTERS.map((name) => [name, req.query[name]])),
+});
+
+const queueValidation = applicationQueueValidation({
+  types: Object.keys(APPLICATION_TYPES),
+  statuses: QUEUE_STATUSES,
+  filters: QUEUE_FILTERS,
+});
+
+export const registerApplicationRoutes = (app) => {
+  Object.entries(APPLICATION_TYPES).forEach(([key, type]) => registerType(app, key, type));
+
+  // ========================================
+  // CROSS-TYPE QUEUE
+  // ========================================
+
+  // Every type in one feed, oldest first by default (applicationQueue.js)
+  app.get('/api/admin/applications', authMiddleware, requirePermission('applications:read'), queueValidation, async (req, res) => {
+    const page = pageOptions(req.query);
+    try {
+      const result = await listQueue({
+        ...queueCriteria(req),
+        sort: req.query.sort || undefined,
+        order: req.query.order || undefined,
+        ...page,
+      });
+      res.json({ ...result, limit: page.limit, offset: page.cursor ? null : page.offset });
+    } catch (err) {
+      console.error('Application queue error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Totals for the same filters, by type and status
+  app.get('/api/admin/applications/counts', authMiddleware, requirePermission('applications:read'), queueValidation, async (req, res) => {
+    try {
+      res.json(await queueCounts(queueCriteria(req)));
+    } catch (err) {
+      console.error('Application counts error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,502 @@
+import {
+  visaApplicationValidation,
+  marriageApplicationValidation,
+  birthCertificateApplicationValidation,
+  travelPassApplicationValidation,
+  VISA_TYPES,
+} from './validation.js';
+import { SHIPPING_WORKFLOW, TRAVEL_PASS_WORKFLOW } from './workflow.js';
+import { msg } from './i18n.js';
+
+// ========================================
+// APPLICATION TYPE REGISTRY
+// ========================================
+//
+// Each consular service is declared here once; applicationRoutes.js turns the
+// declarations into the create/list/get/pdf/user/status/tracking endpoints.
+// `workflow` (see workflow.js) defines the statuses and legal transitions.
+//
+// Fields map a table column to the request body key it is read from (`input`,
+// defaulting to the column name). `required` mirrors the NOT NULL columns (the
+// type's validation chain enforces it) and `default` is used when the key is
+// missing or empty. `documents` overrides the
+// upload limits in documents.js (maxFiles, maxFileSize in bytes, mimeTypes).
+//
+// The admin list (applicationLists.js) searches `searchColumns` and offers
+// `listFilters`: query parameters matched exactly against any of their columns.
+// `referencePrefix` starts the reference staff quote for an application
+// (VIS-000123); it must stay unique and never change.
+//
+// `encryption` lists the columns stored encrypted (fieldEncryption.js): which
+// of them are dates, and which keep a blind index so that a listFilter can
+// still match them exactly. Encrypted columns cannot be searched, sorted or
+// compared in SQL. Changing the list needs a migration to make the columns
+// TEXT (see 017) and `npm run encryption:rotate` (ENCRYPTION.md).
+//
+// User-facing text lives in the locale catalogs: `applicationTypes.<key>` for
+// the type's name, `statusMessages.<key>.<status>` for per-type email text, and
+// `pdf.titles` / `pdf.sections` / `pdf.labels` for the keys used in `pdf`.
+
+const snakeToCamel = (column) => column.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+
+const required = (...columns) => columns.map((column) => ({ column, required: true }));
+const optional = (...columns) => columns.map((column) => ({ column }));
+const camelInputs = (fields) => fields.map((field) => ({ ...field, input: snakeToCamel(field.column) }));
+
+const fullName = (first, last) => (application) =>
+  `${application[first] || ''} ${application[last] || ''}`;
+const yesNo = (column) => (application) => msg(application[column] ? 'pdf.yes' : 'pdf.no');
+
+const visaFields = camelInputs([
+  ...required('visa_type'),
+  ...optional(
+    'first_name', 'last_name', 'gender', 'date_of_birth', 'place_of_birth', 'city',
+    'country_of_birth', 'nationality_origin', 'nationality_current', 'address',
+    'city_address', 'country_address', 'marital_status', 'father_name', 'profession',
+    'employer', 'employer_address'
+  ),
+]);
+
+const marriageFields = [
+  ...required('spouse1_first_name', 'spouse1_last_name', 'spouse1_birth_date', 'spouse1_nationality'),
+  ...optional(
+    'spouse1_birth_place', 'spouse1_passport_number', 'spouse1_address', 'spouse1_phone',
+    'spouse1_email', 'spouse1_occupation', 'spouse1_father_name', 'spouse1_mother_name'
+  ),
+  ...required('spouse2_first_name', 'spouse2_last_name', 'spouse2_birth_date', 'spouse2_nationality'),
+  ...optional(
+    'spouse2_birth_place', 'spouse2_passport_number', 'spouse2_address', 'spouse2_phone',
+    'spouse2_email', 'spouse2_occupation', 'spouse2_father_name', 'spouse2_mother_name'
+  ),
+  ...required('marriage_date', 'marriage_place', 'marriage_country', 'marriage_type', 'certificate_purpose'),
+];
+
+const birthCertificateFields = [
+  ...required(
+    'child_first_name', 'child_last_name', 'child_birth_date', 'child_birth_place',
+    'child_birth_country', 'child_gender', 'child_nationality'
+  ),
+  ...optional('child_middle_name'),
+  ...required('father_first_name', 'father_last_name', 'father_nationality'),
+  ...optional('father_birth_date', 'father_birth_place', 'father_occupation', 'father_address'),
+  ...required('mother_first_name', 'mother_last_name', 'mother_nationality'),
+  ...optional(
+    'mother_maiden_name', 'mother_birth_date', 'mother_birth_place', 'mother_occupation', 'mother_address'
+  ),
+  { column: 'applicant_relationship', default: 'parent' },
+  ...required(
+    'applicant_first_name', 'applicant_last_name', 'applicant_phone', 'applicant_email',
+    'applicant_address', 'certificate_purpose'
+  ),
+  { column: 'is_minor', type: 'boolean', default: true },
+  ...optional('original_registration_number'),
+];
+
+const travelPassFields = [
+  ...required(
+    'first_name', 'last_name', 'date_of_birth', 'place_of_birth', 'country_of_birth', 'gender', 'nationality'
+  ),
+  ...optional('maiden_name', 'height', 'eye_color', 'hair_color', 'distinguishing_marks'),
+  ...required('current_address', 'city', 'country', 'phone', 'email', 'marital_status'),
+  ...optional('father_name', 'mother_name', 'mother_maiden_name', 'spouse_name'),
+  ...required('travel_reason', 'destination_country', 'departure_date'),
+  ...optional('destination_city', 'return_date', 'travel_duration'),
+  ...required('emergency_contact_name', 'emergency_contact_relationship', 'emergency_contact_phone'),
+  ...optional('emergency_contact_address'),
+  { column: 'passport_lost', type: 'boolean', default: false },
+  { column: 'passport_stolen', type: 'boolean', default: false },
+  { column: 'passport_expired', type: 'boolean', default: false },
+  ...optional(
+    'previous_passport_number', 'passport_issue_date', 'passport_expiry_date',
+    'police_report_number', 'police_report_date'
+  ),
+];
+
+export const APPLICATION_TYPES = {
+  visa: {
+    label: 'Visa',
+    path: 'visa-applications',
+    referencePrefix: 'VIS',
+    table: 'visa_applications',
+    nameColumns: ['first_name', 'last_name'],
+    searchColumns: ['first_name', 'last_name', 'user_name', 'tracking_number'],
+    listFilters: { visaType: ['visa_type'], nationality: ['nationality_current', 'nationality_origin'] },
+    encryption: {
+      columns: ['date_of_birth', 'place_of_birth', 'father_name'],
+      dates: ['date_of_birth'],
+    },
+    typeDetailColumn: 'visa_type',
+    // Values of typeDetailColumn that can carry their own fees
+    subTypes: VISA_TYPES,
+    shippedItem: 'passport',
+    fields: visaFields,
+    documents: { maxFiles: 6 },
+    validation: visaApplicationValidation,
+    workflow: SHIPPING_WORKFLOW,
+    listColumns: [
+      ['id', 'id'],
+      ['user_name', 'userName'],
+      ['visa_type', 'visaType'],
+      ['status', 'status'],
+      ['first_name', 'firstName'],
+      ['last_name', 'lastName'],
+      ['tracking_number', 'tracking_number'],
+      ['created_at', 'createdAt'],
+      ['updated_at', 'updatedAt'],
+    ],
+    pdf: {
+      title: 'visaApplication',
+      filename: 'visa',
+      header: [['visaType', 'visa_type']],
+      sections: [
+        {
+          title: 'personalInformation',
+          rows: [
+            ['name', fullName('first_name', 'last_name')],
+            ['gender', 'gender'],
+            ['dateOfBirth', 'date_of_birth'],
+            ['placeOfBirth', 'place_of_birth'],
+            ['city', 'city'],
+            ['countryOfBirth', 'country_of_birth'],
+          ],
+        },
+        {
+          title: 'nationality',
+          rows: [
+            ['originNationality', 'nationality_origin'],
+            ['currentNationality', 'nationality_current'],
+          ],
+        },
+        {
+          title: 'contactInformation',
+          rows: [
+            ['address', 'address'],
+            ['city', 'city_address'],
+            ['country', 'country_address'],
+          ],
+        },
+        {
+          title: 'familyInformation',
+          rows: [
+            ['maritalStatus', 'marital_status'],
+            ['fathersName', 'father_name'],
+          ],
+        },
+        {
+          title: 'employmentInformation',
+          rows: [
+            ['profession', 'profession'],
+            ['employer', 'employer'],
+            ['employerAddress', 'employer_address'],
+          ],
+        },
+      ],
+    },
+  },
+
+  marriage: {
+    label: 'Marriage Certificate',
+    path: 'marriage-applications',
+    referencePrefix: 'MAR',
+    table: 'marriage_applications',
+    nameColumns: ['spouse1_first_name', 'spouse1_last_name'],
+    searchColumns: [
+      'spouse1_first_name', 'spouse1_last_name', 'spouse2_first_name', 'spouse2_last_name',
+      'spouse1_email', 'spouse2_email', 'user_name', 'tracking_number',
+    ],
+    listFilters: {
+      nationality: ['spouse1_nationality', 'spouse2_nationality'],
+      passportNumber: ['spouse1_passport_number', 'spouse2_passport_number'],
+    },
+    encryption: {
+      columns: [1, 2].flatMap((n) => [
+        `spouse${n}_birth_date`, `spouse${n}_birth_place`, `spouse${n}_passport_number`,
+        `spouse${n}_father_name`, `spouse${n}_mother_name`,
+      ]),
+      dates: ['spouse1_birth_date', 'spouse2_birth_date'],
+      blindIndexes: ['spouse1_passport_number', 'spouse2_passport_number'],
+    },
+    fields: marriageFields,
+    documents: { maxFiles: 10 },
+    validation: marriageApplicationValidation,
+    workflow: SHIPPING_WORKFLOW,
+    listColumns: [
+      ['id', 'id'],
+      ['user_name', 'userName'],
+      ['spouse1_first_name', 'firstName'],
+      ['spouse1_last_name', 'lastName'],
+      ['spouse2_first_name', 'spouse2_first_name'],
+      ['spouse2_last_name', 'spouse2_last_name'],
+      ['marriage_date', 'marriage_date'],
+      ['status', 'status'],
+      ['tracking_number', 'tracking_number'],
+      ['created_at', 'createdAt'],
+      ['updated_at', 'updatedAt'],
+    ],
+    pdf: {
+      title: 'marriageCertificateApplication',
+      filename: 'marriage-certificate',
+      sections: [1, 2].map((n) => ({
+        title: msg('pdf.sections.spouseInformation', { n }),
+        rows: [
+          ['name', fullName(`spouse${n}_first_name`, `spouse${n}_last_name`)],
+          ['birthDate', `spouse${n}_birth_date`],
+          ['birthPlace', `spouse${n}_birth_place`],
+          ['nationality', `spouse${n}_nationality`],
+          ['passportNumber', `spouse${n}_passport_number`],
+          ['address', `spouse${n}_address`],
+          ['phone', `spouse${n}_phone`],
+          ['email', `spouse${n}_email`],
+          ['occupation', `spouse${n}_occupation`],
+          ['fathersName', `spouse${n}_father_name`],
+          ['mothersName', `spouse${n}_mother_name`],
+        ],
+      })).concat({
+        title: 'marriageDetails',
+        rows: [
+          ['marriageDate', 'marriage_date'],
+          ['marriagePlace', 'marriage_place'],
+          ['marriageCountry', 'marriage_country'],
+          ['marriageType', 'marriage_type'],
+          ['certificatePurpose', 'certificate_purpose'],
+        ],
+      }),
+    },
+  },
+
+  birth_certificate: {
+    label: 'Birth Certificate',
+    path: 'birth-certificate-applications',
+    referencePrefix: 'BIR',
+    table: 'birth_certificate_applications',
+    nameColumns: ['child_first_name', 'child_last_name'],
+    searchColumns: [
+      'child_first_name', 'child_last_name', 'father_last_name', 'mother_last_name',
+      'applicant_first_name', 'applicant_last_name', 'applicant_email', 'user_name', 'tracking_number',
+    ],
+    listFilters: { nationality: ['child_nationality'] },
+    // The parents' last names stay searchable
+    encryption: {
+      columns: [
+        'child_birth_date',
+        'father_first_name', 'father_birth_date', 'father_birth_place', 'father_occupation', 'father_address',
+        'mother_first_name', 'mother_maiden_name', 'mother_birth_date', 'mother_birth_place', 'mother_occupation',
+        'mother_address',
+      ],
+      dates: ['child_birth_date', 'father_birth_date', 'mother_birth_date'],
+    },
+    fields: birthCertificateFields,
+    documents: { maxFiles: 8 },
+    validation: birthCertificateApplicationValidation,
+    workflow: SHIPPING_WORKFLOW,
+    listColumns: [
+      ['id', 'id'],
+      ['user_name', 'userName'],
+      ['child_first_name', 'firstName'],
+      ['child_last_name', 'lastName'],
+      ['child_birth_date', 'child_birth_date'],
+      ['status', 'status'],
+      ['tracking_number', 'tracking_number'],
+      ['created_at', 'createdAt'],
+      ['updated_at', 'updatedAt'],
+    ],
+    pdf: {
+      title: 'birthCertificateApplication',
+      filename: 'birth-certificate',
+      sections: [
+        {
+          title: 'childInformation',
+          rows: [
+            ['name', (a) => `${a.child_first_name || ''} ${a.child_middle_name || ''} ${a.child_last_name || ''}`],
+            ['birthDate', 'child_birth_date'],
+            ['birthPlace', 'child_birth_place'],
+            ['birthCountry', 'child_birth_country'],
+            ['gender', 'child_gender'],
+            ['nationality', 'child_nationality'],
+          ],
+        },
+        {
+          title: 'fatherInformation',
+          rows: [
+            ['name', fullName('father_first_name', 'father_last_name')],
+            ['birthDate', 'father_birth_date'],
+            ['birthPlace', 'father_birth_place'],
+            ['nationality', 'father_nationality'],
+            ['occupation', 'father_occupation'],
+            ['address', 'father_address'],
+          ],
+        },
+        {
+          title: 'motherInformation',
+          rows: [
+            ['name', fullName('mother_first_name', 'mother_last_name')],
+            ['maidenName', 'mother_maiden_name'],
+            ['birthDate', 'mother_birth_date'],
+            ['birthPlace', 'mother_birth_place'],
+            ['nationality', 'mother_nationality'],
+            ['occupation', 'mother_occupation'],
+            ['address', 'mother_address'],
+          ],
+        },
+        {
+          title: 'applicantInformation',
+          rows: [
+            ['relationshipToChild', 'applicant_relationship'],
+            ['name', fullName('applicant_first_name', 'applicant_last_name')],
+            ['phone', 'applicant_phone'],
+            ['email', 'applicant_email'],
+            ['address', 'applicant_address'],
+          ],
+        },
+        {
+          title: 'additionalDetails',
+          rows: [
+            ['certificatePurpose', 'certificate_purpose'],
+            ['isMinor', yesNo('is_minor')],
+            ['originalRegistrationNumber', 'original_registration_number'],
+          ],
+        },
+      ],
+    },
+  },
+
+  travel_pass: {
+    label: 'Travel Pass',
+    path: 'travel-pass-applications',
+    referencePrefix: 'TRP',
+    table: 'travel_pass_applications',
+    nameColumns: ['first_name', 'last_name'],
+    searchColumns: ['first_name', 'last_name', 'maiden_name', 'email', 'user_name', 'tracking_number'],
+    listFilters: {
+      nationality: ['nationality'],
+      passportNumber: ['previous_passport_number'],
+      policeReportNumber: ['police_report_number'],
+      documentNumber: ['document_number'],
+    },
+    encryption: {
+      columns: [
+        'date_of_birth', 'place_of_birth', 'father_name', 'mother_name', 'mother_maiden_name',
+        'previous_passport_number', 'police_report_number', 'document_number',
+      ],
+      dates: ['date_of_birth'],
+      blindIndexes: ['previous_passport_number', 'police_report_number', 'document_number'],
+    },
+    fields: travelPassFields,
+    documents: { maxFiles: 8, maxFileSize: 8 * 1024 * 1024 },
+    validation: travelPassApplicationValidation,
+    workflow: TRAVEL_PASS_WORKFLOW,
+    listColumns: [
+      ['id', 'id'],
+      ['user_name', 'userName'],
+      ['first_name', 'firstName'],
+      ['last_name', 'lastName'],
+      ['date_of_birth', 'dateOfBirth'],
+      ['nationality', 'nationality'],
+      ['destination_country', 'destinationCountry'],
+      ['departure_date', 'departureDate'],
+      ['status', 'status'],
+      ['tracking_number', 'trackingNumber'],
+      ['created_at', 'createdAt'],
+      ['updated_at', 'updatedAt'],
+    ],
+    pdf: {
+      title: 'travelPassApplication',
+      filename: 'travel-pass',
+      sections: [
+        {
+          title: 'personalInformation',
+          rows: [
+            ['name', fullName('first_name', 'last_name')],
+            ['maidenName', 'maiden_name'],
+            ['dateOfBirth', 'date_of_birth'],
+            ['placeOfBirth', 'place_of_birth'],
+            ['countryOfBirth', 'country_of_birth'],
+            ['gender', 'gender'],
+            ['nationality', 'nationality'],
+          ],
+        },
+        {
+          title: 'physicalDescription',
+          rows: [
+            ['height', 'height'],
+            ['eyeColor', 'eye_color'],
+            ['hairColor', 'hair_color'],
+            ['distinguishingMarks', 'distinguishing_marks'],
+          ],
+        },
+        {
+          title: 'contactInformation',
+          rows: [
+            ['address', 'current_address'],
+            ['city', 'city'],
+            ['country', 'country'],
+            ['phone', 'phone'],
+            ['email', 'email'],
+          ],
+        },
+        {
+          title: 'familyInformation',
+          rows: [
+            ['fathersName', 'father_name'],
+            ['mothersName', 'mother_name'],
+            ['mothersMaidenName', 'mother_maiden_name'],
+            ['maritalStatus', 'marital_status'],
+            ['spouseName', 'spouse_name'],
+          ],
+        },
+        {
+          title: 'travelInformation',
+          rows: [
+            ['travelReason', 'travel_reason'],
+            ['destinationCountry', 'destination_country'],
+            ['destinationCity', 'destination_city'],
+            ['departureDate', 'departure_date'],
+            ['returnDate', 'return_date'],
+            ['travelDuration', (a) => (a.travel_duration ? msg('pdf.days', { count: a.travel_duration }) : null)],
+          ],
+        },
+        {
+          title: 'emergencyContact',
+          rows: [
+            ['name', 'emergency_contact_name'],
+            ['relationship', 'emergency_contact_relationship'],
+            ['phone', 'emergency_contact_phone'],
+            ['address', 'emergency_contact_address'],
+          ],
+        },
+        {
+          title: 'passportInformation',
+          rows: [
+            ['passportLost', yesNo('passport_lost')],
+            ['passportStolen', yesNo('passport_stolen')],
+            ['passportExpired', yesNo('passport_expired')],
+            ['previousPassportNumber', 'previous_passport_number'],
+            ['passportIssueDate', 'passport_issue_date'],
+            ['passportExpiryDate', 'passport_expiry_date'],
+            ['policeReportNumber', 'police_report_number'],
+            ['policeReportDate', 'police_report_date'],
+          ],
+        },
+      ],
+    },
+  },
+};
+
+export const getApplicationType = (key) =>
+  (Object.prototype.hasOwnProperty.call(APPLICATION_TYPES, key) ? APPLICATION_TYPES[key] : null);
+
+// Applicant's name from the type's first/last name columns
+export const applicantName = (type, application) =>
+  `${application[type.nameColumns[0]] || ''} ${application[type.nameColumns[1]] || ''}`;
+
+// Staff-facing reference: the type's prefix and the zero-padded id
+export const applicationReference = (type, id) => `${type.referencePrefix}-${String(id).padStart(6, '0')}`;
+
+// { key, id } for a reference such as VIS-000123 or vis123, or null
+export const parseReference = (text) => {
+  const match = String(text || '').trim().match(/^([a-z]{3})-?(\d{1,10})$/i);
+  if (!match) return null;
+  const key = Object.keys(APPLICATION_TYPES)
+    .find((candidate) => APPLICATION_TYPES[candidate].referencePrefix === match[1].toUpperCase());
+  return key ? { key, id: Number(match[2]) } : null;
+};
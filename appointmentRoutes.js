@@ -0,0 +1,369 @@
+import { withTransaction } from './db.js';
+import { authMiddleware, requirePermission } from './auth.js';
+import { hasPermission } from './permissions.js';
+import { APPLICATION_TYPES, getApplicationType, applicantName } from './applicationTypes.js';
+import { workflowStatuses } from './workflow.js';
+import { recordEvent } from './events.js';
+import { queueEmail, recipientLocale, wakeOutboxWorker } from './outbox.js';
+import { formatDate, t } from './i18n.js';
+import {
+  APPOINTMENT_TIMEZONE,
+  MAX_SLOT_RANGE_DAYS,
+  addDays,
+  localNow,
+  localToInstant,
+  listServices,
+  findService,
+  createService,
+  updateService,
+  setServiceHours,
+  listBlackouts,
+  addBlackout,
+  removeBlackout,
+  listSlots,
+  checkSlot,
+  serviceAccepts,
+  findAppointment,
+  findActiveBooking,
+  insertAppointment,
+  moveAppointment,
+  cancelAppointment,
+  listUserAppointments,
+  listAgenda,
+  calendarAttachment,
+  appointmentLocation,
+} from './appointments.js';
+import {
+  appointmentBookingValidation,
+  appointmentRescheduleValidation,
+  appointmentSlotsValidation,
+  appointmentAgendaValidation,
+  appointmentServiceCreateValidation,
+  appointmentServiceUpdateValidation,
+  appointmentHoursValidation,
+  appointmentBlackoutValidation,
+} from './validation.js';
+
+// Staff with appointments:manage can book and change appointments for anyone
+const canManage = (user) => hasPermission(user, 'appointments:manage');
+
+const sendResult = (req, res, result, statusCode = 200) => {
+  if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+  wakeOutboxWorker();
+  res.status(statusCode).json({ success: true, appointment: result.appointment });
+};
+
+const loadApplication = async (db, type, id) => {
+  const [rows] = await db.query(
+    'SELECT id, user_id, user_name, status, ?? FROM ?? WHERE id = ?',
+    [type.nameColumns, type.table, id]
+  );
+  return rows[0] || null;
+};
+
+const recordAppointmentEvent = (db, eventType, appointment, actor, details = {}) => recordEvent(db, {
+  applicationType: appointment.applicationType,
+  applicationId: appointment.applicationId,
+  eventType,
+  actor,
+  details: {
+    appointmentId: appointment.id,
+    service: appointment.serviceCode,
+    startsAt: appointment.startsAt,
+    ...details,
+  },
+});
+
+// Confirmation or cancellation email with the calendar invite attached
+const notifyAppointment = async (db, template, appointment, service, { rescheduled = false } = {}) => {
+  const type = getApplicationType(appointment.applicationType);
+  const application = await loadApplication(db, type, appointment.applicationId);
+  const locale = await recipientLocale(db, appointment.userId);
+  return queueEmail({
+    template,
+    to: appointment.userName,
+    locale,
+    vars: {
+      applicantName: application ? applicantName(type, application) : '',
+      serviceName: service.name,
+      typeLabel: t(locale, `applicationTypes.${appointment.applicationType}.label`),
+      applicationId: appointment.applicationId,
+      when: formatDate(locale, localToInstant(appointment.startsAt), { time: true, timeZone: APPOINTMENT_TIMEZONE }),
+      location: appointmentLocation(service),
+      rescheduled,
+    },
+    attachments: [calendarAttachment(appointment, service)],
+  }, db);
+};
+
+// Service type/status lists must name known application types and statuses
+const invalidServiceLists = (req) => {
+  const { applicationTypes, applicationStatuses } = req.body;
+  const typeKeys = Object.keys(APPLICATION_TYPES);
+  if ((applicationTypes || []).some((key) => !typeKeys.includes(key))) {
+    return req.t('validation.oneOf', { label: req.t('fields.applicationTypes'), values: typeKeys.join(', ') });
+  }
+  const statuses = [...new Set(Object.values(APPLICATION_TYPES).flatMap((type) => workflowStatuses(type.workflow)))];
+  if ((applicationStatuses || []).some((status) => !statuses.includes(status))) {
+    return req.t('validation.oneOf', { label: req.t('fields.applicationStatuses'), values: statuses.join(', ') });
+  }
+  return null;
+};
+
+export const registerAppointmentRoutes = (app) => {
+  // ========================================
+  // BOOKING
+  // ========================================
+
+  app.get('/api/appointments/services', async (req, res) => {
+    try {
+      res.json({ timeZone: APPOINTMENT_TIMEZONE, services: await listServices() });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/appointments/services/:id/slots', appointmentSlotsValidation, async (req, res) => {
+    const { from, to } = req.query;
+    if (to > addDays(from, MAX_SLOT_RANGE_DAYS - 1)) {
+      return res.status(400).json({ error: req.t('errors.dateRangeTooLong', { max: MAX_SLOT_RANGE_DAYS }) });
+    }
+
+    try {
+      const service = await findService(req.params.id);
+      if (!service || !service.active) return res.status(404).json({ error: req.t('errors.serviceNotFound') });
+
+      res.json({ serviceId: service.id, timeZone: APPOINTMENT_TIMEZONE, slots: await listSlots(service, from, to) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/appointments', authMiddleware, async (req, res) => {
+    try {
+      res.json({ timeZone: APPOINTMENT_TIMEZONE, appointments: await listUserAppointments(req.user.username) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/appointments', authMiddleware, appointmentBookingValidation, async (req, res) => {
+    const { serviceId, applicationType, applicationId, startsAt } = req.body;
+    const type = getApplicationType(applicationType);
+    if (!type) return res.status(400).json({ error: req.t('errors.invalidApplicationType') });
+
+    try {
+      const result = await withTransaction(async (connection) => {
+        const service = await findService(serviceId, connection, { lock: true });
+        if (!service || !service.active) return { status: 404, error: 'errors.serviceNotFound' };
+
+        const application = await loadApplication(connection, type, applicationId);
+        if (!application) return { status: 404, error: 'errors.applicationNotFound' };
+        if (!canManage(req.user) && application.user_name !== req.user.username) {
+          return { status: 403, error: 'errors.accessDenied' };
+        }
+        if (!serviceAccepts(service, applicationType, application)) {
+          return { status: 409, error: 'errors.serviceNotForApplication' };
+        }
+        if (await findActiveBooking(connection, service.id, applicationType, application.id)) {
+          return { status: 409, error: 'errors.appointmentExists' };
+        }
+
+        const slotError = await checkSlot(connection, service, startsAt);
+        if (slotError) return slotError;
+
+        const appointment = await insertAppointment(connection, { service, applicationType, application, startsAt });
+        await recordAppointmentEvent(connection, 'appointment_booked', appointment, req.user);
+        await notifyAppointment(connection, 'appointment-confirmed', appointment, service);
+        return { appointment };
+      });
+      sendResult(req, res, result, 201);
+    } catch (err) {
+      console.error('Appointment booking error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/appointments/:id', authMiddleware, async (req, res) => {
+    try {
+      const appointment = await findAppointment(req.params.id);
+      if (!appointment) return res.status(404).json({ error: req.t('errors.appointmentNotFound') });
+      if (!hasPermission(req.user, 'appointments:read') && appointment.userName !== req.user.username) {
+        return res.status(403).json({ error: req.t('errors.accessDenied') });
+      }
+      res.json({ timeZone: APPOINTMENT_TIMEZONE, appointment });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Locks the service before the appointment, in the same order as booking
+  const lockForChange = async (connection, id, user) => {
+    const current = await findAppointment(id, connection);
+    if (!current) return { status: 404, error: 'errors.appointmentNotFound' };
+    if (!canManage(user) && current.userName !== user.username) return { status: 403, error: 'errors.accessDenied' };
+
+    const service = await findService(current.serviceId, connection, { lock: true });
+    const appointment = await findAppointment(id, connection, { lock: true });
+    if (appointment.status !== 'booked') return { status: 409, error: 'errors.appointmentNotActive' };
+    if (appointment.startsAt <= localNow() && !canManage(user)) return { status: 409, error: 'errors.appointmentPast' };
+    return { service, appointment };
+  };
+
+  app.put('/api/appointments/:id', authMiddleware, appointmentRescheduleValidation, async (req, res) => {
+    const { startsAt } = req.body;
+
+    try {
+      const result = await withTransaction(async (connection) => {
+        const locked = await lockForChange(connection, req.params.id, req.user);
+        if (locked.error) return locked;
+
+        const { service, appointment } = locked;
+        if (appointment.startsAt === startsAt) return { appointment };
+
+        const slotError = await checkSlot(connection, service, startsAt, { excludeId: appointment.id });
+        if (slotError) return slotError;
+
+        const moved = await moveAppointment(connection, appointment, service, startsAt);
+        await recordAppointmentEvent(connection, 'appointment_rescheduled', moved, req.user, {
+          previousStartsAt: appointment.startsAt,
+        });
+        await notifyAppointment(connection, 'appointment-confirmed', moved, service, { rescheduled: true });
+        return { appointment: moved };
+      });
+      sendResult(req, res, result);
+    } catch (err) {
+      console.error('Appointment reschedule error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/appointments/:id/cancel', authMiddleware, async (req, res) => {
+    try {
+      const result = await withTransaction(async (connection) => {
+        const locked = await lockForChange(connection, req.params.id, req.user);
+        if (locked.error) return locked;
+
+        const cancelled = await cancelAppointment(connection, locked.appointment);
+        await recordAppointmentEvent(connection, 'appointment_cancelled', cancelled, req.user);
+        await notifyAppointment(connection, 'appointment-cancelled', cancelled, locked.service);
+        return { appointment: cancelled };
+      });
+      sendResult(req, res, result);
+    } catch (err) {
+      console.error('Appointment cancel error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ADMINISTRATION
+  // ========================================
+
+  app.get('/api/admin/appointments/agenda', authMiddleware, requirePermission('appointments:read'), appointmentAgendaValidation, async (req, res) => {
+    const { date, serviceId } = req.query;
+
+    try {
+      const appointments = await listAgenda(date, {
+        serviceId,
+        includeCancelled: req.query.includeCancelled === 'true',
+      });
+      res.json({
+        date,
+        timeZone: APPOINTMENT_TIMEZONE,
+        total: appointments.filter((appointment) => appointment.status === 'booked').length,
+        appointments,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/appointment-services', authMiddleware, requirePermission('appointments:manage'), async (req, res) => {
+    try {
+      res.json({ timeZone: APPOINTMENT_TIMEZONE, services: await listServices({ includeInactive: true }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/admin/appointment-services', authMiddleware, requirePermission('appointments:manage'), appointmentServiceCreateValidation, async (req, res) => {
+    const invalid = invalidServiceLists(req);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+      res.status(201).json({ success: true, service: await createService(req.body) });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: req.t('errors.serviceCodeTaken') });
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/admin/appointment-services/:id', authMiddleware, requirePermission('appointments:manage'), appointmentServiceUpdateValidation, async (req, res) => {
+    const invalid = invalidServiceLists(req);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+      const service = await updateService(req.params.id, req.body);
+      if (!service) return res.status(404).json({ error: req.t('errors.serviceNotFound') });
+      res.json({ success: true, service });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/admin/appointment-services/:id/hours', authMiddleware, requirePermission('appointments:manage'), appointmentHoursValidation, async (req, res) => {
+    try {
+      const service = await setServiceHours(req.params.id, req.body.hours);
+      if (!service) return res.status(404).json({ error: req.t('errors.serviceNotFound') });
+      res.json({ success: true, service });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/appointment-blackouts', authMiddleware, requirePermission('appointments:manage'), async (req, res) => {
+    try {
+      res.json({ blackouts: await listBlackouts({ from: req.query.from, to: req.query.to }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Existing bookings on the date are kept; they still show on the agenda
+  app.post('/api/admin/appointment-blackouts', authMiddleware, requirePermission('appointments:manage'), appointmentBlackoutValidation, async (req, res) => {
+    const { serviceId, date, reason } = req.body;
+
+    try {
+      if (serviceId && !(await findService(serviceId))) {
+        return res.status(404).json({ error: req.t('errors.serviceNotFound') });
+      }
+      res.status(201).json({ success: true, blackout: await addBlackout({ serviceId, date, reason }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.delete('/api/admin/appointment-blackouts/:id', authMiddleware, requirePermission('appointments:manage'), async (req, res) => {
+    try {
+      if (!(await removeBlackout(req.params.id))) {
+        return res.status(404).json({ error: req.t('errors.blackoutNotFound') });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,484 @@
+import { pool } from './db.js';
+import { CONTACT_FROM } from './mailer.js';
+
+// ========================================
+// APPOINTMENTS
+// ========================================
+//
+// A service (biometrics, interview, pickup, ...) has a slot length, a per-slot
+// capacity and weekly opening hours. Slots are computed from the hours on the
+// fly; only bookings are stored. Times are wall-clock times in
+// APPOINTMENT_TIMEZONE written as 'YYYY-MM-DD HH:MM'.
+
+export const APPOINTMENT_TIMEZONE = process.env.APPOINTMENT_TIMEZONE || 'America/New_York';
+export const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+// Longest range the slot listing accepts
+export const MAX_SLOT_RANGE_DAYS = 31;
+
+const DEFAULT_LOCATION = process.env.APPOINTMENT_LOCATION
+  || 'Embassy of the Central African Republic, 2704 Ontario Rd NW, Washington, DC 20009';
+
+// Wall-clock times are handled as UTC Dates so the arithmetic ignores DST
+const parseLocal = (value) => new Date(`${value.replace(' ', 'T')}:00Z`);
+const formatLocal = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const zoneFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: APPOINTMENT_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+// Wall-clock time in the appointment time zone at a given instant
+const toLocal = (instant) => {
+  const parts = Object.fromEntries(zoneFormatter.formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+// The instant at which a 'YYYY-MM-DD HH:MM' wall-clock time happens
+export const localToInstant = (value) => {
+  const local = parseLocal(value);
+  const guess = new Date(local.getTime() - (toLocal(local) - local));
+  return new Date(local.getTime() - (toLocal(guess) - guess));
+};
+
+export const localNow = () => formatLocal(toLocal(new Date()));
+
+export const addDays = (date, days) => formatLocal(addMinutes(parseLocal(`${date} 00:00`), days * 24 * 60)).slice(0, 10);
+
+// ========================================
+// SERVICES, HOURS AND BLACKOUTS
+// ========================================
+
+const SERVICE_COLUMNS = `id, code, name, description, location, slot_minutes as slotMinutes, capacity,
+  min_notice_hours as minNoticeHours, booking_window_days as bookingWindowDays,
+  application_types as applicationTypes, application_statuses as applicationStatuses, active`;
+
+// Request fields to columns; the lists are stored as JSON (NULL = any)
+const SERVICE_FIELDS = {
+  code: 'code',
+  name: 'name',
+  description: 'description',
+  location: 'location',
+  slotMinutes: 'slot_minutes',
+  capacity: 'capacity',
+  minNoticeHours: 'min_notice_hours',
+  bookingWindowDays: 'booking_window_days',
+  applicationTypes: 'application_types',
+  applicationStatuses: 'application_statuses',
+  active: 'active',
+};
+
+const LIST_FIELDS = ['applicationTypes', 'applicationStatuses'];
+
+const serviceRow = (input) => Object.fromEntries(
+  Object.entries(SERVICE_FIELDS)
+    .filter(([field]) => input[field] !== undefined)
+    .map(([field, column]) => [
+      column,
+      LIST_FIELDS.includes(field) && input[field] !== null
+        ? (input[field].length ? JSON.stringify(input[field]) : null)
+        : input[field],
+    ])
+);
+
+const toService = (row, hours = []) => ({
+  ...row,
+  applicationTypes: row.applicationTypes ? JSON.parse(row.applicationTypes) : null,
+  applicationStatuses: row.applicationStatuses ? JSON.parse(row.applicationStatuses) : null,
+  active: !!row.active,
+  hours,
+});
+
+const loadHours = async (db, serviceIds) => {
+  if (!serviceIds.length) return [];
+  const [rows] = await db.query(
+    `SELECT service_id as serviceId, weekday, TIME_FORMAT(opens_at, '%H:%i') as opensAt,
+     TIME_FORMAT(closes_at, '%H:%i') as closesAt
+     FROM appointment_hours WHERE service_id IN (?) ORDER BY weekday, opens_at`,
+    [serviceIds]
+  );
+  return rows;
+};
+
+const hoursFor = (hours, serviceId) => hours
+  .filter((range) => range.serviceId === serviceId)
+  .map(({ weekday, opensAt, closesAt }) => ({ weekday, opensAt, closesAt }));
+
+export const listServices = async ({ includeInactive = false } = {}) => {
+  const [rows] = await pool.query(
+    `SELECT ${SERVICE_COLUMNS} FROM appointment_services ${includeInactive ? '' : 'WHERE active = TRUE'} ORDER BY name`
+  );
+  const hours = await loadHours(pool, rows.map((row) => row.id));
+  return rows.map((row) => toService(row, hoursFor(hours, row.id)));
+};
+
+/**
+ * Loads a service with its hours. With `lock`, the service row is locked for
+ * the caller's transaction; bookings take this lock first so that concurrent
+ * bookings for the same service are serialized and capacity cannot be oversold.
+ */
+export const findService = async (id, db = pool, { lock = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT ${SERVICE_COLUMNS} FROM appointment_services WHERE id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  if (!rows.length) return null;
+  return toService(rows[0], hoursFor(await loadHours(db, [rows[0].id]), rows[0].id));
+};
+
+export const createService = async (input) => {
+  const [result] = await pool.query('INSERT INTO appointment_services SET ?', [serviceRow(input)]);
+  return findService(result.insertId);
+};
+
+// Returns null when the service does not exist
+export const updateService = async (id, input) => {
+  const row = serviceRow(input);
+  delete row.code;
+  if (Object.keys(row).length) {
+    await pool.query('UPDATE appointment_services SET ? WHERE id = ?', [row, id]);
+  }
+  return findService(id);
+};
+
+// Replaces the weekly hours; `hours` is a list of { weekday, opensAt, closesAt }
+export const setServiceHours = async (id, hours) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query('SELECT id FROM appointment_services WHERE id = ? FOR UPDATE', [id]);
+    if (!rows.length) {
+      await connection.rollback();
+      return null;
+    }
+    await connection.query('DELETE FROM appointment_hours WHERE service_id = ?', [id]);
+    if (hours.length) {
+      await connection.query(
+        'INSERT INTO appointment_hours (service_id, weekday, opens_at, closes_at) VALUES ?',
+        [hours.map(({ weekday, opensAt, closesAt }) => [id, weekday, opensAt, closesAt])]
+      );
+    }
+    await connection.commit();
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+  return findService(id);
+};
+
+export const listBlackouts = async ({ from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('b.date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('b.date <= ?');
+    params.push(to);
+  }
+  const [rows] = await pool.query(
+    `SELECT b.id, b.service_id as serviceId, s.name as serviceName, DATE_FORMAT(b.date, '%Y-%m-%d') as date, b.reason
+     FROM appointment_blackouts b
+     LEFT JOIN appointment_services s ON s.id = b.service_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY b.date, b.id`,
+    params
+  );
+  return rows;
+};
+
+export const addBlackout = async ({ serviceId = null, date, reason = null }) => {
+  const [result] = await pool.query(
+    'INSERT INTO appointment_blackouts (service_id, date, reason) VALUES (?, ?, ?)',
+    [serviceId, date, reason]
+  );
+  return { id: result.insertId, serviceId, date, reason };
+};
+
+export const removeBlackout = async (id) => {
+  const [result] = await pool.query('DELETE FROM appointment_blackouts WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+// ========================================
+// SLOTS
+// ========================================
+
+// Slot start times on one date from the weekly hours
+const daySlots = (service, date) => {
+  const weekday = parseLocal(`${date} 00:00`).getUTCDay();
+  const starts = [];
+  for (const range of service.hours.filter((hours) => hours.weekday === weekday)) {
+    const closes = parseLocal(`${date} ${range.closesAt}`);
+    let start = parseLocal(`${date} ${range.opensAt}`);
+    while (addMinutes(start, service.slotMinutes) <= closes) {
+      starts.push(formatLocal(start));
+      start = addMinutes(start, service.slotMinutes);
+    }
+  }
+  return starts.sort();
+};
+
+// Earliest bookable slot and last bookable date under the service's notice and window
+const bookingWindow = (service) => {
+  const now = toLocal(new Date());
+  return {
+    earliest: formatLocal(addMinutes(now, service.minNoticeHours * 60)),
+    lastDate: formatLocal(addMinutes(now, service.bookingWindowDays * 24 * 60)).slice(0, 10),
+  };
+};
+
+const blackoutDates = async (db, serviceId, from, to) => {
+  const [rows] = await db.query(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') as date FROM appointment_blackouts
+     WHERE (service_id = ? OR service_id IS NULL) AND date BETWEEN ? AND ?`,
+    [serviceId, from, to]
+  );
+  return new Set(rows.map((row) => row.date));
+};
+
+export const slotEnd = (service, startsAt) => formatLocal(addMinutes(parseLocal(startsAt), service.slotMinutes));
+
+/**
+ * Bookable slots between two dates (inclusive) with their remaining capacity.
+ * Slots inside the notice period, past the booking window or on a blackout
+ * date are left out; full slots are listed with `available: 0`.
+ */
+export const listSlots = async (service, from, to) => {
+  const { earliest, lastDate } = bookingWindow(service);
+  const end = to < lastDate ? to : lastDate;
+  if (from > end) return [];
+
+  const closed = await blackoutDates(pool, service.id, from, end);
+  const [booked] = await pool.query(
+    `SELECT DATE_FORMAT(starts_at, '%Y-%m-%d %H:%i') as startsAt, COUNT(*) as count
+     FROM appointments
+     WHERE service_id = ? AND status = 'booked' AND starts_at >= ? AND starts_at < ?
+     GROUP BY starts_at`,
+    [service.id, `${from} 00:00:00`, `${addDays(end, 1)} 00:00:00`]
+  );
+  const counts = new Map(booked.map((row) => [row.startsAt, Number(row.count)]));
+
+  const slots = [];
+  for (let date = from; date <= end; date = addDays(date, 1)) {
+    if (closed.has(date)) continue;
+    for (const startsAt of daySlots(service, date)) {
+      if (startsAt < earliest) continue;
+      const count = counts.get(startsAt) || 0;
+      slots.push({
+        startsAt,
+        endsAt: slotEnd(service, startsAt),
+        capacity: service.capacity,
+        available: Math.max(service.capacity - count, 0),
+      });
+    }
+  }
+  return slots;
+};
+
+/**
+ * Checks that `startsAt` is an open slot of the service with room left.
+ * Call with a transaction connection after findService(..., { lock: true }).
+ * Returns null when the slot can be booked, otherwise `{ status, error }`.
+ * `excludeId` leaves out the appointment being moved.
+ */
+export const checkSlot = async (db, service, startsAt, { excludeId = null } = {}) => {
+  const date = startsAt.slice(0, 10);
+  const { earliest, lastDate } = bookingWindow(service);
+  if (!service.active || startsAt < earliest || date > lastDate || !daySlots(service, date).includes(startsAt)) {
+    return { status: 400, error: 'errors.slotUnavailable' };
+  }
+  if ((await blackoutDates(db, service.id, date, date)).size) {
+    return { status: 400, error: 'errors.slotUnavailable' };
+  }
+
+  const [rows] = await db.query(
+    `SELECT COUNT(*) as count FROM appointments
+     WHERE service_id = ? AND starts_at = ? AND status = 'booked' AND id <> ?`,
+    [service.id, `${startsAt}:00`, excludeId || 0]
+  );
+  if (Number(rows[0].count) >= service.capacity) {
+    return { status: 409, error: 'errors.slotFull' };
+  }
+  return null;
+};
+
+// Whether a service accepts an application of this type and status
+export const serviceAccepts = (service, applicationType, application) =>
+  (!service.applicationTypes || service.applicationTypes.includes(applicationType))
+  && (!service.applicationStatuses || service.applicationStatuses.includes(application.status));
+
+// ========================================
+// BOOKINGS
+// ========================================
+
+const APPOINTMENT_COLUMNS = `a.id, a.service_id as serviceId, s.code as serviceCode, s.name as serviceName,
+  a.application_type as applicationType, a.application_id as applicationId, a.user_id as userId,
+  a.user_name as userName, DATE_FORMAT(a.starts_at, '%Y-%m-%d %H:%i') as startsAt,
+  DATE_FORMAT(a.ends_at, '%Y-%m-%d %H:%i') as endsAt, a.status, a.sequence, a.cancelled_at as cancelledAt,
+  a.created_at as createdAt`;
+
+export const findAppointment = async (id, db = pool, { lock = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a
+     JOIN appointment_services s ON s.id = a.service_id
+     WHERE a.id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// An application keeps at most one booked appointment per service
+export const findActiveBooking = async (db, serviceId, applicationType, applicationId) => {
+  const [rows] = await db.query(
+    `SELECT id FROM appointments
+     WHERE service_id = ? AND application_type = ? AND application_id = ? AND status = 'booked'`,
+    [serviceId, applicationType, applicationId]
+  );
+  return rows[0] || null;
+};
+
+export const insertAppointment = async (db, { service, applicationType, application, startsAt }) => {
+  const [result] = await db.query(
+    `INSERT INTO appointments
+    (service_id, application_type, application_id, user_id, user_name, starts_at, ends_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      service.id,
+      applicationType,
+      application.id,
+      application.user_id,
+      application.user_name,
+      `${startsAt}:00`,
+      `${slotEnd(service, startsAt)}:00`,
+    ]
+  );
+  return findAppointment(result.insertId, db);
+};
+
+// SEQUENCE is bumped on every change so calendar clients replace the old invite
+export const moveAppointment = async (db, appointment, service, startsAt) => {
+  await db.query(
+    'UPDATE appointments SET starts_at = ?, ends_at = ?, sequence = sequence + 1 WHERE id = ?',
+    [`${startsAt}:00`, `${slotEnd(service, startsAt)}:00`, appointment.id]
+  );
+  return findAppointment(appointment.id, db);
+};
+
+export const cancelAppointment = async (db, appointment) => {
+  await db.query(
+    "UPDATE appointments SET status = 'cancelled', cancelled_at = NOW(), sequence = sequence + 1 WHERE id = ?",
+    [appointment.id]
+  );
+  return findAppointment(appointment.id, db);
+};
+
+export const listUserAppointments = async (username) => {
+  const [rows] = await pool.query(
+    `SELECT ${APPOINTMENT_COLUMNS} FROM appointments a
+     JOIN appointment_services s ON s.id = a.service_id
+     WHERE a.user_name = ?
+     ORDER BY a.starts_at DESC`,
+    [username]
+  );
+  return rows;
+};
+
+/**
+ * Booked appointments on one date, in slot order, with the account holder's
+ * name. Cancelled ones are included when `includeCancelled` is set.
+ */
+export const listAgenda = async (date, { serviceId = null, includeCancelled = false } = {}) => {
+  const conditions = ['a.starts_at >= ?', 'a.starts_at < ?'];
+  const params = [`${date} 00:00:00`, `${addDays(date, 1)} 00:00:00`];
+  if (serviceId) {
+    conditions.push('a.service_id = ?');
+    params.push(serviceId);
+  }
+  if (!includeCancelled) conditions.push("a.status = 'booked'");
+
+  const [rows] = await pool.query(
+    `SELECT ${APPOINTMENT_COLUMNS}, l.firstname as firstName, l.lastname as lastName
+     FROM appointments a
+     JOIN appointment_services s ON s.id = a.service_id
+     LEFT JOIN login l ON l.id = a.user_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY a.starts_at, s.name, a.id`,
+    params
+  );
+  return rows;
+};
+
+// ========================================
+// CALENDAR INVITES
+// ========================================
+
+export const appointmentLocation = (service) => service.location || DEFAULT_LOCATION;
+
+const icsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const icsInstant = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines are folded at 75 octets (RFC 5545 3.1)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * An iCalendar invite for an appointment, as a nodemailer-style attachment.
+ * Cancelled appointments produce a METHOD:CANCEL update for the same UID.
+ */
+export const calendarAttachment = (appointment, service) => {
+  const cancelled = appointment.status === 'cancelled';
+  const domain = CONTACT_FROM.split('@')[1] || 'localhost';
+  const location = appointmentLocation(service);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Embassy//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment.id}@${domain}`,
+    `SEQUENCE:${appointment.sequence}`,
+    `DTSTAMP:${icsInstant(new Date())}`,
+    `DTSTART:${icsInstant(localToInstant(appointment.startsAt))}`,
+    `DTEND:${icsInstant(localToInstant(appointment.endsAt))}`,
+    `SUMMARY:${icsText(service.name)}`,
+    ...(service.description ? [`DESCRIPTION:${icsText(service.description)}`] : []),
+    ...(location ? [`LOCATION:${icsText(location)}`] : []),
+    `ORGANIZER:mailto:${CONTACT_FROM}`,
+    `ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${appointment.userName}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return {
+    filename: 'appointment.ics',
+    contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    content: `${lines.map(foldLine).join('\r\n')}\r\n`,
+  };
+};
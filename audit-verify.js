@@ -0,0 +1,51 @@
+import 'dotenv/config';
+import { pool } from './db.js';
+import { verifyAuditLog } from './audit.js';
+
+// Checks the audit log's hash chain (see audit.js):
+//
+//   npm run audit:verify
+//   npm run audit:verify -- --anchor 1234:9f2c...
+//
+// Recomputes every entry's hash in order and checks that each links to the
+// one before it, that no numbers are skipped and that the last entry is the
+// one audit_log_head records. Exits with status 1 if anything is wrong.
+//
+// The chain alone does not prove much: anyone able to write to the database
+// can recompute it. Keep the printed head (`<id>:<hash>`) outside the
+// database and pass it back with --anchor; the run then also fails unless
+// that entry still has that hash.
+
+const parseAnchor = (args) => {
+  const index = args.indexOf('--anchor');
+  if (index === -1) return null;
+  const match = /^(\d+):([0-9a-f]{64})$/.exec(args[index + 1] || '');
+  if (!match) throw new Error('--anchor expects <id>:<hash>, as printed by an earlier run');
+  return { id: Number(match[1]), hash: match[2] };
+};
+
+const main = async () => {
+  const anchor = parseAnchor(process.argv.slice(2));
+  const result = await verifyAuditLog({ anchor });
+  for (const problem of result.problems) {
+    console.error(problem.id === null ? `Head: ${problem.message}` : `Entry ${problem.id}: ${problem.message}`);
+  }
+  if (result.problemCount > result.problems.length) {
+    console.error(`... and ${result.problemCount - result.problems.length} more problem(s)`);
+  }
+
+  if (result.ok) {
+    console.log(`Audit log intact: ${result.checked} entries, head ${result.lastId}:${result.lastHash}`);
+    if (anchor) console.log(`Anchor ${anchor.id} matches`);
+    else console.log('No --anchor given: record the head outside the database to check against it next time');
+  } else {
+    console.error(`Audit log verification FAILED: ${result.problemCount} problem(s) in ${result.checked} entries`);
+  }
+  await pool.end();
+  if (!result.ok) process.exit(1);
+};
+
+main().catch((err) => {
+  console.error('Audit log verification failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { pool, withTransaction } from './db.js';
+import { listPage, listBatches, searchCondition, dateRangeConditions, idSort } from './listing.js';
+
+// ========================================
+// AUDIT LOG
+// ========================================
+//
+// Append-only record of staff actions and of access to personal data
+// (AUDIT.md). Each entry stores the SHA-256 hash of its own content and of
+// the entry before it, so changing, removing or reordering entries breaks the
+// chain; audit-verify.js walks it. Entries are numbered without gaps under a
+// lock on audit_log_head, which also keeps the latest hash so that cutting
+// entries off the end is noticed too.
+//
+// The hashes are unkeyed: anyone who can write to the database can rewrite
+// the chain and its head consistently. Only a head hash kept outside the
+// database (an anchor, checked with `audit:verify --anchor`) shows that the
+// entries up to it are unchanged.
+
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.two_factor_enable',
+  'auth.two_factor_disable',
+  'auth.recovery_codes',
+  'application.view',
+  'application.pdf',
+  'application.document',
+  'application.status',
+  'application.tracking',
+  'application.assign',
+  'application.export',
+  'chat.reply',
+  'chat.export',
+  'users.list',
+  'users.export',
+  'users.sessions_revoke',
+  'users.disable',
+  'users.enable',
+  'users.two_factor_reset',
+  'staff.grant',
+  'staff.update',
+  'staff.revoke',
+  'audit.read',
+];
+
+// prev_hash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const MAX_USER_AGENT = 500;
+
+// created_at is UTC with milliseconds, read back exactly as it was hashed
+const AUDIT_COLUMNS = `id, LEFT(DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s.%f'), 23) as created_at,
+  actor_id, actor_username, actor_role, action, target_type, target_id, ip_address, user_agent,
+  diff, details, prev_hash, hash`;
+
+const utcTimestamp = (date = new Date()) => date.toISOString().replace('T', ' ').slice(0, 23);
+
+// Every stored column but the hash itself, in a fixed order
+export const entryHash = (row) => crypto.createHash('sha256').update(JSON.stringify([
+  row.id,
+  row.created_at,
+  row.actor_id,
+  row.actor_username,
+  row.actor_role,
+  row.action,
+  row.target_type,
+  row.target_id,
+  row.ip_address,
+  row.user_agent,
+  row.diff,
+  row.details,
+  row.prev_hash,
+])).digest('hex');
+
+const appendEntry = async (connection, entry) => {
+  const [[head]] = await connection.query('SELECT last_id, last_hash FROM audit_log_head WHERE id = 1 FOR UPDATE');
+  const row = { id: Number(head.last_id) + 1, created_at: utcTimestamp(), ...entry, prev_hash: head.last_hash };
+  row.hash = entryHash(row);
+  await connection.query('INSERT INTO audit_log SET ?', [row]);
+  await connection.query('UPDATE audit_log_head SET last_id = ?, last_hash = ? WHERE id = 1', [row.id, row.hash]);
+};
+
+// Who is acting and from where, for recordAudit()
+export const requestActor = (req) => ({
+  actor: req.user || null,
+  ip: req.ip || null,
+  userAgent: req.get('User-Agent') || null,
+});
+
+// JSON text, or null when there is nothing to store
+const storedJson = (value) => {
+  const text = value ? JSON.stringify(value) : null;
+  return text && text !== '{}' ? text : null;
+};
+
+// `{ field: [before, after] }` for each field of `after` that differs
+export const auditDiff = (before, after) => Object.fromEntries(Object.entries(after)
+  .filter(([field, value]) => (before[field] ?? null) !== (value ?? null))
+  .map(([field, value]) => [field, [before[field] ?? null, value ?? null]]));
+
+/**
+ * Appends an entry. `db` may be the pool or a connection inside the caller's
+ * transaction, which makes the entry part of the change it records. `diff`
+ * holds what changed (see auditDiff), `details` any other context; both are
+ * stored as JSON. Throws if the entry cannot be written.
+ */
+export const recordAudit = (db, {
+  actor = null,
+  ip = null,
+  userAgent = null,
+  action,
+  targetType = null,
+  targetId = null,
+  diff = null,
+  details = null,
+}) => {
+  const entry = {
+    actor_id: actor ? actor.id || null : null,
+    actor_username: actor ? actor.username || null : null,
+    actor_role: actor ? actor.role || null : null,
+    action,
+    target_type: targetType,
+    target_id: targetId === null || targetId === undefined ? null : String(targetId),
+    ip_address: ip,
+    user_agent: userAgent ? userAgent.slice(0, MAX_USER_AGENT) : null,
+    diff: storedJson(diff),
+    details: storedJson(details),
+  };
+  return db === pool
+    ? withTransaction((connection) => appendEntry(connection, entry))
+    : appendEntry(db, entry);
+};
+
+// ========================================
+// SEARCH
+// ========================================
+
+const toAuditEntry = (row) => ({
+  id: row.id,
+  createdAt: `${row.created_at.replace(' ', 'T')}Z`,
+  actor: row.actor_username || row.actor_id
+    ? { id: row.actor_id, username: row.actor_username, role: row.actor_role }
+    : null,
+  action: row.action,
+  target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+  ip: row.ip_address,
+  userAgent: row.user_agent,
+  diff: row.diff ? JSON.parse(row.diff) : null,
+  details: row.details ? JSON.parse(row.details) : null,
+  hash: row.hash,
+});
+
+/**
+ * One page of entries, newest first, as `{ entries, total, nextCursor }`.
+ * Filters: `actorId`, `actions` (a list), `targetType`, `targetId`,
+ * `from`/`to` (UTC dates) and `search` over the actor's username, the IP
+ * address and the target id.
+ */
+export const listAudit = async ({
+  actorId,
+  actions,
+  targetType,
+  targetId,
+  from,
+  to,
+  search,
+  order = 'desc',
+  limit,
+  offset,
+  cursor,
+} = {}) => {
+  const range = dateRangeConditions('created_at', { from, to });
+  const conditions = [...range.conditions];
+  const params = [...range.params];
+  if (actorId) {
+    conditions.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (actions && actions.length) {
+    conditions.push('action IN (?)');
+    params.push(actions);
+  }
+  if (targetType) {
+    conditions.push('target_type = ?');
+    params.push(targetType);
+  }
+  if (targetId) {
+    conditions.push('target_id = ?');
+    params.push(targetId);
+  }
+  const searched = searchCondition(['actor_username', 'ip_address', 'target_id'], search);
+  if (searched) {
+    conditions.push(searched.sql);
+    params.push(...searched.params);
+  }
+
+  const { rows, total, nextCursor } = await listPage({
+    table: 'audit_log',
+    select: AUDIT_COLUMNS,
+    conditions,
+    params,
+    sorts: { id: idSort },
+    sort: 'id',
+    order,
+    limit,
+    offset,
+    cursor,
+  });
+  return { entries: rows.map(toAuditEntry), total, nextCursor };
+};
+
+// ========================================
+// VERIFICATION
+// ========================================
+
+// Reported problems stop here; the count keeps going
+const MAX_PROBLEMS = 100;
+
+/**
+ * Walks the whole chain in order. `anchor` is an `{ id, hash }` recorded
+ * outside the database by an earlier run; the entry it names must still have
+ * that hash. Returns `{ ok, checked, lastId, lastHash, problems,
+ * problemCount }`: the first problems found, each `{ id, message }` (id null
+ * for the head), and how many there were in all.
+ */
+export const verifyAuditLog = async ({ anchor = null } = {}) => {
+  const problems = [];
+  let problemCount = 0;
+  const report = (id, message) => {
+    problemCount += 1;
+    if (problems.length < MAX_PROBLEMS) problems.push({ id, message });
+  };
+
+  let checked = 0;
+  let lastId = 0;
+  let lastHash = GENESIS_HASH;
+  const batches = listBatches({
+    table: 'audit_log',
+    select: AUDIT_COLUMNS,
+    sorts: { id: idSort },
+    sort: 'id',
+    order: 'asc',
+  }, 1000);
+  for await (const rows of batches) {
+    for (const row of rows) {
+      if (row.id !== lastId + 1) report(row.id, `follows entry ${lastId}; entries are missing`);
+      if (row.prev_hash !== lastHash) report(row.id, 'does not link to the entry before it');
+      if (row.hash !== entryHash(row)) report(row.id, 'content does not match its hash');
+      if (anchor && row.id === anchor.id && row.hash !== anchor.hash) {
+        report(row.id, 'does not match the anchor; the chain has been rewritten up to here');
+      }
+      checked += 1;
+      lastId = row.id;
+      lastHash = row.hash;
+    }
+  }
+
+  if (anchor && anchor.id > lastId) report(anchor.id, `the anchored entry is missing; the log ends at entry ${lastId}`);
+
+  const [[head]] = await pool.query('SELECT last_id, last_hash FROM audit_log_head WHERE id = 1');
+  if (!head) {
+    report(null, 'the head record is missing');
+  } else if (Number(head.last_id) !== lastId || head.last_hash !== lastHash) {
+    report(null, `the log ends at entry ${lastId} but the head records entry ${head.last_id}; entries are missing from the end`);
+  }
+
+  return { ok: problemCount === 0, checked, lastId, lastHash, problems, problemCount };
+};
@@ -0,0 +1,38 @@
+import { pool } from './db.js';
+import { authMiddleware, requirePermission } from './auth.js';
+import { listAudit, recordAudit, requestActor } from './audit.js';
+import { pageOptions } from './listing.js';
+import { auditListValidation } from './validation.js';
+
+export const registerAuditRoutes = (app) => {
+  // Newest first; filter by actor, action(s), target and UTC date range, or
+  // search the actor's username, the IP address and the target id
+  app.get('/api/admin/audit', authMiddleware, requirePermission('audit:read'), auditListValidation, async (req, res) => {
+    const { actor, action, targetType, targetId, from, to, q, order } = req.query;
+    const page = pageOptions(req.query);
+
+    try {
+      // Reading the log is itself recorded
+      await recordAudit(pool, {
+        ...requestActor(req),
+        action: 'audit.read',
+        details: { actor, action, targetType, targetId, from, to, q },
+      });
+      const result = await listAudit({
+        actorId: actor,
+        actions: action,
+        targetType,
+        targetId,
+        from,
+        to,
+        search: q,
+        order: order || undefined,
+        ...page,
+      });
+      res.json({ ...result, limit: page.limit, offset: page.cursor ? null : page.offset });
+    } catch (err) {
+      console.error('Audit log error:', err);
+      res.status(500).json({ error: req.t('errors.fetchAuditFailed') });
+    }
+  });
+};
@@ -1,13 +1,18 @@
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { hasPermission, isStaffRole } from './permissions.js';
+import { DEFAULT_LOCALE, isSupportedLocale } from './i18n.js';
+import { pool } from './db.js';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
 
-export const generateToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+// Access tokens are short-lived; sessions.js refresh tokens renew them
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+export const generateToken = (payload, expiresIn = ACCESS_TOKEN_TTL) => {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
 };
 
 export const verifyToken = (token) => {
@@ -18,28 +23,87 @@ export const verifyToken = (token) => {
   }
 };
 
-export const authMiddleware = (req, res, next) => {
+// What an access token says about the account: staff role, admin flag and language
+export const accountClaims = (user) => {
+  const role = isStaffRole(user.role) ? user.role : null;
+  return {
+    id: user.id,
+    username: user.username,
+    role,
+    isAdmin: role !== null,
+    language: isSupportedLocale(user.language) ? user.language : DEFAULT_LOCALE,
+  };
+};
+
+// `sid` names the session (sessions.js) the token was issued for
+export const generateAccessToken = (user, sessionId) =>
+  generateToken({ ...accountClaims(user), sid: sessionId, type: 'access' });
+
+const requestToken = (req) => {
   const authHeader = req.headers.authorization;
-  const token = authHeader && authHeader.startsWith('Bearer ')
+  return authHeader && authHeader.startsWith('Bearer ')
     ? authHeader.substring(7)
     : req.cookies?.token;
+};
+
+// Whether the session (sessions.js) a token names is still open. Read on every
+// signed-in request, so ending a session locks its access token out at once
+const isSessionOpen = async (sessionId, userId) => {
+  const [rows] = await pool.query(
+    'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND ended_at IS NULL AND expires_at > NOW()',
+    [sessionId, userId]
+  );
+  return rows.length > 0;
+};
+
+// Only access tokens sign requests in; password reset links and tokens from
+// before sessions were introduced do not. The token's session must still be
+// open: signing out, revoking, disabling the account, a password reset or a
+// role change end it before the token expires.
+const verifyAccessToken = async (token) => {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'access') return null;
+  return (await isSessionOpen(decoded.sid, decoded.id)) ? decoded : null;
+};
 
+export const authMiddleware = async (req, res, next) => {
+  const token = requestToken(req);
   if (!token) {
-    return res.status(401).json({ error: 'Authentication required' });
+    return res.status(401).json({ error: req.t('errors.authRequired') });
   }
 
-  const decoded = verifyToken(token);
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: req.t('errors.server') });
+  }
   if (!decoded) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    return res.status(401).json({ error: req.t('errors.invalidToken') });
   }
 
   req.user = decoded;
   next();
 };
 
-export const adminMiddleware = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
-    return res.status(403).json({ error: 'Admin access required' });
+// Sets req.user when a valid token is sent, but lets anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  const token = requestToken(req);
+  try {
+    const decoded = token ? await verifyAccessToken(token) : null;
+    if (decoded) req.user = decoded;
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: req.t('errors.server') });
+  }
+  next();
+};
+
+// Requires every listed permission, e.g. requirePermission('applications:status')
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every((permission) => hasPermission(req.user, permission))) {
+    return res.status(403).json({ error: req.t('errors.insufficientPermissions') });
   }
   next();
 };
@@ -0,0 +1,512 @@
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { pubsub } from './pubsub.js';
+import { fillTemplate } from './emailTemplates.js';
+import { t, DEFAULT_LOCALE } from './i18n.js';
+import { listBatches, dateRangeConditions, timestampSort } from './listing.js';
+
+// ========================================
+// CHAT
+// ========================================
+//
+// Conversations and messages live in MySQL; every change is also published
+// on the pub/sub backend so open event streams on any instance receive it.
+// A visitor's stream carries their own conversation, the staff stream
+// carries all of them.
+
+const STAFF_CHANNEL = 'chat:staff';
+const conversationChannel = (id) => `chat:conversation:${id}`;
+
+const HEARTBEAT_MS = 25000;
+// Messages replayed to a stream reconnecting with Last-Event-ID
+const REPLAY_LIMIT = 500;
+
+// Which read pointer each side advances
+const READ_COLUMNS = { user: 'user_last_read_id', admin: 'admin_last_read_id' };
+
+export const CHAT_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+// Inbox filters: the stored status, or an active conversation by who must answer next
+export const INBOX_STATUSES = ['active', 'closed', 'pending_user', 'pending_staff'];
+export const CHAT_TAG = /^[a-z0-9_-]{1,50}$/;
+
+export const findConversation = async (id, db = pool) => {
+  const [rows] = await db.query('SELECT * FROM chat_conversations WHERE id = ?', [id]);
+  return rows[0] || null;
+};
+
+export const findConversationBySession = async (sessionId, db = pool) => {
+  const [rows] = await db.query('SELECT * FROM chat_conversations WHERE session_id = ?', [sessionId]);
+  return rows[0] || null;
+};
+
+// Only the hash is stored; the token itself is handed to the client once
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Visitor tokens stop working this many days after they are issued, or
+// when staff close the conversation
+export const CHAT_TOKEN_TTL_DAYS = parseInt(process.env.CHAT_TOKEN_TTL_DAYS || '7');
+
+// New access token for the conversation (one per device that opens it)
+export const issueChatToken = async (conversationId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    'INSERT INTO chat_tokens (conversation_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))',
+    [conversationId, hashToken(token), CHAT_TOKEN_TTL_DAYS]
+  );
+  return token;
+};
+
+export const tokenGrantsAccess = async (token, conversationId) => {
+  if (!token) return false;
+  const [rows] = await pool.query(
+    'SELECT id FROM chat_tokens WHERE token_hash = ? AND conversation_id = ? AND expires_at > NOW()',
+    [hashToken(String(token)), conversationId]
+  );
+  return rows.length > 0;
+};
+
+// How staff appear to visitors: by name, never by their login email. Staff
+// without a name on file appear as "Staff" in the conversation's language.
+export const staffDisplayName = async (user, conversation) => {
+  const [rows] = await pool.query('SELECT firstname, lastname FROM login WHERE id = ?', [user.id]);
+  const name = rows.length ? [rows[0].firstname, rows[0].lastname].filter(Boolean).join(' ').trim() : '';
+  return name || t(conversation.language || DEFAULT_LOCALE, 'chat.senderTypes.admin');
+};
+
+// A logged-in visitor's most recent open conversation, from any device
+export const findAccountConversation = async (userId) => {
+  const [rows] = await pool.query(
+    "SELECT * FROM chat_conversations WHERE user_id = ? AND status = 'active' ORDER BY last_message_at DESC LIMIT 1",
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+// Ties an anonymous conversation to the account that opened it
+export const bindConversation = async (conversation, userId) => {
+  await pool.query('UPDATE chat_conversations SET user_id = ? WHERE id = ? AND user_id IS NULL', [userId, conversation.id]);
+};
+
+export const listMessages = async (conversationId, { afterId = 0 } = {}) => {
+  const [messages] = await pool.query(
+    'SELECT * FROM chat_messages WHERE conversation_id = ? AND id > ? ORDER BY created_at ASC, id ASC',
+    [conversationId, afterId]
+  );
+  return messages;
+};
+
+// What the visitor may see of their conversation. Assignment, priority, tags
+// and the escalation reason are for staff only.
+const VISITOR_CONVERSATION_COLUMNS = [
+  'id', 'session_id', 'user_name', 'user_email', 'language', 'status', 'escalated_at',
+  'user_last_read_id', 'admin_last_read_id', 'last_message_at', 'created_at',
+];
+
+export const visitorConversation = (conversation) => Object.fromEntries(
+  VISITOR_CONVERSATION_COLUMNS.map((column) => [column, conversation[column] ?? null])
+);
+
+// Publishes to the conversation's own channel and to staff; `visitorEvent`
+// replaces `event` on the conversation's channel when they differ
+const publish = async (conversationId, event, visitorEvent = event) => {
+  try {
+    await Promise.all([
+      pubsub.publish(conversationChannel(conversationId), visitorEvent),
+      pubsub.publish(STAFF_CHANNEL, event),
+    ]);
+  } catch (err) {
+    // Clients catch up from the message endpoints; the write itself succeeded
+    console.error('Chat publish error:', err);
+  }
+};
+
+// Staff get the whole row, the visitor visitorConversation()
+const publishConversation = (conversation) => publish(
+  conversation.id,
+  { event: 'conversation', data: conversation },
+  { event: 'conversation', data: visitorConversation(conversation) }
+);
+
+export const createConversation = async ({ sessionId, userId = null, userName, userEmail, language }) => {
+  const [result] = await pool.query(
+    'INSERT INTO chat_conversations (session_id, user_id, user_name, user_email, language) VALUES (?, ?, ?, ?, ?)',
+    [sessionId, userId, userName, userEmail, language]
+  );
+  const conversation = await findConversation(result.insertId);
+  await publishConversation(conversation);
+  return conversation;
+};
+
+export const addMessage = async (conversation, { senderType, senderName, message }) => {
+  const [result] = await pool.query(
+    'INSERT INTO chat_messages (conversation_id, sender_type, sender_name, message) VALUES (?, ?, ?, ?)',
+    [conversation.id, senderType, senderName, message]
+  );
+  // A visitor message reopens a closed conversation and waits on staff; any
+  // answer (staff or bot) waits on the visitor
+  await pool.query(
+    `UPDATE chat_conversations
+     SET last_message_at = NOW(), message_count = message_count + 1, last_message_id = ?, waiting_on = ?
+     ${senderType === 'user' ? ", status = 'active'" : ''}
+     WHERE id = ?`,
+    [result.insertId, senderType === 'user' ? 'pending_staff' : 'pending_user', conversation.id]
+  );
+
+  const [rows] = await pool.query('SELECT * FROM chat_messages WHERE id = ?', [result.insertId]);
+  await publish(conversation.id, { event: 'message', id: rows[0].id, data: rows[0] });
+  return rows[0];
+};
+
+export const closeConversation = async (conversation) => {
+  await pool.query('UPDATE chat_conversations SET status = ?, waiting_on = NULL WHERE id = ?', ['closed', conversation.id]);
+  // An anonymous visitor who writes again starts a new conversation
+  await pool.query('DELETE FROM chat_tokens WHERE conversation_id = ?', [conversation.id]);
+  await publishConversation(await findConversation(conversation.id));
+};
+
+/**
+ * Hands the conversation to staff: the bot stops answering it. Returns false
+ * when it had already been handed off, so callers notify staff only once.
+ */
+export const escalateConversation = async (conversation, reason) => {
+  const [result] = await pool.query(
+    `UPDATE chat_conversations SET escalated_at = NOW(), escalation_reason = ?, waiting_on = 'pending_staff'
+     WHERE id = ? AND escalated_at IS NULL`,
+    [reason, conversation.id]
+  );
+  if (!result.affectedRows) return false;
+  await publishConversation(await findConversation(conversation.id));
+  return true;
+};
+
+/**
+ * Read receipt: `reader` ('user' or 'admin') has seen the conversation up to
+ * `messageId`, or to its latest message when omitted. Pointers only move
+ * forward. Staff reads also move the agent's own pointer (`userId`), which
+ * drives their unread counts. Returns the message id now marked as read.
+ */
+export const markRead = async (conversation, reader, messageId = null, { userId = null } = {}) => {
+  const column = READ_COLUMNS[reader];
+  await pool.query(
+    `UPDATE chat_conversations
+     SET ?? = GREATEST(COALESCE(??, 0), (
+       SELECT COALESCE(MAX(id), 0) FROM chat_messages WHERE conversation_id = ? AND id <= ?
+     ))
+     WHERE id = ?`,
+    [column, column, conversation.id, messageId || Number.MAX_SAFE_INTEGER, conversation.id]
+  );
+  const [[row]] = await pool.query('SELECT ?? as lastReadId FROM chat_conversations WHERE id = ?', [column, conversation.id]);
+  const lastReadId = row.lastReadId || 0;
+
+  if (userId) {
+    await pool.query(
+      `INSERT INTO chat_agent_reads (conversation_id, user_id, last_read_id) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE last_read_id = GREATEST(last_read_id, VALUES(last_read_id))`,
+      [conversation.id, userId, lastReadId]
+    );
+  }
+
+  await publish(conversation.id, {
+    event: 'read',
+    data: { conversationId: conversation.id, reader, lastReadId, readAt: new Date().toISOString() },
+  });
+  return lastReadId;
+};
+
+// Typing indicators are not stored; clients drop one after a few seconds without a refresh
+export const publishTyping = (conversation, { senderType, senderName, typing }) => publish(conversation.id, {
+  event: 'typing',
+  data: { conversationId: conversation.id, senderType, senderName, typing: !!typing },
+});
+
+// ========================================
+// STAFF INBOX
+// ========================================
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.cursor_at, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [at, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return typeof at === 'string' && Number.isInteger(id) ? { at, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+export const isValidCursor = (cursor) => !!decodeCursor(cursor);
+
+const loadTags = async (conversationIds) => {
+  if (!conversationIds.length) return new Map();
+  const [rows] = await pool.query(
+    'SELECT conversation_id, tag FROM chat_conversation_tags WHERE conversation_id IN (?) ORDER BY tag',
+    [conversationIds]
+  );
+  const tags = new Map(conversationIds.map((id) => [id, []]));
+  for (const row of rows) tags.get(row.conversation_id).push(row.tag);
+  return tags;
+};
+
+// WHERE conditions on chat_conversations c for the inbox filters
+const inboxConditions = ({ userId, assignee, status, tag, priority }) => {
+  const conditions = [];
+  const params = [];
+  if (assignee === 'none') {
+    conditions.push('c.assigned_to IS NULL');
+  } else if (assignee) {
+    conditions.push('c.assigned_to = ?');
+    params.push(assignee === 'me' ? userId : assignee);
+  }
+  if (status === 'pending_user' || status === 'pending_staff') {
+    conditions.push("c.status = 'active' AND c.waiting_on = ?");
+    params.push(status);
+  } else if (status) {
+    conditions.push('c.status = ?');
+    params.push(status);
+  }
+  if (tag) {
+    conditions.push('EXISTS (SELECT 1 FROM chat_conversation_tags t WHERE t.conversation_id = c.id AND t.tag = ?)');
+    params.push(tag);
+  }
+  if (priority) {
+    conditions.push('c.priority = ?');
+    params.push(priority);
+  }
+  return { conditions, params };
+};
+
+/**
+ * One page of the inbox, most recent activity first, for staff member
+ * `userId` (whose unread counts are returned). `assignee` is 'me', 'none' or
+ * a staff id. Pass the returned `nextCursor` back as `cursor` for the next
+ * page; it is null on the last one.
+ */
+export const listInbox = async ({ userId, assignee, status, tag, priority, limit = 50, cursor }) => {
+  const { conditions, params } = inboxConditions({ userId, assignee, status, tag, priority });
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    conditions.push('(c.last_message_at < ? OR (c.last_message_at = ? AND c.id < ?))');
+    params.push(after.at, after.at, after.id);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT c.*, DATE_FORMAT(c.last_message_at, '%Y-%m-%d %H:%i:%s') as cursor_at,
+       m.message as last_message, m.sender_type as last_sender_type,
+       (SELECT COUNT(*) FROM chat_messages u
+        WHERE u.conversation_id = c.id AND u.sender_type = 'user' AND u.id > COALESCE(r.last_read_id, 0)) as unread_count
+     FROM chat_conversations c
+     LEFT JOIN chat_messages m ON m.id = c.last_message_id
+     LEFT JOIN chat_agent_reads r ON r.conversation_id = c.id AND r.user_id = ?
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY c.last_message_at DESC, c.id DESC
+     LIMIT ?`,
+    [userId, ...params, limit + 1]
+  );
+
+  const page = rows.slice(0, limit);
+  const tags = await loadTags(page.map((row) => row.id));
+  return {
+    conversations: page.map(({ cursor_at, ...row }) => ({
+      ...row,
+      unread_count: Number(row.unread_count),
+      tags: tags.get(row.id),
+    })),
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+/**
+ * Every conversation matching the inbox filters and started between `from`
+ * and `to` (inclusive), oldest first, in batches with their tags and their
+ * assignee's name (exports).
+ */
+export async function* conversationBatches({ from, to, ...filters }) {
+  const { conditions, params } = inboxConditions(filters);
+  const range = dateRangeConditions('c.created_at', { from, to });
+  const batches = listBatches({
+    source: { sql: 'chat_conversations c LEFT JOIN login a ON a.id = c.assigned_to', params: [] },
+    key: 'c.id',
+    select: 'c.*, a.firstname as assignee_first_name, a.lastname as assignee_last_name',
+    conditions: [...conditions, ...range.conditions],
+    params: [...params, ...range.params],
+    sorts: { createdAt: timestampSort('c.created_at') },
+    sort: 'createdAt',
+    order: 'asc',
+  });
+  for await (const rows of batches) {
+    const tags = await loadTags(rows.map((row) => row.id));
+    yield rows.map((row) => ({ ...row, tags: tags.get(row.id) }));
+  }
+}
+
+// Unread visitor messages in open conversations, for the staff member's badge
+export const unreadSummary = async (userId) => {
+  const [[row]] = await pool.query(
+    `SELECT COUNT(DISTINCT c.id) as conversations, COUNT(u.id) as messages,
+       COUNT(DISTINCT CASE WHEN c.assigned_to = ? THEN c.id END) as assignedConversations
+     FROM chat_conversations c
+     JOIN chat_messages u ON u.conversation_id = c.id AND u.sender_type = 'user'
+     LEFT JOIN chat_agent_reads r ON r.conversation_id = c.id AND r.user_id = ?
+     WHERE c.status = 'active' AND u.id > COALESCE(r.last_read_id, 0)`,
+    [userId, userId]
+  );
+  return {
+    conversations: Number(row.conversations),
+    messages: Number(row.messages),
+    assignedConversations: Number(row.assignedConversations),
+  };
+};
+
+export const conversationTags = async (conversationId) => (await loadTags([conversationId])).get(conversationId);
+
+// Changes priority and/or replaces the tags
+export const updateConversation = async (conversation, { priority, tags }) => {
+  if (priority !== undefined) {
+    await pool.query('UPDATE chat_conversations SET priority = ? WHERE id = ?', [priority, conversation.id]);
+  }
+  if (tags !== undefined) {
+    await pool.query('DELETE FROM chat_conversation_tags WHERE conversation_id = ?', [conversation.id]);
+    const unique = [...new Set(tags)];
+    if (unique.length) {
+      await pool.query(
+        'INSERT INTO chat_conversation_tags (conversation_id, tag) VALUES ?',
+        [unique.map((tag) => [conversation.id, tag])]
+      );
+    }
+  }
+  const updated = { ...(await findConversation(conversation.id)), tags: await conversationTags(conversation.id) };
+  await publishConversation(updated);
+  return updated;
+};
+
+// `userId` null unassigns
+export const assignConversation = async (conversation, userId) => {
+  await pool.query('UPDATE chat_conversations SET assigned_to = ? WHERE id = ?', [userId, conversation.id]);
+  const updated = await findConversation(conversation.id);
+  await publishConversation(updated);
+  return updated;
+};
+
+// ========================================
+// CANNED RESPONSES
+// ========================================
+//
+// Bodies may use {{visitorName}}, {{visitorEmail}}, {{agentName}} and
+// {{conversationId}}; unknown placeholders are left empty.
+
+const CANNED_COLUMNS = 'id, title, body, language, active, updated_at as updatedAt';
+
+const toCannedResponse = (row) => ({ ...row, active: !!row.active });
+
+export const listCannedResponses = async ({ language, activeOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (language) {
+    conditions.push('language = ?');
+    params.push(language);
+  }
+  if (activeOnly) conditions.push('active = TRUE');
+
+  const [rows] = await pool.query(
+    `SELECT ${CANNED_COLUMNS} FROM chat_canned_responses
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY title`,
+    params
+  );
+  return rows.map(toCannedResponse);
+};
+
+export const findCannedResponse = async (id) => {
+  const [rows] = await pool.query(`SELECT ${CANNED_COLUMNS} FROM chat_canned_responses WHERE id = ?`, [id]);
+  return rows.length ? toCannedResponse(rows[0]) : null;
+};
+
+const cannedRow = ({ title, body, language, active }) => Object.fromEntries(
+  Object.entries({ title, body, language, active }).filter(([, value]) => value !== undefined)
+);
+
+export const createCannedResponse = async (input, userId) => {
+  const [result] = await pool.query(
+    'INSERT INTO chat_canned_responses SET ?',
+    [{ ...cannedRow(input), updated_by: userId }]
+  );
+  return findCannedResponse(result.insertId);
+};
+
+// Returns null when the response does not exist
+export const updateCannedResponse = async (id, input, userId) => {
+  const row = cannedRow(input);
+  if (Object.keys(row).length) {
+    await pool.query('UPDATE chat_canned_responses SET ? WHERE id = ?', [{ ...row, updated_by: userId }, id]);
+  }
+  return findCannedResponse(id);
+};
+
+export const deleteCannedResponse = async (id) => {
+  const [result] = await pool.query('DELETE FROM chat_canned_responses WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+// `agentName` is the replying staff member's staffDisplayName()
+export const renderCannedResponse = (response, conversation, agentName) => fillTemplate(response.body, {
+  visitorName: conversation.user_name,
+  visitorEmail: conversation.user_email,
+  agentName,
+  conversationId: conversation.id,
+}, { escape: false }).trim();
+
+// ========================================
+// EVENT STREAMS
+// ========================================
+
+const writeEvent = (res, { event, id, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Messages a reconnecting client missed, based on the last message id it saw
+const missedMessages = async (conversationId, lastEventId) => {
+  const afterId = parseInt(lastEventId);
+  if (!afterId) return [];
+  const [messages] = await pool.query(
+    `SELECT * FROM chat_messages
+     WHERE id > ?${conversationId ? ' AND conversation_id = ?' : ''}
+     ORDER BY id ASC LIMIT ${REPLAY_LIMIT}`,
+    conversationId ? [afterId, conversationId] : [afterId]
+  );
+  return messages;
+};
+
+/**
+ * Turns the response into a Server-Sent Events stream of chat events for one
+ * conversation, or for every conversation when `conversationId` is null.
+ * Message events carry the message id, so a reconnecting EventSource gets the
+ * messages it missed through Last-Event-ID.
+ */
+export const openChatStream = async (req, res, { conversationId = null } = {}) => {
+  const channel = conversationId ? conversationChannel(conversationId) : STAFF_CHANNEL;
+  const send = (event) => writeEvent(res, event);
+  const unsubscribe = await pubsub.subscribe(channel, send);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    for (const message of await missedMessages(conversationId, req.get('Last-Event-ID'))) {
+      send({ event: 'message', id: message.id, data: message });
+    }
+  } catch (err) {
+    console.error('Chat replay error:', err);
+  }
+};
@@ -0,0 +1,791 @@
+import { authMiddleware, optionalAuth, requirePermission } from './auth.js';
+import { hasPermission } from './permissions.js';
+import { CONTACT_TO } from './mailer.js';
+import { pool } from './db.js';
+import { queueEmail } from './outbox.js';
+import { APPLICATION_TYPES } from './applicationTypes.js';
+import { addDays } from './appointments.js';
+import { sendTranscriptPdf, transcriptPdfBuffer } from './pdf.js';
+import { createZipWriter } from './zip.js';
+import { sendExport, pickColumns } from './spreadsheets.js';
+import { recordAudit, requestActor } from './audit.js';
+import { DEFAULT_LOCALE, requestLocale, t } from './i18n.js';
+import {
+  findConversation,
+  findConversationBySession,
+  visitorConversation,
+  findAccountConversation,
+  bindConversation,
+  issueChatToken,
+  tokenGrantsAccess,
+  listMessages,
+  createConversation,
+  addMessage,
+  closeConversation,
+  escalateConversation,
+  markRead,
+  publishTyping,
+  openChatStream,
+  listInbox,
+  conversationBatches,
+  unreadSummary,
+  updateConversation,
+  assignConversation,
+  listCannedResponses,
+  findCannedResponse,
+  createCannedResponse,
+  updateCannedResponse,
+  deleteCannedResponse,
+  renderCannedResponse,
+  staffDisplayName,
+} from './chat.js';
+import {
+  asksForHuman,
+  findAnswer,
+  rankEntries,
+  listEntries,
+  findEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  recordBotReply,
+  flagLastBotReply,
+  faqStats,
+  listBotReplies,
+} from './faq.js';
+import {
+  MAX_TRANSCRIPT_EXPORT_DAYS,
+  loadTranscript,
+  transcriptFilename,
+  transcriptMessages,
+  transcriptText,
+  transcriptJson,
+  listConversationsStarted,
+} from './transcripts.js';
+import {
+  faqCreateValidation,
+  faqUpdateValidation,
+  faqMatchValidation,
+  faqStatsValidation,
+  chatInboxValidation,
+  chatConversationUpdateValidation,
+  chatAssignValidation,
+  chatReplyValidation,
+  chatCloseValidation,
+  chatTranscriptValidation,
+  chatTranscriptExportValidation,
+  chatExportValidation,
+  cannedResponseCreateValidation,
+  cannedResponseUpdateValidation,
+} from './validation.js';
+
+// The conversation's access token, or the visitor's account when it is bound to one
+const chatToken = (req) => req.get('X-Chat-Token') || req.queryChatToken;
+
+// EventSource cannot send headers, so the event stream alone takes the token
+// as ?token=. Anywhere else it would only end up in logs and browser history.
+const acceptQueryToken = (req, res, next) => {
+  if (typeof req.query.token === 'string') req.queryChatToken = req.query.token;
+  next();
+};
+
+const canReadConversation = async (req, conversation) =>
+  (!!req.user && conversation.user_id === req.user.id) || tokenGrantsAccess(chatToken(req), conversation.id);
+
+/**
+ * Loads the visitor's conversation (by :sessionId or body.sessionId) into
+ * req.conversation. Conversations the caller cannot open are reported as not
+ * found, so session ids cannot be probed.
+ */
+const requireChatAccess = async (req, res, next) => {
+  const sessionId = req.params.sessionId || req.body.sessionId;
+  if (!sessionId) return res.status(400).json({ error: req.t('errors.missingFields') });
+  if (!chatToken(req) && !req.user) return res.status(401).json({ error: req.t('errors.chatTokenRequired') });
+
+  try {
+    const conversation = await findConversationBySession(sessionId);
+    if (!conversation || !(await canReadConversation(req, conversation))) {
+      return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+    }
+    req.conversation = conversation;
+    next();
+  } catch (err) {
+    console.error('Chat access error:', err);
+    res.status(500).json({ error: req.t('errors.server') });
+  }
+};
+
+// Read receipts name a message id; anything else marks the whole conversation
+const readMessageId = (body) => parseInt(body.messageId) || null;
+
+const notifyStaff = async (conversation, message, reason) => {
+  // Get all messages for this conversation to build transcript
+  const transcript = transcriptMessages(DEFAULT_LOCALE, await listMessages(conversation.id));
+
+  await queueEmail({
+    template: 'chat-message',
+    to: CONTACT_TO,
+    replyTo: conversation.user_email,
+    vars: {
+      userName: conversation.user_name,
+      userEmail: conversation.user_email,
+      conversationId: conversation.id,
+      message,
+      escalationReason: t(DEFAULT_LOCALE, `chat.escalationReasons.${reason}`),
+      transcript,
+      adminUrl: `${process.env.FRONTEND_URL || 'https://usrcaembassy.org'}/admin/messages`,
+    },
+  });
+};
+
+// Emails the visitor the whole conversation, in their language
+const emailTranscript = async (conversation) => {
+  const locale = conversation.language || DEFAULT_LOCALE;
+  const { messages } = await loadTranscript(conversation);
+  await queueEmail({
+    template: 'chat-transcript',
+    to: conversation.user_email,
+    locale,
+    vars: {
+      userName: conversation.user_name,
+      conversationId: conversation.id,
+      transcript: transcriptMessages(locale, messages),
+    },
+  });
+};
+
+// Sends a transcript as ?format=pdf (default), txt or json
+const sendTranscript = async (req, res, conversation) => {
+  const transcript = await loadTranscript(conversation);
+  const format = req.query.format || 'pdf';
+  if (format === 'pdf') return sendTranscriptPdf(res, { locale: requestLocale(req), transcript });
+
+  res.attachment(transcriptFilename(conversation, format));
+  res.send(format === 'json'
+    ? JSON.stringify(transcriptJson(transcript), null, 2)
+    : transcriptText(requestLocale(req), transcript));
+};
+
+// Emails staff the first time a conversation is handed to them
+const handOff = async (conversation, message, reason) => {
+  if (!(await escalateConversation(conversation, reason))) return;
+  try {
+    await notifyStaff(conversation, message, reason);
+  } catch (emailErr) {
+    console.error('Failed to queue chat notification email:', emailErr);
+    // Don't fail the request if email fails
+  }
+};
+
+/**
+ * Answers a visitor's message from the knowledge base when a close enough
+ * entry exists; otherwise, or when the visitor asks for a person, the
+ * conversation goes to staff. Once handed off the bot stays out of it.
+ */
+const handleVisitorMessage = async (conversation, question) => {
+  if (conversation.escalated_at) return { reply: null, escalated: true };
+
+  if (asksForHuman(question.message)) {
+    await flagLastBotReply(conversation.id);
+    await handOff(conversation, question.message, 'requested');
+    return { reply: null, escalated: true };
+  }
+
+  const language = conversation.language || DEFAULT_LOCALE;
+  const match = await findAnswer(question.message, language);
+  if (!match) {
+    await handOff(conversation, question.message, 'no_answer');
+    return { reply: null, escalated: true };
+  }
+
+  const reply = await addMessage(conversation, {
+    senderType: 'bot',
+    senderName: t(language, 'chat.botName'),
+    message: match.entry.answer,
+  });
+  await recordBotReply({
+    conversationId: conversation.id,
+    questionMessageId: question.id,
+    messageId: reply.id,
+    entryId: match.entry.id,
+    score: match.score,
+  });
+  return { reply, escalated: false };
+};
+
+// Knowledge base entries may only link to known application types
+const invalidApplicationType = (req) => req.body.applicationType
+  && !Object.keys(APPLICATION_TYPES).includes(req.body.applicationType);
+
+const CONVERSATION_EXPORT_COLUMNS = {
+  id: (row) => row.id,
+  userName: (row) => row.user_name,
+  userEmail: (row) => row.user_email,
+  language: (row) => row.language,
+  status: (row) => row.status,
+  waitingOn: (row) => row.waiting_on,
+  priority: (row) => row.priority,
+  tags: (row) => row.tags,
+  assignee: (row) => (row.assigned_to ? `${row.assignee_first_name || ''} ${row.assignee_last_name || ''}`.trim() : null),
+  messageCount: (row) => row.message_count,
+  escalatedAt: (row) => row.escalated_at,
+  createdAt: (row) => row.created_at,
+  lastMessageAt: (row) => row.last_message_at,
+};
+const conversationExport = chatExportValidation(Object.keys(CONVERSATION_EXPORT_COLUMNS));
+
+export const registerChatRoutes = (app) => {
+  // ========================================
+  // VISITOR
+  // ========================================
+
+  // Start or resume a conversation. A new conversation comes with its access
+  // token, which the widget sends as X-Chat-Token from then on.
+  app.post('/api/chat/conversation', optionalAuth, async (req, res) => {
+    const { sessionId } = req.body;
+
+    try {
+      // Signed-in visitors chat as their account, whose address later receives
+      // transcripts; the name and email fields are for anonymous visitors
+      let { userName, userEmail } = req.body;
+      if (req.user) {
+        const [accounts] = await pool.query('SELECT username, firstname, lastname FROM login WHERE id = ?', [req.user.id]);
+        if (!accounts.length) return res.status(401).json({ error: req.t('errors.invalidToken') });
+        userName = `${accounts[0].firstname} ${accounts[0].lastname}`.trim() || accounts[0].username;
+        userEmail = accounts[0].username;
+      }
+
+      if (!sessionId || !userName || !userEmail) {
+        return res.status(400).json({ error: req.t('errors.missingFields') });
+      }
+
+      const existing = await findConversationBySession(sessionId);
+      if (existing) {
+        if (!(await canReadConversation(req, existing))) {
+          // Someone else's session id; the widget should start over with a new one
+          return res.status(409).json({ error: req.t('errors.chatSessionTaken') });
+        }
+        if (req.user && !existing.user_id) await bindConversation(existing, req.user.id);
+        return res.json({ conversation: visitorConversation(existing), messages: await listMessages(existing.id) });
+      }
+
+      // Logged-in visitors pick up their open conversation from any device
+      if (req.user) {
+        const own = await findAccountConversation(req.user.id);
+        if (own) {
+          return res.json({
+            conversation: visitorConversation(own),
+            messages: await listMessages(own.id),
+            token: await issueChatToken(own.id),
+          });
+        }
+      }
+
+      const conversation = await createConversation({
+        sessionId,
+        userId: req.user ? req.user.id : null,
+        userName,
+        userEmail,
+        language: requestLocale(req),
+      });
+      res.json({ conversation: visitorConversation(conversation), messages: [], token: await issueChatToken(conversation.id) });
+    } catch (err) {
+      console.error('Chat conversation error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Save a visitor message; the sender is always the conversation's visitor
+  app.post('/api/chat/message', optionalAuth, requireChatAccess, async (req, res) => {
+    const { message } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: req.t('errors.missingFields') });
+    }
+
+    try {
+      const { conversation } = req;
+      const saved = await addMessage(conversation, { senderType: 'user', senderName: conversation.user_name, message });
+
+      // The bot answers visitors; staff are only emailed when it hands off
+      let outcome;
+      try {
+        outcome = await handleVisitorMessage(conversation, saved);
+      } catch (botErr) {
+        console.error('Chat bot error:', botErr);
+        await handOff(conversation, message, 'no_answer');
+        outcome = { reply: null, escalated: true };
+      }
+
+      res.json({ success: true, message: saved, ...outcome });
+    } catch (err) {
+      console.error('Save message error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Get conversation by session ID (for user to retrieve their chat)
+  app.get('/api/chat/session/:sessionId', optionalAuth, requireChatAccess, async (req, res) => {
+    try {
+      res.json({ conversation: visitorConversation(req.conversation), messages: await listMessages(req.conversation.id) });
+    } catch (err) {
+      console.error('Get session error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Server-Sent Events: staff replies, typing and read receipts for this conversation
+  app.get('/api/chat/session/:sessionId/events', optionalAuth, acceptQueryToken, requireChatAccess, async (req, res) => {
+    try {
+      await openChatStream(req, res, { conversationId: req.conversation.id });
+    } catch (err) {
+      console.error('Chat stream error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/chat/session/:sessionId/typing', optionalAuth, requireChatAccess, async (req, res) => {
+    try {
+      const { conversation } = req;
+      await publishTyping(conversation, { senderType: 'user', senderName: conversation.user_name, typing: req.body.typing });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Chat typing error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/chat/session/:sessionId/read', optionalAuth, requireChatAccess, async (req, res) => {
+    try {
+      res.json({ success: true, lastReadId: await markRead(req.conversation, 'user', readMessageId(req.body)) });
+    } catch (err) {
+      console.error('Chat read error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/chat/session/:sessionId/transcript', optionalAuth, chatTranscriptValidation, requireChatAccess, async (req, res) => {
+    try {
+      await sendTranscript(req, res, req.conversation);
+    } catch (err) {
+      console.error('Chat transcript error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // STAFF
+  // ========================================
+
+  // Inbox: filter by assignee (me, none or a staff id), status (including
+  // pending_user / pending_staff), tag and priority; page with ?cursor=
+  app.get('/api/chat/conversations', authMiddleware, requirePermission('chat:read'), chatInboxValidation, async (req, res) => {
+    const { assignee, status, tag, priority, cursor } = req.query;
+
+    try {
+      res.json(await listInbox({
+        userId: req.user.id,
+        assignee,
+        status,
+        tag,
+        priority,
+        limit: parseInt(req.query.limit) || 50,
+        cursor,
+      }));
+    } catch (err) {
+      console.error('Get conversations error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Unread badge for the signed-in staff member
+  app.get('/api/chat/unread', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+    try {
+      res.json(await unreadSummary(req.user.id));
+    } catch (err) {
+      console.error('Chat unread error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Server-Sent Events for every conversation: new conversations, messages,
+  // typing, read receipts and closures
+  app.get('/api/chat/events', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+    try {
+      await openChatStream(req, res);
+    } catch (err) {
+      console.error('Chat stream error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Get conversation messages (admin only)
+  app.get('/api/chat/conversations/:id/messages', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+    try {
+      res.json({ messages: await listMessages(req.params.id) });
+    } catch (err) {
+      console.error('Get messages error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Send admin reply, typed or from a canned response. Replying to an
+  // unassigned conversation takes it.
+  app.post('/api/chat/admin-reply', authMiddleware, requirePermission('chat:reply'), chatReplyValidation, async (req, res) => {
+    const { conversationId, cannedResponseId } = req.body;
+
+    try {
+      let conversation = await findConversation(conversationId);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+
+      const senderName = await staffDisplayName(req.user, conversation);
+      let { message } = req.body;
+      if (cannedResponseId) {
+        const response = await findCannedResponse(cannedResponseId);
+        if (!response || !response.active) {
+          return res.status(404).json({ error: req.t('errors.cannedResponseNotFound') });
+        }
+        message = renderCannedResponse(response, conversation, senderName);
+      }
+
+      if (!conversation.assigned_to) conversation = await assignConversation(conversation, req.user.id);
+      // A staff member has taken over; the bot stops answering. Before the
+      // message, which then leaves the conversation waiting on the visitor.
+      await escalateConversation(conversation, 'staff');
+      const saved = await addMessage(conversation, { senderType: 'admin', senderName, message });
+      // Whoever answers has seen everything up to their reply
+      await markRead(conversation, 'admin', saved.id, { userId: req.user.id });
+      await recordAudit(pool, {
+        ...requestActor(req),
+        action: 'chat.reply',
+        targetType: 'chat_conversation',
+        targetId: conversation.id,
+        details: { messageId: saved.id, cannedResponseId },
+      });
+      res.json({ success: true, message: saved });
+    } catch (err) {
+      console.error('Admin reply error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/chat/conversations/:id', authMiddleware, requirePermission('chat:reply'), chatConversationUpdateValidation, async (req, res) => {
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      const { priority, tags } = req.body;
+      res.json({ success: true, conversation: await updateConversation(conversation, { priority, tags }) });
+    } catch (err) {
+      console.error('Update conversation error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Agents can take or release a conversation; handing it to someone else needs chat:manage
+  app.put('/api/chat/conversations/:id/assign', authMiddleware, requirePermission('chat:reply'), chatAssignValidation, async (req, res) => {
+    const userId = req.body.userId ?? null;
+    if (userId !== null && userId !== req.user.id && !hasPermission(req.user, 'chat:manage')) {
+      return res.status(403).json({ error: req.t('errors.insufficientPermissions') });
+    }
+
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      if (conversation.assigned_to && conversation.assigned_to !== req.user.id && !hasPermission(req.user, 'chat:manage')) {
+        return res.status(403).json({ error: req.t('errors.insufficientPermissions') });
+      }
+      if (userId !== null) {
+        const [rows] = await pool.query('SELECT id, role FROM login WHERE id = ?', [userId]);
+        if (!rows.length || !hasPermission(rows[0], 'chat:reply')) {
+          return res.status(400).json({ error: req.t('errors.invalidAssignee') });
+        }
+      }
+      res.json({ success: true, conversation: await assignConversation(conversation, userId) });
+    } catch (err) {
+      console.error('Assign conversation error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/chat/conversations/:id/typing', authMiddleware, requirePermission('chat:reply'), async (req, res) => {
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      await publishTyping(conversation, {
+        senderType: 'admin',
+        senderName: await staffDisplayName(req.user, conversation),
+        typing: req.body.typing,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Chat typing error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/chat/conversations/:id/read', authMiddleware, requirePermission('chat:read'), async (req, res) => {
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      res.json({ success: true, lastReadId: await markRead(conversation, 'admin', readMessageId(req.body), { userId: req.user.id }) });
+    } catch (err) {
+      console.error('Chat read error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/chat/conversations/:id/transcript', authMiddleware, requirePermission('chat:read'), chatTranscriptValidation, async (req, res) => {
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      await sendTranscript(req, res, conversation);
+    } catch (err) {
+      console.error('Chat transcript error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Close conversation; with emailTranscript the visitor is sent a copy
+  app.put('/api/chat/conversations/:id/close', authMiddleware, requirePermission('chat:reply'), chatCloseValidation, async (req, res) => {
+    try {
+      const conversation = await findConversation(req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: req.t('errors.conversationNotFound') });
+      }
+      await closeConversation(conversation);
+
+      let transcriptEmailed = false;
+      if (req.body.emailTranscript) {
+        try {
+          await emailTranscript(await findConversation(conversation.id));
+          transcriptEmailed = true;
+        } catch (emailErr) {
+          console.error('Failed to queue chat transcript email:', emailErr);
+          // The conversation is closed either way
+        }
+      }
+      res.json({ success: true, transcriptEmailed });
+    } catch (err) {
+      console.error('Close conversation error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ZIP of the transcripts of conversations started between from and to
+  // (inclusive), one file per conversation in ?format=
+  app.get('/api/admin/chat/transcripts', authMiddleware, requirePermission('chat:manage'), chatTranscriptExportValidation, async (req, res) => {
+    const { from, to } = req.query;
+    const format = req.query.format || 'pdf';
+    if (to > addDays(from, MAX_TRANSCRIPT_EXPORT_DAYS - 1)) {
+      return res.status(400).json({ error: req.t('errors.dateRangeTooLong', { max: MAX_TRANSCRIPT_EXPORT_DAYS }) });
+    }
+
+    try {
+      const locale = requestLocale(req);
+      const conversations = await listConversationsStarted({ from, to });
+
+      res.attachment(`chat-transcripts-${from}-${to}.zip`);
+      const zip = createZipWriter(res);
+      for (const conversation of conversations) {
+        if (res.destroyed) return;
+        const transcript = await loadTranscript(conversation);
+        let content;
+        if (format === 'pdf') content = await transcriptPdfBuffer({ locale, transcript });
+        else if (format === 'json') content = JSON.stringify(transcriptJson(transcript), null, 2);
+        else content = transcriptText(locale, transcript);
+        await zip.addFile(transcriptFilename(conversation, format), content, new Date(conversation.last_message_at));
+      }
+      await zip.finish();
+    } catch (err) {
+      console.error('Chat transcript export error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+      else res.destroy(err);
+    }
+  });
+
+  // Conversation list (no messages) as CSV or XLSX, with the inbox filters
+  // and ?from=/?to= on the start date
+  app.get('/api/admin/chat/conversations/export', authMiddleware, requirePermission('chat:manage'), conversationExport, async (req, res) => {
+    const { assignee, status, tag, priority, from, to } = req.query;
+
+    try {
+      await recordAudit(pool, { ...requestActor(req), action: 'chat.export', details: req.query });
+      await sendExport(res, {
+        filename: `chat-conversations-${new Date().toISOString().slice(0, 10)}`,
+        format: req.query.format,
+        columns: pickColumns(CONVERSATION_EXPORT_COLUMNS, req.query.columns),
+        batches: conversationBatches({ userId: req.user.id, assignee, status, tag, priority, from, to }),
+      });
+    } catch (err) {
+      console.error('Chat conversation export error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+      else res.destroy(err);
+    }
+  });
+
+  // ========================================
+  // CANNED RESPONSES
+  // ========================================
+
+  // Active responses for the reply picker, optionally in the visitor's language
+  app.get('/api/chat/canned-responses', authMiddleware, requirePermission('chat:reply'), async (req, res) => {
+    try {
+      res.json({ responses: await listCannedResponses({ language: req.query.language, activeOnly: true }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/chat/canned-responses', authMiddleware, requirePermission('chat:manage'), async (req, res) => {
+    try {
+      res.json({ responses: await listCannedResponses({ language: req.query.language }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/admin/chat/canned-responses', authMiddleware, requirePermission('chat:manage'), cannedResponseCreateValidation, async (req, res) => {
+    try {
+      res.status(201).json({ success: true, response: await createCannedResponse(req.body, req.user.id) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/admin/chat/canned-responses/:id', authMiddleware, requirePermission('chat:manage'), cannedResponseUpdateValidation, async (req, res) => {
+    try {
+      const response = await updateCannedResponse(req.params.id, req.body, req.user.id);
+      if (!response) return res.status(404).json({ error: req.t('errors.cannedResponseNotFound') });
+      res.json({ success: true, response });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.delete('/api/admin/chat/canned-responses/:id', authMiddleware, requirePermission('chat:manage'), async (req, res) => {
+    try {
+      if (!(await deleteCannedResponse(req.params.id))) {
+        return res.status(404).json({ error: req.t('errors.cannedResponseNotFound') });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // KNOWLEDGE BASE
+  // ========================================
+
+  app.get('/api/admin/faq', authMiddleware, requirePermission('faq:manage'), async (req, res) => {
+    try {
+      const { language, applicationType } = req.query;
+      res.json({ entries: await listEntries({ language, applicationType }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.post('/api/admin/faq', authMiddleware, requirePermission('faq:manage'), faqCreateValidation, async (req, res) => {
+    if (invalidApplicationType(req)) return res.status(400).json({ error: req.t('errors.invalidApplicationType') });
+
+    try {
+      res.status(201).json({ success: true, entry: await createEntry(req.body, req.user.id) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.put('/api/admin/faq/:id', authMiddleware, requirePermission('faq:manage'), faqUpdateValidation, async (req, res) => {
+    if (invalidApplicationType(req)) return res.status(400).json({ error: req.t('errors.invalidApplicationType') });
+
+    try {
+      const entry = await updateEntry(req.params.id, req.body, req.user.id);
+      if (!entry) return res.status(404).json({ error: req.t('errors.faqEntryNotFound') });
+      res.json({ success: true, entry });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Past answers stay in the reply log without their entry; deactivate to keep the stats
+  app.delete('/api/admin/faq/:id', authMiddleware, requirePermission('faq:manage'), async (req, res) => {
+    try {
+      if (!(await deleteEntry(req.params.id))) {
+        return res.status(404).json({ error: req.t('errors.faqEntryNotFound') });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Shows how the bot would score a message, for tuning entries
+  app.post('/api/admin/faq/match', authMiddleware, requirePermission('faq:manage'), faqMatchValidation, async (req, res) => {
+    const language = req.body.language || DEFAULT_LOCALE;
+
+    try {
+      const matches = rankEntries(req.body.message, await listEntries({ language, activeOnly: true }))
+        .slice(0, 5)
+        .map(({ entry, score, phrasing }) => ({ id: entry.id, question: entry.question, phrasing, score: Number(score.toFixed(4)) }));
+      res.json({ asksForHuman: asksForHuman(req.body.message), matches });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/faq/stats', authMiddleware, requirePermission('faq:manage'), faqStatsValidation, async (req, res) => {
+    try {
+      res.json(await faqStats({ from: req.query.from, to: req.query.to }));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/faq/replies', authMiddleware, requirePermission('faq:manage'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const humanRequested = req.query.humanRequested === undefined ? undefined : req.query.humanRequested === 'true';
+
+    try {
+      res.json(await listBotReplies({ entryId: parseInt(req.query.entryId) || null, humanRequested, limit, offset }));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/faq/:id', authMiddleware, requirePermission('faq:manage'), async (req, res) => {
+    try {
+      const entry = await findEntry(req.params.id);
+      if (!entry) return res.status(404).json({ error: req.t('errors.faqEntryNotFound') });
+      res.json(entry);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import path from 'path';
+import multer from 'multer';
+import { pool } from './db.js';
+import { storage } from './storage.js';
+
+export const DEFAULT_DOCUMENT_LIMITS = {
+  maxFiles: 10,
+  maxFileSize: 5 * 1024 * 1024,
+  mimeTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+};
+
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+
+// Detects the file type from its leading bytes; the client-supplied
+// Content-Type and file name are never trusted.
+export const sniffFileType = (buffer) =>
+  SIGNATURES.find(({ bytes }) => buffer.length >= bytes.length && bytes.every((b, i) => buffer[i] === b)) || null;
+
+// Parses the multipart `files` field into memory with the type's limits applied
+export const parseUpload = (req, res, limits) => new Promise((resolve, reject) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: limits.maxFileSize, files: limits.maxFiles },
+  }).array('files', limits.maxFiles)(req, res, (err) => (err ? reject(err) : resolve(req.files || [])));
+});
+
+export const listDocuments = async (applicationType, applicationId) => {
+  const [rows] = await pool.query(
+    `SELECT id, original_name as originalName, mime_type as mimeType, size_bytes as size,
+     uploaded_by as uploadedBy, created_at as createdAt
+     FROM application_documents
+     WHERE application_type = ? AND application_id = ?
+     ORDER BY created_at ASC`,
+    [applicationType, applicationId]
+  );
+  return rows;
+};
+
+export const countDocuments = async (applicationType, applicationId) => {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) as count FROM application_documents WHERE application_type = ? AND application_id = ?',
+    [applicationType, applicationId]
+  );
+  return Number(rows[0].count);
+};
+
+export const saveDocument = async ({ applicationType, applicationId, file, fileType, uploadedBy }) => {
+  const storageKey = `${applicationType}/${applicationId}/${crypto.randomUUID()}${fileType.extension}`;
+  const originalName = path.basename(file.originalname || `document${fileType.extension}`).slice(0, 255);
+
+  await storage.save(storageKey, file.buffer);
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO application_documents
+      (application_type, application_id, original_name, mime_type, size_bytes, storage_key, uploaded_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [applicationType, applicationId, originalName, fileType.mimeType, file.size, storageKey, uploadedBy]
+    );
+    return { id: result.insertId, originalName, mimeType: fileType.mimeType, size: file.size };
+  } catch (err) {
+    await storage.remove(storageKey);
+    throw err;
+  }
+};
+
+export const findDocument = async (applicationType, applicationId, documentId) => {
+  const [rows] = await pool.query(
+    'SELECT * FROM application_documents WHERE id = ? AND application_type = ? AND application_id = ?',
+    [documentId, applicationType, applicationId]
+  );
+  return rows[0] || null;
+};
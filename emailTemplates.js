@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONTACT_TO } from './mailer.js';
+import { DEFAULT_LOCALE, localeChain } from './i18n.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates', 'emails');
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+const stringify = (value) => (isPresent(value) ? String(value) : '');
+
+/**
+ * Fills a template string. `{{name}}` is escaped for HTML (unless `escape` is
+ * false), `{{{name}}}` is inserted as is, and `{{#if name}}...{{/if}}` keeps
+ * its contents only when the variable is present.
+ */
+export const fillTemplate = (source, vars, { escape = true } = {}) => source
+  .replace(/\{\{#if (\w+)\}\}\r?\n?([\s\S]*?)\{\{\/if\}\}\r?\n?/g, (match, name, body) => (isPresent(vars[name]) ? body : ''))
+  .replace(/\{\{\{(\w+)\}\}\}/g, (match, name) => stringify(vars[name]))
+  .replace(/\{\{(\w+)\}\}/g, (match, name) => (escape ? escapeHtml(stringify(vars[name])) : stringify(vars[name])));
+
+const readOptional = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+
+// First file found along the locale's fallback chain (templates/emails/<locale>/<file>)
+const readLocalized = (locale, file) => {
+  for (const candidate of localeChain(locale)) {
+    const source = readOptional(path.join(TEMPLATES_DIR, candidate, file));
+    if (source !== null) return source;
+  }
+  return null;
+};
+
+const loadTemplate = (name, locale) => {
+  const cacheKey = `${locale}/${name}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+  if (!/^[\w-]+$/.test(name)) throw new Error(`Invalid email template name: ${name}`);
+
+  const source = readLocalized(locale, `${name}.html`);
+  if (source === null) throw new Error(`Unknown email template: ${name}`);
+
+  const match = source.match(FRONT_MATTER);
+  const meta = {};
+  if (match) {
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  if (!meta.subject) throw new Error(`Email template ${name} has no subject`);
+
+  const template = {
+    subject: meta.subject,
+    heading: meta.heading || meta.subject,
+    sensitive: meta.sensitive === 'true',
+    html: match ? source.slice(match[0].length) : source,
+    text: readLocalized(locale, `${name}.txt`),
+    layout: readLocalized(locale, 'layout.html'),
+  };
+  cache.set(cacheKey, template);
+  return template;
+};
+
+/**
+ * Renders templates/emails/<locale>/<name>.html inside that locale's layout,
+ * falling back along the locale chain for files a locale does not have.
+ * Returns `{ subject, html, text, sensitive }`; `text` is null unless the
+ * template has a matching .txt file.
+ */
+export const renderEmail = (name, vars = {}, locale = DEFAULT_LOCALE) => {
+  const template = loadTemplate(name, locale);
+  const allVars = { contactEmail: CONTACT_TO, ...vars };
+
+  const content = fillTemplate(template.html, allVars);
+  return {
+    subject: fillTemplate(template.subject, allVars, { escape: false }),
+    html: fillTemplate(template.layout, { ...allVars, heading: fillTemplate(template.heading, allVars, { escape: false }), content }),
+    text: template.text === null ? null : fillTemplate(template.text, allVars, { escape: false }),
+    sensitive: template.sensitive,
+  };
+};
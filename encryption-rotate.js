@@ -0,0 +1,156 @@
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { pool } from './db.js';
+import { APPLICATION_TYPES } from './applicationTypes.js';
+import {
+  CURRENT_KEY_VERSION,
+  ENCRYPTION_CONFIGURED,
+  isEncrypted,
+  keyVersion,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  blindIndexColumn,
+} from './fieldEncryption.js';
+import { columnInfo } from './migrations/helpers.js';
+
+// Brings the encrypted application columns (applicationTypes.js `encryption`)
+// up to date with the current key (see fieldEncryption.js):
+//
+//   npm run encryption:rotate [-- --dry-run] [--decrypt]
+//
+// Plaintext values, written before encryption was turned on, are encrypted.
+// Values under an older key version are re-encrypted with the current one.
+// Blind indexes are recomputed, which also picks up a new
+// FIELD_BLIND_INDEX_KEY. Rows are read 500 at a time by id and only changed
+// values are written, so the server can keep running. Once a run reports no
+// values left under an old version, that key can be removed from
+// FIELD_ENCRYPTION_KEYS.
+//
+// --decrypt writes every value back as plaintext and clears the blind
+// indexes, before rolling back migration 017. --dry-run only counts.
+
+const BATCH_SIZE = 500;
+
+// Two-factor secrets (twoFactor.js) use the same keys; login has no updated_at
+export const ACCOUNT_SECRETS = { table: 'login', encryption: { columns: ['totp_secret'] }, updatedAt: false };
+
+const USAGE = `Usage: node encryption-rotate.js [--dry-run] [--decrypt]
+
+Options:
+  --dry-run   Count what would change without writing
+  --decrypt   Store every encrypted value as plaintext again`;
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, decrypt: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--decrypt') options.decrypt = true;
+    else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+  }
+  return options;
+};
+
+// Encrypted columns must be TEXT (migration 017) before anything is written
+const checkSchema = async (type) => {
+  const { columns, blindIndexes = [] } = type.encryption;
+  for (const column of columns) {
+    const info = await columnInfo(pool, type.table, column);
+    if (!info || !/text/i.test(info.type)) {
+      throw new Error(`${type.table}.${column} is not a TEXT column; run \`npm run migrate\` first`);
+    }
+  }
+  for (const column of blindIndexes) {
+    if (!(await columnInfo(pool, type.table, blindIndexColumn(column)))) {
+      throw new Error(`${type.table}.${blindIndexColumn(column)} is missing; run \`npm run migrate\` first`);
+    }
+  }
+};
+
+// The values a row should hold, limited to those that differ from what it holds
+const rowChanges = (type, row, { decrypt }) => {
+  const { columns, blindIndexes = [] } = type.encryption;
+  const changes = {};
+  for (const column of columns) {
+    const value = row[column];
+    if (value === null) continue;
+    const context = `${type.table}.${column}`;
+    const plaintext = decryptValue(value, context);
+    if (decrypt) {
+      if (isEncrypted(value)) changes[column] = plaintext;
+    } else if (keyVersion(value) !== CURRENT_KEY_VERSION) {
+      changes[column] = encryptValue(plaintext, context);
+    }
+    if (blindIndexes.includes(column)) {
+      const index = decrypt ? null : blindIndex(plaintext, context);
+      if (row[blindIndexColumn(column)] !== index) changes[blindIndexColumn(column)] = index;
+    }
+  }
+  return changes;
+};
+
+// Re-encrypts one type's table; exported for the tests (test/)
+export const rotateType = async (type, options) => {
+  const { columns, blindIndexes = [] } = type.encryption;
+  const selected = [...columns, ...blindIndexes.map(blindIndexColumn)];
+  // Values found before any change: "plaintext" or the key version
+  const found = {};
+  let rows = 0;
+  let changed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const [batch] = await pool.query(
+      'SELECT id, ?? FROM ?? WHERE id > ? ORDER BY id LIMIT ?',
+      [selected, type.table, lastId, BATCH_SIZE]
+    );
+    if (!batch.length) break;
+
+    for (const row of batch) {
+      lastId = row.id;
+      rows += 1;
+      for (const column of columns.filter((name) => row[name] !== null)) {
+        const version = keyVersion(row[column]);
+        const label = version === null ? 'plaintext' : `v${version}`;
+        found[label] = (found[label] || 0) + 1;
+      }
+
+      const changes = rowChanges(type, row, options);
+      if (!Object.keys(changes).length) continue;
+      changed += 1;
+      if (!options.dryRun) {
+        await pool.query(
+          `UPDATE ?? SET ?${type.updatedAt === false ? '' : ', updated_at = updated_at'} WHERE id = ?`,
+          [type.table, changes, row.id]
+        );
+      }
+    }
+  }
+
+  const values = Object.entries(found).map(([label, count]) => `${count} ${label}`).join(', ') || 'none';
+  console.log(`${type.table}: ${rows} rows, ${changed} ${options.dryRun ? 'to update' : 'updated'} (values found: ${values})`);
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.decrypt && !ENCRYPTION_CONFIGURED) {
+    throw new Error('FIELD_ENCRYPTION_KEYS and FIELD_BLIND_INDEX_KEY must be set');
+  }
+
+  const types = [...Object.values(APPLICATION_TYPES).filter((type) => type.encryption), ACCOUNT_SECRETS];
+  for (const type of types) await checkSchema(type);
+  for (const type of types) await rotateType(type, options);
+
+  if (!options.decrypt && !options.dryRun) console.log(`Encrypted values now use key version ${CURRENT_KEY_VERSION}.`);
+  await pool.end();
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error('Encryption rotation failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,84 @@
+import { pool } from './db.js';
+import { getApplicationType } from './applicationTypes.js';
+
+// Kinds of entries written to application_events
+export const EVENT_TYPES = [
+  'submitted',
+  'status_changed',
+  'tracking_updated',
+  'appointment_booked',
+  'appointment_rescheduled',
+  'appointment_cancelled',
+  'payment_received',
+];
+
+// Moves the application's last_activity_at, which orders the admin queue.
+// Unlike updated_at it also follows events and document uploads.
+export const markActivity = async (db, applicationType, applicationId) => {
+  const type = getApplicationType(applicationType);
+  if (!type) return;
+  await db.query(
+    'UPDATE ?? SET last_activity_at = CURRENT_TIMESTAMP, updated_at = updated_at WHERE id = ?',
+    [type.table, applicationId]
+  );
+};
+
+// `db` may be the pool or a connection inside the caller's transaction.
+// `location` ({ country, region } from lookupIp()) is kept for submissions.
+export const recordEvent = async (db, {
+  applicationType,
+  applicationId,
+  eventType,
+  oldStatus = null,
+  newStatus = null,
+  actor = null,
+  reason = null,
+  note = null,
+  details = null,
+  location = null,
+}) => {
+  await db.query(
+    `INSERT INTO application_events
+    (application_type, application_id, event_type, old_status, new_status,
+     actor_id, actor_username, reason, note, details, country, region)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      applicationType,
+      applicationId,
+      eventType,
+      oldStatus,
+      newStatus,
+      actor ? actor.id || null : null,
+      actor ? actor.username : null,
+      reason || null,
+      note || null,
+      details && Object.keys(details).length ? JSON.stringify(details) : null,
+      location ? location.country : null,
+      location ? location.region : null,
+    ]
+  );
+
+  await markActivity(db, applicationType, applicationId);
+};
+
+// Oldest first. Internal notes and staff identities are only returned to staff.
+export const listEvents = async (applicationType, applicationId, { includeInternal = false } = {}) => {
+  const [rows] = await pool.query(
+    `SELECT id, event_type, old_status, new_status, actor_username, reason, note, details, created_at
+     FROM application_events
+     WHERE application_type = ? AND application_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [applicationType, applicationId]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    type: row.event_type,
+    oldStatus: row.old_status,
+    newStatus: row.new_status,
+    reason: row.reason,
+    details: row.details ? JSON.parse(row.details) : null,
+    createdAt: row.created_at,
+    ...(includeInternal ? { actor: row.actor_username, note: row.note } : {}),
+  }));
+};
@@ -0,0 +1,275 @@
+import { pool } from './db.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+// ========================================
+// FAQ KNOWLEDGE BASE
+// ========================================
+//
+// Staff maintain question/answer entries per language. Incoming chat messages
+// are matched against every phrasing of every active entry (TF-IDF cosine
+// similarity over normalized words); the bot only answers when the best score
+// reaches FAQ_BOT_THRESHOLD.
+
+export const FAQ_BOT_THRESHOLD = parseFloat(process.env.FAQ_BOT_THRESHOLD || '0.6');
+
+export const ESCALATION_REASONS = ['no_answer', 'requested', 'staff'];
+
+// Words that carry no meaning for matching (English and French)
+const STOPWORDS = new Set(`
+  a an the and or but of to in on at for from by with about as into is are was were be been am do does did
+  have has had i me my we our you your it its this that these those what which who whom how when where why
+  can could would should will shall may might must please hello hi thanks thank there here any some
+  le la les un une des du de d l et ou mais au aux en dans sur pour par avec sans ce cet cette ces
+  je j m moi nous vous tu te t il elle ils elles on se s mon ma mes votre vos notre nos leur leurs
+  est sont etre ai as avez avons ont fait faire peut peux pouvez quel quelle quels quelles que qu qui quoi
+  comment quand pourquoi ne pas plus bonjour merci svp plait y
+`.trim().split(/\s+/));
+
+// Phrases that mean the visitor wants a person rather than the bot
+const HUMAN_REQUEST = /\b(human|humain|agent|operator|operateur|representative|conseiller|real person|vraie personne|someone|quelqu un|staff|speak to a person|parler a une personne)\b/;
+
+const normalize = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Crude suffix stripping so "hours"/"hour" and "heures"/"heure" meet
+const stem = (word) => {
+  let result = word;
+  if (result.length > 3 && result.endsWith('s')) result = result.slice(0, -1);
+  if (result.length > 5) result = result.replace(/(ing|ed)$/, '');
+  if (result.length > 4 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+};
+
+export const tokenize = (text) => normalize(text)
+  .split(' ')
+  .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+  .map(stem);
+
+export const asksForHuman = (text) => HUMAN_REQUEST.test(normalize(text));
+
+const termFrequencies = (tokens) => {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+};
+
+/**
+ * Scores `text` against `entries` and returns them best first as
+ * { entry, score, phrasing }. Each entry is scored by its closest phrasing
+ * (the question or one of its variants).
+ */
+export const rankEntries = (text, entries) => {
+  const documents = entries.flatMap((entry) => [entry.question, ...entry.variants]
+    .map((phrasing) => ({ entry, phrasing, terms: termFrequencies(tokenize(phrasing)) })));
+  const query = termFrequencies(tokenize(text));
+  if (!query.size || !documents.length) return [];
+
+  const documentFrequency = new Map();
+  for (const { terms } of documents) {
+    for (const term of terms.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+  const idf = (term) => Math.log((documents.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+  const weigh = (terms) => new Map([...terms].map(([term, count]) => [term, count * idf(term)]));
+  const length = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+  const queryVector = weigh(query);
+  const queryLength = length(queryVector);
+  const best = new Map();
+  for (const { entry, phrasing, terms } of documents) {
+    const vector = weigh(terms);
+    const vectorLength = length(vector);
+    if (!vectorLength) continue;
+    let dot = 0;
+    for (const [term, weight] of queryVector) dot += weight * (vector.get(term) || 0);
+    const score = dot / (queryLength * vectorLength);
+    if (!best.has(entry.id) || score > best.get(entry.id).score) best.set(entry.id, { entry, score, phrasing });
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score);
+};
+
+// ========================================
+// ENTRIES
+// ========================================
+
+const ENTRY_COLUMNS = `id, question, variants, answer, language, application_type as applicationType, active,
+  updated_at as updatedAt`;
+
+const ENTRY_FIELDS = {
+  question: 'question',
+  variants: 'variants',
+  answer: 'answer',
+  language: 'language',
+  applicationType: 'application_type',
+  active: 'active',
+};
+
+// Variants are stored as a JSON list; an empty application type unlinks the entry
+const entryRow = (input) => Object.fromEntries(
+  Object.entries(ENTRY_FIELDS)
+    .filter(([field]) => input[field] !== undefined)
+    .map(([field, column]) => {
+      if (field === 'variants') return [column, JSON.stringify(input.variants || [])];
+      if (field === 'applicationType') return [column, input.applicationType || null];
+      return [column, input[field]];
+    })
+);
+
+const toEntry = (row) => ({
+  ...row,
+  variants: row.variants ? JSON.parse(row.variants) : [],
+  active: !!row.active,
+});
+
+export const listEntries = async ({ language, applicationType, activeOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (language) {
+    conditions.push('language = ?');
+    params.push(language);
+  }
+  if (applicationType) {
+    conditions.push('application_type = ?');
+    params.push(applicationType);
+  }
+  if (activeOnly) conditions.push('active = TRUE');
+
+  const [rows] = await pool.query(
+    `SELECT ${ENTRY_COLUMNS} FROM faq_entries
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY language, question`,
+    params
+  );
+  return rows.map(toEntry);
+};
+
+export const findEntry = async (id) => {
+  const [rows] = await pool.query(`SELECT ${ENTRY_COLUMNS} FROM faq_entries WHERE id = ?`, [id]);
+  return rows.length ? toEntry(rows[0]) : null;
+};
+
+export const createEntry = async (input, userId) => {
+  const [result] = await pool.query('INSERT INTO faq_entries SET ?', [{ ...entryRow(input), updated_by: userId }]);
+  return findEntry(result.insertId);
+};
+
+// Returns null when the entry does not exist
+export const updateEntry = async (id, input, userId) => {
+  const row = entryRow(input);
+  if (Object.keys(row).length) {
+    await pool.query('UPDATE faq_entries SET ? WHERE id = ?', [{ ...row, updated_by: userId }, id]);
+  }
+  return findEntry(id);
+};
+
+export const deleteEntry = async (id) => {
+  const [result] = await pool.query('DELETE FROM faq_entries WHERE id = ?', [id]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Best active entry for a message in `language`. Entries in the default
+ * language are tried when none in the visitor's language is close enough.
+ * Returns { entry, score, phrasing } or null below the threshold.
+ */
+export const findAnswer = async (text, language = DEFAULT_LOCALE) => {
+  for (const candidate of [...new Set([language, DEFAULT_LOCALE])]) {
+    const [best] = rankEntries(text, await listEntries({ language: candidate, activeOnly: true }));
+    if (best && best.score >= FAQ_BOT_THRESHOLD) return best;
+  }
+  return null;
+};
+
+// ========================================
+// BOT REPLY LOG
+// ========================================
+
+export const recordBotReply = async ({ conversationId, questionMessageId, messageId, entryId, score }) => {
+  await pool.query(
+    `INSERT INTO chat_bot_replies (conversation_id, question_message_id, message_id, faq_entry_id, score)
+     VALUES (?, ?, ?, ?, ?)`,
+    [conversationId, questionMessageId, messageId, entryId, score.toFixed(4)]
+  );
+};
+
+// The visitor asked for a person after the bot's last answer
+export const flagLastBotReply = async (conversationId) => {
+  await pool.query(
+    'UPDATE chat_bot_replies SET human_requested = TRUE WHERE conversation_id = ? ORDER BY id DESC LIMIT 1',
+    [conversationId]
+  );
+};
+
+/**
+ * How often each entry was used between `from` and `to` (YYYY-MM-DD, both
+ * inclusive) and how often the visitor asked for a person afterwards, plus
+ * conversation hand-offs by reason.
+ */
+export const faqStats = async ({ from, to }) => {
+  const [entries] = await pool.query(
+    `SELECT f.id, f.question, f.language, f.application_type as applicationType, f.active,
+       COUNT(r.id) as replies, COALESCE(SUM(r.human_requested), 0) as humanRequested
+     FROM faq_entries f
+     LEFT JOIN chat_bot_replies r
+       ON r.faq_entry_id = f.id AND r.created_at >= ? AND r.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY f.id
+     ORDER BY replies DESC, f.question`,
+    [from, to]
+  );
+  const [escalations] = await pool.query(
+    `SELECT escalation_reason as reason, COUNT(*) as count FROM chat_conversations
+     WHERE escalated_at >= ? AND escalated_at < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY escalation_reason`,
+    [from, to]
+  );
+
+  const rows = entries.map((row) => ({
+    ...row,
+    active: !!row.active,
+    replies: Number(row.replies),
+    humanRequested: Number(row.humanRequested),
+  }));
+  return {
+    from,
+    to,
+    botReplies: rows.reduce((total, row) => total + row.replies, 0),
+    escalations: Object.fromEntries(ESCALATION_REASONS.map((reason) => [
+      reason,
+      Number((escalations.find((row) => row.reason === reason) || { count: 0 }).count),
+    ])),
+    entries: rows,
+  };
+};
+
+// Individual bot answers, newest first, with the question that triggered them
+export const listBotReplies = async ({ entryId, humanRequested, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (entryId) {
+    conditions.push('r.faq_entry_id = ?');
+    params.push(entryId);
+  }
+  if (humanRequested !== undefined) {
+    conditions.push('r.human_requested = ?');
+    params.push(humanRequested);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [rows] = await pool.query(
+    `SELECT r.id, r.conversation_id as conversationId, r.faq_entry_id as entryId, r.score,
+       r.human_requested as humanRequested, r.created_at as createdAt, q.message as question
+     FROM chat_bot_replies r
+     LEFT JOIN chat_messages q ON q.id = r.question_message_id
+     ${where}
+     ORDER BY r.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM chat_bot_replies r ${where}`, params);
+  return {
+    replies: rows.map((row) => ({ ...row, score: Number(row.score), humanRequested: !!row.humanRequested })),
+    total: Number(total),
+  };
+};
@@ -0,0 +1,240 @@
+import { pool } from './db.js';
+
+// ========================================
+// FEES, INVOICES AND PAYMENTS
+// ========================================
+//
+// Amounts are integer cents in FEE_CURRENCY. An invoice is built from the fee
+// schedule when an application is submitted; later fee changes leave existing
+// invoices alone.
+
+export const FEE_CURRENCY = (process.env.FEE_CURRENCY || 'USD').toUpperCase();
+export const FEE_KINDS = ['base', 'expedited', 'return_shipping'];
+export const INVOICE_STATUSES = ['unpaid', 'paid', 'void'];
+export const PAYMENT_METHODS = ['money_order', 'card', 'cash'];
+// Recorded by staff at the counter; card payments go through the gateway
+export const MANUAL_PAYMENT_METHODS = ['money_order', 'cash'];
+
+// A pending card payment older than this belonged to a request that died mid-charge
+const PENDING_PAYMENT_MINUTES = 15;
+
+const documentNumber = (prefix, id) => `${prefix}-${new Date().getFullYear()}-${String(id).padStart(6, '0')}`;
+
+// ========================================
+// FEE SCHEDULE
+// ========================================
+
+const FEE_COLUMNS = `id, application_type as applicationType, sub_type as subType, kind,
+  amount_cents as amountCents, active, updated_at as updatedAt`;
+
+export const listFees = async ({ applicationType = null, activeOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (applicationType) {
+    conditions.push('application_type = ?');
+    params.push(applicationType);
+  }
+  if (activeOnly) conditions.push('active = TRUE');
+
+  const [rows] = await pool.query(
+    `SELECT ${FEE_COLUMNS} FROM fees
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY application_type, FIELD(kind, ?), sub_type`,
+    [...params, FEE_KINDS]
+  );
+  return rows.map((row) => ({ ...row, active: !!row.active, currency: FEE_CURRENCY }));
+};
+
+// Creates or replaces the fee for (type, sub-type, kind)
+export const saveFee = async ({ applicationType, subType = '', kind, amountCents, active = true }, userId) => {
+  await pool.query(
+    `INSERT INTO fees (application_type, sub_type, kind, amount_cents, active, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE amount_cents = VALUES(amount_cents), active = VALUES(active), updated_by = VALUES(updated_by)`,
+    [applicationType, subType, kind, amountCents, active, userId]
+  );
+  const [rows] = await pool.query(
+    `SELECT ${FEE_COLUMNS} FROM fees WHERE application_type = ? AND sub_type = ? AND kind = ?`,
+    [applicationType, subType, kind]
+  );
+  return { ...rows[0], active: !!rows[0].active, currency: FEE_CURRENCY };
+};
+
+// ========================================
+// INVOICES
+// ========================================
+
+const INVOICE_COLUMNS = `id, invoice_number as invoiceNumber, application_type as applicationType,
+  application_id as applicationId, user_id as userId, user_name as userName, currency,
+  total_cents as totalCents, paid_cents as paidCents, status, paid_at as paidAt, created_at as createdAt`;
+
+const toInvoice = (row) => ({ ...row, balanceCents: Math.max(row.totalCents - row.paidCents, 0) });
+
+// A sub-type's own fee wins over the one for every sub-type
+const pickFee = (fees, kind, subType) =>
+  fees.find((fee) => fee.kind === kind && fee.sub_type === subType)
+  || fees.find((fee) => fee.kind === kind && fee.sub_type === '');
+
+/**
+ * Invoices a newly submitted application from the active fee schedule.
+ * `options` selects the optional items ({ expedited, returnShipping }).
+ * Returns null when no fee applies, in which case nothing is owed.
+ */
+export const createInvoice = async (db, { applicationType, subType = '', application, options = {} }) => {
+  const [fees] = await db.query(
+    'SELECT kind, sub_type, amount_cents FROM fees WHERE application_type = ? AND active = TRUE',
+    [applicationType]
+  );
+  const kinds = [
+    'base',
+    ...(options.expedited ? ['expedited'] : []),
+    ...(options.returnShipping ? ['return_shipping'] : []),
+  ];
+  const items = kinds.map((kind) => pickFee(fees, kind, subType || '')).filter(Boolean);
+  if (!items.length) return null;
+
+  const [result] = await db.query(
+    `INSERT INTO invoices (application_type, application_id, user_id, user_name, currency, total_cents)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      applicationType,
+      application.id,
+      application.user_id,
+      application.user_name,
+      FEE_CURRENCY,
+      items.reduce((total, item) => total + item.amount_cents, 0),
+    ]
+  );
+  await db.query('UPDATE invoices SET invoice_number = ? WHERE id = ?', [documentNumber('INV', result.insertId), result.insertId]);
+  await db.query(
+    'INSERT INTO invoice_items (invoice_id, kind, sub_type, amount_cents) VALUES ?',
+    [items.map((item) => [result.insertId, item.kind, item.sub_type, item.amount_cents])]
+  );
+  return findInvoice(result.insertId, db);
+};
+
+export const findInvoice = async (id, db = pool, { lock = false } = {}) => {
+  const [rows] = await db.query(`SELECT ${INVOICE_COLUMNS} FROM invoices WHERE id = ?${lock ? ' FOR UPDATE' : ''}`, [id]);
+  return rows.length ? toInvoice(rows[0]) : null;
+};
+
+// The application's current (non-void) invoice, or null if it has none
+export const findApplicationInvoice = async (db, applicationType, applicationId) => {
+  const [rows] = await db.query(
+    `SELECT ${INVOICE_COLUMNS} FROM invoices
+     WHERE application_type = ? AND application_id = ? AND status <> 'void'
+     ORDER BY id DESC LIMIT 1`,
+    [applicationType, applicationId]
+  );
+  return rows.length ? toInvoice(rows[0]) : null;
+};
+
+const PAYMENT_COLUMNS = `id, invoice_id as invoiceId, receipt_number as receiptNumber, method,
+  amount_cents as amountCents, currency, status, gateway, reference, failure_reason as failureReason,
+  recorded_by as recordedBy, completed_at as completedAt, created_at as createdAt`;
+
+// Invoice with its line items and payment attempts
+export const invoiceDetails = async (invoice) => {
+  const [items] = await pool.query(
+    'SELECT kind, sub_type as subType, amount_cents as amountCents FROM invoice_items WHERE invoice_id = ? ORDER BY id',
+    [invoice.id]
+  );
+  const [payments] = await pool.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE invoice_id = ? ORDER BY created_at, id`,
+    [invoice.id]
+  );
+  return { ...invoice, items, payments };
+};
+
+export const listInvoices = async ({ status, applicationType, limit = 50, offset = 0 } = {}) => {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (applicationType) {
+    conditions.push('application_type = ?');
+    params.push(applicationType);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [rows] = await pool.query(
+    `SELECT ${INVOICE_COLUMNS} FROM invoices ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM invoices ${where}`, params);
+  return { invoices: rows.map(toInvoice), total: Number(total) };
+};
+
+// ========================================
+// PAYMENTS
+// ========================================
+//
+// Callers lock the invoice (findInvoice(..., { lock: true })) before any of
+// these so the balance they checked cannot change underneath them.
+
+export const findPayment = async (id, db = pool) => {
+  const [rows] = await db.query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// Gives a payment its receipt number and credits the invoice
+const creditInvoice = async (db, invoice, paymentId, amountCents) => {
+  await db.query(
+    "UPDATE payments SET status = 'succeeded', receipt_number = ?, completed_at = NOW() WHERE id = ?",
+    [documentNumber('RCT', paymentId), paymentId]
+  );
+  const paid = invoice.paidCents + amountCents;
+  await db.query(
+    `UPDATE invoices
+     SET paid_cents = ?, status = IF(? >= total_cents, 'paid', 'unpaid'), paid_at = IF(? >= total_cents, NOW(), NULL)
+     WHERE id = ?`,
+    [paid, paid, paid, invoice.id]
+  );
+};
+
+// Money orders and cash, entered by staff once the money is in hand
+export const recordManualPayment = async (db, invoice, { method, amountCents, reference = null, recordedBy }) => {
+  const [result] = await db.query(
+    `INSERT INTO payments (invoice_id, method, amount_cents, currency, reference, recorded_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [invoice.id, method, amountCents, invoice.currency, reference, recordedBy]
+  );
+  await creditInvoice(db, invoice, result.insertId, amountCents);
+  return findPayment(result.insertId, db);
+};
+
+// A card charge that has not finished yet; at most one per invoice at a time
+export const findPendingCardPayment = async (db, invoiceId) => {
+  const [rows] = await db.query(
+    `SELECT id FROM payments
+     WHERE invoice_id = ? AND status = 'pending' AND created_at > DATE_SUB(NOW(), INTERVAL ${PENDING_PAYMENT_MINUTES} MINUTE)`,
+    [invoiceId]
+  );
+  return rows[0] || null;
+};
+
+// First step of a card payment: reserve it as pending before calling the gateway
+export const beginCardPayment = async (db, invoice, { amountCents, gateway, recordedBy }) => {
+  const [result] = await db.query(
+    `INSERT INTO payments (invoice_id, method, amount_cents, currency, gateway, recorded_by)
+     VALUES (?, 'card', ?, ?, ?, ?)`,
+    [invoice.id, amountCents, invoice.currency, gateway, recordedBy]
+  );
+  return result.insertId;
+};
+
+// Second step: store the gateway's answer, crediting the invoice on success
+export const finishCardPayment = async (db, invoice, payment, { status, reference, failureReason = null }) => {
+  await db.query('UPDATE payments SET reference = ? WHERE id = ?', [reference || null, payment.id]);
+  if (status === 'succeeded') {
+    await creditInvoice(db, invoice, payment.id, payment.amountCents);
+  } else {
+    await db.query(
+      "UPDATE payments SET status = 'failed', failure_reason = ?, completed_at = NOW() WHERE id = ?",
+      [String(failureReason || 'Payment failed').slice(0, 500), payment.id]
+    );
+  }
+  return findPayment(payment.id, db);
+};
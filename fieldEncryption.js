@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// ========================================
+// FIELD ENCRYPTION
+// ========================================
+//
+// Sensitive application columns (the registry's `encryption`, see
+// applicationTypes.js and ENCRYPTION.md) are stored encrypted with
+// AES-256-GCM. A stored value reads `enc:v<version>:<base64 of IV, tag and
+// ciphertext>`; the version names the key, so keys can be rotated by
+// re-encrypting (encryption-rotate.js) while older ones still decrypt.
+// Values without the prefix were written before encryption was turned on
+// and are returned as they are.
+//
+// Each value is bound to its table and column, so a value copied into another
+// column does not decrypt. Blind indexes (an HMAC of the normalized value
+// under a separate key, stored in `<column>_bidx`) let exact-match filters
+// find an encrypted value without decrypting every row.
+
+const PREFIX = 'enc:v';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const BLIND_INDEX_BYTES = 16;
+
+// 32 bytes, written as base64 or hex
+const parseKey = (text, name) => {
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new Error(`${name} must be a 32-byte key, base64 or hex encoded`);
+  return key;
+};
+
+// FIELD_ENCRYPTION_KEYS=2:<key>,1:<key>
+const parseKeys = (text = '') => {
+  const keys = new Map();
+  for (const entry of text.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\d+):(.+)$/);
+    if (!match) throw new Error('FIELD_ENCRYPTION_KEYS entries must read <version>:<key>');
+    keys.set(Number(match[1]), parseKey(match[2], `FIELD_ENCRYPTION_KEYS version ${match[1]}`));
+  }
+  return keys;
+};
+
+const KEYS = parseKeys(process.env.FIELD_ENCRYPTION_KEYS);
+
+// New values use FIELD_ENCRYPTION_KEY_VERSION, or the highest version
+export const CURRENT_KEY_VERSION = KEYS.size
+  ? Number(process.env.FIELD_ENCRYPTION_KEY_VERSION) || Math.max(...KEYS.keys())
+  : null;
+if (CURRENT_KEY_VERSION && !KEYS.has(CURRENT_KEY_VERSION)) {
+  throw new Error(`FIELD_ENCRYPTION_KEY_VERSION ${CURRENT_KEY_VERSION} is not in FIELD_ENCRYPTION_KEYS`);
+}
+
+const BLIND_INDEX_KEY = process.env.FIELD_BLIND_INDEX_KEY
+  ? parseKey(process.env.FIELD_BLIND_INDEX_KEY, 'FIELD_BLIND_INDEX_KEY')
+  : null;
+
+export const ENCRYPTION_CONFIGURED = !!(CURRENT_KEY_VERSION && BLIND_INDEX_KEY);
+
+if (!ENCRYPTION_CONFIGURED) {
+  console.warn('FIELD_ENCRYPTION_KEYS/FIELD_BLIND_INDEX_KEY are not set; applications cannot be submitted.');
+}
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Key version of a stored value, or null for plaintext
+export const keyVersion = (value) =>
+  (isEncrypted(value) ? Number(value.slice(PREFIX.length, value.indexOf(':', PREFIX.length))) : null);
+
+// `context` (table.column) is authenticated along with the value
+export const encryptValue = (value, context) => {
+  if (value === null || value === undefined) return null;
+  if (!CURRENT_KEY_VERSION) throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEYS.get(CURRENT_KEY_VERSION), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${PREFIX}${CURRENT_KEY_VERSION}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+};
+
+// Plaintext passes through; a missing key or a tampered value throws
+export const decryptValue = (value, context) => {
+  if (!isEncrypted(value)) return value;
+  const version = keyVersion(value);
+  const key = KEYS.get(version);
+  if (!key) throw new Error(`No field encryption key for version ${version}`);
+  const data = Buffer.from(value.slice(value.indexOf(':', PREFIX.length) + 1), 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+};
+
+// Case, spaces and hyphens do not matter: "ab 12-34" matches "AB1234"
+const normalizeForIndex = (value) => String(value).normalize('NFKC').toUpperCase().replace(/[\s-]/g, '');
+
+export const blindIndex = (value, context) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (!BLIND_INDEX_KEY) throw new Error('FIELD_BLIND_INDEX_KEY is not set');
+  return crypto.createHmac('sha256', BLIND_INDEX_KEY)
+    .update(`${context}\n${normalizeForIndex(value)}`)
+    .digest()
+    .subarray(0, BLIND_INDEX_BYTES)
+    .toString('hex');
+};
+
+// ========================================
+// APPLICATION ROWS
+// ========================================
+
+export const blindIndexColumn = (column) => `${column}_bidx`;
+
+const fieldContext = (type, column) => `${type.table}.${column}`;
+
+// DATE columns come back from mysql2 as local midnight; decrypted dates match
+const toDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : value;
+};
+
+/**
+ * Encrypts the type's encrypted columns among `values` ({ column: value }) and
+ * adds their blind indexes, ready for an INSERT or UPDATE. Other columns are
+ * left as they are.
+ */
+export const encryptFields = (type, values) => {
+  const { columns = [], blindIndexes = [] } = type.encryption || {};
+  const stored = { ...values };
+  for (const column of columns.filter((name) => name in values)) {
+    stored[column] = encryptValue(values[column], fieldContext(type, column));
+    if (blindIndexes.includes(column)) {
+      stored[blindIndexColumn(column)] = blindIndex(values[column], fieldContext(type, column));
+    }
+  }
+  return stored;
+};
+
+// `values` without the type's encrypted columns, for event details and audit
+// diffs, which are stored as plaintext JSON
+export const omitEncryptedFields = (type, values) => {
+  const { columns = [] } = type.encryption || {};
+  return Object.fromEntries(Object.entries(values).filter(([column]) => !columns.includes(column)));
+};
+
+/**
+ * A row read from the type's table with its encrypted columns decrypted and
+ * its blind indexes left out. `aliases` maps columns to the names the row
+ * uses for them (listColumns); columns the row does not have are skipped.
+ */
+export const decryptFields = (type, row, aliases = {}) => {
+  if (!row || !type.encryption) return row;
+  const { columns = [], dates = [], blindIndexes = [] } = type.encryption;
+  const result = { ...row };
+  for (const column of columns) {
+    const name = aliases[column] || column;
+    if (!(name in result)) continue;
+    const value = decryptValue(result[name], fieldContext(type, column));
+    result[name] = dates.includes(column) ? toDate(value) : value;
+  }
+  for (const column of blindIndexes) delete result[blindIndexColumn(column)];
+  return result;
+};
+
+// `column = ?` for a list filter, through the blind index for encrypted columns
+export const filterCondition = (type, column, value) => {
+  const blindIndexes = (type.encryption && type.encryption.blindIndexes) || [];
+  return blindIndexes.includes(column)
+    ? { sql: `${blindIndexColumn(column)} = ?`, param: blindIndex(value, fieldContext(type, column)) }
+    : { sql: `${column} = ?`, param: value };
+};
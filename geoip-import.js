@@ -0,0 +1,264 @@
+import 'dotenv/config';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import {
+  GEOIP_DB_PATH,
+  GEOIP_MAGIC,
+  V4_RECORD,
+  V6_RECORD,
+  ipv4ToNumber,
+  ipv6ToBytes,
+  readDatabase,
+} from './geoip.js';
+
+// Builds the geolocation database (see geoip.js) from a CSV of IP ranges:
+//
+//   npm run geoip:import -- <file.csv|file.csv.gz> [--columns list] [--output path]
+//
+// Files with a header row are read by column name: start/end (ip_start,
+// ip_from, ...) or network (CIDR), country (a two-letter code), region and
+// city. Headerless files need --columns, naming each column in order and
+// leaving unused ones empty:
+//
+//   DB-IP lite:        --columns start,end,,country,region,city
+//   IP2Location LITE:  --columns start,end,country,,region,city
+//
+// Addresses may be written out or given as integers. The new file replaces
+// the old one in a single rename; running servers pick it up within a minute.
+
+const ALIASES = {
+  start: ['start', 'ip_start', 'ip_from', 'start_ip', 'first_ip', 'range_start'],
+  end: ['end', 'ip_end', 'ip_to', 'end_ip', 'last_ip', 'range_end'],
+  network: ['network', 'cidr', 'prefix'],
+  country: ['country', 'country_code', 'country_iso_code', 'countrycode', 'iso_code', 'cc'],
+  region: ['region', 'region_name', 'stateprov', 'state', 'subdivision', 'subdivision_1_name'],
+  city: ['city', 'city_name'],
+};
+
+const USAGE = `Usage: node geoip-import.js <file.csv|file.csv.gz> [options]
+
+Options:
+  --columns list     Column names for a file without a header row
+                     (start, end, network, country, region, city; empty to skip)
+  --output path      Where to write the database (default GEOIP_DB_PATH)`;
+
+const usage = () => {
+  console.error(USAGE);
+  process.exit(1);
+};
+
+const parseArgs = (argv) => {
+  const options = { output: GEOIP_DB_PATH };
+  const rest = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--columns') options.columns = (argv[++i] || '').split(',').map((name) => name.trim());
+    else if (argv[i] === '--output') options.output = argv[++i];
+    else rest.push(argv[i]);
+  }
+  if (rest.length !== 1 || !options.output) usage();
+  return { ...options, file: rest[0] };
+};
+
+// One CSV line; fields may be quoted, with "" for a literal quote
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((value) => value.trim());
+};
+
+// Column positions from a header row, or null when the row is data
+const headerPositions = (fields) => {
+  const names = fields.map((field) => field.toLowerCase());
+  const positions = Object.fromEntries(Object.entries(ALIASES)
+    .map(([key, aliases]) => [key, names.findIndex((name) => aliases.includes(name))])
+    .filter(([, index]) => index >= 0));
+  const hasRange = 'network' in positions || ('start' in positions && 'end' in positions);
+  return hasRange && 'country' in positions ? positions : null;
+};
+
+const namedPositions = (columns) => Object.fromEntries(columns
+  .map((name, index) => [name, index])
+  .filter(([name]) => name && name in ALIASES));
+
+const MAX_V4 = 0xffffffff;
+const V4_MAPPED_START = 0xffff00000000n;
+const V4_MAPPED_END = 0xffffffffffffn;
+
+const bigIntToBytes = (value) => {
+  const bytes = Buffer.alloc(16);
+  bytes.writeBigUInt64BE(value >> 64n, 0);
+  bytes.writeBigUInt64BE(value & 0xffffffffffffffffn, 8);
+  return bytes;
+};
+
+/**
+ * One end of a range as { family, value }: a number for IPv4, 16 bytes for
+ * IPv6. Integers above 2^32 are IPv6; IPv4-mapped IPv6 becomes IPv4.
+ */
+const parseBound = (text) => {
+  if (net.isIPv4(text)) return { family: 4, value: ipv4ToNumber(text) };
+  if (net.isIPv6(text)) {
+    const mapped = text.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? { family: 4, value: ipv4ToNumber(mapped[1]) } : { family: 6, value: ipv6ToBytes(text) };
+  }
+  if (/^\d+$/.test(text)) {
+    const value = BigInt(text);
+    if (value <= BigInt(MAX_V4)) return { family: 4, value: Number(value) };
+    if (value >= V4_MAPPED_START && value <= V4_MAPPED_END) return { family: 4, value: Number(value - V4_MAPPED_START) };
+    if (value < 1n << 128n) return { family: 6, value: bigIntToBytes(value) };
+  }
+  return null;
+};
+
+const parseNetwork = (text) => {
+  const [address, bits] = text.split('/');
+  const prefix = Number(bits);
+  const start = parseBound(address);
+  if (!start || !Number.isInteger(prefix)) return null;
+
+  if (start.family === 4) {
+    const fixed = address.includes(':') ? prefix - 96 : prefix;
+    if (fixed < 0 || fixed > 32) return null;
+    const size = 2 ** (32 - fixed);
+    const first = Math.floor(start.value / size) * size;
+    return [{ family: 4, value: first }, { family: 4, value: first + size - 1 }];
+  }
+  if (prefix < 0 || prefix > 128) return null;
+  const value = start.value.readBigUInt64BE(0) << 64n | start.value.readBigUInt64BE(8);
+  const hostMask = (1n << BigInt(128 - prefix)) - 1n;
+  return [{ family: 6, value: bigIntToBytes(value & ~hostMask) }, { family: 6, value: bigIntToBytes(value | hostMask) }];
+};
+
+const compareBounds = (a, b) => (typeof a === 'number' ? a - b : Buffer.compare(a, b));
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  let input = fs.createReadStream(options.file);
+  if (options.file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const ranges = { 4: [], 6: [] };
+  const locations = [];
+  const locationIndex = new Map();
+  let positions = options.columns ? namedPositions(options.columns) : null;
+  let lineNumber = 0;
+  let skipped = 0;
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim() || line.startsWith('#')) continue;
+    const fields = parseCsvLine(line);
+
+    if (!positions) {
+      positions = headerPositions(fields);
+      if (!positions) {
+        console.error('The file has no recognizable header row; name its columns with --columns.');
+        process.exit(1);
+      }
+      continue;
+    }
+
+    const bounds = 'network' in positions
+      ? parseNetwork(fields[positions.network] || '')
+      : [parseBound(fields[positions.start] || ''), parseBound(fields[positions.end] || '')];
+    const country = (fields[positions.country] || '').toUpperCase();
+    // "-" and "ZZ" mark unassigned or unknown space
+    if (!bounds || !bounds[0] || !bounds[1] || bounds[0].family !== bounds[1].family
+      || compareBounds(bounds[0].value, bounds[1].value) > 0 || !/^[A-Z]{2}$/.test(country) || country === 'ZZ') {
+      skipped += 1;
+      continue;
+    }
+
+    const region = positions.region === undefined ? '' : fields[positions.region] || '';
+    const city = positions.city === undefined ? '' : fields[positions.city] || '';
+    const key = `${country}|${region}|${city}`;
+    if (!locationIndex.has(key)) {
+      locationIndex.set(key, locations.length);
+      locations.push([country, region, city]);
+    }
+    ranges[bounds[0].family].push([bounds[0].value, bounds[1].value, locationIndex.get(key)]);
+  }
+
+  // Sorted, and a range overlapping the one before it is dropped
+  const tidy = (list) => {
+    list.sort((a, b) => compareBounds(a[0], b[0]));
+    return list.filter((range, index) => {
+      if (index === 0 || compareBounds(range[0], list[index - 1][1]) > 0) return true;
+      skipped += 1;
+      return false;
+    });
+  };
+  const v4 = tidy(ranges[4]);
+  const v6 = tidy(ranges[6]);
+  if (!v4.length && !v6.length) {
+    console.error(`No usable ranges in ${options.file} (${lineNumber} lines read).`);
+    process.exit(1);
+  }
+
+  const header = Buffer.from(JSON.stringify({
+    builtAt: new Date().toISOString(),
+    source: path.basename(options.file),
+    locations,
+    v4: v4.length,
+    v6: v6.length,
+  }));
+  const prefix = Buffer.alloc(GEOIP_MAGIC.length + 4);
+  prefix.write(GEOIP_MAGIC, 0, 'latin1');
+  prefix.writeUInt32BE(header.length, GEOIP_MAGIC.length);
+
+  const v4Records = Buffer.alloc(v4.length * V4_RECORD);
+  v4.forEach(([start, end, location], index) => {
+    v4Records.writeUInt32BE(start, index * V4_RECORD);
+    v4Records.writeUInt32BE(end, index * V4_RECORD + 4);
+    v4Records.writeUInt32BE(location, index * V4_RECORD + 8);
+  });
+  const v6Records = Buffer.alloc(v6.length * V6_RECORD);
+  v6.forEach(([start, end, location], index) => {
+    start.copy(v6Records, index * V6_RECORD);
+    end.copy(v6Records, index * V6_RECORD + 16);
+    v6Records.writeUInt32BE(location, index * V6_RECORD + 32);
+  });
+
+  const output = Buffer.concat([prefix, header, v4Records, v6Records]);
+  readDatabase(output);
+
+  await fs.promises.mkdir(path.dirname(options.output), { recursive: true });
+  const temporary = `${options.output}.${process.pid}.tmp`;
+  await fs.promises.writeFile(temporary, output);
+  await fs.promises.rename(temporary, options.output);
+
+  console.log(
+    `Imported ${v4.length} IPv4 and ${v6.length} IPv6 ranges (${locations.length} locations) into ${options.output}; ` +
+    `${skipped} row(s) skipped.`
+  );
+};
+
+main().catch((err) => {
+  console.error('Geolocation import failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ========================================
+// IP GEOLOCATION
+// ========================================
+//
+// Addresses are looked up in a local range database built by
+// `npm run geoip:import` (geoip-import.js); no request leaves the server.
+// The file is read on first use and again whenever it is replaced, so an
+// import takes effect without a restart. Without a file every lookup
+// returns null.
+//
+// File layout (all integers big-endian):
+//   "GEOIPDB1", u32 header length, JSON header
+//     { builtAt, source, locations: [[country, region, city], ...], v4, v6 }
+//   v4 records of 12 bytes: start u32, end u32, location u32
+//   v6 records of 36 bytes: start 16 bytes, end 16 bytes, location u32
+// Records are sorted by start and do not overlap.
+
+export const GEOIP_DB_PATH = process.env.GEOIP_DB_PATH || path.join(__dirname, 'data', 'geoip.db');
+export const GEOIP_MAGIC = 'GEOIPDB1';
+export const V4_RECORD = 12;
+export const V6_RECORD = 36;
+
+// How often the file's modification time is checked
+const RELOAD_CHECK_MS = 60 * 1000;
+
+let database = null;
+let loadedMtime = 0;
+let checkedAt = 0;
+let warned = false;
+
+// ========================================
+// ADDRESSES
+// ========================================
+
+export const ipv4ToNumber = (address) => address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+// 16 bytes for an IPv6 address (embedded IPv4 tails included)
+export const ipv6ToBytes = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const bytes = Buffer.alloc(16);
+  const v4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const value = ipv4ToNumber(v4Tail[1]);
+    text = `${text.slice(0, -v4Tail[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  return bytes;
+};
+
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are looked up as IPv4
+const normalize = (ip) => String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+// ========================================
+// DATABASE FILE
+// ========================================
+
+export const readDatabase = (buffer) => {
+  if (buffer.toString('latin1', 0, GEOIP_MAGIC.length) !== GEOIP_MAGIC) {
+    throw new Error('Not a geolocation database file');
+  }
+  const headerLength = buffer.readUInt32BE(GEOIP_MAGIC.length);
+  const headerStart = GEOIP_MAGIC.length + 4;
+  const header = JSON.parse(buffer.toString('utf8', headerStart, headerStart + headerLength));
+  const v4Start = headerStart + headerLength;
+  const v6Start = v4Start + header.v4 * V4_RECORD;
+  if (buffer.length !== v6Start + header.v6 * V6_RECORD) throw new Error('Geolocation database file is truncated');
+  return { header, buffer, v4Start, v6Start };
+};
+
+const load = () => {
+  const now = Date.now();
+  if (now - checkedAt < RELOAD_CHECK_MS) return database;
+  checkedAt = now;
+
+  let stat;
+  try {
+    stat = fs.statSync(GEOIP_DB_PATH);
+  } catch {
+    if (!warned) console.warn(`No geolocation database at ${GEOIP_DB_PATH}; locations will be left empty.`);
+    warned = true;
+    database = null;
+    return null;
+  }
+  if (database && stat.mtimeMs === loadedMtime) return database;
+
+  try {
+    database = readDatabase(fs.readFileSync(GEOIP_DB_PATH));
+    loadedMtime = stat.mtimeMs;
+    warned = false;
+  } catch (err) {
+    console.error('Geolocation database could not be loaded:', err.message);
+    database = null;
+  }
+  return database;
+};
+
+// Last record whose start is <= the address, if the address is within it
+const search = (count, startOf, endOf, compare, location) => {
+  let low = 0;
+  let high = count - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >>> 1;
+    if (compare(startOf(middle)) >= 0) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found >= 0 && compare(endOf(found)) <= 0 ? location(found) : null;
+};
+
+const findLocation = ({ buffer, header, v4Start, v6Start }, address) => {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    const at = (index) => v4Start + index * V4_RECORD;
+    return search(
+      header.v4,
+      (index) => buffer.readUInt32BE(at(index)),
+      (index) => buffer.readUInt32BE(at(index) + 4),
+      (bound) => value - bound,
+      (index) => buffer.readUInt32BE(at(index) + 8)
+    );
+  }
+  if (net.isIPv6(address)) {
+    const bytes = ipv6ToBytes(address);
+    const at = (index) => v6Start + index * V6_RECORD;
+    return search(
+      header.v6,
+      (index) => buffer.subarray(at(index), at(index) + 16),
+      (index) => buffer.subarray(at(index) + 16, at(index) + 32),
+      (bound) => Buffer.compare(bytes, bound),
+      (index) => buffer.readUInt32BE(at(index) + 32)
+    );
+  }
+  return null;
+};
+
+/**
+ * Location of an address as { country, region, city } (country is an ISO
+ * 3166-1 alpha-2 code; region and city may be null), or null when it is not
+ * in the database or no database is installed.
+ */
+export const lookupIp = (ip) => {
+  const db = load();
+  if (!db) return null;
+  const index = findLocation(db, normalize(ip));
+  if (index === null) return null;
+  const [country, region, city] = db.header.locations[index];
+  return { country, region: region || null, city: city || null };
+};
+
+// What is installed, for the admin analytics
+export const geoipStatus = () => {
+  const db = load();
+  if (!db) return { installed: false };
+  const { builtAt, source, v4, v6, locations } = db.header;
+  return { installed: true, builtAt, source, ipv4Ranges: v4, ipv6Ranges: v6, locations: locations.length };
+};
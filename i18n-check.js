@@ -0,0 +1,38 @@
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE, loadCatalog } from './i18n.js';
+
+// Compares every catalog with the default one. Keys a locale is missing are
+// served from its fallback chain, so they are reported but only placeholder
+// mismatches and unknown keys fail the check.
+
+const flatten = (node, prefix = '', out = {}) => {
+  for (const [name, value] of Object.entries(node)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object') flatten(value, key, out);
+    else out[key] = value;
+  }
+  return out;
+};
+
+const placeholders = (message) => [...String(message).matchAll(/\{(\w+)\}/g)].map((match) => match[1]).sort().join(',');
+
+const reference = flatten(loadCatalog(DEFAULT_LOCALE));
+let failed = false;
+
+for (const locale of SUPPORTED_LOCALES.filter((candidate) => candidate !== DEFAULT_LOCALE)) {
+  const catalog = flatten(loadCatalog(locale));
+  const missing = Object.keys(reference).filter((key) => !(key in catalog));
+  const unknown = Object.keys(catalog).filter((key) => !(key in reference));
+  const mismatched = Object.keys(catalog)
+    .filter((key) => key in reference && placeholders(catalog[key]) !== placeholders(reference[key]));
+
+  const total = Object.keys(reference).length;
+  console.log(`${locale}: ${total - missing.length}/${total} keys translated`);
+  if (process.argv.includes('--verbose')) {
+    for (const key of missing) console.log(`  missing     ${key}`);
+  }
+  for (const key of unknown) console.log(`  unknown     ${key}`);
+  for (const key of mismatched) console.log(`  placeholder ${key} (expected {${placeholders(reference[key])}})`);
+  if (unknown.length || mismatched.length) failed = true;
+}
+
+process.exitCode = failed ? 1 : 0;
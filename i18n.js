@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ========================================
+// LOCALIZATION
+// ========================================
+//
+// Catalogs live in locales/<locale>.json as nested objects addressed by dotted
+// keys ("errors.applicationNotFound"). `{name}` placeholders are filled from
+// params. A key missing from a catalog falls back along FALLBACKS, so a key
+// not yet translated still renders a complete message.
+
+export const SUPPORTED_LOCALES = ['en', 'fr', 'sg'];
+export const DEFAULT_LOCALE = 'en';
+
+const FALLBACKS = {
+  en: [],
+  fr: ['en'],
+  sg: ['fr', 'en'],
+};
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+export const loadCatalog = (locale) =>
+  JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+
+const catalogs = Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, loadCatalog(locale)]));
+
+export const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+// Lookup order for a locale, ending with the default
+export const localeChain = (locale) =>
+  (isSupportedLocale(locale) ? [locale, ...FALLBACKS[locale]] : [DEFAULT_LOCALE]);
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+
+/**
+ * Translates `key` for `locale`. Returns the key itself when no catalog in
+ * the fallback chain has it, so a missing string is visible rather than blank.
+ */
+export const t = (locale, key, params = {}) => {
+  for (const candidate of localeChain(locale)) {
+    const message = lookup(catalogs[candidate], key);
+    if (typeof message === 'string') return interpolate(message, params);
+  }
+  return key;
+};
+
+// A message that is translated once the reader's locale is known
+export const msg = (key, params = {}) => ({ key, params });
+
+const isMessage = (value) => !!value && typeof value === 'object' && typeof value.key === 'string';
+
+// Translates a msg() descriptor (params may be descriptors too); plain strings pass through
+export const translate = (locale, message) => {
+  if (!isMessage(message)) return message;
+  const params = Object.fromEntries(
+    Object.entries(message.params || {}).map(([name, value]) => [name, translate(locale, value)])
+  );
+  return t(locale, message.key, params);
+};
+
+// "fr-CA,fr;q=0.9,en;q=0.8" -> "fr"; null when nothing supported is listed
+export const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+  const ranges = header.split(',')
+    .map((part) => {
+      const [range, ...options] = part.trim().split(';');
+      const q = options.map((option) => option.trim()).find((option) => option.startsWith('q='));
+      return { locale: range.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter(({ locale, q }) => q > 0 && isSupportedLocale(locale))
+    .sort((a, b) => b.q - a.q);
+  return ranges.length ? ranges[0].locale : null;
+};
+
+/**
+ * Locale for a request: an Accept-Language header naming a supported
+ * language wins, then the signed-in user's stored preference.
+ */
+export const requestLocale = (req) =>
+  parseAcceptLanguage(req.get('Accept-Language'))
+  || (req.user && isSupportedLocale(req.user.language) ? req.user.language : DEFAULT_LOCALE);
+
+// Adds req.t(key, params), translating into the request's locale
+export const localeMiddleware = (req, res, next) => {
+  req.t = (key, params) => t(requestLocale(req), key, params);
+  next();
+};
+
+// `timeZone` defaults to the server's; pass one for times tied to a place (appointments)
+export const formatDate = (locale, value, { time = false, timeZone } = {}) => {
+  if (value === null || value === undefined || value === '') return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: 'long',
+    ...(time ? { timeStyle: 'short' } : {}),
+    ...(timeZone ? { timeZone } : {}),
+  }).format(date);
+};
+
+export const formatMoney = (locale, cents, currency) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(cents / 100);
+
+// Country name for an ISO 3166-1 alpha-2 code; unknown codes come back as is
+export const formatCountry = (locale, code) => {
+  if (!code) return '';
+  try {
+    return new Intl.DisplayNames([locale, DEFAULT_LOCALE], { type: 'region' }).of(code) || code;
+  } catch {
+    return code;
+  }
+};
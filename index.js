@@ -2,31 +2,60 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import bcrypt from 'bcrypt';
-import PDFDocument from 'pdfkit';
-import bwipjs from 'bwip-js';
-import nodemailer from 'nodemailer';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import cookieParser from 'cookie-parser';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import { pool, initDB } from './db.js';
-import { generateToken, authMiddleware, adminMiddleware } from './auth.js';
+import { fileURLToPath } from 'url';
+import { pool, withTransaction } from './db.js';
+import { getPendingMigrations } from './migrator.js';
+import { CONTACT_TO } from './mailer.js';
+import { queueEmail, startOutboxWorker, stopOutboxWorker, listOutbox, findOutboxMessage, resendOutboxMessage, OUTBOX_STATUSES } from './outbox.js';
+import { APPLICATION_TYPES } from './applicationTypes.js';
+import { registerApplicationRoutes } from './applicationRoutes.js';
+import { listQueue, queueCounts } from './applicationQueue.js';
+import { registerAppointmentRoutes } from './appointmentRoutes.js';
+import { registerPaymentRoutes } from './paymentRoutes.js';
+import { registerChatRoutes } from './chatRoutes.js';
+import { registerVisitorRoutes, TRACK_VISITOR_PATH } from './visitorRoutes.js';
+import { startVisitorTracking, stopVisitorTracking } from './visitors.js';
+import { geoipStatus } from './geoip.js';
+import { generateToken, verifyToken, authMiddleware, requirePermission } from './auth.js';
+import { ROLES, isStaffRole } from './permissions.js';
+import { DEFAULT_LOCALE, localeMiddleware, parseAcceptLanguage, requestLocale, isSupportedLocale, formatCountry } from './i18n.js';
 import {
   signupValidation,
   loginValidation,
   contactValidation,
-  visaApplicationValidation,
+  staffCreateValidation,
+  staffUpdateValidation,
+  languageValidation,
+  analyticsPeriodValidation,
+  userListValidation,
+  userExportValidation,
+  statisticsExportValidation,
 } from './validation.js';
+import {
+  listPage,
+  listBatches,
+  pageOptions,
+  searchCondition,
+  dateRangeConditions,
+  timestampSort,
+  textSort,
+  idSort,
+} from './listing.js';
+import { sendExport, pickColumns } from './spreadsheets.js';
+import { recordAudit, requestActor, auditDiff } from './audit.js';
+import { decryptFields } from './fieldEncryption.js';
+import { registerAuditRoutes } from './auditRoutes.js';
+import { createSession, endUserSessions } from './sessions.js';
+import { registerSessionRoutes, sessionResponse, completeSignIn } from './sessionRoutes.js';
+import { twoFactorRequired } from './twoFactor.js';
+import { registerTwoFactorRoutes, twoFactorChallenge } from './twoFactorRoutes.js';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const submissionLogoPath = path.join(__dirname, '..', 'public', 'favicon.png');
-
-const app = express();
+export const app = express();
 
 // Trust proxy - required for rate limiting behind reverse proxy (Traefik)
 // This allows Express to trust X-Forwarded-For headers
@@ -51,14 +80,17 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(cookieParser());
+app.use(localeMiddleware);
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 300, // Increased to 300 requests per 15 minutes
-  message: 'Too many requests from this IP, please try again later.',
+  message: (req) => req.t('errors.tooManyRequests'),
   standardHeaders: true,
   legacyHeaders: false,
+  // The visitor beacon has its own limiter (visitorRoutes.js)
+  skip: (req) => req.originalUrl.split('?')[0] === TRACK_VISITOR_PATH,
 });
 if (process.env.NODE_ENV === 'production') {
   app.use('/api/', limiter);
@@ -68,40 +100,14 @@ if (process.env.NODE_ENV === 'production') {
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100, // Increased to 100 attempts per 15 minutes for testing
-  message: 'Too many login attempts, please try again later.',
+  message: (req) => req.t('errors.tooManyLoginAttempts'),
   standardHeaders: true,
   legacyHeaders: false,
 });
 app.use('/api/login', authLimiter);
 app.use('/api/signup', authLimiter);
 
-// Visitor tracking removed - was causing rate limiting issues
-
 const PORT = process.env.PORT || 4000;
-const CONTACT_TO = process.env.CONTACT_TO || 'jovite@usrcaembassy.org';
-const CONTACT_FROM = process.env.CONTACT_FROM || 'info@mailkessedesk.com';
-const SMTP_CONFIGURED = !!process.env.SMTP_PASS;
-
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.hostinger.com',
-  port: parseInt(process.env.SMTP_PORT || '465'),
-  secure: true,
-  auth: {
-    user: process.env.SMTP_USER || 'info@mailkessedesk.com',
-    pass: process.env.SMTP_PASS,
-  },
-});
-
-if (!SMTP_CONFIGURED) {
-  console.warn('SMTP_PASS is not set; contact emails will fail.');
-}
-
-// Initialize DB on start
-initDB().catch((err) => {
-  console.error('DB init error:', err);
-  process.exit(1);
-});
-
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
@@ -113,1629 +119,419 @@ app.get('/', (req, res) => {
 app.post('/api/contact', contactValidation, async (req, res) => {
   const { email, message, subject } = req.body;
 
-  if (!SMTP_CONFIGURED) {
-    return res.status(500).json({ error: 'Email service not configured' });
-  }
-
   try {
     const emailSubject = subject || 'General Inquiry';
 
-    // Send email to embassy (ouambor@yahoo.fr)
-    await transporter.sendMail({
+    // Notify the embassy, then confirm receipt to the sender
+    await queueEmail({
+      template: 'contact-admin',
       to: CONTACT_TO,
-      from: CONTACT_FROM,
       replyTo: email,
-      subject: `${emailSubject} - From: ${email}`,
-      text: `Contact Form Submission\n\nFrom: ${email}\nSubject: ${emailSubject}\n\nMessage:\n${message}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #0b3b7a;">Contact Form Submission</h2>
-          <p><strong>From:</strong> ${email}</p>
-          <p><strong>Subject:</strong> ${emailSubject}</p>
-          <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <p><strong>Message:</strong></p>
-            <p style="white-space: pre-wrap;">${message}</p>
-          </div>
-          <p style="color: #666; font-size: 12px;">This message was sent from the embassy website contact form.</p>
-        </div>
-      `,
+      vars: { email, subject: emailSubject, message },
     });
-
-    // Send confirmation email to user
-    await transporter.sendMail({
+    await queueEmail({
+      template: 'contact-confirmation',
       to: email,
-      from: CONTACT_FROM,
-      subject: `Confirmation: Your message to CAR Embassy - ${emailSubject}`,
-      text: `Thank you for contacting the Central African Republic Embassy.\n\nWe have received your message and will respond as soon as possible. Most inquiries receive a response within one business day.\n\nYour message:\n${message}\n\nBest regards,\nCentral African Republic Embassy\n2704 Ontario Rd NW, Washington, DC\n(202) 483-7800`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(120deg, #0b3b7a 0%, #082347 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
-            <h1 style="margin: 0; font-size: 24px;">Message Received</h1>
-          </div>
-          <div style="padding: 30px; background: white; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 8px 8px;">
-            <p>Thank you for contacting the <strong>Central African Republic Embassy</strong>.</p>
-            <p>We have received your message and will respond as soon as possible. Most inquiries receive a response within one business day.</p>
-
-            <div style="background: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #0b3b7a;">
-              <p style="margin: 0 0 10px 0; color: #666; font-size: 14px;"><strong>Your Message:</strong></p>
-              <p style="white-space: pre-wrap; color: #333; margin: 0;">${message}</p>
-            </div>
-
-            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
-              <p style="margin: 5px 0; color: #666;"><strong>Central African Republic Embassy</strong></p>
-              <p style="margin: 5px 0; color: #666;">2704 Ontario Rd NW, Washington, DC</p>
-              <p style="margin: 5px 0; color: #666;">Phone: (202) 483-7800</p>
-              <p style="margin: 5px 0; color: #666;">Email: ${CONTACT_TO}</p>
-            </div>
-          </div>
-        </div>
-      `,
+      locale: requestLocale(req),
+      vars: { subject: emailSubject, message },
     });
 
     res.json({ success: true });
   } catch (err) {
-    console.error('SendGrid error:', err);
-    res.status(500).json({ error: 'Unable to send message' });
-  }
-});
-
-app.post('/api/signup', signupValidation, async (req, res) => {
-  const { username, password, firstName, lastName } = req.body;
-
-  try {
-    const hash = await bcrypt.hash(password, 10);
-    const [result] = await pool.query(
-      'INSERT INTO login (username, password, firstname, lastname) VALUES (?, ?, ?, ?)',
-      [username.toLowerCase(), hash, firstName, lastName]
-    );
-
-    // Generate token for immediate login after signup
-    const token = generateToken({
-      id: result.insertId,
-      username: username.toLowerCase(),
-      isAdmin: false,
-    });
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: result.insertId,
-        username: username.toLowerCase(),
-        fullName: `${firstName} ${lastName}`,
-        isAdmin: false,
-      },
-    });
-  } catch (err) {
-    if (err.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ error: 'Email already registered' });
-    }
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.post('/api/login', loginValidation, async (req, res) => {
-  const { username, password } = req.body;
-
-  try {
-    const [rows] = await pool.query('SELECT * FROM login WHERE username = ?', [username.toLowerCase()]);
-    if (!rows.length) return res.status(401).json({ error: 'Invalid credentials' });
-
-    const user = rows[0];
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-
-    // Check if user is admin - ONLY admin@usrcaembassy.org has admin access
-    const isAdmin = user.username.toLowerCase() === 'admin@usrcaembassy.org';
-
-    // Generate JWT token
-    const token = generateToken({
-      id: user.id,
-      username: user.username,
-      isAdmin,
-    });
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        fullName: `${user.firstname} ${user.lastname}`,
-        username: user.username,
-        isAdmin,
-      },
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.post('/api/visa-applications', authMiddleware, visaApplicationValidation, async (req, res) => {
-  const {
-    visaType,
-    firstName,
-    lastName,
-    gender,
-    dateOfBirth,
-    placeOfBirth,
-    city,
-    countryOfBirth,
-    nationalityOrigin,
-    nationalityCurrent,
-    address,
-    cityAddress,
-    countryAddress,
-    maritalStatus,
-    fatherName,
-    profession,
-    employer,
-    employerAddress,
-  } = req.body;
-  const userName = req.user?.username;
-
-  try {
-    const [result] = await pool.query(
-      `INSERT INTO visa_applications
-      (user_name, visa_type, status, first_name, last_name, gender, date_of_birth, place_of_birth, city, country_of_birth, nationality_origin, nationality_current, address, city_address, country_address, marital_status, father_name, profession, employer, employer_address)
-      VALUES (?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userName.toLowerCase(),
-        visaType,
-        firstName || null,
-        lastName || null,
-        gender || null,
-        dateOfBirth || null,
-        placeOfBirth || null,
-        city || null,
-        countryOfBirth || null,
-        nationalityOrigin || null,
-        nationalityCurrent || null,
-        address || null,
-        cityAddress || null,
-        countryAddress || null,
-        maritalStatus || null,
-        fatherName || null,
-        profession || null,
-        employer || null,
-        employerAddress || null,
-      ]
-    );
-    res.json({ success: true, id: result.insertId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/visa-applications', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      'SELECT id, user_name as userName, visa_type as visaType, status, first_name as firstName, last_name as lastName, tracking_number, created_at as createdAt, updated_at as updatedAt FROM visa_applications ORDER BY created_at DESC'
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get single visa application by ID (admin only)
-app.get('/api/visa-applications/:id', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM visa_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Application not found' });
-
-    const application = rows[0];
-    // Users can only view their own applications unless they're admin
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    res.json(application);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/visa-applications/user/:username', authMiddleware, async (req, res) => {
-  const { username } = req.params;
-  if (!username) return res.status(400).json({ error: 'Missing username' });
-
-  // Users can only view their own applications unless they're admin
-  if (!req.user.isAdmin && req.user.username !== username.toLowerCase()) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
-
-  try {
-    const [rows] = await pool.query(
-      'SELECT id, user_name as userName, visa_type as visaType, status, first_name as firstName, last_name as lastName, tracking_number, created_at as createdAt, updated_at as updatedAt FROM visa_applications WHERE user_name = ? ORDER BY created_at DESC',
-      [username.toLowerCase()]
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Update visa application status (admin only)
-app.put('/api/visa-applications/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['pending', 'under_review', 'approved', 'denied', 'shipped'];
-  if (!status || !validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status. Must be one of: ' + validStatuses.join(', ') });
-  }
-
-  try {
-    // Get current application
-    const [rows] = await pool.query(
-      'SELECT id, user_name, status, status_history, first_name, last_name FROM visa_applications WHERE id = ?',
-      [id]
-    );
-    if (!rows.length) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    const application = rows[0];
-    const oldStatus = application.status;
-
-    // Build status history
-    let statusHistory = [];
-    if (application.status_history) {
-      try {
-        statusHistory = JSON.parse(application.status_history);
-      } catch (e) {
-        statusHistory = [];
-      }
-    }
-
-    // Add new status change to history
-    statusHistory.push({
-      status,
-      changedBy: req.user.username,
-      changedAt: new Date().toISOString(),
-      previousStatus: oldStatus,
-    });
-
-    // Update application
-    await pool.query(
-      'UPDATE visa_applications SET status = ?, status_history = ?, updated_at = NOW() WHERE id = ?',
-      [status, JSON.stringify(statusHistory), id]
-    );
-
-    // Send email notification
-    if (SMTP_CONFIGURED) {
-      const statusMessages = {
-        pending: 'Your visa application is pending review.',
-        under_review: 'Your visa application is now under review. We will notify you of any updates.',
-        approved: 'Congratulations! Your visa application has been approved.',
-        denied: 'We regret to inform you that your visa application has been denied. Please contact us for more information.',
-        shipped: 'Your passport has been shipped. You will receive tracking information shortly.',
-      };
-
-      try {
-        await transporter.sendMail({
-          to: application.user_name,
-          from: CONTACT_FROM,
-          subject: `Visa Application Status Update - ${status.replace('_', ' ').toUpperCase()}`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #0b2f63;">Visa Application Status Update</h2>
-              <p>Dear ${application.first_name || ''} ${application.last_name || ''},</p>
-              <p><strong>Application ID:</strong> ${application.id}</p>
-              <p><strong>New Status:</strong> <span style="color: #0b2f63; font-weight: bold;">${status.replace('_', ' ').toUpperCase()}</span></p>
-              <p>${statusMessages[status]}</p>
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
-              <p style="color: #6b7280; font-size: 0.875rem;">
-                This is an automated notification from the Central African Republic Embassy.
-                <br>Please log in to your dashboard to view more details.
-              </p>
-            </div>
-          `,
-        });
-      } catch (emailErr) {
-        console.error('Failed to send status update email:', emailErr);
-      }
-    }
-
-    res.json({
-      success: true,
-      application: {
-        id: application.id,
-        status,
-        previousStatus: oldStatus,
-      },
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Contact form error:', err);
+    res.status(500).json({ error: req.t('errors.contactFailed') });
   }
 });
 
-// Add tracking number to visa application (admin only)
-app.put('/api/visa-applications/:id/tracking', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { trackingNumber, carrier } = req.body;
-
-  if (!trackingNumber || typeof trackingNumber !== 'string' || trackingNumber.trim().length === 0) {
-    return res.status(400).json({ error: 'Tracking number is required' });
-  }
-
-  try {
-    // Get current application
-    const [rows] = await pool.query(
-      'SELECT id, user_name, tracking_number, shipping_carrier, first_name, last_name FROM visa_applications WHERE id = ?',
-      [id]
-    );
-    if (!rows.length) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    const application = rows[0];
-
-    // Update tracking number and carrier
-    await pool.query(
-      'UPDATE visa_applications SET tracking_number = ?, shipping_carrier = ?, updated_at = NOW() WHERE id = ?',
-      [trackingNumber.trim(), carrier || null, id]
-    );
-
-    // Send email notification
-    if (SMTP_CONFIGURED) {
-      try {
-        const carrierName = carrier ? carrier.toUpperCase() : 'your carrier';
-        await transporter.sendMail({
-          to: application.user_name,
-          from: CONTACT_FROM,
-          subject: 'Tracking Number Available - Visa Application',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #0b2f63;">Your Passport Has Been Shipped!</h2>
-              <p>Dear ${application.first_name || ''} ${application.last_name || ''},</p>
-              <p>Your passport for visa application <strong>#${application.id}</strong> has been shipped${carrier ? ` via ${carrierName}` : ''}.</p>
-              <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                ${carrier ? `<p style="margin: 0 0 12px 0; color: #374151;"><strong>Shipping Carrier:</strong> ${carrierName}</p>` : ''}
-                <p style="margin: 0; color: #374151;"><strong>Tracking Number:</strong></p>
-                <p style="margin: 8px 0 0 0; font-size: 1.5rem; color: #0b2f63; font-weight: bold;">
-                  ${trackingNumber.trim()}
-                </p>
-              </div>
-              <p>You can use this tracking number to monitor the delivery status of your passport${carrier ? ` on the ${carrierName} website` : ''}.</p>
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
-              <p style="color: #6b7280; font-size: 0.875rem;">
-                This is an automated notification from the Central African Republic Embassy.
-                <br>Please log in to your dashboard to view more details.
-              </p>
-            </div>
-          `,
-        });
-      } catch (emailErr) {
-        console.error('Failed to send tracking number email:', emailErr);
-      }
-    }
-
-    res.json({
-      success: true,
-      application: {
-        id: application.id,
-        trackingNumber: trackingNumber.trim(),
-        carrier: carrier || null,
-      },
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/visa-applications/:id/pdf', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query(
-      'SELECT * FROM visa_applications WHERE id = ?',
-      [id]
-    );
-    if (!rows.length) return res.status(404).json({ error: 'Not found' });
-
-    // Users can only view their own PDFs unless they're admin
-    const application = rows[0];
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // Use tracking number if available, otherwise use application ID
-    const barcodeText = application.tracking_number || `APP-${application.id}`;
-    const barcode = await bwipjs.toBuffer({
-      bcid: 'code128',
-      text: barcodeText,
-      scale: 3,
-      height: 10,
-      includetext: true,
-    });
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename=visa-${application.id}.pdf`);
-
-    const doc = new PDFDocument();
-    doc.pipe(res);
-
-    const logoWidth = 80;
-    if (fs.existsSync(submissionLogoPath)) {
-      const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      const logoX = doc.page.margins.left + (contentWidth - logoWidth) / 2;
-      try {
-        doc.image(submissionLogoPath, logoX, doc.y, { width: logoWidth });
-        doc.moveDown();
-      } catch (imgErr) {
-        console.warn('Failed to add logo to visa PDF:', imgErr);
-      }
-    } else {
-      console.warn('Visa PDF logo not found at', submissionLogoPath);
-    }
-
-    doc.fontSize(18).text('Visa Application', { align: 'center' });
-    doc.moveDown(0.5);
-    doc.fontSize(12).text(`Application ID: ${application.id}`);
-    doc.text(`User: ${application.user_name}`);
-    doc.text(`Visa Type: ${application.visa_type}`);
-    doc.text(`Submitted: ${application.created_at}`);
-    doc.moveDown();
-
-    // Personal Information
-    doc.fontSize(14).text('Personal Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.first_name || ''} ${application.last_name || ''}`);
-    doc.text(`Gender: ${application.gender || 'N/A'}`);
-    doc.text(`Date of Birth: ${application.date_of_birth || ''}`);
-    doc.text(`Place of Birth: ${application.place_of_birth || ''}`);
-    doc.text(`City: ${application.city || 'N/A'}`);
-    doc.text(`Country of Birth: ${application.country_of_birth || ''}`);
-    doc.moveDown();
-
-    // Nationality Information
-    doc.fontSize(14).text('Nationality:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Origin Nationality: ${application.nationality_origin || 'N/A'}`);
-    doc.text(`Current Nationality: ${application.nationality_current || 'N/A'}`);
-    doc.moveDown();
-
-    // Contact Information
-    doc.fontSize(14).text('Contact Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Address: ${application.address || ''}`);
-    doc.text(`City: ${application.city_address || ''}`);
-    doc.text(`Country: ${application.country_address || ''}`);
-    doc.moveDown();
-
-    // Family Information
-    doc.fontSize(14).text('Family Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Marital Status: ${application.marital_status || 'N/A'}`);
-    doc.text(`Father's Name: ${application.father_name || 'N/A'}`);
-    doc.moveDown();
-
-    // Employment Information
-    doc.fontSize(14).text('Employment Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Profession: ${application.profession || 'N/A'}`);
-    doc.text(`Employer: ${application.employer || 'N/A'}`);
-    doc.text(`Employer Address: ${application.employer_address || 'N/A'}`);
-    doc.moveDown();
-
-    // Status at the bottom
-    doc.fontSize(14).text('Application Status:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Current Status: ${application.status}`);
-    doc.text(`Tracking Number: ${application.tracking_number || 'Pending'}`);
-    if (application.updated_at) {
-      doc.text(`Last Updated: ${application.updated_at}`);
-    }
-    doc.moveDown();
-
-    doc.image(barcode, { fit: [200, 80], align: 'left' });
-
-    doc.end();
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// ========================================
-// MARRIAGE CERTIFICATE APPLICATIONS
-// ========================================
-
-app.post('/api/marriage-applications', authMiddleware, async (req, res) => {
-  const { user } = req;
-  const userName = user.username;
-  const userId = user.id;
-
-  try {
-    const formData = req.body;
-    const [result] = await pool.query(
-      `INSERT INTO marriage_applications (
-        user_id, user_name, spouse1_first_name, spouse1_last_name, spouse1_birth_date, spouse1_birth_place,
-        spouse1_nationality, spouse1_passport_number, spouse1_address, spouse1_phone, spouse1_email,
-        spouse1_occupation, spouse1_father_name, spouse1_mother_name,
-        spouse2_first_name, spouse2_last_name, spouse2_birth_date, spouse2_birth_place,
-        spouse2_nationality, spouse2_passport_number, spouse2_address, spouse2_phone, spouse2_email,
-        spouse2_occupation, spouse2_father_name, spouse2_mother_name,
-        marriage_date, marriage_place, marriage_country, marriage_type, certificate_purpose
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
-        userName.toLowerCase(),
-        formData.spouse1_first_name, formData.spouse1_last_name, formData.spouse1_birth_date, formData.spouse1_birth_place,
-        formData.spouse1_nationality, formData.spouse1_passport_number || null, formData.spouse1_address, formData.spouse1_phone, formData.spouse1_email,
-        formData.spouse1_occupation || null, formData.spouse1_father_name || null, formData.spouse1_mother_name || null,
-        formData.spouse2_first_name, formData.spouse2_last_name, formData.spouse2_birth_date, formData.spouse2_birth_place,
-        formData.spouse2_nationality, formData.spouse2_passport_number || null, formData.spouse2_address, formData.spouse2_phone, formData.spouse2_email,
-        formData.spouse2_occupation || null, formData.spouse2_father_name || null, formData.spouse2_mother_name || null,
-        formData.marriage_date, formData.marriage_place, formData.marriage_country, formData.marriage_type, formData.certificate_purpose
-      ]
-    );
-    res.json({ success: true, id: result.insertId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/marriage-applications', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, user_name as userName, spouse1_first_name as firstName, spouse1_last_name as lastName,
-       spouse2_first_name, spouse2_last_name, marriage_date, status, tracking_number,
-       created_at as createdAt, updated_at as updatedAt
-       FROM marriage_applications ORDER BY created_at DESC`
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get single marriage application by ID
-app.get('/api/marriage-applications/:id', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM marriage_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Application not found' });
-
-    const application = rows[0];
-    // Users can only view their own applications unless they're admin
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    res.json(application);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get marriage application PDF
-app.get('/api/marriage-applications/:id/pdf', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM marriage_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Not found' });
-
-    const application = rows[0];
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // Use tracking number if available, otherwise use application ID
-    const barcodeText = application.tracking_number || `APP-${application.id}`;
-    const barcode = await bwipjs.toBuffer({
-      bcid: 'code128',
-      text: barcodeText,
-      scale: 3,
-      height: 10,
-      includetext: true,
-    });
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename=marriage-certificate-${application.id}.pdf`);
-
-    const doc = new PDFDocument();
-    doc.pipe(res);
-
-    const logoWidth = 80;
-    if (fs.existsSync(submissionLogoPath)) {
-      const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      const logoX = doc.page.margins.left + (contentWidth - logoWidth) / 2;
-      try {
-        doc.image(submissionLogoPath, logoX, doc.y, { width: logoWidth });
-        doc.moveDown();
-      } catch (imgErr) {
-        console.warn('Failed to add logo to marriage PDF:', imgErr);
-      }
-    }
-
-    doc.fontSize(18).text('Marriage Certificate Application', { align: 'center' });
-    doc.moveDown(0.5);
-    doc.fontSize(12).text(`Application ID: ${application.id}`);
-    doc.text(`User: ${application.user_name}`);
-    doc.text(`Submitted: ${application.created_at}`);
-    doc.moveDown();
-
-    // Spouse 1 Information
-    doc.fontSize(14).text('Spouse 1 Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.spouse1_first_name || ''} ${application.spouse1_last_name || ''}`);
-    doc.text(`Birth Date: ${application.spouse1_birth_date || ''}`);
-    doc.text(`Birth Place: ${application.spouse1_birth_place || ''}`);
-    doc.text(`Nationality: ${application.spouse1_nationality || ''}`);
-    doc.text(`Passport Number: ${application.spouse1_passport_number || 'N/A'}`);
-    doc.text(`Address: ${application.spouse1_address || ''}`);
-    doc.text(`Phone: ${application.spouse1_phone || 'N/A'}`);
-    doc.text(`Email: ${application.spouse1_email || 'N/A'}`);
-    doc.text(`Occupation: ${application.spouse1_occupation || 'N/A'}`);
-    doc.text(`Father's Name: ${application.spouse1_father_name || 'N/A'}`);
-    doc.text(`Mother's Name: ${application.spouse1_mother_name || 'N/A'}`);
-    doc.moveDown();
-
-    // Spouse 2 Information
-    doc.fontSize(14).text('Spouse 2 Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.spouse2_first_name || ''} ${application.spouse2_last_name || ''}`);
-    doc.text(`Birth Date: ${application.spouse2_birth_date || ''}`);
-    doc.text(`Birth Place: ${application.spouse2_birth_place || ''}`);
-    doc.text(`Nationality: ${application.spouse2_nationality || ''}`);
-    doc.text(`Passport Number: ${application.spouse2_passport_number || 'N/A'}`);
-    doc.text(`Address: ${application.spouse2_address || ''}`);
-    doc.text(`Phone: ${application.spouse2_phone || 'N/A'}`);
-    doc.text(`Email: ${application.spouse2_email || 'N/A'}`);
-    doc.text(`Occupation: ${application.spouse2_occupation || 'N/A'}`);
-    doc.text(`Father's Name: ${application.spouse2_father_name || 'N/A'}`);
-    doc.text(`Mother's Name: ${application.spouse2_mother_name || 'N/A'}`);
-    doc.moveDown();
-
-    // Marriage Details
-    doc.fontSize(14).text('Marriage Details:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Marriage Date: ${application.marriage_date || ''}`);
-    doc.text(`Marriage Place: ${application.marriage_place || ''}`);
-    doc.text(`Marriage Country: ${application.marriage_country || ''}`);
-    doc.text(`Marriage Type: ${application.marriage_type || 'N/A'}`);
-    doc.text(`Certificate Purpose: ${application.certificate_purpose || 'N/A'}`);
-    doc.moveDown();
-
-    // Status at the bottom
-    doc.fontSize(14).text('Application Status:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Current Status: ${application.status}`);
-    doc.text(`Tracking Number: ${application.tracking_number || 'Pending'}`);
-    if (application.updated_at) {
-      doc.text(`Last Updated: ${application.updated_at}`);
-    }
-    doc.moveDown();
-
-    doc.image(barcode, { fit: [200, 80], align: 'left' });
-
-    doc.end();
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/marriage-applications/user/:username', authMiddleware, async (req, res) => {
-  const { username } = req.params;
-  if (!username) return res.status(400).json({ error: 'Missing username' });
-
-  if (!req.user.isAdmin && req.user.username !== username.toLowerCase()) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
-
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, spouse1_first_name as firstName, spouse1_last_name as lastName,
-       spouse2_first_name, spouse2_last_name, marriage_date, status, tracking_number,
-       created_at as createdAt, updated_at as updatedAt
-       FROM marriage_applications WHERE user_name = ? ORDER BY created_at DESC`,
-      [username.toLowerCase()]
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.put('/api/marriage-applications/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['pending', 'under_review', 'approved', 'denied', 'shipped'];
-  if (!status || !validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
-
-  try {
-    await pool.query(
-      'UPDATE marriage_applications SET status = ?, updated_at = NOW() WHERE id = ?',
-      [status, id]
-    );
-    res.json({ success: true });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.put('/api/marriage-applications/:id/tracking', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { trackingNumber, carrier } = req.body;
-
-  if (!trackingNumber || typeof trackingNumber !== 'string') {
-    return res.status(400).json({ error: 'Tracking number is required' });
-  }
-
-  try {
-    await pool.query(
-      'UPDATE marriage_applications SET tracking_number = ?, shipping_carrier = ?, updated_at = NOW() WHERE id = ?',
-      [trackingNumber.trim(), carrier || null, id]
-    );
-    res.json({ success: true, carrier: carrier || null });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// ========================================
-// BIRTH CERTIFICATE APPLICATIONS
-// ========================================
-
-app.post('/api/birth-certificate-applications', authMiddleware, async (req, res) => {
-  const { user } = req;
-  const userName = user.username;
-
-  try {
-    const formData = req.body;
-    const [result] = await pool.query(
-      `INSERT INTO birth_certificate_applications (
-        user_name, child_first_name, child_last_name, child_middle_name, child_birth_date,
-        child_birth_place, child_birth_country, child_gender, child_nationality,
-        father_first_name, father_last_name, father_birth_date, father_birth_place,
-        father_nationality, father_occupation, father_address,
-        mother_first_name, mother_last_name, mother_maiden_name, mother_birth_date,
-        mother_birth_place, mother_nationality, mother_occupation, mother_address,
-        applicant_relationship, applicant_first_name, applicant_last_name,
-        applicant_phone, applicant_email, applicant_address,
-        certificate_purpose, is_minor, original_registration_number
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userName.toLowerCase(),
-        formData.child_first_name, formData.child_last_name, formData.child_middle_name || null, formData.child_birth_date,
-        formData.child_birth_place, formData.child_birth_country, formData.child_gender, formData.child_nationality,
-        formData.father_first_name, formData.father_last_name, formData.father_birth_date || null, formData.father_birth_place || null,
-        formData.father_nationality, formData.father_occupation || null, formData.father_address || null,
-        formData.mother_first_name, formData.mother_last_name, formData.mother_maiden_name || null, formData.mother_birth_date || null,
-        formData.mother_birth_place || null, formData.mother_nationality, formData.mother_occupation || null, formData.mother_address || null,
-        formData.applicant_relationship || 'parent', formData.applicant_first_name || null, formData.applicant_last_name || null,
-        formData.applicant_phone, formData.applicant_email, formData.applicant_address,
-        formData.certificate_purpose, formData.is_minor !== false, formData.original_registration_number || null
-      ]
-    );
-    res.json({ success: true, id: result.insertId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/birth-certificate-applications', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, user_name as userName, child_first_name as firstName, child_last_name as lastName,
-       child_birth_date, status, tracking_number, created_at as createdAt, updated_at as updatedAt
-       FROM birth_certificate_applications ORDER BY created_at DESC`
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get single birth certificate application by ID
-app.get('/api/birth-certificate-applications/:id', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM birth_certificate_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Application not found' });
-
-    const application = rows[0];
-    // Users can only view their own applications unless they're admin
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    res.json(application);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// Get birth certificate application PDF
-app.get('/api/birth-certificate-applications/:id/pdf', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM birth_certificate_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Not found' });
-
-    const application = rows[0];
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    // Use tracking number if available, otherwise use application ID
-    const barcodeText = application.tracking_number || `APP-${application.id}`;
-    const barcode = await bwipjs.toBuffer({
-      bcid: 'code128',
-      text: barcodeText,
-      scale: 3,
-      height: 10,
-      includetext: true,
-    });
-
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename=birth-certificate-${application.id}.pdf`);
-
-    const doc = new PDFDocument();
-    doc.pipe(res);
-
-    const logoWidth = 80;
-    if (fs.existsSync(submissionLogoPath)) {
-      const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      const logoX = doc.page.margins.left + (contentWidth - logoWidth) / 2;
-      try {
-        doc.image(submissionLogoPath, logoX, doc.y, { width: logoWidth });
-        doc.moveDown();
-      } catch (imgErr) {
-        console.warn('Failed to add logo to birth certificate PDF:', imgErr);
-      }
-    }
-
-    doc.fontSize(18).text('Birth Certificate Application', { align: 'center' });
-    doc.moveDown(0.5);
-    doc.fontSize(12).text(`Application ID: ${application.id}`);
-    doc.text(`User: ${application.user_name}`);
-    doc.text(`Submitted: ${application.created_at}`);
-    doc.moveDown();
-
-    // Child Information
-    doc.fontSize(14).text('Child Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.child_first_name || ''} ${application.child_middle_name || ''} ${application.child_last_name || ''}`);
-    doc.text(`Birth Date: ${application.child_birth_date || ''}`);
-    doc.text(`Birth Place: ${application.child_birth_place || ''}`);
-    doc.text(`Birth Country: ${application.child_birth_country || ''}`);
-    doc.text(`Gender: ${application.child_gender || ''}`);
-    doc.text(`Nationality: ${application.child_nationality || ''}`);
-    doc.moveDown();
-
-    // Father Information
-    doc.fontSize(14).text('Father Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.father_first_name || ''} ${application.father_last_name || ''}`);
-    doc.text(`Birth Date: ${application.father_birth_date || 'N/A'}`);
-    doc.text(`Birth Place: ${application.father_birth_place || 'N/A'}`);
-    doc.text(`Nationality: ${application.father_nationality || ''}`);
-    doc.text(`Occupation: ${application.father_occupation || 'N/A'}`);
-    doc.text(`Address: ${application.father_address || 'N/A'}`);
-    doc.moveDown();
-
-    // Mother Information
-    doc.fontSize(14).text('Mother Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.mother_first_name || ''} ${application.mother_last_name || ''}`);
-    doc.text(`Maiden Name: ${application.mother_maiden_name || 'N/A'}`);
-    doc.text(`Birth Date: ${application.mother_birth_date || 'N/A'}`);
-    doc.text(`Birth Place: ${application.mother_birth_place || 'N/A'}`);
-    doc.text(`Nationality: ${application.mother_nationality || ''}`);
-    doc.text(`Occupation: ${application.mother_occupation || 'N/A'}`);
-    doc.text(`Address: ${application.mother_address || 'N/A'}`);
-    doc.moveDown();
-
-    // Applicant Information
-    doc.fontSize(14).text('Applicant Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Relationship to Child: ${application.applicant_relationship || 'parent'}`);
-    doc.text(`Name: ${application.applicant_first_name || 'N/A'} ${application.applicant_last_name || ''}`);
-    doc.text(`Phone: ${application.applicant_phone || ''}`);
-    doc.text(`Email: ${application.applicant_email || ''}`);
-    doc.text(`Address: ${application.applicant_address || ''}`);
-    doc.moveDown();
-
-    // Additional Details
-    doc.fontSize(14).text('Additional Details:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Certificate Purpose: ${application.certificate_purpose || 'N/A'}`);
-    doc.text(`Is Minor: ${application.is_minor ? 'Yes' : 'No'}`);
-    doc.text(`Original Registration Number: ${application.original_registration_number || 'N/A'}`);
-    doc.moveDown();
-
-    // Status at the bottom
-    doc.fontSize(14).text('Application Status:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Current Status: ${application.status}`);
-    doc.text(`Tracking Number: ${application.tracking_number || 'Pending'}`);
-    if (application.updated_at) {
-      doc.text(`Last Updated: ${application.updated_at}`);
-    }
-    doc.moveDown();
-
-    doc.image(barcode, { fit: [200, 80], align: 'left' });
-
-    doc.end();
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.get('/api/birth-certificate-applications/user/:username', authMiddleware, async (req, res) => {
-  const { username } = req.params;
-  if (!username) return res.status(400).json({ error: 'Missing username' });
-
-  if (!req.user.isAdmin && req.user.username !== username.toLowerCase()) {
-    return res.status(403).json({ error: 'Access denied' });
-  }
-
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, child_first_name as firstName, child_last_name as lastName,
-       child_birth_date, status, tracking_number, created_at as createdAt, updated_at as updatedAt
-       FROM birth_certificate_applications WHERE user_name = ? ORDER BY created_at DESC`,
-      [username.toLowerCase()]
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.put('/api/birth-certificate-applications/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['pending', 'under_review', 'approved', 'denied', 'shipped'];
-  if (!status || !validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
-
-  try {
-    await pool.query(
-      'UPDATE birth_certificate_applications SET status = ?, updated_at = NOW() WHERE id = ?',
-      [status, id]
-    );
-    res.json({ success: true });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-app.put('/api/birth-certificate-applications/:id/tracking', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { trackingNumber, carrier } = req.body;
-
-  if (!trackingNumber || typeof trackingNumber !== 'string') {
-    return res.status(400).json({ error: 'Tracking number is required' });
-  }
-
-  try {
-    await pool.query(
-      'UPDATE birth_certificate_applications SET tracking_number = ?, shipping_carrier = ?, updated_at = NOW() WHERE id = ?',
-      [trackingNumber.trim(), carrier || null, id]
-    );
-    res.json({ success: true, carrier: carrier || null });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
-
-// ========================================
-// Travel Pass Applications Endpoints
-// ========================================
-
-app.post('/api/travel-pass-applications', authMiddleware, async (req, res) => {
-  const { user } = req;
-  const formData = req.body;
-
-  try {
-    const [result] = await pool.query(
-      `INSERT INTO travel_pass_applications (
-        user_id, user_name,
-        first_name, last_name, maiden_name, date_of_birth, place_of_birth, country_of_birth, gender, nationality,
-        height, eye_color, hair_color, distinguishing_marks,
-        current_address, city, country, phone, email,
-        father_name, mother_name, mother_maiden_name, marital_status, spouse_name,
-        travel_reason, destination_country, destination_city, departure_date, return_date, travel_duration,
-        emergency_contact_name, emergency_contact_relationship, emergency_contact_phone, emergency_contact_address,
-        passport_lost, passport_stolen, passport_expired, previous_passport_number,
-        passport_issue_date, passport_expiry_date, police_report_number, police_report_date,
-        status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        user.id, user.username,
-        formData.first_name, formData.last_name, formData.maiden_name || null, formData.date_of_birth,
-        formData.place_of_birth, formData.country_of_birth, formData.gender, formData.nationality,
-        formData.height || null, formData.eye_color || null, formData.hair_color || null, formData.distinguishing_marks || null,
-        formData.current_address, formData.city, formData.country, formData.phone, formData.email,
-        formData.father_name || null, formData.mother_name || null, formData.mother_maiden_name || null,
-        formData.marital_status, formData.spouse_name || null,
-        formData.travel_reason, formData.destination_country, formData.destination_city || null,
-        formData.departure_date, formData.return_date || null, formData.travel_duration || null,
-        formData.emergency_contact_name, formData.emergency_contact_relationship,
-        formData.emergency_contact_phone, formData.emergency_contact_address || null,
-        formData.passport_lost || false, formData.passport_stolen || false, formData.passport_expired || false,
-        formData.previous_passport_number || null, formData.passport_issue_date || null,
-        formData.passport_expiry_date || null, formData.police_report_number || null, formData.police_report_date || null,
-        'pending'
-      ]
-    );
-    res.json({ success: true, id: result.insertId });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Failed to submit application' });
-  }
-});
-
-app.get('/api/travel-pass-applications', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      `SELECT id, user_name as userName, first_name as firstName, last_name as lastName,
-       date_of_birth as dateOfBirth, nationality, destination_country as destinationCountry,
-       departure_date as departureDate, status, tracking_number as trackingNumber,
-       created_at as createdAt
-       FROM travel_pass_applications
-       ORDER BY created_at DESC`
-    );
-    res.json(rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+app.post('/api/signup', signupValidation, async (req, res) => {
+  const { username, password, firstName, lastName } = req.body;
+  // An explicit choice on the form wins over the browser's language
+  const language = req.body.language || parseAcceptLanguage(req.get('Accept-Language')) || DEFAULT_LOCALE;
 
-// Get single travel pass application by ID
-app.get('/api/travel-pass-applications/:id', authMiddleware, async (req, res) => {
-  const { id } = req.params;
   try {
-    const [rows] = await pool.query('SELECT * FROM travel_pass_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Application not found' });
+    const hash = await bcrypt.hash(password, 10);
+    const [result] = await pool.query(
+      'INSERT INTO login (username, password, firstname, lastname, language) VALUES (?, ?, ?, ?, ?)',
+      [username.toLowerCase(), hash, firstName, lastName, language]
+    );
 
-    const application = rows[0];
-    // Users can only view their own applications unless they're admin
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    // Signed in straight after signup
+    const user = { id: result.insertId, username: username.toLowerCase(), firstname: firstName, lastname: lastName, role: null, language };
+    const session = await createSession(pool, user.id, { ip: req.ip, userAgent: req.get('User-Agent') });
 
-    res.json(application);
+    res.json({ success: true, ...sessionResponse(res, user, session) });
   } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: req.t('errors.emailRegistered') });
+    }
     console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.server') });
   }
 });
 
-// Get travel pass application PDF
-app.get('/api/travel-pass-applications/:id/pdf', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  try {
-    const [rows] = await pool.query('SELECT * FROM travel_pass_applications WHERE id = ?', [id]);
-    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+app.post('/api/login', loginValidation, async (req, res) => {
+  const { username, password } = req.body;
 
-    const application = rows[0];
-    if (!req.user.isAdmin && req.user.username !== application.user_name) {
-      return res.status(403).json({ error: 'Access denied' });
+  try {
+    const [rows] = await pool.query('SELECT * FROM login WHERE username = ?', [username.toLowerCase()]);
+    const user = rows[0];
+    const ok = user ? await bcrypt.compare(password, user.password) : false;
+    if (!ok) {
+      await recordAudit(pool, {
+        ...requestActor(req),
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetId: user ? user.id : null,
+        details: { username: username.toLowerCase() },
+      });
+      return res.status(401).json({ error: req.t('errors.invalidCredentials') });
     }
 
-    // Use tracking number if available, otherwise use application ID
-    const barcodeText = application.tracking_number || `APP-${application.id}`;
-    const barcode = await bwipjs.toBuffer({
-      bcid: 'code128',
-      text: barcodeText,
-      scale: 3,
-      height: 10,
-      includetext: true,
-    });
+    // Staff access comes from the account's role; applicants have none
+    const role = isStaffRole(user.role) ? user.role : null;
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename=travel-pass-${application.id}.pdf`);
-
-    const doc = new PDFDocument();
-    doc.pipe(res);
-
-    const logoWidth = 80;
-    if (fs.existsSync(submissionLogoPath)) {
-      const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
-      const logoX = doc.page.margins.left + (contentWidth - logoWidth) / 2;
-      try {
-        doc.image(submissionLogoPath, logoX, doc.y, { width: logoWidth });
-        doc.moveDown();
-      } catch (imgErr) {
-        console.warn('Failed to add logo to travel pass PDF:', imgErr);
-      }
+    if (user.disabled_at) {
+      await recordAudit(pool, {
+        ...requestActor(req),
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetId: user.id,
+        details: { username: user.username, reason: 'disabled' },
+      });
+      return res.status(403).json({ error: req.t('errors.accountDisabled') });
     }
 
-    doc.fontSize(18).text('Travel Pass Application', { align: 'center' });
-    doc.moveDown(0.5);
-    doc.fontSize(12).text(`Application ID: ${application.id}`);
-    doc.text(`User: ${application.user_name}`);
-    doc.text(`Submitted: ${application.created_at}`);
-    doc.moveDown();
-
-    // Personal Information
-    doc.fontSize(14).text('Personal Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.first_name || ''} ${application.last_name || ''}`);
-    doc.text(`Maiden Name: ${application.maiden_name || 'N/A'}`);
-    doc.text(`Date of Birth: ${application.date_of_birth || ''}`);
-    doc.text(`Place of Birth: ${application.place_of_birth || ''}`);
-    doc.text(`Country of Birth: ${application.country_of_birth || ''}`);
-    doc.text(`Gender: ${application.gender || ''}`);
-    doc.text(`Nationality: ${application.nationality || ''}`);
-    doc.moveDown();
-
-    // Physical Description
-    doc.fontSize(14).text('Physical Description:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Height: ${application.height || 'N/A'}`);
-    doc.text(`Eye Color: ${application.eye_color || 'N/A'}`);
-    doc.text(`Hair Color: ${application.hair_color || 'N/A'}`);
-    doc.text(`Distinguishing Marks: ${application.distinguishing_marks || 'N/A'}`);
-    doc.moveDown();
-
-    // Contact Information
-    doc.fontSize(14).text('Contact Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Address: ${application.current_address || ''}`);
-    doc.text(`City: ${application.city || ''}`);
-    doc.text(`Country: ${application.country || ''}`);
-    doc.text(`Phone: ${application.phone || ''}`);
-    doc.text(`Email: ${application.email || ''}`);
-    doc.moveDown();
-
-    // Family Information
-    doc.fontSize(14).text('Family Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Father's Name: ${application.father_name || 'N/A'}`);
-    doc.text(`Mother's Name: ${application.mother_name || 'N/A'}`);
-    doc.text(`Mother's Maiden Name: ${application.mother_maiden_name || 'N/A'}`);
-    doc.text(`Marital Status: ${application.marital_status || ''}`);
-    doc.text(`Spouse Name: ${application.spouse_name || 'N/A'}`);
-    doc.moveDown();
-
-    // Travel Information
-    doc.fontSize(14).text('Travel Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Travel Reason: ${application.travel_reason || ''}`);
-    doc.text(`Destination Country: ${application.destination_country || ''}`);
-    doc.text(`Destination City: ${application.destination_city || 'N/A'}`);
-    doc.text(`Departure Date: ${application.departure_date || ''}`);
-    doc.text(`Return Date: ${application.return_date || 'N/A'}`);
-    doc.text(`Travel Duration: ${application.travel_duration || 'N/A'} days`);
-    doc.moveDown();
-
-    // Emergency Contact
-    doc.fontSize(14).text('Emergency Contact:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Name: ${application.emergency_contact_name || ''}`);
-    doc.text(`Relationship: ${application.emergency_contact_relationship || ''}`);
-    doc.text(`Phone: ${application.emergency_contact_phone || ''}`);
-    doc.text(`Address: ${application.emergency_contact_address || 'N/A'}`);
-    doc.moveDown();
-
-    // Passport Information
-    doc.fontSize(14).text('Passport Information:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Passport Lost: ${application.passport_lost ? 'Yes' : 'No'}`);
-    doc.text(`Passport Stolen: ${application.passport_stolen ? 'Yes' : 'No'}`);
-    doc.text(`Passport Expired: ${application.passport_expired ? 'Yes' : 'No'}`);
-    doc.text(`Previous Passport Number: ${application.previous_passport_number || 'N/A'}`);
-    doc.text(`Passport Issue Date: ${application.passport_issue_date || 'N/A'}`);
-    doc.text(`Passport Expiry Date: ${application.passport_expiry_date || 'N/A'}`);
-    doc.text(`Police Report Number: ${application.police_report_number || 'N/A'}`);
-    doc.text(`Police Report Date: ${application.police_report_date || 'N/A'}`);
-    doc.moveDown();
-
-    // Status at the bottom
-    doc.fontSize(14).text('Application Status:', { underline: true });
-    doc.fontSize(11);
-    doc.text(`Current Status: ${application.status}`);
-    doc.text(`Tracking Number: ${application.tracking_number || 'Pending'}`);
-    if (application.updated_at) {
-      doc.text(`Last Updated: ${application.updated_at}`);
+    // The password is right; staff, and applicants who turned it on, still need a code
+    if (user.totp_enabled_at || twoFactorRequired(role)) {
+      return res.json(twoFactorChallenge(user));
     }
-    doc.moveDown();
 
-    doc.image(barcode, { fit: [200, 80], align: 'left' });
-
-    doc.end();
+    await completeSignIn(req, res, user);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: req.t('errors.server') });
   }
 });
 
-app.get('/api/travel-pass-applications/user/:username', authMiddleware, async (req, res) => {
-  const { user } = req;
-  const { username } = req.params;
-
-  if (user.username !== username && !user.isAdmin) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+// Change the signed-in user's preferred language; new access tokens carry it
+app.put('/api/account/language', authMiddleware, languageValidation, async (req, res) => {
+  const { language } = req.body;
 
   try {
-    const [rows] = await pool.query(
-      `SELECT * FROM travel_pass_applications WHERE user_name = ? ORDER BY created_at DESC`,
-      [username]
-    );
-    res.json(rows);
+    await pool.query('UPDATE login SET language = ? WHERE id = ?', [language, req.user.id]);
+
+    // The access token carries the old language until the client refreshes it
+    res.json({ success: true, language });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Update language error:', err);
+    res.status(500).json({ error: req.t('errors.server') });
   }
 });
 
-app.put('/api/travel-pass-applications/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['pending', 'under_review', 'approved', 'denied', 'issued', 'collected'];
-  if (!validStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
+// ========================================
+// APPLICATION ENDPOINTS
+// ========================================
 
-  try {
-    const [current] = await pool.query('SELECT status_history FROM travel_pass_applications WHERE id = ?', [id]);
-    const history = current[0]?.status_history ? JSON.parse(current[0].status_history) : [];
-    history.push({ status, timestamp: new Date().toISOString() });
+// Visa, marriage, birth certificate and travel pass routes are generated from
+// the declarations in applicationTypes.js
+registerApplicationRoutes(app);
 
-    await pool.query(
-      'UPDATE travel_pass_applications SET status = ?, status_history = ?, updated_at = NOW() WHERE id = ?',
-      [status, JSON.stringify(history), id]
-    );
-    res.json({ success: true });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+// ========================================
+// APPOINTMENT ENDPOINTS
+// ========================================
 
-app.put('/api/travel-pass-applications/:id/tracking', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const { trackingNumber, carrier } = req.body;
+// Booking, service hours and blackouts, and the daily agenda (appointmentRoutes.js)
+registerAppointmentRoutes(app);
 
-  if (!trackingNumber || typeof trackingNumber !== 'string') {
-    return res.status(400).json({ error: 'Tracking number is required' });
-  }
+// ========================================
+// FEE AND PAYMENT ENDPOINTS
+// ========================================
 
-  try {
-    await pool.query(
-      'UPDATE travel_pass_applications SET tracking_number = ?, shipping_carrier = ?, updated_at = NOW() WHERE id = ?',
-      [trackingNumber.trim(), carrier || null, id]
-    );
-    res.json({ success: true, carrier: carrier || null });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+// Fee schedule, invoices, card and counter payments, and receipts (paymentRoutes.js)
+registerPaymentRoutes(app);
 
 // ========================================
 // CHAT ENDPOINTS
 // ========================================
 
-// Start or get chat conversation
-app.post('/api/chat/conversation', async (req, res) => {
-  const { sessionId, userName, userEmail } = req.body;
+// Visitor widget and staff inbox, with Server-Sent Events for live delivery (chatRoutes.js)
+registerChatRoutes(app);
 
-  if (!sessionId || !userName || !userEmail) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+// ========================================
+// ADMIN USER MANAGEMENT ENDPOINTS
+// ========================================
 
-  try {
-    // Check if conversation exists
-    const [existing] = await pool.query(
-      'SELECT * FROM chat_conversations WHERE session_id = ?',
-      [sessionId]
-    );
+const USER_SORTS = {
+  createdAt: timestampSort('created_at'),
+  name: textSort('lastname', 'firstname'),
+  username: textSort('username'),
+  id: idSort,
+};
+
+// listPage options for /api/admin/users and its export, from the query string
+const userListOptions = (query) => {
+  const { role, from, to, q, sort, order } = query;
+  const range = dateRangeConditions('created_at', { from, to });
+  const conditions = [...range.conditions];
+  const params = [...range.params];
+  if (role === 'staff') {
+    conditions.push('role IS NOT NULL');
+  } else if (role === 'applicant') {
+    conditions.push('role IS NULL');
+  } else if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+  const searched = searchCondition(['username', 'firstname', 'lastname'], q);
+  if (searched) {
+    conditions.push(searched.sql);
+    params.push(...searched.params);
+  }
+  return {
+    table: 'login',
+    select: 'id, username, firstname, lastname, role, created_at',
+    conditions,
+    params,
+    sorts: USER_SORTS,
+    sort: sort || 'createdAt',
+    order: order || 'desc',
+  };
+};
+
+const USER_EXPORT_COLUMNS = {
+  id: (row) => row.id,
+  username: (row) => row.username,
+  firstName: (row) => row.firstname,
+  lastName: (row) => row.lastname,
+  role: (row) => row.role,
+  createdAt: (row) => row.created_at,
+};
+
+// Search, filter and page through all accounts (admin only)
+app.get('/api/admin/users', authMiddleware, requirePermission('users:read'), userListValidation, async (req, res) => {
+  const page = pageOptions(req.query);
 
-    if (existing.length > 0) {
-      // Return existing conversation with messages
-      const [messages] = await pool.query(
-        'SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY created_at ASC',
-        [existing[0].id]
-      );
-      return res.json({
-        conversation: existing[0],
-        messages,
-      });
-    }
+  try {
+    await recordAudit(pool, { ...requestActor(req), action: 'users.list', details: req.query });
+    const { rows, total, nextCursor } = await listPage({ ...userListOptions(req.query), ...page });
+    res.json({ users: rows, total, nextCursor, limit: page.limit, offset: page.cursor ? null : page.offset });
+  } catch (err) {
+    console.error('Get users error:', err);
+    res.status(500).json({ error: req.t('errors.fetchUsersFailed') });
+  }
+});
 
-    // Create new conversation
-    const [result] = await pool.query(
-      'INSERT INTO chat_conversations (session_id, user_name, user_email) VALUES (?, ?, ?)',
-      [sessionId, userName, userEmail]
-    );
+// Every account the list filters match, as CSV or XLSX
+const userExport = userExportValidation(Object.keys(USER_EXPORT_COLUMNS));
 
-    res.json({
-      conversation: {
-        id: result.insertId,
-        session_id: sessionId,
-        user_name: userName,
-        user_email: userEmail,
-        status: 'active',
-      },
-      messages: [],
+app.get('/api/admin/users/export', authMiddleware, requirePermission('users:read'), userExport, async (req, res) => {
+  try {
+    await recordAudit(pool, { ...requestActor(req), action: 'users.export', details: req.query });
+    await sendExport(res, {
+      filename: `users-${new Date().toISOString().slice(0, 10)}`,
+      format: req.query.format,
+      columns: pickColumns(USER_EXPORT_COLUMNS, req.query.columns),
+      batches: listBatches(userListOptions(req.query)),
     });
   } catch (err) {
-    console.error('Chat conversation error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('User export error:', err);
+    if (!res.headersSent) res.status(500).json({ error: req.t('errors.fetchUsersFailed') });
+    else res.destroy(err);
   }
 });
 
-// Save chat message
-app.post('/api/chat/message', async (req, res) => {
-  const { sessionId, senderType, senderName, message } = req.body;
+// ========================================
+// STAFF ACCOUNT MANAGEMENT ENDPOINTS
+// ========================================
 
-  if (!sessionId || !senderType || !message) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+// List available staff roles and their permissions
+app.get('/api/admin/roles', authMiddleware, requirePermission('users:manage'), (req, res) => {
+  const roles = Object.entries(ROLES).map(([name, role]) => ({
+    name,
+    label: role.label,
+    permissions: role.permissions,
+  }));
+  res.json({ roles });
+});
 
+// List staff accounts
+app.get('/api/admin/staff', authMiddleware, requirePermission('users:manage'), async (req, res) => {
   try {
-    // Get conversation with user details
-    const [conversations] = await pool.query(
-      'SELECT * FROM chat_conversations WHERE session_id = ?',
-      [sessionId]
-    );
-
-    if (!conversations.length) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
-
-    const conversation = conversations[0];
-    const conversationId = conversation.id;
-
-    // Save message
-    await pool.query(
-      'INSERT INTO chat_messages (conversation_id, sender_type, sender_name, message) VALUES (?, ?, ?, ?)',
-      [conversationId, senderType, senderName, message]
-    );
+    const [staff] = await pool.query(`
+      SELECT id, username, firstname, lastname, role, created_at
+      FROM login
+      WHERE role IS NOT NULL
+      ORDER BY lastname ASC, firstname ASC
+    `);
+    res.json({ staff });
+  } catch (err) {
+    console.error('Get staff error:', err);
+    res.status(500).json({ error: req.t('errors.fetchStaffFailed') });
+  }
+});
 
-    // Update conversation last_message_at
-    await pool.query(
-      'UPDATE chat_conversations SET last_message_at = NOW() WHERE id = ?',
-      [conversationId]
-    );
+// Create a staff account, or grant a role to an existing account
+app.post('/api/admin/staff', authMiddleware, requirePermission('users:manage'), staffCreateValidation, async (req, res) => {
+  const { username, password, firstName, lastName, role } = req.body;
 
-    // Send email notification to admin if message is from user
-    if (senderType === 'user' && SMTP_CONFIGURED) {
-      try {
-        // Get all messages for this conversation to build transcript
-        const [allMessages] = await pool.query(
-          'SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY created_at ASC',
-          [conversationId]
-        );
-
-        // Build transcript
-        let transcript = '';
-        allMessages.forEach(msg => {
-          const time = new Date(msg.created_at).toLocaleString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-          });
-          transcript += `[${time}] ${msg.sender_name} (${msg.sender_type}):\n${msg.message}\n\n`;
-        });
+  try {
+    const [existing] = await pool.query('SELECT id, role FROM login WHERE username = ?', [username.toLowerCase()]);
 
-        // Send email to admin
-        await transporter.sendMail({
-          to: CONTACT_TO,
-          from: CONTACT_FROM,
-          replyTo: conversation.user_email,
-          subject: `New Chat Message from ${conversation.user_name}`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-              <div style="background: linear-gradient(135deg, #0b2f63 0%, #1e40af 100%); color: white; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
-                <h1 style="margin: 0; font-size: 24px;">💬 New Chat Message</h1>
-              </div>
-
-              <div style="background: #f8fafc; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
-                <div style="background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #0b2f63;">
-                  <h2 style="margin: 0 0 15px 0; color: #1e293b; font-size: 18px;">Customer Information</h2>
-                  <p style="margin: 5px 0; color: #475569;"><strong>Name:</strong> ${conversation.user_name}</p>
-                  <p style="margin: 5px 0; color: #475569;"><strong>Email:</strong> ${conversation.user_email}</p>
-                  <p style="margin: 5px 0; color: #475569;"><strong>Conversation ID:</strong> #${conversationId}</p>
-                </div>
-
-                <div style="background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-                  <h2 style="margin: 0 0 15px 0; color: #1e293b; font-size: 18px;">Latest Message</h2>
-                  <div style="background: #eff6ff; padding: 15px; border-radius: 8px; border-left: 4px solid #3b82f6;">
-                    <p style="margin: 0; color: #1e293b; line-height: 1.6;">${message}</p>
-                  </div>
-                </div>
-
-                <div style="background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-                  <h2 style="margin: 0 0 15px 0; color: #1e293b; font-size: 18px;">Full Conversation Transcript</h2>
-                  <div style="background: #f8fafc; padding: 15px; border-radius: 8px; font-family: 'Courier New', monospace; font-size: 13px; color: #475569; white-space: pre-wrap; max-height: 400px; overflow-y: auto; border: 1px solid #e5e7eb;">${transcript}</div>
-                </div>
-
-                <div style="text-align: center; margin-top: 30px;">
-                  <a href="${process.env.FRONTEND_URL || 'https://usrcaembassy.org'}/admin/messages"
-                     style="display: inline-block; background: #0b2f63; color: white; padding: 14px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">
-                    Reply in Admin Panel
-                  </a>
-                </div>
-
-                <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center; color: #94a3b8; font-size: 12px;">
-                  <p style="margin: 5px 0;">Central African Republic Embassy</p>
-                  <p style="margin: 5px 0;">Chat Notification System</p>
-                </div>
-              </div>
-            </div>
-          `,
+    if (existing.length > 0) {
+      await withTransaction(async (connection) => {
+        await connection.query('UPDATE login SET role = ? WHERE id = ?', [role, existing[0].id]);
+        // Signed in again, the account gets the role's permissions and sets up two-factor
+        await endUserSessions(connection, existing[0].id, 'role_changed');
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'staff.grant',
+          targetType: 'user',
+          targetId: existing[0].id,
+          diff: auditDiff(existing[0], { role }),
         });
-      } catch (emailErr) {
-        console.error('Failed to send chat notification email:', emailErr);
-        // Don't fail the request if email fails
-      }
+      });
+      return res.json({ success: true, id: existing[0].id, role, created: false });
     }
 
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Save message error:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
+    if (!password || !firstName || !lastName) {
+      return res.status(400).json({ error: req.t('errors.staffFieldsRequired') });
+    }
 
-// Get all conversations (admin only)
-app.get('/api/chat/conversations', authMiddleware, adminMiddleware, async (req, res) => {
-  try {
-    const [conversations] = await pool.query(`
-      SELECT
-        c.*,
-        (SELECT COUNT(*) FROM chat_messages WHERE conversation_id = c.id) as message_count,
-        (SELECT message FROM chat_messages WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message
-      FROM chat_conversations c
-      ORDER BY c.last_message_at DESC
-    `);
-    res.json({ conversations });
+    const hash = await bcrypt.hash(password, 10);
+    const result = await withTransaction(async (connection) => {
+      const [inserted] = await connection.query(
+        'INSERT INTO login (username, password, firstname, lastname, role) VALUES (?, ?, ?, ?, ?)',
+        [username.toLowerCase(), hash, firstName, lastName, role]
+      );
+      await recordAudit(connection, {
+        ...requestActor(req),
+        action: 'staff.grant',
+        targetType: 'user',
+        targetId: inserted.insertId,
+        diff: { role: [null, role] },
+        details: { username: username.toLowerCase(), created: true },
+      });
+      return inserted;
+    });
+    res.status(201).json({ success: true, id: result.insertId, role, created: true });
   } catch (err) {
-    console.error('Get conversations error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Create staff error:', err);
+    res.status(500).json({ error: req.t('errors.staffCreateFailed') });
   }
 });
 
-// Get conversation messages (admin only)
-app.get('/api/chat/conversations/:id/messages', authMiddleware, adminMiddleware, async (req, res) => {
+// Change a staff member's role
+app.put('/api/admin/staff/:id', authMiddleware, requirePermission('users:manage'), staffUpdateValidation, async (req, res) => {
   const { id } = req.params;
+  const { role } = req.body;
+
+  if (Number(id) === req.user.id && role !== req.user.role) {
+    return res.status(400).json({ error: req.t('errors.cannotChangeOwnRole') });
+  }
 
   try {
-    const [messages] = await pool.query(
-      'SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY created_at ASC',
-      [id]
-    );
-    res.json({ messages });
+    const result = await withTransaction(async (connection) => {
+      const [staff] = await connection.query('SELECT id, role FROM login WHERE id = ? AND role IS NOT NULL FOR UPDATE', [id]);
+      if (!staff.length) return { status: 404, error: 'errors.staffNotFound' };
+      await connection.query('UPDATE login SET role = ? WHERE id = ?', [role, id]);
+      // Signed-in devices would keep the old role's permissions until their next refresh
+      await endUserSessions(connection, staff[0].id, 'role_changed');
+      await recordAudit(connection, {
+        ...requestActor(req),
+        action: 'staff.update',
+        targetType: 'user',
+        targetId: staff[0].id,
+        diff: auditDiff(staff[0], { role }),
+      });
+      return {};
+    });
+    if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+    res.json({ success: true, id: Number(id), role });
   } catch (err) {
-    console.error('Get messages error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Update staff error:', err);
+    res.status(500).json({ error: req.t('errors.staffUpdateFailed') });
   }
 });
 
-// Send admin reply
-app.post('/api/chat/admin-reply', authMiddleware, adminMiddleware, async (req, res) => {
-  const { conversationId, message } = req.body;
-  const adminName = req.user.username;
+// Revoke staff access; the account remains as a regular applicant account
+app.delete('/api/admin/staff/:id', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+  const { id } = req.params;
 
-  if (!conversationId || !message) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (Number(id) === req.user.id) {
+    return res.status(400).json({ error: req.t('errors.cannotRevokeSelf') });
   }
 
   try {
-    // Save admin message
-    await pool.query(
-      'INSERT INTO chat_messages (conversation_id, sender_type, sender_name, message) VALUES (?, ?, ?, ?)',
-      [conversationId, 'admin', adminName, message]
-    );
-
-    // Update conversation last_message_at
-    await pool.query(
-      'UPDATE chat_conversations SET last_message_at = NOW() WHERE id = ?',
-      [conversationId]
-    );
-
+    const result = await withTransaction(async (connection) => {
+      const [staff] = await connection.query('SELECT id, role FROM login WHERE id = ? AND role IS NOT NULL FOR UPDATE', [id]);
+      if (!staff.length) return { status: 404, error: 'errors.staffNotFound' };
+      await connection.query('UPDATE login SET role = NULL WHERE id = ?', [id]);
+      // Signed-in devices would keep staff access until their next refresh
+      await endUserSessions(connection, staff[0].id, 'role_removed');
+      await recordAudit(connection, {
+        ...requestActor(req),
+        action: 'staff.revoke',
+        targetType: 'user',
+        targetId: staff[0].id,
+        diff: { role: [staff[0].role, null] },
+      });
+      return {};
+    });
+    if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
     res.json({ success: true });
   } catch (err) {
-    console.error('Admin reply error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Revoke staff error:', err);
+    res.status(500).json({ error: req.t('errors.staffRevokeFailed') });
   }
 });
 
-// Close conversation
-app.put('/api/chat/conversations/:id/close', authMiddleware, adminMiddleware, async (req, res) => {
-  const { id } = req.params;
+// ========================================
+// EMAIL OUTBOX ENDPOINTS
+// ========================================
+
+// List queued, sent and failed emails (bodies omitted)
+app.get('/api/admin/emails', authMiddleware, requirePermission('emails:read'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: req.t('errors.invalidStatus', { statuses: OUTBOX_STATUSES.join(', ') }) });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
   try {
-    await pool.query(
-      'UPDATE chat_conversations SET status = ? WHERE id = ?',
-      ['closed', id]
-    );
-    res.json({ success: true });
+    res.json(await listOutbox({ status, limit, offset }));
   } catch (err) {
-    console.error('Close conversation error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('List emails error:', err);
+    res.status(500).json({ error: req.t('errors.server') });
   }
 });
 
-// Get conversation by session ID (for user to retrieve their chat)
-app.get('/api/chat/session/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
-
+app.get('/api/admin/emails/:id', authMiddleware, requirePermission('emails:read'), async (req, res) => {
   try {
-    const [conversations] = await pool.query(
-      'SELECT * FROM chat_conversations WHERE session_id = ?',
-      [sessionId]
-    );
-
-    if (!conversations.length) {
-      return res.json({ conversation: null, messages: [] });
-    }
-
-    const [messages] = await pool.query(
-      'SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY created_at ASC',
-      [conversations[0].id]
-    );
-
-    res.json({
-      conversation: conversations[0],
-      messages,
-    });
+    const message = await findOutboxMessage(req.params.id);
+    if (!message) return res.status(404).json({ error: req.t('errors.emailNotFound') });
+    res.json(message);
   } catch (err) {
-    console.error('Get session error:', err);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Get email error:', err);
+    res.status(500).json({ error: req.t('errors.server') });
   }
 });
 
-// ========================================
-// ADMIN USER MANAGEMENT ENDPOINTS
-// ========================================
-
-// Get all users (admin only)
-app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res) => {
+// Queue a new copy of a sent or failed email
+app.post('/api/admin/emails/:id/resend', authMiddleware, requirePermission('emails:resend'), async (req, res) => {
   try {
-    const [users] = await pool.query(`
-      SELECT
-        id,
-        username,
-        firstname,
-        lastname,
-        created_at
-      FROM login
-      ORDER BY created_at DESC
-    `);
-    res.json({ users });
+    const message = await findOutboxMessage(req.params.id);
+    if (!message) return res.status(404).json({ error: req.t('errors.emailNotFound') });
+    if (message.redacted) {
+      return res.status(409).json({ error: req.t('errors.emailNotResendable') });
+    }
+
+    const id = await resendOutboxMessage(message.id);
+    res.json({ success: true, id });
   } catch (err) {
-    console.error('Get users error:', err);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    console.error('Resend email error:', err);
+    res.status(500).json({ error: req.t('errors.emailResendFailed') });
   }
 });
 
@@ -1743,7 +539,7 @@ app.get('/api/admin/users', authMiddleware, adminMiddleware, async (req, res) =>
 // ADMIN ANALYTICS ENDPOINT
 // ========================================
 
-app.get('/api/admin/analytics', authMiddleware, adminMiddleware, async (req, res) => {
+app.get('/api/admin/analytics', authMiddleware, requirePermission('analytics:read'), async (req, res) => {
   try {
     // Get total users with growth rate
     const [totalUsers] = await pool.query('SELECT COUNT(*) as count FROM login');
@@ -1754,37 +550,11 @@ app.get('/api/admin/analytics', authMiddleware, adminMiddleware, async (req, res
       'SELECT COUNT(*) as count FROM login WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)'
     );
 
-    // Get total applications across all types
-    const [totalVisa] = await pool.query('SELECT COUNT(*) as count FROM visa_applications');
-    const [totalMarriage] = await pool.query('SELECT COUNT(*) as count FROM marriage_applications');
-    const [totalBirth] = await pool.query('SELECT COUNT(*) as count FROM birth_certificate_applications');
-    const [totalTravel] = await pool.query('SELECT COUNT(*) as count FROM travel_pass_applications');
-
-    const totalApplications =
-      totalVisa[0].count +
-      totalMarriage[0].count +
-      totalBirth[0].count +
-      totalTravel[0].count;
-
-    // Get applications from last 30 days
-    const [visaLast30] = await pool.query(
-      'SELECT COUNT(*) as count FROM visa_applications WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)'
-    );
-    const [marriageLast30] = await pool.query(
-      'SELECT COUNT(*) as count FROM marriage_applications WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)'
-    );
-    const [birthLast30] = await pool.query(
-      'SELECT COUNT(*) as count FROM birth_certificate_applications WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)'
-    );
-    const [travelLast30] = await pool.query(
-      'SELECT COUNT(*) as count FROM travel_pass_applications WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)'
-    );
-
-    const applicationsLast30Days =
-      visaLast30[0].count +
-      marriageLast30[0].count +
-      birthLast30[0].count +
-      travelLast30[0].count;
+    // Application counts come from the queue layer, like the admin queue itself
+    const applicationCounts = await queueCounts();
+    const totalApplications = applicationCounts.total;
+    const since30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const applicationsLast30Days = (await queueCounts({ from: since30Days })).total;
 
     // Get chat conversations statistics
     const [totalConversations] = await pool.query('SELECT COUNT(*) as count FROM chat_conversations');
@@ -1857,12 +627,9 @@ app.get('/api/admin/analytics', authMiddleware, adminMiddleware, async (req, res
     });
 
     // Get most popular application types
-    const applicationTypes = [
-      { type: 'Visa', count: totalVisa[0].count },
-      { type: 'Marriage', count: totalMarriage[0].count },
-      { type: 'Birth Certificate', count: totalBirth[0].count },
-      { type: 'Travel Pass', count: totalTravel[0].count }
-    ].sort((a, b) => b.count - a.count);
+    const applicationTypes = Object.entries(applicationCounts.byType)
+      .map(([key, counts]) => ({ type: APPLICATION_TYPES[key].label, count: counts.total }))
+      .sort((a, b) => b.count - a.count);
 
     res.json({
       overview: {
@@ -1883,198 +650,262 @@ app.get('/api/admin/analytics', authMiddleware, adminMiddleware, async (req, res
     });
   } catch (err) {
     console.error('Get analytics error:', err);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    res.status(500).json({ error: req.t('errors.fetchAnalyticsFailed') });
   }
 });
 
-// ========================================
-// ADMIN STATISTICS ENDPOINT
-// ========================================
+// Where visitors, signed-in users and applicants come from over the last
+// ?days= (default 30), by country and by region within each country
+app.get('/api/admin/analytics/locations', authMiddleware, requirePermission('analytics:read'), analyticsPeriodValidation, async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+  const locale = requestLocale(req);
 
-app.get('/api/admin/statistics', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    // Get counts from all application tables
-    const [visaStats] = await pool.query(`
-      SELECT
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'under_review' THEN 1 ELSE 0 END) as under_review,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved,
-        SUM(CASE WHEN status = 'denied' THEN 1 ELSE 0 END) as denied,
-        SUM(CASE WHEN status = 'shipped' THEN 1 ELSE 0 END) as shipped
-      FROM visa_applications
-    `);
+    const [visitors] = await pool.query(
+      `SELECT country, region, COUNT(*) as pageViews, COUNT(DISTINCT COALESCE(session_id, ip_address)) as visitors
+       FROM visitor_logs
+       WHERE visited_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) AND country IS NOT NULL
+       GROUP BY country, region`,
+      [days - 1]
+    );
+    const [logins] = await pool.query(
+      `SELECT country, region, COUNT(*) as logins
+       FROM login_events
+       WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) AND country IS NOT NULL
+       GROUP BY country, region`,
+      [days - 1]
+    );
+    const [applications] = await pool.query(
+      `SELECT country, region, application_type as applicationType, COUNT(*) as applications
+       FROM application_events
+       WHERE event_type = 'submitted' AND created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY) AND country IS NOT NULL
+       GROUP BY country, region, application_type`,
+      [days - 1]
+    );
 
-    const [marriageStats] = await pool.query(`
-      SELECT
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'under_review' THEN 1 ELSE 0 END) as under_review,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved
-      FROM marriage_applications
-    `);
+    // One entry per country, with its regions, busiest first
+    const countries = new Map();
+    const entry = (country, region) => {
+      if (!countries.has(country)) {
+        countries.set(country, {
+          country,
+          name: formatCountry(locale, country),
+          visitors: 0, pageViews: 0, logins: 0, applications: 0,
+          applicationTypes: {},
+          regions: new Map(),
+        });
+      }
+      const byCountry = countries.get(country);
+      const name = region || null;
+      if (!byCountry.regions.has(name)) {
+        byCountry.regions.set(name, { region: name, visitors: 0, pageViews: 0, logins: 0, applications: 0 });
+      }
+      return [byCountry, byCountry.regions.get(name)];
+    };
+    const add = (targets, counts) => targets.forEach((target) => {
+      Object.entries(counts).forEach(([field, value]) => { target[field] += Number(value); });
+    });
 
-    const [birthStats] = await pool.query(`
-      SELECT
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'under_review' THEN 1 ELSE 0 END) as under_review,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved
-      FROM birth_certificate_applications
-    `);
+    visitors.forEach((row) => add(entry(row.country, row.region), { visitors: row.visitors, pageViews: row.pageViews }));
+    logins.forEach((row) => add(entry(row.country, row.region), { logins: row.logins }));
+    applications.forEach((row) => {
+      const targets = entry(row.country, row.region);
+      add(targets, { applications: row.applications });
+      const types = targets[0].applicationTypes;
+      types[row.applicationType] = (types[row.applicationType] || 0) + Number(row.applications);
+    });
 
-    const [travelStats] = await pool.query(`
-      SELECT
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'under_review' THEN 1 ELSE 0 END) as under_review,
-        SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved
-      FROM travel_pass_applications
+    const byActivity = (a, b) => b.applications - a.applications || b.visitors - a.visitors || b.logins - a.logins;
+    res.json({
+      days,
+      database: geoipStatus(),
+      countries: [...countries.values()]
+        .map((country) => ({ ...country, regions: [...country.regions.values()].sort(byActivity) }))
+        .sort(byActivity),
+    });
+  } catch (err) {
+    console.error('Location analytics error:', err);
+    res.status(500).json({ error: req.t('errors.server') });
+  }
+});
+
+// ========================================
+// ADMIN STATISTICS ENDPOINT
+// ========================================
+
+// Full years, as MySQL's TIMESTAMPDIFF(YEAR, ...) counts them
+const ageGroup = (birthDate) => {
+  if (!(birthDate instanceof Date) || Number.isNaN(birthDate.getTime())) return 'Unknown';
+  const today = new Date();
+  const birthdayPassed = today.getMonth() > birthDate.getMonth()
+    || (today.getMonth() === birthDate.getMonth() && today.getDate() >= birthDate.getDate());
+  const age = today.getFullYear() - birthDate.getFullYear() - (birthdayPassed ? 0 : 1);
+  if (age >= 18 && age <= 30) return '18-30';
+  if (age >= 31 && age <= 50) return '31-50';
+  if (age > 50) return '50+';
+  return 'Unknown';
+};
+
+// Dashboard totals, per-type breakdowns and demographics
+const loadStatistics = async () => {
+  // Counts by type and status from the queue layer, so they match the admin queue
+  const applicationCounts = await queueCounts();
+  const typeStats = (key) => ({ total: applicationCounts.byType[key].total, ...applicationCounts.byType[key].byStatus });
+
+  let userTotal = 0;
+  try {
+    const [userStats] = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM login
     `);
+    userTotal = Number(userStats[0]?.total) || 0;
+  } catch (err) {
+    console.warn('User count fallback to users table:', err?.message || err);
+  }
 
-    let userTotal = 0;
+  if (userTotal === 0) {
     try {
-      const [userStats] = await pool.query(`
+      const [userStatsLegacy] = await pool.query(`
         SELECT COUNT(*) as total
-        FROM login
+        FROM users
       `);
-      userTotal = Number(userStats[0]?.total) || 0;
-    } catch (err) {
-      console.warn('User count fallback to users table:', err?.message || err);
-    }
-
-    if (userTotal === 0) {
-      try {
-        const [userStatsLegacy] = await pool.query(`
-          SELECT COUNT(*) as total
-          FROM users
-        `);
-        const legacyTotal = Number(userStatsLegacy[0]?.total) || 0;
-        if (legacyTotal > 0) {
-          userTotal = legacyTotal;
-        }
-      } catch (err) {
-        console.warn('User count fallback failed:', err?.message || err);
+      const legacyTotal = Number(userStatsLegacy[0]?.total) || 0;
+      if (legacyTotal > 0) {
+        userTotal = legacyTotal;
       }
+    } catch (err) {
+      console.warn('User count fallback failed:', err?.message || err);
     }
+  }
 
-    // Get gender distribution from visa applications
-    const [genderStats] = await pool.query(`
-      SELECT
-        gender,
-        COUNT(*) as count
-      FROM visa_applications
-      WHERE gender IS NOT NULL AND gender != ''
-      GROUP BY gender
-    `);
-
-    // Get age distribution from visa applications
-    const [ageStats] = await pool.query(`
-      SELECT
-        CASE
-          WHEN TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE()) BETWEEN 18 AND 30 THEN '18-30'
-          WHEN TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE()) BETWEEN 31 AND 50 THEN '31-50'
-          WHEN TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE()) > 50 THEN '50+'
-          ELSE 'Unknown'
-        END as age_group,
-        COUNT(*) as count
-      FROM visa_applications
-      WHERE date_of_birth IS NOT NULL
-      GROUP BY age_group
-    `);
-
-    // Calculate totals
-    const totalApplications =
-      Number(visaStats[0].total) +
-      Number(marriageStats[0].total) +
-      Number(birthStats[0].total) +
-      Number(travelStats[0].total);
-
-    const totalPending =
-      Number(visaStats[0].pending) +
-      Number(marriageStats[0].pending) +
-      Number(birthStats[0].pending) +
-      Number(travelStats[0].pending);
-
-    const totalUnderReview =
-      Number(visaStats[0].under_review) +
-      Number(marriageStats[0].under_review) +
-      Number(birthStats[0].under_review) +
-      Number(travelStats[0].under_review);
-
-    const totalApproved =
-      Number(visaStats[0].approved) +
-      Number(marriageStats[0].approved) +
-      Number(birthStats[0].approved) +
-      Number(travelStats[0].approved);
-
-    // Calculate gender percentages
-    const genderDistribution = {};
-    let totalWithGender = 0;
-    genderStats.forEach(stat => {
-      genderDistribution[stat.gender.toLowerCase()] = Number(stat.count);
-      totalWithGender += Number(stat.count);
-    });
-
-    const malePercentage = totalWithGender > 0
-      ? Math.round((genderDistribution.male || 0) / totalWithGender * 100)
-      : 0;
-    const femalePercentage = totalWithGender > 0
-      ? Math.round((genderDistribution.female || 0) / totalWithGender * 100)
-      : 0;
-
-    // Calculate age distribution percentages
-    const ageDistribution = {};
-    let totalWithAge = 0;
-    ageStats.forEach(stat => {
-      ageDistribution[stat.age_group] = Number(stat.count);
-      totalWithAge += Number(stat.count);
-    });
-
-    const age18_30 = totalWithAge > 0
-      ? Math.round((ageDistribution['18-30'] || 0) / totalWithAge * 100)
-      : 0;
-    const age31_50 = totalWithAge > 0
-      ? Math.round((ageDistribution['31-50'] || 0) / totalWithAge * 100)
-      : 0;
-    const age50Plus = totalWithAge > 0
-      ? Math.round((ageDistribution['50+'] || 0) / totalWithAge * 100)
-      : 0;
-
-    res.json({
-      totals: {
-        applications: totalApplications,
-        pending: totalPending,
-        underReview: totalUnderReview,
-        approved: totalApproved,
-      },
-      byType: {
-        visa: visaStats[0],
-        marriage: marriageStats[0],
-        birth: birthStats[0],
-        travel: travelStats[0],
+  // Get gender distribution from visa applications
+  const [genderStats] = await pool.query(`
+    SELECT
+      gender,
+      COUNT(*) as count
+    FROM visa_applications
+    WHERE gender IS NOT NULL AND gender != ''
+    GROUP BY gender
+  `);
+
+  // Get age distribution from visa applications. Dates of birth are
+  // encrypted (fieldEncryption.js), so ages are worked out here.
+  const [birthDates] = await pool.query(
+    'SELECT date_of_birth FROM visa_applications WHERE date_of_birth IS NOT NULL'
+  );
+  const ageCounts = {};
+  birthDates.forEach((row) => {
+    const group = ageGroup(decryptFields(APPLICATION_TYPES.visa, row).date_of_birth);
+    ageCounts[group] = (ageCounts[group] || 0) + 1;
+  });
+  const ageStats = Object.entries(ageCounts).map(([age_group, count]) => ({ age_group, count }));
+
+  // Calculate gender percentages
+  const genderDistribution = {};
+  let totalWithGender = 0;
+  genderStats.forEach(stat => {
+    genderDistribution[stat.gender.toLowerCase()] = Number(stat.count);
+    totalWithGender += Number(stat.count);
+  });
+
+  const malePercentage = totalWithGender > 0
+    ? Math.round((genderDistribution.male || 0) / totalWithGender * 100)
+    : 0;
+  const femalePercentage = totalWithGender > 0
+    ? Math.round((genderDistribution.female || 0) / totalWithGender * 100)
+    : 0;
+
+  // Calculate age distribution percentages
+  const ageDistribution = {};
+  let totalWithAge = 0;
+  ageStats.forEach(stat => {
+    ageDistribution[stat.age_group] = Number(stat.count);
+    totalWithAge += Number(stat.count);
+  });
+
+  const age18_30 = totalWithAge > 0
+    ? Math.round((ageDistribution['18-30'] || 0) / totalWithAge * 100)
+    : 0;
+  const age31_50 = totalWithAge > 0
+    ? Math.round((ageDistribution['31-50'] || 0) / totalWithAge * 100)
+    : 0;
+  const age50Plus = totalWithAge > 0
+    ? Math.round((ageDistribution['50+'] || 0) / totalWithAge * 100)
+    : 0;
+
+  return {
+    totals: {
+      applications: applicationCounts.total,
+      pending: applicationCounts.byStatus.pending,
+      underReview: applicationCounts.byStatus.under_review,
+      approved: applicationCounts.byStatus.approved,
+      unassigned: applicationCounts.unassigned,
+    },
+    byType: {
+      visa: typeStats('visa'),
+      marriage: typeStats('marriage'),
+      birth: typeStats('birth_certificate'),
+      travel: typeStats('travel_pass'),
+    },
+    demographics: {
+      gender: {
+        male: malePercentage,
+        female: femalePercentage,
+        maleCount: genderDistribution.male || 0,
+        femaleCount: genderDistribution.female || 0,
       },
-      demographics: {
-        gender: {
-          male: malePercentage,
-          female: femalePercentage,
-          maleCount: genderDistribution.male || 0,
-          femaleCount: genderDistribution.female || 0,
-        },
-        age: {
-          '18-30': age18_30,
-          '31-50': age31_50,
-          '50+': age50Plus,
-          counts: ageDistribution,
-        },
+      age: {
+        '18-30': age18_30,
+        '31-50': age31_50,
+        '50+': age50Plus,
+        counts: ageDistribution,
       },
-      users: {
-        total: userTotal,
-      },
-    });
+    },
+    users: {
+      total: userTotal,
+    },
+  };
+};
+
+// One row per figure of loadStatistics(), e.g. byType / visa.pending / 4
+const statisticsRows = (value, path = []) => {
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => statisticsRows(item, [...path, key]));
+  }
+  return [{ section: path[0], metric: path.slice(1).join('.'), value }];
+};
+
+const STATISTICS_EXPORT_COLUMNS = {
+  section: (row) => row.section,
+  metric: (row) => row.metric,
+  value: (row) => row.value,
+};
+
+app.get('/api/admin/statistics', authMiddleware, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    res.json(await loadStatistics());
   } catch (err) {
     console.error('Statistics error:', err);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
+    res.status(500).json({ error: req.t('errors.fetchStatisticsFailed') });
+  }
+});
+
+const statisticsExport = statisticsExportValidation(Object.keys(STATISTICS_EXPORT_COLUMNS));
+
+// The same figures as a CSV or XLSX table
+app.get('/api/admin/statistics/export', authMiddleware, requirePermission('analytics:read'), statisticsExport, async (req, res) => {
+  try {
+    const rows = statisticsRows(await loadStatistics());
+    await sendExport(res, {
+      filename: `statistics-${new Date().toISOString().slice(0, 10)}`,
+      format: req.query.format,
+      columns: pickColumns(STATISTICS_EXPORT_COLUMNS, req.query.columns),
+      batches: [rows],
+    });
+  } catch (err) {
+    console.error('Statistics export error:', err);
+    if (!res.headersSent) res.status(500).json({ error: req.t('errors.fetchStatisticsFailed') });
+    else res.destroy(err);
   }
 });
 
@@ -2086,56 +917,26 @@ app.get('/api/track/:trackingNumber', async (req, res) => {
   const { trackingNumber } = req.params;
 
   try {
-    // Search in all application tables for the tracking number
-    const [visaResults] = await pool.query(
-      `SELECT id, user_name, first_name, last_name, status, visa_type as type_detail, 'Visa' as type, created_at, updated_at
-       FROM visa_applications
-       WHERE tracking_number = ?`,
-      [trackingNumber]
-    );
-
-    const [marriageResults] = await pool.query(
-      `SELECT id, user_name, spouse1_first_name as first_name, spouse1_last_name as last_name, status, 'Marriage' as type_detail, 'Marriage Certificate' as type, created_at, updated_at
-       FROM marriage_applications
-       WHERE tracking_number = ?`,
-      [trackingNumber]
-    );
-
-    const [birthResults] = await pool.query(
-      `SELECT id, user_name, child_first_name as first_name, child_last_name as last_name, status, 'Birth' as type_detail, 'Birth Certificate' as type, created_at, updated_at
-       FROM birth_certificate_applications
-       WHERE tracking_number = ?`,
-      [trackingNumber]
-    );
-
-    const [travelResults] = await pool.query(
-      `SELECT id, user_name, first_name, last_name, status, 'Travel Pass' as type_detail, 'Travel Pass' as type, created_at, updated_at
-       FROM travel_pass_applications
-       WHERE tracking_number = ?`,
-      [trackingNumber]
-    );
-
-    // Combine all results
-    const allResults = [...visaResults, ...marriageResults, ...birthResults, ...travelResults];
-
-    if (allResults.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
+    // Searched across every application table by the queue layer
+    const { applications } = await listQueue({ trackingNumber, limit: 1 });
+    if (applications.length === 0) {
+      return res.status(404).json({ error: req.t('errors.applicationNotFound') });
     }
 
-    // Return the first match
-    const application = allResults[0];
+    const application = applications[0];
+    const type = APPLICATION_TYPES[application.type];
     res.json({
       id: application.id,
-      type: application.type,
-      typeDetail: application.type_detail,
-      applicantName: `${application.first_name} ${application.last_name}`,
+      type: type.label,
+      typeDetail: application.subType || type.label,
+      applicantName: application.applicantName,
       status: application.status,
-      createdAt: application.created_at,
-      updatedAt: application.updated_at,
+      createdAt: application.createdAt,
+      updatedAt: application.updatedAt,
     });
   } catch (err) {
     console.error('Tracking error:', err);
-    res.status(500).json({ error: 'Failed to track application' });
+    res.status(500).json({ error: req.t('errors.trackFailed') });
   }
 });
 
@@ -2148,22 +949,25 @@ app.post('/api/password-reset/request', async (req, res) => {
   const { email } = req.body;
 
   if (!email) {
-    return res.status(400).json({ error: 'Email is required' });
+    return res.status(400).json({ error: req.t('errors.emailRequired') });
   }
 
   try {
     // Check if user exists
-    const [users] = await pool.query('SELECT id, username, firstname, lastname FROM login WHERE username = ?', [email.toLowerCase()]);
+    const [users] = await pool.query(
+      'SELECT id, username, firstname, lastname, language FROM login WHERE username = ?',
+      [email.toLowerCase()]
+    );
 
     if (users.length === 0) {
       // Don't reveal if email exists or not for security
-      return res.json({ success: true, message: 'If an account exists with this email, a password reset link has been sent.' });
+      return res.json({ success: true, message: req.t('messages.resetLinkSent') });
     }
 
     const user = users[0];
 
     // Generate reset token (valid for 1 hour)
-    const resetToken = generateToken({ id: user.id, username: user.username, type: 'password_reset' });
+    const resetToken = generateToken({ id: user.id, username: user.username, type: 'password_reset' }, '1h');
 
     // Store reset token in database
     await pool.query(
@@ -2173,33 +977,22 @@ app.post('/api/password-reset/request', async (req, res) => {
     );
 
     // Send reset email
-    if (SMTP_CONFIGURED) {
-      const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-
-      try {
-        await transporter.sendMail({
-          to: user.username,
-          from: CONTACT_FROM,
-          subject: 'Password Reset Request - CAR Embassy',
-          html: `
-            <h2>Password Reset Request</h2>
-            <p>Hello ${user.firstname} ${user.lastname},</p>
-            <p>We received a request to reset your password. Click the link below to reset your password:</p>
-            <p><a href="${resetLink}" style="background: #0b3b7a; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Reset Password</a></p>
-            <p>This link will expire in 1 hour.</p>
-            <p>If you didn't request this, please ignore this email.</p>
-            <p>Best regards,<br>Central African Republic Embassy</p>
-          `,
-        });
-      } catch (emailErr) {
-        console.error('Email send error:', emailErr);
-      }
-    }
+    await queueEmail({
+      template: 'password-reset',
+      to: user.username,
+      locale: parseAcceptLanguage(req.get('Accept-Language'))
+        || (isSupportedLocale(user.language) ? user.language : DEFAULT_LOCALE),
+      vars: {
+        firstName: user.firstname,
+        lastName: user.lastname,
+        resetLink: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+      },
+    });
 
-    res.json({ success: true, message: 'If an account exists with this email, a password reset link has been sent.' });
+    res.json({ success: true, message: req.t('messages.resetLinkSent') });
   } catch (err) {
     console.error('Password reset request error:', err);
-    res.status(500).json({ error: 'Failed to process password reset request' });
+    res.status(500).json({ error: req.t('errors.resetRequestFailed') });
   }
 });
 
@@ -2208,18 +1001,18 @@ app.post('/api/password-reset/reset', async (req, res) => {
   const { token, newPassword } = req.body;
 
   if (!token || !newPassword) {
-    return res.status(400).json({ error: 'Token and new password are required' });
+    return res.status(400).json({ error: req.t('errors.resetFieldsRequired') });
   }
 
   if (newPassword.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    return res.status(400).json({ error: req.t('errors.passwordTooShort', { min: 6 }) });
   }
 
   try {
     // Verify token
     const decoded = verifyToken(token);
     if (!decoded || decoded.type !== 'password_reset') {
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
+      return res.status(400).json({ error: req.t('errors.invalidResetToken') });
     }
 
     // Check if token exists in database and hasn't expired
@@ -2229,7 +1022,7 @@ app.post('/api/password-reset/reset', async (req, res) => {
     );
 
     if (resets.length === 0) {
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
+      return res.status(400).json({ error: req.t('errors.invalidResetToken') });
     }
 
     // Hash new password
@@ -2241,21 +1034,85 @@ app.post('/api/password-reset/reset', async (req, res) => {
     // Delete used reset token
     await pool.query('DELETE FROM password_resets WHERE user_id = ?', [decoded.id]);
 
-    res.json({ success: true, message: 'Password has been reset successfully' });
+    // Whoever knew the old password is signed out everywhere
+    await endUserSessions(pool, decoded.id, 'password_reset');
+
+    res.json({ success: true, message: req.t('messages.passwordReset') });
   } catch (err) {
     console.error('Password reset error:', err);
-    res.status(500).json({ error: 'Failed to reset password' });
+    res.status(500).json({ error: req.t('errors.resetFailed') });
   }
 });
 
-// Visitor tracking removed - was causing rate limiting issues
+// Page-view beacon and visitor statistics, written in batches (visitorRoutes.js)
+registerVisitorRoutes(app);
+
+// ========================================
+// SESSION ENDPOINTS
+// ========================================
+
+// Token refresh, sign-out, the account's sessions and disabling accounts (sessionRoutes.js)
+registerSessionRoutes(app);
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ========================================
+
+// TOTP enrollment, the second sign-in step and recovery codes (twoFactorRoutes.js)
+registerTwoFactorRoutes(app);
+
+// ========================================
+// AUDIT LOG ENDPOINTS
+// ========================================
+
+// Searchable, hash-chained record of staff actions and data access (auditRoutes.js)
+registerAuditRoutes(app);
 
-app.listen(PORT, async () => {
-  console.log(`Server listening on port ${PORT}`);
+// Event streams reconnect on their own, so they are cut after this long
+const SHUTDOWN_GRACE_MS = 5000;
+
+// On SIGTERM (a deploy) or SIGINT: write the buffered page views, let open
+// requests finish, then close the database pool
+const shutdown = (server) => async (signal) => {
+  console.log(`${signal} received, shutting down`);
+  stopOutboxWorker();
   try {
-    await initDB();
-    console.log('Database initialized successfully');
+    await stopVisitorTracking();
+    await new Promise((resolve) => {
+      server.close(resolve);
+      server.closeIdleConnections();
+      setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref();
+    });
+    await pool.end();
   } catch (err) {
-    console.error('Database initialization failed:', err);
-  }
-});
\ No newline at end of file
+    console.error('Shutdown error:', err);
+    process.exit(1);
+  }
+  process.exit(0);
+};
+
+// Refuse to serve against a schema that is behind the code
+const start = () => getPendingMigrations()
+  .then((pending) => {
+    if (pending.length) {
+      console.error(
+        `Database has ${pending.length} pending migration(s): ${pending.map((m) => `${m.version}_${m.name}`).join(', ')}. ` +
+        'Run `npm run migrate` before starting the server.'
+      );
+      process.exit(1);
+    }
+    const server = app.listen(PORT, () => {
+      console.log(`Server listening on port ${PORT}`);
+    });
+    startOutboxWorker();
+    startVisitorTracking();
+    process.once('SIGTERM', shutdown(server));
+    process.once('SIGINT', shutdown(server));
+  })
+  .catch((err) => {
+    console.error('Database schema check failed:', err);
+    process.exit(1);
+  });
+
+// Only when run as the server; the route tests (test/) import `app` alone
+if (process.argv[1] === fileURLToPath(import.meta.url)) start();
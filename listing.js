@@ -0,0 +1,188 @@
+import { pool } from './db.js';
+
+// ========================================
+// ADMIN LIST QUERIES
+// ========================================
+//
+// Paging, sorting and free-text search shared by the admin lists (the
+// application lists, the cross-type queue and /api/admin/users). A page is
+// asked for either by offset or by the opaque `nextCursor` of the previous
+// page; the cursor stays correct while new rows arrive, offsets can skip or
+// repeat them.
+
+export const DEFAULT_LIST_LIMIT = 50;
+export const MAX_LIST_LIMIT = 200;
+// Rows fetched per query when a whole list is read (exports)
+const BATCH_SIZE = 500;
+export const SORT_ORDERS = ['asc', 'desc'];
+
+// Words beyond this are ignored; each one adds a LIKE per searched column
+const MAX_SEARCH_WORDS = 5;
+
+/**
+ * Sorts are an SQL expression over the table's own columns plus the value a
+ * cursor records for it. Timestamps are recorded as 'YYYY-MM-DD HH:MM:SS' in
+ * the connection's time zone, which is also how MySQL compares them.
+ */
+export const timestampSort = (column) => ({
+  expression: column,
+  cursorValue: `DATE_FORMAT(${column}, '%Y-%m-%d %H:%i:%s')`,
+});
+
+// Text sorts compare as strings (ENUMs included) with NULL as ''
+export const textSort = (...columns) => {
+  const expression = columns.length === 1
+    ? `COALESCE(${columns[0]}, '')`
+    : `CONCAT_WS(' ', ${columns.map((column) => `COALESCE(${column}, '')`).join(', ')})`;
+  return { expression, cursorValue: expression };
+};
+
+export const idSort = { expression: 'id', cursorValue: 'id' };
+
+// ========================================
+// CURSORS
+// ========================================
+
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sort, value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const validValue = typeof value === 'string' || typeof value === 'number';
+    return typeof sort === 'string' && validValue && Number.isInteger(id) ? { sort, value, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+// A cursor only continues the sort it was issued for
+export const isValidListCursor = (cursor, sort) => {
+  const decoded = decodeCursor(cursor);
+  return !!decoded && decoded.sort === sort;
+};
+
+// ========================================
+// FILTERS
+// ========================================
+
+// LIKE pattern matching `text` anywhere, with its own wildcards escaped
+const containsPattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+/**
+ * Condition requiring every word of `search` to appear in at least one of
+ * `columns`, as `{ sql, params }`, or null for an empty search.
+ */
+export const searchCondition = (columns, search) => {
+  const words = String(search || '').trim().split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_WORDS);
+  if (!words.length) return null;
+  const clause = `(${columns.map((column) => `${column} LIKE ?`).join(' OR ')})`;
+  return {
+    sql: words.map(() => clause).join(' AND '),
+    params: words.flatMap((word) => columns.map(() => containsPattern(word))),
+  };
+};
+
+// Inclusive YYYY-MM-DD bounds on a timestamp column
+export const dateRangeConditions = (column, { from, to }) => {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`${column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(to);
+  }
+  return { conditions, params };
+};
+
+// ========================================
+// PAGES
+// ========================================
+
+/**
+ * One page of `table`, or of `source` ({ sql, params }: any FROM clause):
+ * `select` columns of the rows matching `conditions`, ordered by
+ * `sorts[sort]` and then the unique `key` column. With a `cursor` the page
+ * starts after the row it names and `offset` is ignored. Returns `{ rows,
+ * total, nextCursor }`; `total` counts every matching row (null with
+ * `count: false`) and `nextCursor` is null on the last page.
+ */
+export const listPage = async ({
+  table,
+  source = { sql: '??', params: [table] },
+  key = 'id',
+  select,
+  conditions = [],
+  params = [],
+  sorts,
+  sort,
+  order = 'desc',
+  limit = DEFAULT_LIST_LIMIT,
+  offset = 0,
+  cursor,
+  count = true,
+}) => {
+  let total = null;
+  if (count) {
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [[row]] = await pool.query(
+      `SELECT COUNT(*) as total FROM ${source.sql} ${where}`,
+      [...source.params, ...params]
+    );
+    total = Number(row.total);
+  }
+
+  const { expression, cursorValue } = sorts[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const comparison = order === 'asc' ? '>' : '<';
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  const after = cursor && decodeCursor(cursor);
+  if (after) {
+    pageConditions.push(`(${expression} ${comparison} ? OR (${expression} = ? AND ${key} ${comparison} ?))`);
+    pageParams.push(after.value, after.value, after.id);
+  }
+
+  const [rows] = await pool.query(
+    `SELECT ${select}, ${cursorValue} as cursor_value, ${key} as cursor_id FROM ${source.sql}
+     ${pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ORDER BY ${expression} ${direction}, ${key} ${direction}
+     LIMIT ? OFFSET ?`,
+    [...source.params, ...pageParams, limit + 1, after ? 0 : offset]
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    rows: page.map(({ cursor_value, cursor_id, ...row }) => row),
+    total,
+    nextCursor: rows.length > limit ? encodeCursor(sort, last.cursor_value, last.cursor_id) : null,
+  };
+};
+
+/**
+ * Every row matching listPage `options`, in order, as successive arrays of at
+ * most `batchSize` rows. Each batch is one keyset query, so a whole table can
+ * be read without holding it in memory.
+ */
+export async function* listBatches(options, batchSize = BATCH_SIZE) {
+  let cursor;
+  do {
+    const { rows, nextCursor } = await listPage({ ...options, limit: batchSize, offset: 0, cursor, count: false });
+    if (rows.length) yield rows;
+    cursor = nextCursor;
+  } while (cursor);
+}
+
+// limit/offset/page/cursor from the query string (already validated)
+export const pageOptions = (query) => {
+  const limit = parseInt(query.limit) || DEFAULT_LIST_LIMIT;
+  const page = parseInt(query.page);
+  return {
+    limit,
+    offset: page ? (page - 1) * limit : parseInt(query.offset) || 0,
+    cursor: query.cursor || undefined,
+  };
+};
@@ -0,0 +1,31 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const CONTACT_TO = process.env.CONTACT_TO || 'jovite@usrcaembassy.org';
+export const CONTACT_FROM = process.env.CONTACT_FROM || 'info@mailkessedesk.com';
+
+// A local SMTP stand-in (MailHog, smtp4dev, ...) needs no password: set
+// SMTP_HOST, SMTP_PORT and SMTP_SECURE=false instead.
+export const SMTP_CONFIGURED = !!(process.env.SMTP_PASS || process.env.SMTP_HOST);
+
+const port = parseInt(process.env.SMTP_PORT || '465');
+
+export const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'smtp.hostinger.com',
+  port,
+  secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+  ...(process.env.SMTP_PASS
+    ? {
+      auth: {
+        user: process.env.SMTP_USER || 'info@mailkessedesk.com',
+        pass: process.env.SMTP_PASS,
+      },
+    }
+    : {}),
+});
+
+if (!SMTP_CONFIGURED) {
+  console.warn('SMTP_HOST/SMTP_PASS are not set; queued emails will not be delivered.');
+}
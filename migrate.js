@@ -0,0 +1,60 @@
+import 'dotenv/config';
+import { pool, ensureDatabase } from './db.js';
+import { getMigrationStatus, migrateUp, migrateDown } from './migrator.js';
+
+const USAGE = `Usage: node migrate.js <command> [options]
+
+Commands:
+  up                 Apply all pending migrations
+  down [--steps N]   Revert the last N applied migrations (default 1)
+  status             List migrations and whether they are applied
+
+Options:
+  --dry-run          Print the SQL that would run without changing the schema`;
+
+const [command, ...args] = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const stepsIndex = args.indexOf('--steps');
+const steps = stepsIndex === -1 ? 1 : Number(args[stepsIndex + 1]);
+
+async function run() {
+  switch (command) {
+    case 'up': {
+      if (!dryRun) await ensureDatabase();
+      const applied = await migrateUp({ dryRun });
+      console.log(applied.length
+        ? `${dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s).`
+        : 'Schema is up to date.');
+      break;
+    }
+    case 'down': {
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await migrateDown({ steps, dryRun });
+      console.log(reverted.length
+        ? `${dryRun ? 'Would revert' : 'Reverted'} ${reverted.length} migration(s).`
+        : 'No applied migrations to revert.');
+      break;
+    }
+    case 'status': {
+      const status = await getMigrationStatus();
+      console.table(status.map((migration) => ({
+        version: migration.version,
+        name: migration.name || '(file missing)',
+        applied: migration.appliedAt ? new Date(migration.appliedAt).toISOString() : 'pending',
+      })));
+      break;
+    }
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
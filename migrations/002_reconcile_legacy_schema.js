@@ -0,0 +1,62 @@
+import { columnInfo, addColumnIfMissing, addIndexIfMissing } from './helpers.js';
+
+// Databases created by the old one-off scripts (migrate-applications.js,
+// add-shipping-carrier.js, ...) drifted from the baseline. This brings them in
+// line; on a fresh database every step is a no-op.
+
+const APPLICATION_TABLES = [
+  'visa_applications',
+  'marriage_applications',
+  'birth_certificate_applications',
+  'travel_pass_applications',
+];
+
+// migrate-applications.js made these NOT NULL; the forms treat them as optional
+const OPTIONAL_MARRIAGE_COLUMNS = [
+  'spouse1_birth_place', 'spouse1_address', 'spouse1_phone', 'spouse1_email',
+  'spouse2_birth_place', 'spouse2_address', 'spouse2_phone', 'spouse2_email',
+];
+
+export const up = async (db) => {
+  // migrate-applications.js used signed INT ids
+  for (const table of ['marriage_applications', 'birth_certificate_applications']) {
+    const id = await columnInfo(db, table, 'id');
+    if (id && !id.type.includes('unsigned')) {
+      await db.query('ALTER TABLE ?? MODIFY id INT UNSIGNED NOT NULL AUTO_INCREMENT', [table]);
+    }
+  }
+
+  for (const table of APPLICATION_TABLES) {
+    await addColumnIfMissing(db, table, 'user_id', 'INT UNSIGNED DEFAULT NULL AFTER id');
+    await addIndexIfMissing(db, table, 'idx_user_id', ['user_id']);
+    await addColumnIfMissing(db, table, 'tracking_number', 'VARCHAR(100) DEFAULT NULL');
+    await addColumnIfMissing(
+      db, table, 'shipping_carrier', "ENUM('usps', 'ups', 'fedex') DEFAULT NULL AFTER tracking_number"
+    );
+    await addColumnIfMissing(db, table, 'status_history', 'TEXT DEFAULT NULL');
+    await addIndexIfMissing(db, table, 'idx_tracking', ['tracking_number']);
+
+    // Rows submitted before user_id was written
+    await db.query(
+      'UPDATE ?? a JOIN login l ON l.username = a.user_name SET a.user_id = l.id WHERE a.user_id IS NULL',
+      [table]
+    );
+  }
+
+  for (const column of OPTIONAL_MARRIAGE_COLUMNS) {
+    const info = await columnInfo(db, 'marriage_applications', column);
+    if (info && info.nullable === 'NO') {
+      await db.query(`ALTER TABLE marriage_applications MODIFY ?? ${info.type} NULL`, [column]);
+    }
+  }
+
+  await addColumnIfMissing(db, 'login', 'role', 'VARCHAR(50) DEFAULT NULL AFTER lastname');
+  // The shared admin account predates roles; keep it working as a system admin
+  await db.query(
+    "UPDATE login SET role = 'system_admin' WHERE username = 'admin@usrcaembassy.org' AND role IS NULL"
+  );
+};
+
+export const down = async () => {
+  // Reconciliation only adds, widens and backfills; there is nothing to undo.
+};
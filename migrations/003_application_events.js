@@ -0,0 +1,115 @@
+import { columnInfo, addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Status history moves from a JSON string on each application row to one
+// application_events row per change. Keys match the application type registry.
+const APPLICATION_TABLES = {
+  visa: 'visa_applications',
+  marriage: 'marriage_applications',
+  birth_certificate: 'birth_certificate_applications',
+  travel_pass: 'travel_pass_applications',
+};
+
+const parseHistory = (value) => {
+  try {
+    const history = JSON.parse(value);
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const validDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS application_events (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      application_type VARCHAR(50) NOT NULL,
+      application_id INT UNSIGNED NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      old_status VARCHAR(50),
+      new_status VARCHAR(50),
+      actor_id INT UNSIGNED,
+      actor_username VARCHAR(255),
+      reason TEXT,
+      note TEXT,
+      details TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_application (application_type, application_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  for (const [applicationType, table] of Object.entries(APPLICATION_TABLES)) {
+    if (!(await columnInfo(db, table, 'status_history'))) continue;
+
+    const [rows] = await db.query(
+      'SELECT id, status_history, updated_at FROM ?? WHERE status_history IS NOT NULL',
+      [table]
+    );
+
+    for (const row of rows) {
+      for (const entry of parseHistory(row.status_history)) {
+        if (!entry || !entry.status) continue;
+        await db.query(
+          `INSERT INTO application_events
+          (application_type, application_id, event_type, old_status, new_status,
+           actor_id, actor_username, reason, note, created_at)
+          SELECT ?, ?, 'status_changed', ?, ?, (SELECT id FROM login WHERE username = ?), ?, ?, ?, ?`,
+          [
+            applicationType,
+            row.id,
+            entry.previousStatus || null,
+            entry.status,
+            entry.changedBy || null,
+            entry.changedBy || null,
+            entry.reason || null,
+            entry.note || null,
+            validDate(entry.changedAt) || row.updated_at,
+          ]
+        );
+      }
+    }
+
+    await dropColumnIfExists(db, table, 'status_history');
+  }
+};
+
+// Rebuilds the JSON column from the status change events
+export const down = async (db) => {
+  for (const [applicationType, table] of Object.entries(APPLICATION_TABLES)) {
+    await addColumnIfMissing(db, table, 'status_history', 'TEXT DEFAULT NULL');
+
+    const [events] = await db.query(
+      `SELECT application_id, old_status, new_status, actor_username, reason, note, created_at
+       FROM application_events
+       WHERE application_type = ? AND event_type = 'status_changed'
+       ORDER BY created_at ASC, id ASC`,
+      [applicationType]
+    );
+
+    const histories = new Map();
+    for (const event of events) {
+      if (!histories.has(event.application_id)) histories.set(event.application_id, []);
+      histories.get(event.application_id).push({
+        status: event.new_status,
+        changedBy: event.actor_username,
+        changedAt: new Date(event.created_at).toISOString(),
+        previousStatus: event.old_status,
+        ...(event.reason ? { reason: event.reason } : {}),
+        ...(event.note ? { note: event.note } : {}),
+      });
+    }
+
+    for (const [applicationId, history] of histories) {
+      await db.query(
+        'UPDATE ?? SET status_history = ?, updated_at = updated_at WHERE id = ?',
+        [table, JSON.stringify(history), applicationId]
+      );
+    }
+  }
+
+  await db.query('DROP TABLE IF EXISTS application_events');
+};
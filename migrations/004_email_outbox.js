@@ -0,0 +1,30 @@
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      template VARCHAR(100) NOT NULL,
+      to_address VARCHAR(255) NOT NULL,
+      reply_to VARCHAR(255),
+      subject VARCHAR(500) NOT NULL,
+      html MEDIUMTEXT,
+      text MEDIUMTEXT,
+      sensitive BOOLEAN NOT NULL DEFAULT FALSE,
+      status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+      attempts INT UNSIGNED NOT NULL DEFAULT 0,
+      max_attempts INT UNSIGNED NOT NULL DEFAULT 6,
+      next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      provider_message_id VARCHAR(255),
+      resend_of INT UNSIGNED,
+      sent_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_due (status, next_attempt_at),
+      INDEX idx_created (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS email_outbox');
+};
@@ -0,0 +1,10 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Preferred language for emails, PDFs and API messages (en, fr, sg)
+export const up = async (db) => {
+  await addColumnIfMissing(db, 'login', 'language', 'VARCHAR(10) DEFAULT NULL AFTER role');
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'login', 'language');
+};
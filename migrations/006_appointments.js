@@ -0,0 +1,81 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Slot times are stored as local wall-clock DATETIMEs in APPOINTMENT_TIMEZONE
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS appointment_services (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      location VARCHAR(500),
+      slot_minutes SMALLINT UNSIGNED NOT NULL DEFAULT 30,
+      capacity SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+      min_notice_hours SMALLINT UNSIGNED NOT NULL DEFAULT 24,
+      booking_window_days SMALLINT UNSIGNED NOT NULL DEFAULT 60,
+      application_types TEXT,
+      application_statuses TEXT,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS appointment_hours (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      service_id INT UNSIGNED NOT NULL,
+      weekday TINYINT UNSIGNED NOT NULL,
+      opens_at TIME NOT NULL,
+      closes_at TIME NOT NULL,
+      INDEX idx_service_weekday (service_id, weekday),
+      FOREIGN KEY (service_id) REFERENCES appointment_services(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // service_id NULL closes every service that day
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS appointment_blackouts (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      service_id INT UNSIGNED,
+      date DATE NOT NULL,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_date (date),
+      FOREIGN KEY (service_id) REFERENCES appointment_services(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS appointments (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      service_id INT UNSIGNED NOT NULL,
+      application_type VARCHAR(50) NOT NULL,
+      application_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED,
+      user_name VARCHAR(255) NOT NULL,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NOT NULL,
+      status ENUM('booked', 'cancelled') NOT NULL DEFAULT 'booked',
+      sequence INT UNSIGNED NOT NULL DEFAULT 0,
+      cancelled_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_slot (service_id, starts_at, status),
+      INDEX idx_application (application_type, application_id),
+      INDEX idx_user (user_name),
+      FOREIGN KEY (service_id) REFERENCES appointment_services(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // JSON list of { filename, contentType, content } for calendar invites
+  await addColumnIfMissing(db, 'email_outbox', 'attachments', 'MEDIUMTEXT AFTER text');
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'email_outbox', 'attachments');
+  await db.query('DROP TABLE IF EXISTS appointments');
+  await db.query('DROP TABLE IF EXISTS appointment_blackouts');
+  await db.query('DROP TABLE IF EXISTS appointment_hours');
+  await db.query('DROP TABLE IF EXISTS appointment_services');
+};
@@ -0,0 +1,77 @@
+// Amounts are integer minor units (cents). sub_type is '' for the fee that
+// applies to every sub-type, so the unique key also covers it.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS fees (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      application_type VARCHAR(50) NOT NULL,
+      sub_type VARCHAR(50) NOT NULL DEFAULT '',
+      kind ENUM('base', 'expedited', 'return_shipping') NOT NULL,
+      amount_cents INT UNSIGNED NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_by INT UNSIGNED,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_fee (application_type, sub_type, kind)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      invoice_number VARCHAR(30) UNIQUE,
+      application_type VARCHAR(50) NOT NULL,
+      application_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED,
+      user_name VARCHAR(255) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      total_cents INT UNSIGNED NOT NULL,
+      paid_cents INT UNSIGNED NOT NULL DEFAULT 0,
+      status ENUM('unpaid', 'paid', 'void') NOT NULL DEFAULT 'unpaid',
+      paid_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_application (application_type, application_id),
+      INDEX idx_status (status, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS invoice_items (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT UNSIGNED NOT NULL,
+      kind VARCHAR(50) NOT NULL,
+      sub_type VARCHAR(50) NOT NULL DEFAULT '',
+      amount_cents INT UNSIGNED NOT NULL,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      invoice_id INT UNSIGNED NOT NULL,
+      receipt_number VARCHAR(30) UNIQUE,
+      method ENUM('money_order', 'card', 'cash') NOT NULL,
+      amount_cents INT UNSIGNED NOT NULL,
+      currency CHAR(3) NOT NULL,
+      status ENUM('pending', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+      gateway VARCHAR(50),
+      reference VARCHAR(255),
+      failure_reason VARCHAR(500),
+      recorded_by INT UNSIGNED,
+      completed_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_invoice (invoice_id, status),
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS payments');
+  await db.query('DROP TABLE IF EXISTS invoice_items');
+  await db.query('DROP TABLE IF EXISTS invoices');
+  await db.query('DROP TABLE IF EXISTS fees');
+};
@@ -0,0 +1,12 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Read receipts: the last message id each side has seen in a conversation
+export const up = async (db) => {
+  await addColumnIfMissing(db, 'chat_conversations', 'user_last_read_id', 'INT UNSIGNED DEFAULT NULL AFTER status');
+  await addColumnIfMissing(db, 'chat_conversations', 'admin_last_read_id', 'INT UNSIGNED DEFAULT NULL AFTER user_last_read_id');
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'chat_conversations', 'admin_last_read_id');
+  await dropColumnIfExists(db, 'chat_conversations', 'user_last_read_id');
+};
@@ -0,0 +1,50 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Knowledge base for the chat bot, a log of the answers it gave, and the
+// conversation state the bot needs (visitor language, hand-off to staff)
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faq_entries (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      question VARCHAR(500) NOT NULL,
+      variants TEXT,
+      answer TEXT NOT NULL,
+      language VARCHAR(10) NOT NULL,
+      application_type VARCHAR(50),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_by INT UNSIGNED,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_language (language, active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_bot_replies (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      conversation_id INT UNSIGNED NOT NULL,
+      question_message_id INT UNSIGNED NOT NULL,
+      message_id INT UNSIGNED NOT NULL,
+      faq_entry_id INT UNSIGNED,
+      score DECIMAL(5,4) NOT NULL,
+      human_requested BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_faq_entry (faq_entry_id, created_at),
+      INDEX idx_conversation (conversation_id),
+      FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (faq_entry_id) REFERENCES faq_entries(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await addColumnIfMissing(db, 'chat_conversations', 'language', 'VARCHAR(10) DEFAULT NULL AFTER user_email');
+  await addColumnIfMissing(db, 'chat_conversations', 'escalated_at', 'DATETIME DEFAULT NULL AFTER status');
+  await addColumnIfMissing(db, 'chat_conversations', 'escalation_reason', 'VARCHAR(20) DEFAULT NULL AFTER escalated_at');
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'chat_conversations', 'escalation_reason');
+  await dropColumnIfExists(db, 'chat_conversations', 'escalated_at');
+  await dropColumnIfExists(db, 'chat_conversations', 'language');
+  await db.query('DROP TABLE IF EXISTS chat_bot_replies');
+  await db.query('DROP TABLE IF EXISTS faq_entries');
+};
@@ -0,0 +1,24 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Conversation-scoped access tokens (stored as SHA-256 hashes; one per device)
+// and the account a logged-in visitor's conversation belongs to
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_tokens (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      conversation_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await addColumnIfMissing(db, 'chat_conversations', 'user_id', 'INT UNSIGNED DEFAULT NULL AFTER session_id');
+  await addIndexIfMissing(db, 'chat_conversations', 'idx_user_id', ['user_id', 'status']);
+};
+
+export const down = async (db) => {
+  await dropIndexIfExists(db, 'chat_conversations', 'idx_user_id');
+  await dropColumnIfExists(db, 'chat_conversations', 'user_id');
+  await db.query('DROP TABLE IF EXISTS chat_tokens');
+};
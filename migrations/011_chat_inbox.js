@@ -0,0 +1,73 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Inbox state for staff: assignment, priority, who is waiting on whom, tags,
+// per-agent read positions and canned responses. last_message_at no longer
+// follows every row update, so assigning or tagging does not reorder the inbox.
+export const up = async (db) => {
+  await db.query(
+    'ALTER TABLE chat_conversations MODIFY last_message_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP'
+  );
+  await addColumnIfMissing(db, 'chat_conversations', 'waiting_on', "ENUM('pending_user', 'pending_staff') DEFAULT NULL AFTER status");
+  await addColumnIfMissing(db, 'chat_conversations', 'assigned_to', 'INT UNSIGNED DEFAULT NULL AFTER waiting_on');
+  await addColumnIfMissing(db, 'chat_conversations', 'priority', "ENUM('low', 'normal', 'high', 'urgent') NOT NULL DEFAULT 'normal' AFTER assigned_to");
+  await addColumnIfMissing(db, 'chat_conversations', 'message_count', 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER priority');
+  await addColumnIfMissing(db, 'chat_conversations', 'last_message_id', 'INT UNSIGNED DEFAULT NULL AFTER message_count');
+  await addIndexIfMissing(db, 'chat_conversations', 'idx_inbox', ['status', 'last_message_at', 'id']);
+  await addIndexIfMissing(db, 'chat_conversations', 'idx_assigned_to', ['assigned_to', 'last_message_at']);
+
+  // Counters for existing conversations
+  await db.query(`
+    UPDATE chat_conversations c
+    SET c.message_count = (SELECT COUNT(*) FROM chat_messages m WHERE m.conversation_id = c.id),
+      c.last_message_id = (SELECT MAX(m.id) FROM chat_messages m WHERE m.conversation_id = c.id),
+      c.last_message_at = c.last_message_at
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_conversation_tags (
+      conversation_id INT UNSIGNED NOT NULL,
+      tag VARCHAR(50) NOT NULL,
+      PRIMARY KEY (conversation_id, tag),
+      INDEX idx_tag (tag),
+      FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_agent_reads (
+      conversation_id INT UNSIGNED NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      last_read_id INT UNSIGNED NOT NULL,
+      PRIMARY KEY (conversation_id, user_id),
+      FOREIGN KEY (conversation_id) REFERENCES chat_conversations(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_canned_responses (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      body TEXT NOT NULL,
+      language VARCHAR(10) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_by INT UNSIGNED,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_language (language, active)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS chat_canned_responses');
+  await db.query('DROP TABLE IF EXISTS chat_agent_reads');
+  await db.query('DROP TABLE IF EXISTS chat_conversation_tags');
+  await dropIndexIfExists(db, 'chat_conversations', 'idx_assigned_to');
+  await dropIndexIfExists(db, 'chat_conversations', 'idx_inbox');
+  for (const column of ['last_message_id', 'message_count', 'priority', 'assigned_to', 'waiting_on']) {
+    await dropColumnIfExists(db, 'chat_conversations', column);
+  }
+  await db.query(
+    'ALTER TABLE chat_conversations MODIFY last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
+  );
+};
@@ -0,0 +1,28 @@
+import net from 'net';
+
+// Visitor tracking now stores anonymized addresses only; this rewrites the
+// ones collected before. The rule is copied from anonymizeIp() in visitors.js
+// so this migration keeps doing the same thing if that function changes.
+const anonymize = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (net.isIPv4(address)) return address.replace(/\.\d+$/, '.0');
+  if (!net.isIPv6(address)) return 'unknown';
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 3).map((group) => parseInt(group, 16).toString(16)).join(':')}::`;
+};
+
+export const up = async (db) => {
+  const [rows] = await db.query('SELECT DISTINCT ip_address FROM visitor_logs');
+  for (const { ip_address: ip } of rows) {
+    const anonymized = anonymize(ip);
+    if (anonymized !== ip) {
+      await db.query('UPDATE visitor_logs SET ip_address = ? WHERE ip_address = ?', [anonymized, ip]);
+    }
+  }
+};
+
+// The original addresses are gone
+export const down = async () => {};
@@ -0,0 +1,33 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Where logins and application submissions come from, resolved from the
+// client address with the local geolocation database (geoip.js). Only the
+// anonymized address is kept.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS login_events (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      ip_address VARCHAR(45),
+      country CHAR(2),
+      region VARCHAR(100),
+      city VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_id (user_id),
+      INDEX idx_created_country (created_at, country)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await addColumnIfMissing(db, 'application_events', 'country', 'CHAR(2) DEFAULT NULL AFTER details');
+  await addColumnIfMissing(db, 'application_events', 'region', 'VARCHAR(100) DEFAULT NULL AFTER country');
+  await addIndexIfMissing(db, 'application_events', 'idx_type_created', ['event_type', 'created_at']);
+  await addIndexIfMissing(db, 'visitor_logs', 'idx_visited_country', ['visited_at', 'country']);
+};
+
+export const down = async (db) => {
+  await dropIndexIfExists(db, 'visitor_logs', 'idx_visited_country');
+  await dropIndexIfExists(db, 'application_events', 'idx_type_created');
+  await dropColumnIfExists(db, 'application_events', 'region');
+  await dropColumnIfExists(db, 'application_events', 'country');
+  await db.query('DROP TABLE IF EXISTS login_events');
+};
@@ -0,0 +1,34 @@
+import { addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Indexes behind the admin list filters and date sorts (applicationLists.js,
+// GET /api/admin/users). InnoDB appends the primary key to every secondary
+// index, which covers the id tie-break of cursor paging.
+const INDEXES = [
+  ...['visa_applications', 'marriage_applications', 'birth_certificate_applications', 'travel_pass_applications']
+    .flatMap((table) => [
+      [table, 'idx_created_at', ['created_at']],
+      [table, 'idx_updated_at', ['updated_at']],
+      [table, 'idx_status_created', ['status', 'created_at']],
+    ]),
+  ['visa_applications', 'idx_visa_type_created', ['visa_type', 'created_at']],
+  ['visa_applications', 'idx_nationality_current', ['nationality_current']],
+  ['visa_applications', 'idx_nationality_origin', ['nationality_origin']],
+  ['marriage_applications', 'idx_spouse1_nationality', ['spouse1_nationality']],
+  ['marriage_applications', 'idx_spouse2_nationality', ['spouse2_nationality']],
+  ['birth_certificate_applications', 'idx_child_nationality', ['child_nationality']],
+  ['travel_pass_applications', 'idx_nationality', ['nationality']],
+  ['login', 'idx_created_at', ['created_at']],
+  ['login', 'idx_role_created', ['role', 'created_at']],
+];
+
+export const up = async (db) => {
+  for (const [table, index, columns] of INDEXES) {
+    await addIndexIfMissing(db, table, index, columns);
+  }
+};
+
+export const down = async (db) => {
+  for (const [table, index] of [...INDEXES].reverse()) {
+    await dropIndexIfExists(db, table, index);
+  }
+};
@@ -0,0 +1,45 @@
+import { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Assignment and last activity for the cross-type admin queue
+// (applicationQueue.js). last_activity_at starts at the latest of the row's
+// own update, its events and its document uploads; events.js keeps it current.
+const APPLICATION_TABLES = {
+  visa: 'visa_applications',
+  marriage: 'marriage_applications',
+  birth_certificate: 'birth_certificate_applications',
+  travel_pass: 'travel_pass_applications',
+};
+
+export const up = async (db) => {
+  for (const [key, table] of Object.entries(APPLICATION_TABLES)) {
+    await addColumnIfMissing(db, table, 'assigned_to', 'INT UNSIGNED DEFAULT NULL AFTER status');
+    await addColumnIfMissing(db, table, 'last_activity_at', 'TIMESTAMP NULL DEFAULT NULL AFTER updated_at');
+
+    await db.query(
+      `UPDATE ?? a
+       SET a.last_activity_at = COALESCE(GREATEST(
+         COALESCE(a.updated_at, a.created_at),
+         COALESCE((SELECT MAX(e.created_at) FROM application_events e
+                   WHERE e.application_type = ? AND e.application_id = a.id), a.created_at),
+         COALESCE((SELECT MAX(d.created_at) FROM application_documents d
+                   WHERE d.application_type = ? AND d.application_id = a.id), a.created_at)
+       ), CURRENT_TIMESTAMP),
+       a.updated_at = a.updated_at
+       WHERE a.last_activity_at IS NULL`,
+      [table, key, key]
+    );
+    await db.query('ALTER TABLE ?? MODIFY last_activity_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP', [table]);
+
+    await addIndexIfMissing(db, table, 'idx_assigned_status', ['assigned_to', 'status']);
+    await addIndexIfMissing(db, table, 'idx_last_activity', ['last_activity_at']);
+  }
+};
+
+export const down = async (db) => {
+  for (const table of Object.values(APPLICATION_TABLES)) {
+    await dropIndexIfExists(db, table, 'idx_last_activity');
+    await dropIndexIfExists(db, table, 'idx_assigned_status');
+    await dropColumnIfExists(db, table, 'last_activity_at');
+    await dropColumnIfExists(db, table, 'assigned_to');
+  }
+};
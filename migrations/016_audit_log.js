@@ -0,0 +1,64 @@
+// Hash-chained audit log (audit.js). audit_log_head is a single row holding
+// the latest entry, locked while an entry is appended so that entries are
+// numbered and chained one at a time. created_at is UTC.
+const GENESIS_HASH = '0'.repeat(64);
+
+// Error codes MySQL gives when the account may not create triggers
+const TRIGGER_DENIED = ['ER_SPECIFIC_ACCESS_DENIED_ERROR', 'ER_BINLOG_CREATE_ROUTINE_NEED_SUPER', 'ER_TABLEACCESS_DENIED_ERROR'];
+
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT UNSIGNED PRIMARY KEY,
+      created_at DATETIME(3) NOT NULL,
+      actor_id INT UNSIGNED DEFAULT NULL,
+      actor_username VARCHAR(255) DEFAULT NULL,
+      actor_role VARCHAR(50) DEFAULT NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(50) DEFAULT NULL,
+      target_id VARCHAR(64) DEFAULT NULL,
+      ip_address VARCHAR(45) DEFAULT NULL,
+      user_agent VARCHAR(500) DEFAULT NULL,
+      diff TEXT,
+      details TEXT,
+      prev_hash CHAR(64) NOT NULL,
+      hash CHAR(64) NOT NULL,
+      INDEX idx_created (created_at),
+      INDEX idx_actor (actor_id, id),
+      INDEX idx_action (action, id),
+      INDEX idx_target (target_type, target_id, id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log_head (
+      id TINYINT UNSIGNED PRIMARY KEY,
+      last_id BIGINT UNSIGNED NOT NULL,
+      last_hash CHAR(64) NOT NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await db.query('INSERT IGNORE INTO audit_log_head (id, last_id, last_hash) VALUES (1, 0, ?)', [GENESIS_HASH]);
+
+  // Refuse edits and deletes in the database itself. Creating triggers needs
+  // extra privileges when binary logging is on; without them the hash chain
+  // still shows any change.
+  try {
+    for (const [name, event] of [['audit_log_no_update', 'UPDATE'], ['audit_log_no_delete', 'DELETE']]) {
+      await db.query(`DROP TRIGGER IF EXISTS ${name}`);
+      await db.query(`
+        CREATE TRIGGER ${name} BEFORE ${event} ON audit_log FOR EACH ROW
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'
+      `);
+    }
+  } catch (err) {
+    if (!TRIGGER_DENIED.includes(err.code)) throw err;
+    console.warn(`audit_log: triggers not created (${err.code}); the log is protected by its hash chain only.`);
+  }
+};
+
+export const down = async (db) => {
+  await db.query('DROP TRIGGER IF EXISTS audit_log_no_delete');
+  await db.query('DROP TRIGGER IF EXISTS audit_log_no_update');
+  await db.query('DROP TABLE IF EXISTS audit_log_head');
+  await db.query('DROP TABLE IF EXISTS audit_log');
+};
@@ -0,0 +1,98 @@
+import { columnInfo, addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// Room for the encrypted application columns (fieldEncryption.js): they become
+// TEXT, keeping their nullability, and passport and police report numbers get
+// a blind index column. Existing values stay readable as plaintext until
+// `npm run encryption:rotate` encrypts them. The types listed are the ones
+// `down` restores.
+const ENCRYPTED_COLUMNS = {
+  visa_applications: {
+    date_of_birth: 'DATE',
+    place_of_birth: 'VARCHAR(120)',
+    father_name: 'VARCHAR(160)',
+  },
+  marriage_applications: {
+    spouse1_birth_date: 'DATE',
+    spouse1_birth_place: 'VARCHAR(150)',
+    spouse1_passport_number: 'VARCHAR(50)',
+    spouse1_father_name: 'VARCHAR(150)',
+    spouse1_mother_name: 'VARCHAR(150)',
+    spouse2_birth_date: 'DATE',
+    spouse2_birth_place: 'VARCHAR(150)',
+    spouse2_passport_number: 'VARCHAR(50)',
+    spouse2_father_name: 'VARCHAR(150)',
+    spouse2_mother_name: 'VARCHAR(150)',
+  },
+  birth_certificate_applications: {
+    child_birth_date: 'DATE',
+    father_first_name: 'VARCHAR(100)',
+    father_birth_date: 'DATE',
+    father_birth_place: 'VARCHAR(150)',
+    father_occupation: 'VARCHAR(100)',
+    father_address: 'TEXT',
+    mother_first_name: 'VARCHAR(100)',
+    mother_maiden_name: 'VARCHAR(100)',
+    mother_birth_date: 'DATE',
+    mother_birth_place: 'VARCHAR(150)',
+    mother_occupation: 'VARCHAR(100)',
+    mother_address: 'TEXT',
+  },
+  travel_pass_applications: {
+    date_of_birth: 'DATE',
+    place_of_birth: 'VARCHAR(150)',
+    father_name: 'VARCHAR(160)',
+    mother_name: 'VARCHAR(160)',
+    mother_maiden_name: 'VARCHAR(100)',
+    previous_passport_number: 'VARCHAR(100)',
+    police_report_number: 'VARCHAR(100)',
+  },
+};
+
+const BLIND_INDEXES = {
+  marriage_applications: ['spouse1_passport_number', 'spouse2_passport_number'],
+  travel_pass_applications: ['previous_passport_number', 'police_report_number'],
+};
+
+// Changes the columns that need it in one ALTER, so a large table is rebuilt once
+const modifyColumns = async (db, table, types) => {
+  const changes = [];
+  const params = [table];
+  for (const [column, type] of Object.entries(types)) {
+    const info = await columnInfo(db, table, column);
+    if (!info || info.type.toUpperCase() === type) continue;
+    changes.push(`MODIFY ?? ${type} ${info.nullable === 'NO' ? 'NOT NULL' : 'NULL'}`);
+    params.push(column);
+  }
+  if (changes.length) await db.query(`ALTER TABLE ?? ${changes.join(', ')}`, params);
+};
+
+export const up = async (db) => {
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    await modifyColumns(db, table, Object.fromEntries(Object.keys(columns).map((column) => [column, 'TEXT'])));
+    for (const column of BLIND_INDEXES[table] || []) {
+      await addColumnIfMissing(db, table, `${column}_bidx`, `CHAR(32) DEFAULT NULL AFTER \`${column}\``);
+      await addIndexIfMissing(db, table, `idx_${column}_bidx`, [`${column}_bidx`]);
+    }
+  }
+};
+
+export const down = async (db) => {
+  // Ciphertext does not fit the old types; it has to be decrypted first
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    for (const column of Object.keys(columns)) {
+      if (!(await columnInfo(db, table, column))) continue;
+      const [[{ count }]] = await db.query("SELECT COUNT(*) as count FROM ?? WHERE ?? LIKE 'enc:v%'", [table, column]);
+      if (Number(count) > 0) {
+        throw new Error(`${table}.${column} holds encrypted values; run \`npm run encryption:rotate -- --decrypt\` first`);
+      }
+    }
+  }
+
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    for (const column of BLIND_INDEXES[table] || []) {
+      await dropIndexIfExists(db, table, `idx_${column}_bidx`);
+      await dropColumnIfExists(db, table, `${column}_bidx`);
+    }
+    await modifyColumns(db, table, columns);
+  }
+};
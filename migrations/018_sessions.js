@@ -0,0 +1,34 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Sign-in sessions (sessions.js): the hash of the current refresh token and of
+// the one it replaced, so a replaced token presented again can be noticed.
+// login.disabled_at blocks sign-in for a disabled account.
+export const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_token_hash CHAR(64) DEFAULT NULL,
+      rotated_at TIMESTAMP NULL DEFAULT NULL,
+      ip_address VARCHAR(45) DEFAULT NULL,
+      user_agent VARCHAR(500) DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      ended_at TIMESTAMP NULL DEFAULT NULL,
+      end_reason VARCHAR(30) DEFAULT NULL,
+      INDEX idx_user (user_id, ended_at),
+      INDEX idx_previous_token (previous_token_hash),
+      INDEX idx_expires (expires_at),
+      FOREIGN KEY (user_id) REFERENCES login(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await addColumnIfMissing(db, 'login', 'disabled_at', 'TIMESTAMP NULL DEFAULT NULL AFTER language');
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'login', 'disabled_at');
+  await db.query('DROP TABLE IF EXISTS sessions');
+};
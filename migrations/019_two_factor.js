@@ -0,0 +1,32 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// TOTP two-factor authentication (twoFactor.js). totp_secret is set when
+// enrollment starts and counts once totp_enabled_at is set; totp_last_step
+// refuses a code used twice. Failed codes are counted to slow down guessing.
+// Recovery codes are stored as SHA-256 hashes.
+export const up = async (db) => {
+  await addColumnIfMissing(db, 'login', 'totp_secret', 'TEXT DEFAULT NULL AFTER disabled_at');
+  await addColumnIfMissing(db, 'login', 'totp_enabled_at', 'TIMESTAMP NULL DEFAULT NULL AFTER totp_secret');
+  await addColumnIfMissing(db, 'login', 'totp_last_step', 'BIGINT UNSIGNED DEFAULT NULL AFTER totp_enabled_at');
+  await addColumnIfMissing(db, 'login', 'two_factor_failures', 'TINYINT UNSIGNED NOT NULL DEFAULT 0 AFTER totp_last_step');
+  await addColumnIfMissing(db, 'login', 'two_factor_failed_at', 'TIMESTAMP NULL DEFAULT NULL AFTER two_factor_failures');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+      id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNSIGNED NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at TIMESTAMP NULL DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_user_code (user_id, code_hash),
+      FOREIGN KEY (user_id) REFERENCES login(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+  for (const column of ['two_factor_failed_at', 'two_factor_failures', 'totp_last_step', 'totp_enabled_at', 'totp_secret']) {
+    await dropColumnIfExists(db, 'login', column);
+  }
+};
@@ -0,0 +1,18 @@
+import { addColumnIfMissing, dropColumnIfExists } from './helpers.js';
+
+// Visitor chat tokens expire (chat.js, CHAT_TOKEN_TTL_DAYS) and are deleted
+// when their conversation is closed. Tokens issued before get a week from
+// now; those of conversations already closed are deleted.
+export const up = async (db) => {
+  await addColumnIfMissing(db, 'chat_tokens', 'expires_at', 'TIMESTAMP NULL DEFAULT NULL AFTER created_at');
+  await db.query('UPDATE chat_tokens SET expires_at = DATE_ADD(NOW(), INTERVAL 7 DAY) WHERE expires_at IS NULL');
+  await db.query(
+    `DELETE t FROM chat_tokens t
+     JOIN chat_conversations c ON c.id = t.conversation_id
+     WHERE c.status = 'closed'`
+  );
+};
+
+export const down = async (db) => {
+  await dropColumnIfExists(db, 'chat_tokens', 'expires_at');
+};
@@ -0,0 +1,33 @@
+import { columnInfo, addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } from './helpers.js';
+
+// The travel pass number set when a pass is issued joins the encrypted
+// columns (fieldEncryption.js), with a blind index, like 017_field_encryption.
+// Existing numbers stay readable as plaintext until
+// `npm run encryption:rotate` encrypts them. Status change events used to
+// keep the number in their details; it is removed from them.
+export const up = async (db) => {
+  const info = await columnInfo(db, 'travel_pass_applications', 'document_number');
+  if (info && info.type.toUpperCase() !== 'TEXT') {
+    await db.query('ALTER TABLE travel_pass_applications MODIFY document_number TEXT NULL');
+  }
+  await addColumnIfMissing(db, 'travel_pass_applications', 'document_number_bidx', 'CHAR(32) DEFAULT NULL AFTER document_number');
+  await addIndexIfMissing(db, 'travel_pass_applications', 'idx_document_number_bidx', ['document_number_bidx']);
+
+  await db.query(
+    `UPDATE application_events SET details = JSON_REMOVE(details, '$.document_number')
+     WHERE application_type = 'travel_pass' AND details LIKE '%"document_number"%'`
+  );
+};
+
+export const down = async (db) => {
+  // Ciphertext does not fit the old type; it has to be decrypted first
+  const [[{ count }]] = await db.query(
+    "SELECT COUNT(*) as count FROM travel_pass_applications WHERE document_number LIKE 'enc:v%'"
+  );
+  if (Number(count) > 0) {
+    throw new Error('travel_pass_applications.document_number holds encrypted values; run `npm run encryption:rotate -- --decrypt` first');
+  }
+  await dropIndexIfExists(db, 'travel_pass_applications', 'idx_document_number_bidx');
+  await dropColumnIfExists(db, 'travel_pass_applications', 'document_number_bidx');
+  await db.query('ALTER TABLE travel_pass_applications MODIFY document_number VARCHAR(100) NULL');
+};
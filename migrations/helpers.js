@@ -0,0 +1,45 @@
+// Schema inspection helpers shared by the migration files. `db` is whatever
+// the runner passes to up/down: a connection, or the dry-run wrapper.
+
+export const columnInfo = async (db, table, column) => {
+  const [rows] = await db.query(
+    `SELECT COLUMN_TYPE as type, IS_NULLABLE as nullable
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows[0] || null;
+};
+
+export const indexExists = async (db, table, index) => {
+  const [rows] = await db.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+export const addColumnIfMissing = async (db, table, column, definition) => {
+  if (!(await columnInfo(db, table, column))) {
+    await db.query(`ALTER TABLE ?? ADD COLUMN ?? ${definition}`, [table, column]);
+  }
+};
+
+export const dropColumnIfExists = async (db, table, column) => {
+  if (await columnInfo(db, table, column)) {
+    await db.query('ALTER TABLE ?? DROP COLUMN ??', [table, column]);
+  }
+};
+
+export const addIndexIfMissing = async (db, table, index, columns) => {
+  if (!(await indexExists(db, table, index))) {
+    await db.query('ALTER TABLE ?? ADD INDEX ?? (??)', [table, index, columns]);
+  }
+};
+
+export const dropIndexIfExists = async (db, table, index) => {
+  if (await indexExists(db, table, index)) {
+    await db.query('ALTER TABLE ?? DROP INDEX ??', [table, index]);
+  }
+};
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import mysql from 'mysql2/promise';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { pool } from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const READ_ONLY_SQL = /^\s*(SELECT|SHOW|DESCRIBE|EXPLAIN)\b/i;
+
+/**
+ * Loads migrations/NNN_name.js in version order. Each file exports
+ * `up(db)` and `down(db)`; `db` only needs to support `query(sql, params)`.
+ */
+export const loadMigrations = async () => {
+  const files = (await fs.promises.readdir(MIGRATIONS_DIR))
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    if (migrations.some((migration) => migration.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version, name, file, up: module.up, down: module.down });
+  }
+  return migrations;
+};
+
+const migrationsTableExists = async (db) => {
+  const [rows] = await db.query("SHOW TABLES LIKE 'schema_migrations'");
+  return rows.length > 0;
+};
+
+const ensureMigrationsTable = (db) => db.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+`);
+
+const appliedMigrations = async (db) => {
+  if (!(await migrationsTableExists(db))) return new Map();
+  const [rows] = await db.query('SELECT version, applied_at FROM schema_migrations');
+  return new Map(rows.map((row) => [row.version, row.applied_at]));
+};
+
+// Passes reads through so migrations can inspect the schema, logs everything else
+const dryRunDb = (connection, log) => ({
+  query: async (sql, params) => {
+    if (READ_ONLY_SQL.test(sql)) return connection.query(sql, params);
+    log(`${mysql.format(sql, params).replace(/\s+/g, ' ').trim()};`);
+    return [{ affectedRows: 0, insertId: 0 }, []];
+  },
+});
+
+const withMigrationLock = async (fn) => {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, 30) as locked', [LOCK_NAME]);
+    if (locked !== 1) {
+      throw new Error('Another migration run holds the schema_migrations lock');
+    }
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+export const getMigrationStatus = async () => {
+  const [migrations, applied] = await Promise.all([loadMigrations(), appliedMigrations(pool)]);
+  const status = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) || null,
+  }));
+  // Applied in the database but no longer on disk
+  const missing = [...applied.keys()]
+    .filter((version) => !migrations.some((migration) => migration.version === version))
+    .map((version) => ({ version, name: null, appliedAt: applied.get(version), missing: true }));
+  return [...status, ...missing].sort((a, b) => a.version.localeCompare(b.version));
+};
+
+export const getPendingMigrations = async () =>
+  (await getMigrationStatus()).filter((migration) => !migration.appliedAt);
+
+export const migrateUp = async ({ dryRun = false, log = console.log } = {}) =>
+  withMigrationLock(async (connection) => {
+    if (!dryRun) await ensureMigrationsTable(connection);
+    const applied = await appliedMigrations(connection);
+    const pending = (await loadMigrations()).filter((migration) => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      log(`${dryRun ? '[dry-run] ' : ''}Applying ${migration.file}`);
+      if (dryRun) {
+        await migration.up(dryRunDb(connection, log));
+      } else {
+        await migration.up(connection);
+        await connection.query(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      }
+    }
+    return pending;
+  });
+
+export const migrateDown = async ({ steps = 1, dryRun = false, log = console.log } = {}) =>
+  withMigrationLock(async (connection) => {
+    const applied = await appliedMigrations(connection);
+    const migrations = await loadMigrations();
+    const targets = [...applied.keys()].sort().reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = migrations.find((candidate) => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing`);
+      }
+      log(`${dryRun ? '[dry-run] ' : ''}Reverting ${migration.file}`);
+      if (dryRun) {
+        await migration.down(dryRunDb(connection, log));
+      } else {
+        await migration.down(connection);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      }
+      reverted.push(migration);
+    }
+    return reverted;
+  });
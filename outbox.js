@@ -0,0 +1,233 @@
+import { pool } from './db.js';
+import { transporter, CONTACT_FROM, SMTP_CONFIGURED } from './mailer.js';
+import { renderEmail } from './emailTemplates.js';
+import { DEFAULT_LOCALE, isSupportedLocale } from './i18n.js';
+
+// ========================================
+// EMAIL OUTBOX
+// ========================================
+//
+// Emails are written to email_outbox (inside the caller's transaction when one
+// is passed) and delivered by a background worker. Failed sends are retried
+// with exponential backoff until EMAIL_MAX_ATTEMPTS, then marked as failed.
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '6');
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '60');
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS || '15000');
+const BATCH_SIZE = 10;
+// A message left in 'sending' this long belonged to a worker that died mid-send
+const STALE_SENDING_MINUTES = 10;
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+export const retryDelaySeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+
+let timer = null;
+let running = false;
+let runAgain = false;
+
+// Account holders get notifications in the language stored on their account
+export const recipientLocale = async (db, userId) => {
+  const [rows] = await db.query('SELECT language FROM login WHERE id = ?', [userId]);
+  return rows.length && isSupportedLocale(rows[0].language) ? rows[0].language : DEFAULT_LOCALE;
+};
+
+/**
+ * Renders a template in `locale` and queues it. Pass a transaction connection
+ * as `db` to make the email part of that transaction, then call
+ * wakeOutboxWorker() after committing. `attachments` are small text files
+ * ({ filename, contentType, content }) such as calendar invites.
+ */
+export const queueEmail = async ({
+  template,
+  to,
+  replyTo = null,
+  vars = {},
+  locale = DEFAULT_LOCALE,
+  attachments = [],
+}, db = pool) => {
+  const email = renderEmail(template, vars, locale);
+  const [result] = await db.query(
+    `INSERT INTO email_outbox
+    (template, to_address, reply_to, subject, html, text, attachments, sensitive, max_attempts)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      template,
+      to,
+      replyTo,
+      email.subject,
+      email.html,
+      email.text,
+      attachments.length ? JSON.stringify(attachments) : null,
+      email.sensitive,
+      MAX_ATTEMPTS,
+    ]
+  );
+  if (db === pool) wakeOutboxWorker();
+  return result.insertId;
+};
+
+// Locks a batch of due messages and marks them as being sent
+const claimBatch = async () => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const [rows] = await connection.query(
+      `SELECT * FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT ?
+       FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+    if (rows.length) {
+      await connection.query(
+        "UPDATE email_outbox SET status = 'sending', attempts = attempts + 1 WHERE id IN (?)",
+        [rows.map((row) => row.id)]
+      );
+    }
+    await connection.commit();
+    return rows.map((row) => ({ ...row, attempts: row.attempts + 1 }));
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+const deliver = async (message) => {
+  try {
+    const info = await transporter.sendMail({
+      to: message.to_address,
+      from: CONTACT_FROM,
+      ...(message.reply_to ? { replyTo: message.reply_to } : {}),
+      subject: message.subject,
+      html: message.html,
+      ...(message.text ? { text: message.text } : {}),
+      ...(message.attachments ? { attachments: JSON.parse(message.attachments) } : {}),
+    });
+
+    // One-time links (password resets) are not kept once delivered
+    await pool.query(
+      `UPDATE email_outbox
+       SET status = 'sent', sent_at = NOW(), provider_message_id = ?, last_error = NULL
+       ${message.sensitive ? ', html = NULL, text = NULL' : ''}
+       WHERE id = ?`,
+      [info.messageId || null, message.id]
+    );
+  } catch (err) {
+    const giveUp = message.attempts >= message.max_attempts;
+    await pool.query(
+      `UPDATE email_outbox
+       SET status = ?, last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [giveUp ? 'failed' : 'pending', String(err.message || err).slice(0, 1000), retryDelaySeconds(message.attempts), message.id]
+    );
+    console.error(`Email ${message.id} (${message.template}) attempt ${message.attempts} failed:`, err.message || err);
+  }
+};
+
+// Sends every due message; safe to call while a run is in progress
+export const processOutbox = async () => {
+  if (running) {
+    runAgain = true;
+    return;
+  }
+  running = true;
+  try {
+    await pool.query(
+      `UPDATE email_outbox SET status = 'pending'
+       WHERE status = 'sending' AND updated_at < DATE_SUB(NOW(), INTERVAL ${STALE_SENDING_MINUTES} MINUTE)`
+    );
+
+    do {
+      runAgain = false;
+      let batch;
+      do {
+        batch = await claimBatch();
+        for (const message of batch) {
+          await deliver(message);
+        }
+      } while (batch.length === BATCH_SIZE);
+    } while (runAgain);
+  } catch (err) {
+    console.error('Email outbox worker error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+export const wakeOutboxWorker = () => {
+  if (timer) setImmediate(processOutbox);
+};
+
+export const startOutboxWorker = () => {
+  if (timer) return;
+  if (!SMTP_CONFIGURED) {
+    console.warn('Email outbox worker not started: SMTP is not configured.');
+    return;
+  }
+  timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  timer.unref();
+  setImmediate(processOutbox);
+};
+
+export const stopOutboxWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// ========================================
+// ADMIN QUERIES
+// ========================================
+
+const SUMMARY_COLUMNS = `id, template, to_address as toAddress, reply_to as replyTo, subject, status,
+  attempts, max_attempts as maxAttempts, next_attempt_at as nextAttemptAt, last_error as lastError,
+  provider_message_id as providerMessageId, resend_of as resendOf, sent_at as sentAt,
+  created_at as createdAt`;
+
+export const listOutbox = async ({ status, limit = 50, offset = 0 } = {}) => {
+  const where = status ? 'WHERE status = ?' : '';
+  const params = status ? [status] : [];
+  const [rows] = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS} FROM email_outbox ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM email_outbox ${where}`, params);
+  return { messages: rows, total: Number(total) };
+};
+
+export const findOutboxMessage = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT ${SUMMARY_COLUMNS}, sensitive, html, text, attachments FROM email_outbox WHERE id = ?`,
+    [id]
+  );
+  if (!rows.length) return null;
+  const { sensitive, attachments, ...message } = rows[0];
+  return {
+    ...message,
+    attachments: attachments ? JSON.parse(attachments).map(({ filename, contentType }) => ({ filename, contentType })) : [],
+    sensitive: !!sensitive,
+    redacted: !!sensitive && message.html === null,
+  };
+};
+
+/**
+ * Queues a fresh copy of a message. Returns the new id, or null when the
+ * original's body was redacted after delivery.
+ */
+export const resendOutboxMessage = async (id) => {
+  const [result] = await pool.query(
+    `INSERT INTO email_outbox
+    (template, to_address, reply_to, subject, html, text, attachments, sensitive, max_attempts, resend_of)
+    SELECT template, to_address, reply_to, subject, html, text, attachments, sensitive, ?, id
+    FROM email_outbox WHERE id = ? AND html IS NOT NULL`,
+    [MAX_ATTEMPTS, id]
+  );
+  if (!result.affectedRows) return null;
+  wakeOutboxWorker();
+  return result.insertId;
+};
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+/**
+ * Card payments go through the gateway named by PAYMENT_GATEWAY. Every
+ * gateway exposes the same charge() method, so a real processor can be added
+ * to GATEWAYS without touching the routes:
+ *
+ *   charge({ amountCents, currency, source, description, idempotencyKey })
+ *     -> { status: 'succeeded' | 'failed', reference, failureReason? }
+ *
+ * `source` is the card token produced by the processor's client-side library;
+ * card numbers never reach this server.
+ */
+
+// Local stand-in: every token succeeds except 'tok_declined'
+export const createFakeGateway = () => {
+  const charges = new Map();
+
+  return {
+    name: 'fake',
+
+    async charge({ source, idempotencyKey }) {
+      if (charges.has(idempotencyKey)) return charges.get(idempotencyKey);
+      const result = source === 'tok_declined'
+        ? { status: 'failed', reference: `fake_${crypto.randomUUID()}`, failureReason: 'Card declined' }
+        : { status: 'succeeded', reference: `fake_${crypto.randomUUID()}` };
+      charges.set(idempotencyKey, result);
+      return result;
+    },
+  };
+};
+
+const GATEWAYS = {
+  fake: createFakeGateway,
+};
+
+const selectGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY || (process.env.NODE_ENV === 'production' ? '' : 'fake');
+  if (!name) {
+    console.warn('PAYMENT_GATEWAY is not set; card payments are disabled.');
+    return null;
+  }
+  if (!GATEWAYS[name]) throw new Error(`Unknown PAYMENT_GATEWAY: ${name}`);
+  return GATEWAYS[name]();
+};
+
+// null when card payments are disabled
+export const paymentGateway = selectGateway();
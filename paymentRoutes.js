@@ -0,0 +1,235 @@
+import { withTransaction } from './db.js';
+import { authMiddleware, requirePermission } from './auth.js';
+import { hasPermission } from './permissions.js';
+import { getApplicationType } from './applicationTypes.js';
+import { recordEvent } from './events.js';
+import { sendReceiptPdf } from './pdf.js';
+import { requestLocale, formatMoney } from './i18n.js';
+import { paymentGateway } from './paymentGateways.js';
+import {
+  FEE_CURRENCY,
+  INVOICE_STATUSES,
+  listFees,
+  saveFee,
+  findInvoice,
+  invoiceDetails,
+  listInvoices,
+  findPayment,
+  recordManualPayment,
+  findPendingCardPayment,
+  beginCardPayment,
+  finishCardPayment,
+} from './fees.js';
+import { feeValidation, manualPaymentValidation, cardPaymentValidation } from './validation.js';
+
+// Applicants see their own invoices and receipts; staff need payments:read
+const canAccess = (user, invoice) =>
+  hasPermission(user, 'payments:read') || user.username === invoice.userName;
+
+const recordPaymentEvent = (db, invoice, payment, actor) => recordEvent(db, {
+  applicationType: invoice.applicationType,
+  applicationId: invoice.applicationId,
+  eventType: 'payment_received',
+  actor,
+  details: {
+    invoiceNumber: invoice.invoiceNumber,
+    receiptNumber: payment.receiptNumber,
+    method: payment.method,
+    amountCents: payment.amountCents,
+    currency: payment.currency,
+  },
+});
+
+export const registerPaymentRoutes = (app) => {
+  // ========================================
+  // FEE SCHEDULE
+  // ========================================
+
+  app.get('/api/fees', async (req, res) => {
+    try {
+      const fees = await listFees({ applicationType: req.query.applicationType, activeOnly: true });
+      res.json({
+        currency: FEE_CURRENCY,
+        fees: fees.map(({ applicationType, subType, kind, amountCents }) => ({ applicationType, subType, kind, amountCents })),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/fees', authMiddleware, requirePermission('fees:manage'), async (req, res) => {
+    try {
+      res.json({ currency: FEE_CURRENCY, fees: await listFees({ applicationType: req.query.applicationType }) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Sets the amount for (type, sub-type, kind); existing invoices keep their amounts
+  app.put('/api/admin/fees', authMiddleware, requirePermission('fees:manage'), feeValidation, async (req, res) => {
+    const { applicationType, subType = '', kind, amountCents, active } = req.body;
+    const type = getApplicationType(applicationType);
+    if (!type) return res.status(400).json({ error: req.t('errors.invalidApplicationType') });
+    if (subType && !(type.subTypes || []).includes(subType)) {
+      return res.status(400).json({ error: req.t('errors.invalidSubType', { subTypes: (type.subTypes || []).join(', ') || '-' }) });
+    }
+
+    try {
+      const fee = await saveFee({ applicationType, subType, kind, amountCents, active: active !== false }, req.user.id);
+      res.json({ success: true, fee });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // INVOICES AND PAYMENTS
+  // ========================================
+
+  app.get('/api/invoices/:id', authMiddleware, async (req, res) => {
+    try {
+      const invoice = await findInvoice(req.params.id);
+      if (!invoice || !canAccess(req.user, invoice)) {
+        return res.status(404).json({ error: req.t('errors.invoiceNotFound') });
+      }
+      res.json(await invoiceDetails(invoice));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Card payment for the outstanding balance. The payment is reserved as
+  // pending first so a second request cannot charge the card twice, and the
+  // gateway is called outside any transaction so no row stays locked meanwhile.
+  app.post('/api/invoices/:id/pay', authMiddleware, cardPaymentValidation, async (req, res) => {
+    if (!paymentGateway) return res.status(503).json({ error: req.t('errors.cardPaymentsUnavailable') });
+
+    try {
+      const reserved = await withTransaction(async (connection) => {
+        const invoice = await findInvoice(req.params.id, connection, { lock: true });
+        if (!invoice || !canAccess(req.user, invoice)) return { status: 404, error: 'errors.invoiceNotFound' };
+        if (invoice.status !== 'unpaid' || invoice.balanceCents <= 0) {
+          return { status: 409, error: 'errors.invoiceNotPayable' };
+        }
+        if (await findPendingCardPayment(connection, invoice.id)) {
+          return { status: 409, error: 'errors.paymentInProgress' };
+        }
+
+        const paymentId = await beginCardPayment(connection, invoice, {
+          amountCents: invoice.balanceCents,
+          gateway: paymentGateway.name,
+          recordedBy: req.user.id,
+        });
+        return { invoice, paymentId };
+      });
+      if (reserved.error) return res.status(reserved.status).json({ error: req.t(reserved.error) });
+
+      const { invoice, paymentId } = reserved;
+      let charge;
+      try {
+        charge = await paymentGateway.charge({
+          amountCents: invoice.balanceCents,
+          currency: invoice.currency,
+          source: req.body.source,
+          description: invoice.invoiceNumber,
+          idempotencyKey: `payment-${paymentId}`,
+        });
+      } catch (err) {
+        console.error('Payment gateway error:', err);
+        charge = { status: 'failed', reference: null, failureReason: err.message };
+      }
+
+      const payment = await withTransaction(async (connection) => {
+        const current = await findInvoice(invoice.id, connection, { lock: true });
+        const pending = await findPayment(paymentId, connection);
+        const settled = await finishCardPayment(connection, current, pending, charge);
+        if (settled.status === 'succeeded') await recordPaymentEvent(connection, current, settled, req.user);
+        return settled;
+      });
+
+      if (payment.status !== 'succeeded') {
+        return res.status(402).json({ error: req.t('errors.paymentDeclined'), payment });
+      }
+      res.status(201).json({ success: true, payment, invoice: await findInvoice(invoice.id) });
+    } catch (err) {
+      console.error('Card payment error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/payments/:id/receipt', authMiddleware, async (req, res) => {
+    try {
+      const payment = await findPayment(req.params.id);
+      const invoice = payment && await findInvoice(payment.invoiceId);
+      if (!invoice || !canAccess(req.user, invoice)) {
+        return res.status(404).json({ error: req.t('errors.paymentNotFound') });
+      }
+      if (payment.status !== 'succeeded') return res.status(409).json({ error: req.t('errors.receiptUnavailable') });
+
+      await sendReceiptPdf(res, { locale: requestLocale(req), invoice: await invoiceDetails(invoice), payment });
+    } catch (err) {
+      console.error('Receipt error:', err);
+      if (!res.headersSent) res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ADMIN
+  // ========================================
+
+  app.get('/api/admin/invoices', authMiddleware, requirePermission('payments:read'), async (req, res) => {
+    const { status, applicationType } = req.query;
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: req.t('errors.invalidStatus', { statuses: INVOICE_STATUSES.join(', ') }) });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+      res.json(await listInvoices({ status, applicationType, limit, offset }));
+    } catch (err) {
+      console.error('List invoices error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Money orders and cash received at the counter or by mail
+  app.post('/api/admin/invoices/:id/payments', authMiddleware, requirePermission('payments:record'), manualPaymentValidation, async (req, res) => {
+    const { method, amountCents, reference } = req.body;
+
+    try {
+      const result = await withTransaction(async (connection) => {
+        const invoice = await findInvoice(req.params.id, connection, { lock: true });
+        if (!invoice) return { status: 404, error: 'errors.invoiceNotFound' };
+        if (invoice.status !== 'unpaid') return { status: 409, error: 'errors.invoiceNotPayable' };
+        if (amountCents > invoice.balanceCents) {
+          return {
+            status: 400,
+            error: 'errors.paymentExceedsBalance',
+            params: { balance: formatMoney(requestLocale(req), invoice.balanceCents, invoice.currency) },
+          };
+        }
+
+        const payment = await recordManualPayment(connection, invoice, {
+          method,
+          amountCents,
+          reference: reference || null,
+          recordedBy: req.user.id,
+        });
+        await recordPaymentEvent(connection, invoice, payment, req.user);
+        return { payment };
+      });
+      if (result.error) return res.status(result.status).json({ error: req.t(result.error, result.params) });
+
+      res.status(201).json({ success: true, payment: result.payment, invoice: await findInvoice(req.params.id) });
+    } catch (err) {
+      console.error('Record payment error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,204 @@
+import PDFDocument from 'pdfkit';
+import bwipjs from 'bwip-js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { t, translate, formatDate, formatMoney } from './i18n.js';
+import { senderLabel, transcriptFilename } from './transcripts.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const submissionLogoPath = path.join(__dirname, '..', 'public', 'favicon.png');
+
+const drawLogo = (doc, name) => {
+  const logoWidth = 80;
+  if (!fs.existsSync(submissionLogoPath)) {
+    console.warn('PDF logo not found at', submissionLogoPath);
+    return;
+  }
+  const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const logoX = doc.page.margins.left + (contentWidth - logoWidth) / 2;
+  try {
+    doc.image(submissionLogoPath, logoX, doc.y, { width: logoWidth });
+    doc.moveDown();
+  } catch (imgErr) {
+    console.warn(`Failed to add logo to ${name} PDF:`, imgErr);
+  }
+};
+
+const isEmpty = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Label keys are looked up under pdf.<group>; msg() descriptors are translated as is
+const text = (locale, group, label) => (typeof label === 'string' ? t(locale, `pdf.${group}.${label}`) : translate(locale, label));
+
+// Enum values (gender, marital_status, ...) are translated when the catalog has them
+const displayValue = (locale, column, value) => {
+  if (value instanceof Date) return formatDate(locale, value);
+  const key = `values.${column.replace(/^(child|spouse\d)_/, '')}.${value}`;
+  const translated = t(locale, key);
+  return translated === key ? value : translated;
+};
+
+const rowValue = (locale, application, [, source]) => {
+  const value = typeof source === 'function' ? source(application) : application[source];
+  if (isEmpty(value)) return t(locale, 'pdf.notAvailable');
+  if (typeof source === 'function') return translate(locale, value);
+  return displayValue(locale, source, value);
+};
+
+/**
+ * Streams an application summary PDF to the response in `locale`.
+ * `title` and section titles are keys under pdf.titles / pdf.sections (or
+ * msg() descriptors); rows are `[labelKey, column]` or
+ * `[labelKey, (application) => value]` with labels under pdf.labels.
+ */
+export const sendApplicationPdf = async (res, { locale, title, filename, application, header = [], sections = [] }) => {
+  // Use tracking number if available, otherwise use application ID
+  const barcodeText = application.tracking_number || `APP-${application.id}`;
+  const barcode = await bwipjs.toBuffer({
+    bcid: 'code128',
+    text: barcodeText,
+    scale: 3,
+    height: 10,
+    includetext: true,
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=${filename}-${application.id}.pdf`);
+
+  const doc = new PDFDocument();
+  doc.pipe(res);
+
+  drawLogo(doc, filename);
+
+  const row = (item) => doc.text(`${text(locale, 'labels', item[0])}: ${rowValue(locale, application, item)}`);
+
+  doc.fontSize(18).text(text(locale, 'titles', title), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(`${t(locale, 'pdf.applicationId')}: ${application.id}`);
+  doc.text(`${t(locale, 'pdf.user')}: ${application.user_name}`);
+  header.forEach(row);
+  doc.text(`${t(locale, 'pdf.submitted')}: ${formatDate(locale, application.created_at, { time: true })}`);
+  doc.moveDown();
+
+  sections.forEach((section) => {
+    doc.fontSize(14).text(`${text(locale, 'sections', section.title)}:`, { underline: true });
+    doc.fontSize(11);
+    section.rows.forEach(row);
+    doc.moveDown();
+  });
+
+  // Status at the bottom
+  doc.fontSize(14).text(`${t(locale, 'pdf.applicationStatus')}:`, { underline: true });
+  doc.fontSize(11);
+  doc.text(`${t(locale, 'pdf.currentStatus')}: ${t(locale, `statuses.${application.status}`)}`);
+  doc.text(`${t(locale, 'pdf.trackingNumber')}: ${application.tracking_number || t(locale, 'pdf.trackingPending')}`);
+  if (application.updated_at) {
+    doc.text(`${t(locale, 'pdf.lastUpdated')}: ${formatDate(locale, application.updated_at, { time: true })}`);
+  }
+  doc.moveDown();
+
+  doc.image(barcode, { fit: [200, 80], align: 'left' });
+
+  doc.end();
+};
+
+/**
+ * Streams a receipt for a succeeded payment. `invoice` comes from
+ * invoiceDetails(), so its items and payments are included.
+ */
+export const sendReceiptPdf = async (res, { locale, invoice, payment }) => {
+  const barcode = await bwipjs.toBuffer({
+    bcid: 'code128',
+    text: payment.receiptNumber,
+    scale: 3,
+    height: 10,
+    includetext: true,
+  });
+  const money = (cents) => formatMoney(locale, cents, invoice.currency);
+  // Totals as of this payment, so an early partial receipt reads the same later
+  const paidThrough = invoice.payments
+    .filter((other) => other.status === 'succeeded' && other.id <= payment.id)
+    .reduce((total, other) => total + other.amountCents, 0);
+  const itemLabel = (item) => {
+    const label = t(locale, `pdf.receipt.items.${item.kind}`);
+    return item.subType ? `${label} (${displayValue(locale, 'visa_type', item.subType)})` : label;
+  };
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=receipt-${payment.receiptNumber}.pdf`);
+
+  const doc = new PDFDocument();
+  doc.pipe(res);
+  drawLogo(doc, 'receipt');
+
+  doc.fontSize(18).text(t(locale, 'pdf.receipt.title'), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(`${t(locale, 'pdf.receipt.receiptNumber')}: ${payment.receiptNumber}`);
+  doc.text(`${t(locale, 'pdf.receipt.date')}: ${formatDate(locale, payment.completedAt, { time: true })}`);
+  doc.text(`${t(locale, 'pdf.receipt.invoiceNumber')}: ${invoice.invoiceNumber}`);
+  doc.text(`${t(locale, 'pdf.receipt.application')}: ${t(locale, `applicationTypes.${invoice.applicationType}.label`)} #${invoice.applicationId}`);
+  doc.text(`${t(locale, 'pdf.receipt.paidBy')}: ${invoice.userName}`);
+  doc.moveDown();
+
+  doc.fontSize(14).text(`${t(locale, 'pdf.receipt.payment')}:`, { underline: true });
+  doc.fontSize(11);
+  doc.text(`${t(locale, 'pdf.receipt.method')}: ${t(locale, `pdf.receipt.methods.${payment.method}`)}`);
+  if (payment.reference) doc.text(`${t(locale, 'pdf.receipt.reference')}: ${payment.reference}`);
+  doc.font('Helvetica-Bold').text(`${t(locale, 'pdf.receipt.amountPaid')}: ${money(payment.amountCents)}`);
+  doc.font('Helvetica');
+  doc.moveDown();
+
+  doc.fontSize(14).text(`${t(locale, 'pdf.receipt.invoice')}:`, { underline: true });
+  doc.fontSize(11);
+  invoice.items.forEach((item) => doc.text(`${itemLabel(item)}: ${money(item.amountCents)}`));
+  doc.moveDown(0.5);
+  doc.text(`${t(locale, 'pdf.receipt.total')}: ${money(invoice.totalCents)}`);
+  doc.text(`${t(locale, 'pdf.receipt.totalPaid')}: ${money(paidThrough)}`);
+  doc.text(`${t(locale, 'pdf.receipt.balance')}: ${money(Math.max(invoice.totalCents - paidThrough, 0))}`);
+  doc.moveDown();
+
+  doc.image(barcode, { fit: [200, 80], align: 'left' });
+
+  doc.end();
+};
+
+const drawTranscript = (doc, locale, { conversation, messages }) => {
+  drawLogo(doc, 'transcript');
+
+  doc.fontSize(18).text(t(locale, 'chat.transcript.title', { id: conversation.id }), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(`${t(locale, 'chat.transcript.visitor')}: ${conversation.user_name} <${conversation.user_email}>`);
+  doc.text(`${t(locale, 'chat.transcript.started')}: ${formatDate(locale, conversation.created_at, { time: true })}`);
+  doc.text(`${t(locale, 'chat.transcript.status')}: ${t(locale, `chat.statuses.${conversation.status}`)}`);
+  doc.moveDown();
+
+  messages.forEach((message) => {
+    doc.fontSize(9).fillColor('#6b7280')
+      .text(`${formatDate(locale, message.created_at, { time: true })} - ${senderLabel(locale, message)}`);
+    doc.fontSize(11).fillColor('black').text(message.message);
+    doc.moveDown(0.5);
+  });
+};
+
+// Streams a chat transcript (see transcripts.js) to the response
+export const sendTranscriptPdf = (res, { locale, transcript }) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${transcriptFilename(transcript.conversation, 'pdf')}`);
+
+  const doc = new PDFDocument();
+  doc.pipe(res);
+  drawTranscript(doc, locale, transcript);
+  doc.end();
+};
+
+// The same PDF as a Buffer, for archives
+export const transcriptPdfBuffer = ({ locale, transcript }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument();
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  drawTranscript(doc, locale, transcript);
+  doc.end();
+});
@@ -0,0 +1,43 @@
+// Staff roles and the permissions each one carries. Applicant accounts have no
+// role; they can only reach their own records through the ownership checks.
+export const PERMISSIONS = [
+  'applications:read',
+  'applications:status',
+  'applications:tracking',
+  'applications:assign',
+  'applications:export',
+  'chat:read',
+  'chat:reply',
+  'users:read',
+  'users:manage',
+  'analytics:read',
+  'emails:read',
+  'emails:resend',
+  'appointments:read',
+  'appointments:manage',
+  'payments:read',
+  'payments:record',
+  'fees:manage',
+  'faq:manage',
+  'chat:manage',
+  'audit:read',
+];
+
+const CLERK = ['applications:read', 'applications:tracking', 'chat:read', 'chat:reply', 'appointments:read',
+  'payments:read', 'payments:record'];
+const CONSULAR_OFFICER = [...CLERK, 'applications:status'];
+const SUPERVISOR = [...CONSULAR_OFFICER, 'users:read', 'analytics:read', 'emails:read', 'appointments:manage',
+  'fees:manage', 'faq:manage', 'chat:manage', 'applications:assign', 'applications:export'];
+
+export const ROLES = {
+  clerk: { label: 'Clerk', permissions: CLERK },
+  consular_officer: { label: 'Consular Officer', permissions: CONSULAR_OFFICER },
+  supervisor: { label: 'Supervisor', permissions: SUPERVISOR },
+  system_admin: { label: 'System Administrator', permissions: PERMISSIONS },
+};
+
+export const isStaffRole = (role) => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+export const getPermissions = (role) => (isStaffRole(role) ? ROLES[role].permissions : []);
+
+export const hasPermission = (user, permission) => !!user && getPermissions(user.role).includes(permission);
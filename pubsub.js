@@ -0,0 +1,90 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Publish/subscribe used to push real-time events (chat messages, typing,
+ * read receipts) to clients connected to any server instance. The backend is
+ * chosen by PUBSUB_BACKEND; every backend exposes:
+ *
+ *   publish(channel, payload)        -> Promise
+ *   subscribe(channel, handler)      -> Promise<unsubscribe()>
+ *
+ * Payloads are plain JSON-serializable objects.
+ */
+
+// Single process only: events never leave this instance
+export const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+
+    async publish(channel, payload) {
+      emitter.emit(channel, payload);
+    },
+
+    async subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+};
+
+// Shared across instances through Redis PUBLISH/SUBSCRIBE (REDIS_URL)
+export const createRedisPubSub = (url) => {
+  let clients = null;
+
+  // Connects on first use so the redis package is only needed when selected
+  const connect = () => {
+    if (!clients) {
+      clients = (async () => {
+        const { createClient } = await import('redis');
+        const publisher = createClient({ url });
+        publisher.on('error', (err) => console.error('Redis pub/sub error:', err.message));
+        const subscriber = publisher.duplicate();
+        subscriber.on('error', (err) => console.error('Redis pub/sub error:', err.message));
+        await Promise.all([publisher.connect(), subscriber.connect()]);
+        return { publisher, subscriber };
+      })().catch((err) => {
+        clients = null;
+        throw err;
+      });
+    }
+    return clients;
+  };
+
+  return {
+    name: 'redis',
+
+    async publish(channel, payload) {
+      const { publisher } = await connect();
+      await publisher.publish(channel, JSON.stringify(payload));
+    },
+
+    async subscribe(channel, handler) {
+      const { subscriber } = await connect();
+      const listener = (message) => handler(JSON.parse(message));
+      await subscriber.subscribe(channel, listener);
+      return () => {
+        subscriber.unsubscribe(channel, listener).catch((err) => console.error('Redis unsubscribe error:', err.message));
+      };
+    },
+  };
+};
+
+const BACKENDS = {
+  memory: () => createMemoryPubSub(),
+  redis: () => {
+    if (!process.env.REDIS_URL) throw new Error('PUBSUB_BACKEND=redis requires REDIS_URL');
+    return createRedisPubSub(process.env.REDIS_URL);
+  },
+};
+
+const selectBackend = () => {
+  const name = process.env.PUBSUB_BACKEND || 'memory';
+  if (!BACKENDS[name]) throw new Error(`Unknown PUBSUB_BACKEND: ${name}`);
+  return BACKENDS[name]();
+};
+
+export const pubsub = selectBackend();
@@ -0,0 +1,213 @@
+import { pool, withTransaction } from './db.js';
+import { authMiddleware, optionalAuth, requirePermission, generateAccessToken, accountClaims, ACCESS_TOKEN_TTL } from './auth.js';
+import { getPermissions } from './permissions.js';
+import {
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  refreshSession,
+  endSession,
+  endSessionByToken,
+  endUserSessions,
+  listSessions,
+} from './sessions.js';
+import { recordAudit, requestActor } from './audit.js';
+import { lookupIp } from './geoip.js';
+import { anonymizeIp } from './visitors.js';
+import { userDisableValidation } from './validation.js';
+
+// Browsers keep the refresh token in an HTTP-only cookie sent to /api only;
+// other clients send it in the body
+const REFRESH_COOKIE = 'refresh_token';
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api',
+};
+
+const requestRefreshToken = (req) => (req.body && req.body.refreshToken) || req.cookies?.[REFRESH_COOKIE] || null;
+
+/**
+ * Sets the refresh cookie and returns the body fields a sign-in, sign-up or
+ * refresh responds with: both tokens and the account.
+ */
+export const sessionResponse = (res, user, session) => {
+  res.cookie(REFRESH_COOKIE, session.refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL_DAYS * 86400000 });
+  const claims = accountClaims(user);
+  return {
+    token: generateAccessToken(user, session.id),
+    tokenExpiresIn: ACCESS_TOKEN_TTL,
+    refreshToken: session.refreshToken,
+    user: {
+      ...claims,
+      fullName: `${user.firstname} ${user.lastname}`,
+      permissions: getPermissions(claims.role),
+    },
+  };
+};
+
+/**
+ * Signs `user` (a login row) in once every factor has been checked: records
+ * the sign-in, opens a session and responds with its tokens. `secondFactor`
+ * ('totp' or 'recovery_code') goes into the audit entry; `extra` fields are
+ * added to the response.
+ */
+export const completeSignIn = async (req, res, user, { secondFactor = null, extra = {} } = {}) => {
+  const { role } = accountClaims(user);
+
+  // Where sign-ins come from, for the location analytics; never blocks the login
+  const location = lookupIp(req.ip) || {};
+  pool.query(
+    'INSERT INTO login_events (user_id, ip_address, country, region, city) VALUES (?, ?, ?, ?, ?)',
+    [user.id, anonymizeIp(req.ip), location.country || null, location.region || null, location.city || null]
+  ).catch((eventErr) => console.error('Login event error:', eventErr.message));
+
+  await recordAudit(pool, {
+    ...requestActor(req),
+    actor: { id: user.id, username: user.username, role },
+    action: 'auth.login',
+    targetType: 'user',
+    targetId: user.id,
+    details: secondFactor ? { secondFactor } : null,
+  });
+
+  const session = await createSession(pool, user.id, { ip: req.ip, userAgent: req.get('User-Agent') });
+  res.json({ success: true, ...sessionResponse(res, user, session), ...extra });
+};
+
+export const registerSessionRoutes = (app) => {
+  // A new access token and refresh token for the current one; the old refresh token stops working
+  app.post('/api/token/refresh', async (req, res) => {
+    const refreshToken = requestRefreshToken(req);
+    if (!refreshToken) return res.status(401).json({ error: req.t('errors.authRequired') });
+
+    try {
+      const result = await refreshSession(refreshToken, { ip: req.ip, userAgent: req.get('User-Agent') });
+      if (result.error) {
+        if (result.status === 401) res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        return res.status(result.status).json({ error: req.t(result.error) });
+      }
+      res.json({ success: true, ...sessionResponse(res, result.user, { ...result.session, refreshToken: result.refreshToken }) });
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Ends this session, found from the access token or the refresh token
+  app.post('/api/logout', optionalAuth, async (req, res) => {
+    try {
+      const refreshToken = requestRefreshToken(req);
+      if (req.user && req.user.sid) {
+        await endSession(pool, req.user.sid, 'logout', req.user.id);
+      } else if (refreshToken) {
+        await endSessionByToken(refreshToken, 'logout');
+      }
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Logout error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Sign out everywhere: every session of the account, this one included
+  app.post('/api/logout/all', authMiddleware, async (req, res) => {
+    try {
+      const ended = await endUserSessions(pool, req.user.id, 'logout_all');
+      res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      res.json({ success: true, ended });
+    } catch (err) {
+      console.error('Logout everywhere error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ACCOUNT SESSIONS
+  // ========================================
+
+  app.get('/api/account/sessions', authMiddleware, async (req, res) => {
+    try {
+      res.json({ sessions: await listSessions(req.user.id, req.user.sid) });
+    } catch (err) {
+      console.error('List sessions error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.delete('/api/account/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+      const ended = await endSession(pool, req.params.id, 'revoked', req.user.id);
+      if (!ended) return res.status(404).json({ error: req.t('errors.sessionNotFound') });
+      if (Number(req.params.id) === req.user.sid) res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ADMIN: ACCOUNT ACCESS
+  // ========================================
+
+  // Ends every session of an account
+  app.delete('/api/admin/users/:id/sessions', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+    try {
+      const [users] = await pool.query('SELECT id FROM login WHERE id = ?', [req.params.id]);
+      if (!users.length) return res.status(404).json({ error: req.t('errors.userNotFound') });
+
+      const ended = await withTransaction(async (connection) => {
+        const count = await endUserSessions(connection, users[0].id, 'revoked_by_admin');
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'users.sessions_revoke',
+          targetType: 'user',
+          targetId: users[0].id,
+          details: { ended: count },
+        });
+        return count;
+      });
+      res.json({ success: true, ended });
+    } catch (err) {
+      console.error('Revoke user sessions error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Disabling an account ends its sessions and blocks sign-in until it is enabled again
+  app.put('/api/admin/users/:id/disabled', authMiddleware, requirePermission('users:manage'), userDisableValidation, async (req, res) => {
+    const { disabled } = req.body;
+    if (disabled && Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: req.t('errors.cannotDisableSelf') });
+    }
+
+    try {
+      const [users] = await pool.query('SELECT id, disabled_at FROM login WHERE id = ?', [req.params.id]);
+      if (!users.length) return res.status(404).json({ error: req.t('errors.userNotFound') });
+
+      const user = users[0];
+      await withTransaction(async (connection) => {
+        await connection.query(
+          `UPDATE login SET disabled_at = ${disabled ? 'COALESCE(disabled_at, NOW())' : 'NULL'} WHERE id = ?`,
+          [user.id]
+        );
+        const ended = disabled ? await endUserSessions(connection, user.id, 'disabled') : 0;
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: disabled ? 'users.disable' : 'users.enable',
+          targetType: 'user',
+          targetId: user.id,
+          diff: { disabled: [!!user.disabled_at, disabled] },
+          details: disabled ? { endedSessions: ended } : null,
+        });
+      });
+      res.json({ success: true, id: user.id, disabled });
+    } catch (err) {
+      console.error('Disable user error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { pool, withTransaction } from './db.js';
+import { anonymizeIp, parseUserAgent } from './visitors.js';
+import { twoFactorRequired } from './twoFactor.js';
+
+dotenv.config();
+
+// ========================================
+// SESSIONS
+// ========================================
+//
+// Signing in opens a session (SESSIONS.md). The client gets a short-lived
+// access token naming the session (auth.js) and a refresh token, which
+// POST /api/token/refresh trades for a new pair. Refresh tokens are random,
+// stored as SHA-256 hashes and replaced on every use. A replaced token that
+// comes back later has been copied, so the session is ended.
+
+// A session ends after this many days without a refresh
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Tabs refreshing at the same moment send the same token; the late ones are
+// refused without ending the session
+const REUSE_GRACE_SECONDS = 30;
+
+// Ended and expired sessions are deleted after this many days
+const KEEP_ENDED_DAYS = 30;
+
+const MAX_USER_AGENT = 500;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(32).toString('base64url');
+
+const clientDetails = ({ ip, userAgent }) => ({
+  ip_address: anonymizeIp(ip),
+  user_agent: userAgent ? userAgent.slice(0, MAX_USER_AGENT) : null,
+});
+
+/**
+ * Opens a session for `userId` and returns `{ id, refreshToken }`.
+ * `client` is `{ ip, userAgent }`; the address is stored anonymized. Also
+ * clears the account's sessions that ended long ago.
+ */
+export const createSession = async (db, userId, client) => {
+  const refreshToken = newToken();
+  const [result] = await db.query(
+    'INSERT INTO sessions SET ?, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)',
+    [{ user_id: userId, token_hash: hashToken(refreshToken), ...clientDetails(client) }, REFRESH_TOKEN_TTL_DAYS]
+  );
+  await db.query(
+    `DELETE FROM sessions
+     WHERE user_id = ? AND COALESCE(ended_at, expires_at) < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [userId, KEEP_ENDED_DAYS]
+  );
+  return { id: result.insertId, refreshToken };
+};
+
+/**
+ * Replaces a refresh token. Returns `{ session, user, refreshToken }` with the
+ * new token and the account as it is now, or `{ status, error }`. A token
+ * replaced more than REUSE_GRACE_SECONDS ago ends its session.
+ */
+export const refreshSession = async (refreshToken, client) => {
+  const hash = hashToken(String(refreshToken));
+  const result = await withTransaction(async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT s.id, s.user_id, s.token_hash, s.ended_at, s.expires_at < NOW() as expired,
+              s.rotated_at >= DATE_SUB(NOW(), INTERVAL ? SECOND) as recently_rotated,
+              l.username, l.firstname, l.lastname, l.role, l.language, l.disabled_at, l.totp_enabled_at
+       FROM sessions s
+       JOIN login l ON l.id = s.user_id
+       WHERE s.token_hash = ? OR s.previous_token_hash = ?
+       FOR UPDATE`,
+      [REUSE_GRACE_SECONDS, hash, hash]
+    );
+    const session = rows[0];
+    if (!session || session.ended_at || session.expired || session.disabled_at) {
+      return { status: 401, error: 'errors.sessionEnded' };
+    }
+    // Given a staff role without a second factor: sign in again, which sets it up
+    if (twoFactorRequired(session.role) && !session.totp_enabled_at) {
+      return { status: 401, error: 'errors.sessionEnded' };
+    }
+    if (session.token_hash !== hash) {
+      if (session.recently_rotated) return { status: 409, error: 'errors.refreshTokenReplaced' };
+      return { status: 401, error: 'errors.sessionEnded', reusedSession: session.id };
+    }
+
+    const replacement = newToken();
+    await connection.query(
+      `UPDATE sessions
+       SET ?, previous_token_hash = token_hash, token_hash = ?, rotated_at = NOW(), last_used_at = NOW(),
+           expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+       WHERE id = ?`,
+      [clientDetails(client), hashToken(replacement), REFRESH_TOKEN_TTL_DAYS, session.id]
+    );
+    return {
+      session: { id: session.id },
+      user: {
+        id: session.user_id,
+        username: session.username,
+        firstname: session.firstname,
+        lastname: session.lastname,
+        role: session.role,
+        language: session.language,
+      },
+      refreshToken: replacement,
+    };
+  });
+
+  // Rolled back with the failed refresh, so ended here
+  if (result.reusedSession) await endSession(pool, result.reusedSession, 'token_reuse');
+  return result;
+};
+
+// Ends one session; true if it was still open
+export const endSession = async (db, sessionId, reason, userId = null) => {
+  const [result] = await db.query(
+    `UPDATE sessions SET ended_at = NOW(), end_reason = ?
+     WHERE id = ? AND ended_at IS NULL ${userId ? 'AND user_id = ?' : ''}`,
+    [reason, sessionId, ...(userId ? [userId] : [])]
+  );
+  return result.affectedRows > 0;
+};
+
+// Ends the session a refresh token belongs to (sign-out without a valid access token)
+export const endSessionByToken = async (refreshToken, reason) => {
+  const [result] = await pool.query(
+    'UPDATE sessions SET ended_at = NOW(), end_reason = ? WHERE token_hash = ? AND ended_at IS NULL',
+    [reason, hashToken(String(refreshToken))]
+  );
+  return result.affectedRows > 0;
+};
+
+// Ends every open session of an account, or every one but `exceptSessionId`; returns how many
+export const endUserSessions = async (db, userId, reason, exceptSessionId = null) => {
+  const [result] = await db.query(
+    `UPDATE sessions SET ended_at = NOW(), end_reason = ?
+     WHERE user_id = ? AND ended_at IS NULL ${exceptSessionId ? 'AND id != ?' : ''}`,
+    [reason, userId, ...(exceptSessionId ? [exceptSessionId] : [])]
+  );
+  return result.affectedRows;
+};
+
+// The account's open sessions, most recently used first
+export const listSessions = async (userId, currentSessionId) => {
+  const [rows] = await pool.query(
+    `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND ended_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC, id DESC`,
+    [userId]
+  );
+  return rows.map((row) => {
+    const { deviceType, browser, os } = parseUserAgent(row.user_agent || '');
+    return {
+      id: row.id,
+      current: row.id === currentSessionId,
+      ip: row.ip_address,
+      device: { type: deviceType, browser, os },
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      expiresAt: row.expires_at,
+    };
+  });
+};
@@ -0,0 +1,192 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createZipWriter } from './zip.js';
+
+// ========================================
+// CSV AND EXCEL EXPORTS
+// ========================================
+//
+// Exports are streamed: rows arrive in batches (listing.js listBatches) and
+// are written out as they come, so the size of an export is not limited by
+// memory. An export's columns are an object of { key: (row) => value }; the
+// keys are the header row and what ?columns= picks from. Values may be
+// strings, numbers, booleans, Dates, arrays (joined with "; ") or null.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Excel refuses longer cell texts
+const MAX_CELL_LENGTH = 32767;
+
+// The requested columns, in the requested order; all of them by default
+export const pickColumns = (columns, keys) => (keys && keys.length
+  ? Object.fromEntries(keys.map((key) => [key, columns[key]]))
+  : columns);
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// DATE columns come back from mysql2 as local midnight
+const isDateOnly = (date) => !date.getHours() && !date.getMinutes() && !date.getSeconds() && !date.getMilliseconds();
+
+// Local time, as MySQL shows it
+const formatTimestamp = (date) => {
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return isDateOnly(date) ? day : `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const cellText = (value) => (Array.isArray(value) ? value.join('; ') : String(value));
+
+// Stops reading when the client has gone away
+async function* exportRows(batches, output) {
+  for await (const rows of batches) {
+    if (output.destroyed) return;
+    yield* rows;
+  }
+}
+
+// ========================================
+// CSV
+// ========================================
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatTimestamp(value);
+  let text = cellText(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+// UTF-8 with a byte order mark, which Excel needs to read accents correctly
+async function* csvChunks(columns, rows) {
+  const getters = Object.values(columns);
+  yield `\uFEFF${csvLine(Object.keys(columns))}`;
+  let chunk = '';
+  for await (const row of rows) {
+    chunk += csvLine(getters.map((value) => value(row)));
+    if (chunk.length >= 64 * 1024) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+// ========================================
+// XLSX
+// ========================================
+//
+// The smallest workbook Excel, LibreOffice and Numbers open: one sheet with
+// inline strings, so no shared string table has to be built in memory.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// Cell styles, by position in styles.xml cellXfs
+const STYLE_DATE = 1;
+const STYLE_TIMESTAMP = 2;
+const STYLE_HEADER = 3;
+
+const escapeXml = (text) => text
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // not allowed in XML
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sheet names are at most 31 characters, without []:*?/\
+const sheetName = (name) => name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+
+const workbookParts = (name) => ({
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_NS}">`
+    + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${RELATIONSHIP_NS}">`
+    + `<sheets><sheet name="${escapeXml(sheetName(name))}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_NS}">`
+    + `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>`
+    + '</Relationships>',
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+    + '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>'
+    + '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>'
+    + '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>',
+});
+
+// Days since 1899-12-30 in local time, which is how Excel stores dates
+const excelDate = (date) => (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+const xlsxCell = (value, style) => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (value instanceof Date) {
+    return `<c s="${isDateOnly(value) ? STYLE_DATE : STYLE_TIMESTAMP}"><v>${excelDate(value)}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = escapeXml(cellText(value).slice(0, MAX_CELL_LENGTH));
+  return `<c t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+// The header row is bold and stays in view while scrolling
+async function* sheetChunks(columns, rows) {
+  const getters = Object.values(columns);
+  yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0">'
+    + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+    + '</sheetView></sheetViews><sheetData>'
+    + `<row>${Object.keys(columns).map((key) => xlsxCell(key, STYLE_HEADER)).join('')}</row>`;
+  let chunk = '';
+  for await (const row of rows) {
+    chunk += `<row>${getters.map((value) => xlsxCell(value(row))).join('')}</row>`;
+    if (chunk.length >= 64 * 1024) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  yield `${chunk}</sheetData></worksheet>`;
+}
+
+/**
+ * Streams `batches` (an async iterable of row arrays) to the response as
+ * `<filename>.csv` or `<filename>.xlsx`, one row per row and one cell per
+ * entry of `columns`. Resolves once everything has been written.
+ */
+export const sendExport = async (res, { filename, format, columns, batches, title = filename }) => {
+  const rows = exportRows(batches, res);
+  if (format === 'xlsx') {
+    res.attachment(`${filename}.xlsx`);
+    const zip = createZipWriter(res);
+    for (const [name, content] of Object.entries(workbookParts(title))) {
+      await zip.addFile(name, content);
+    }
+    await zip.addStream('xl/worksheets/sheet1.xml', sheetChunks(columns, rows));
+    await zip.finish();
+    return;
+  }
+
+  res.attachment(`${filename}.csv`);
+  res.type('text/csv; charset=utf-8');
+  await pipeline(Readable.from(csvChunks(columns, rows)), res);
+};
@@ -0,0 +1,173 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { APPLICATION_TYPES, applicationReference, parseReference } from '../applicationTypes.js';
+import { fakeDatabase, accountStore, applicationStore, auditStore, routeQueries, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const ann = { id: 1, username: 'ann@example.org' };
+const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk', firstname: 'Cleo', lastname: 'Mbaye' };
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer', firstname: 'Omar', lastname: 'Diallo' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+const server = await serve(app);
+let applications;
+let db;
+
+/**
+ * The queue's UNION ALL over `applications` (an applicationStore): each
+ * branch is read with its own params, for the conditions the queue adds
+ * without search or filters (status IN, assigned_to, id), then sorted by
+ * created_at and queue_key with the keyset condition applied.
+ */
+const queueStore = () => ({
+  handle: (sql, params) => {
+    const source = sql.match(/\((SELECT \? as type.*)\) q/);
+    if (!source) return undefined;
+    const rest = [...params];
+    const rows = source[1].split(' UNION ALL ').flatMap((part) => {
+      const [key, keyBase, firstColumn, lastColumn, table] = rest.splice(0, 5);
+      const where = (part.match(/ WHERE (.*)$/) || [])[1];
+      const filters = (where ? where.split(' AND ') : []).map((condition) => {
+        if (condition === 'status IN (?)') {
+          const statuses = rest.shift();
+          return (row) => statuses.includes(row.status);
+        }
+        if (condition === 'assigned_to IS NULL') return (row) => !row.assigned_to;
+        const match = condition.match(/^(assigned_to|id) = \?$/);
+        if (!match) throw new Error(`The queue store does not filter on ${condition}`);
+        const value = rest.shift();
+        return (row) => (row[match[1]] || null) === value;
+      });
+      return (applications.tables[table] || [])
+        .filter((row) => filters.every((filter) => filter(row)))
+        .map((row) => ({
+          type: key, id: row.id, queue_key: keyBase + row.id, first_name: row[firstColumn], last_name: row[lastColumn],
+          status: row.status, assigned_to: row.assigned_to || null, created_at: row.created_at,
+        }));
+    });
+
+    if (sql.includes('GROUP BY q.type, q.status')) {
+      const groups = new Map();
+      for (const row of rows) {
+        const group = groups.get(`${row.type}|${row.status}`) || { type: row.type, status: row.status, count: 0, unassigned: 0 };
+        group.count += 1;
+        group.unassigned += row.assigned_to ? 0 : 1;
+        groups.set(`${row.type}|${row.status}`, group);
+      }
+      return [[...groups.values()]];
+    }
+    if (sql.startsWith('SELECT COUNT(*) as total')) return [[{ total: rows.length }]];
+
+    const descending = sql.includes('q.queue_key DESC');
+    const compare = (a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : a.queue_key - b.queue_key);
+    let page = rows.sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+    if (sql.includes('q.queue_key > ?') || sql.includes('q.queue_key < ?')) {
+      const [at, , key] = rest.splice(0, 3);
+      page = page.filter((row) => {
+        const order = compare(row, { created_at: at, queue_key: key });
+        return descending ? order < 0 : order > 0;
+      });
+    }
+    const [limit, offset] = rest;
+    return [page.slice(offset, offset + limit).map((row) => ({
+      ...row, age_days: 3, cursor_value: row.created_at, cursor_id: row.queue_key,
+    }))];
+  },
+});
+
+const at = (time) => `2026-03-01 ${time}`;
+
+beforeEach(() => {
+  // Visa 1 and marriage 1 share an id and a timestamp; queue_key tells them apart
+  applications = applicationStore({
+    visa_applications: [
+      { id: 1, status: 'pending', first_name: 'Ann', last_name: 'Lee', created_at: at('09:00:00') },
+      { id: 2, status: 'under_review', first_name: 'Bob', last_name: 'Kane', created_at: at('11:00:00'), assigned_to: clerk.id },
+    ],
+    marriage_applications: [
+      { id: 1, status: 'pending', spouse1_first_name: 'Cara', spouse1_last_name: 'Mills', created_at: at('09:00:00') },
+    ],
+    travel_pass_applications: [
+      { id: 7, status: 'pending', first_name: 'Dan', last_name: 'Ruiz', created_at: at('10:00:00') },
+    ],
+  });
+  db = fakeDatabase(queueStore(), applications, accountStore([ann, clerk, officer, supervisor]), auditStore());
+});
+
+after(() => server.close());
+
+const queue = (query = '', account = clerk) => server.request('GET', `/api/admin/applications${query}`, { token: tokenFor(account) });
+
+test('references carry the type prefix and are read back case-insensitively', () => {
+  assert.equal(applicationReference(APPLICATION_TYPES.visa, 123), 'VIS-000123');
+  assert.deepEqual(parseReference('vis123'), { key: 'visa', id: 123 });
+  assert.deepEqual(parseReference(' TRP-000007 '), { key: 'travel_pass', id: 7 });
+  assert.equal(parseReference('XYZ-000001'), null);
+  assert.equal(parseReference('Ann Lee'), null);
+});
+
+test('the queue walks every type by cursor, oldest first, equal ids of different types included', async () => {
+  const seen = [];
+  let cursor = '';
+  do {
+    const page = await queue(`?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(page.status, 200);
+    assert.equal(page.body.total, 4);
+    seen.push(...page.body.applications.map((item) => item.reference));
+    cursor = page.body.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, ['VIS-000001', 'MAR-000001', 'TRP-000007', 'VIS-000002']);
+
+  const [first] = (await queue('?limit=1')).body.applications;
+  assert.deepEqual(
+    { type: first.type, applicantName: first.applicantName, ageDays: first.ageDays, assignee: first.assignee },
+    { type: 'visa', applicantName: 'Ann Lee', ageDays: 3, assignee: null },
+  );
+  assert.deepEqual((await queue('?order=desc&limit=2')).body.applications.map((item) => item.reference), ['VIS-000002', 'TRP-000007']);
+});
+
+test('a reference search or a type filter queries only the matching tables', async () => {
+  const found = await queue('?q=TRP-000007');
+  assert.deepEqual(found.body.applications.map((item) => item.reference), ['TRP-000007']);
+  assert.equal(db.queries.at(-1).sql.split('SELECT ? as type').length, 2);
+
+  assert.deepEqual((await queue('?type=visa,marriage&status=pending')).body.applications.map((item) => item.reference), ['VIS-000001', 'MAR-000001']);
+  assert.deepEqual((await queue('?assignee=me')).body.applications.map((item) => item.reference), ['VIS-000002']);
+  assert.equal((await queue('?type=passport')).status, 400);
+
+  // visaType exists on visa applications only
+  const queries = routeQueries(db).length;
+  assert.deepEqual((await queue('?type=marriage&visaType=tourist')).body, { applications: [], total: 0, nextCursor: null, limit: 50, offset: 0 });
+  assert.equal(routeQueries(db).length, queries);
+});
+
+test('the counters agree with the list, every status of the included types present', async () => {
+  const counts = (await server.request('GET', '/api/admin/applications/counts?type=visa,marriage', { token: tokenFor(clerk) })).body;
+  assert.equal(counts.total, 3);
+  assert.equal(counts.unassigned, 2);
+  assert.equal(counts.byStatus.pending, 2);
+  assert.equal(counts.byType.visa.byStatus.under_review, 1);
+  assert.equal(counts.byType.marriage.byStatus.approved, 0);
+  assert.equal(counts.byType.travel_pass, undefined);
+});
+
+test('staff take and release applications; assigning others needs applications:assign', async () => {
+  const assign = (id, userId, account) => server.request('PUT', `/api/visa-applications/${id}/assign`, {
+    token: tokenFor(account),
+    body: { userId },
+  });
+
+  const taken = await assign(1, clerk.id, clerk);
+  assert.equal(taken.status, 200);
+  assert.deepEqual(taken.body.application, { id: 1, reference: 'VIS-000001', assignee: { id: clerk.id, name: 'Cleo Mbaye' } });
+  assert.equal(applications.row('visa_applications', 1).assigned_to, clerk.id);
+
+  assert.equal((await assign(1, officer.id, officer)).status, 403);
+  assert.equal((await assign(1, officer.id, clerk)).status, 403);
+  assert.equal((await assign(1, ann.id, supervisor)).status, 400);
+  assert.equal((await assign(99, null, supervisor)).status, 404);
+
+  assert.equal((await assign(1, officer.id, supervisor)).body.application.assignee.name, 'Omar Diallo');
+  assert.equal((await assign(1, null, officer)).body.application.assignee, null);
+});
@@ -0,0 +1,113 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { APPLICATION_TYPES } from '../applicationTypes.js';
+import { fakeDatabase, accountStore, applicationStore, auditStore, eventStore, outboxStore, feeStore, validApplications, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const applicant = { id: 8, username: 'ann@example.org', role: null };
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer' };
+
+let applications;
+let events;
+const server = await serve(app);
+
+beforeEach(() => {
+  applications = applicationStore();
+  events = eventStore();
+  fakeDatabase(accountStore([applicant]), applications, events, outboxStore(), feeStore(), auditStore());
+});
+
+after(() => server.close());
+
+test('every declared type accepts applications into its own table', async () => {
+  for (const [key, type] of Object.entries(APPLICATION_TYPES)) {
+    const body = validApplications()[key];
+    const response = await server.request('POST', `/api/${type.path}`, { token: tokenFor(applicant), body });
+    assert.equal(response.status, 200, type.path);
+
+    const row = applications.row(type.table, response.body.id);
+    assert.equal(row.user_name, applicant.username);
+    assert.equal(row.status, type.workflow.initial);
+  }
+});
+
+test('required fields come from the declaration', async () => {
+  const { marriage } = APPLICATION_TYPES;
+  const { spouse2_last_name, ...body } = validApplications().marriage;
+  const response = await server.request('POST', `/api/${marriage.path}`, { token: tokenFor(applicant), body });
+  assert.equal(response.status, 400);
+  assert.equal(applications.tables.marriage_applications, undefined);
+
+  const optional = marriage.fields.find((field) => !field.required).column;
+  await server.request('POST', `/api/${marriage.path}`, { token: tokenFor(applicant), body: validApplications().marriage });
+  assert.equal(applications.row('marriage_applications', 1)[optional], null);
+});
+
+test('status changes are recorded for every type, within its workflow', async () => {
+  applications = applicationStore({
+    marriage_applications: [{ id: 1, user_name: applicant.username, status: 'pending' }],
+    travel_pass_applications: [{ id: 1, user_name: applicant.username, status: 'pending' }],
+  });
+  fakeDatabase(accountStore([applicant]), applications, events, outboxStore(), feeStore(), auditStore());
+  const token = tokenFor(officer);
+
+  const response = await server.request('PUT', '/api/marriage-applications/1/status', { token, body: { status: 'under_review' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.application.previousStatus, 'pending');
+  const [event] = events.of('marriage', 1);
+  assert.equal(event.actor_username, officer.username);
+  assert.equal(event.old_status, 'pending');
+
+  // Travel passes are collected, not shipped
+  const shipped = await server.request('PUT', '/api/travel-pass-applications/1/status', { token, body: { status: 'shipped' } });
+  assert.equal(shipped.status, 400);
+  assert.equal(applications.row('travel_pass_applications', 1).status, 'pending');
+});
+
+test('tracking answers with the same shape for every type', async () => {
+  applications = applicationStore({
+    visa_applications: [{ id: 3, user_name: applicant.username, status: 'approved' }],
+    marriage_applications: [{ id: 3, user_name: applicant.username, status: 'approved' }],
+  });
+  fakeDatabase(accountStore([applicant]), applications, events, outboxStore(), feeStore(), auditStore());
+
+  for (const path of ['visa-applications', 'marriage-applications']) {
+    const response = await server.request('PUT', `/api/${path}/3/tracking`, {
+      token: tokenFor(officer),
+      body: { trackingNumber: ' 1Z999 ', carrier: 'ups' },
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { success: true, application: { id: 3, trackingNumber: '1Z999', carrier: 'ups' } });
+  }
+  assert.equal(applications.row('marriage_applications', 3).tracking_number, '1Z999');
+
+  assert.equal((await server.request('GET', '/api/marriage-applications', { token: tokenFor(applicant) })).status, 403);
+});
+
+test('tracking is set only once an application may ship, and never on travel passes', async () => {
+  applications = applicationStore({
+    visa_applications: [
+      { id: 4, user_name: applicant.username, status: 'under_review' },
+      { id: 5, user_name: applicant.username, status: 'shipped', tracking_number: '1Z999' },
+    ],
+    travel_pass_applications: [{ id: 4, user_name: applicant.username, status: 'approved' }],
+  });
+  fakeDatabase(accountStore([applicant]), applications, events, outboxStore(), feeStore(), auditStore());
+  const track = (path, id) => server.request('PUT', `/api/${path}/${id}/tracking`, {
+    token: tokenFor(officer),
+    body: { trackingNumber: '1Z998' },
+  });
+
+  const early = await track('visa-applications', 4);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error, 'A tracking number can only be set while the application is approved, shipped, not under_review');
+  assert.equal(applications.row('visa_applications', 4).tracking_number, undefined);
+
+  // A shipped application's number can still be corrected
+  assert.equal((await track('visa-applications', 5)).status, 200);
+  assert.equal(applications.row('visa_applications', 5).tracking_number, '1Z998');
+
+  assert.equal((await track('travel-pass-applications', 4)).status, 400);
+});
@@ -0,0 +1,255 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDatabase, accountStore, applicationStore, eventStore, outboxStore, dateFromToday, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const ann = { id: 1, username: 'ann@example.org' };
+const bob = { id: 3, username: 'bob@example.org' };
+const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+// A week out, well past the notice period and inside the booking window
+const day = dateFromToday(7);
+const nextDay = dateFromToday(8);
+
+/**
+ * appointment_services, appointment_hours, appointment_blackouts and
+ * appointments. Rows are kept with the column aliases the queries select.
+ */
+const appointmentStore = ({ services, hours, blackouts = [], appointments = [] }) => {
+  const store = {
+    services,
+    hours,
+    blackouts,
+    appointments,
+    service: (id) => store.services.find((service) => service.id === Number(id)),
+    appointment: (id) => store.appointments.find((appointment) => appointment.id === Number(id)),
+    withService: (appointment) => {
+      const { code: serviceCode, name: serviceName } = store.service(appointment.serviceId);
+      return { ...appointment, serviceCode, serviceName };
+    },
+    handle: (sql, params) => {
+      if (/^SELECT id, code, name, .* FROM appointment_services WHERE id = \?( FOR UPDATE)?$/.test(sql)) {
+        const service = store.service(params[0]);
+        return [service ? [{ ...service }] : []];
+      }
+      if (sql.startsWith('SELECT id FROM appointment_services WHERE id = ? FOR UPDATE')) {
+        return [store.service(params[0]) ? [{ id: Number(params[0]) }] : []];
+      }
+      if (sql.includes('FROM appointment_hours WHERE service_id IN (?)')) {
+        return [store.hours.filter((range) => params[0].includes(range.serviceId))];
+      }
+      if (sql.startsWith('DELETE FROM appointment_hours WHERE service_id = ?')) {
+        store.hours = store.hours.filter((range) => range.serviceId !== Number(params[0]));
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO appointment_hours')) {
+        params[0].forEach(([serviceId, weekday, opensAt, closesAt]) => store.hours.push({ serviceId: Number(serviceId), weekday, opensAt, closesAt }));
+        return [{ affectedRows: params[0].length }];
+      }
+      if (sql.includes('FROM appointment_blackouts WHERE (service_id = ? OR service_id IS NULL) AND date BETWEEN ? AND ?')) {
+        const [serviceId, from, to] = params;
+        return [store.blackouts
+          .filter((blackout) => (blackout.serviceId === null || blackout.serviceId === serviceId) && blackout.date >= from && blackout.date <= to)
+          .map(({ date }) => ({ date }))];
+      }
+      if (sql.includes('COUNT(*) as count FROM appointments WHERE service_id = ? AND status = \'booked\' AND starts_at >= ?')) {
+        const counts = {};
+        store.appointments
+          .filter((appointment) => appointment.serviceId === params[0] && appointment.status === 'booked')
+          .forEach((appointment) => { counts[appointment.startsAt] = (counts[appointment.startsAt] || 0) + 1; });
+        return [Object.entries(counts).map(([startsAt, count]) => ({ startsAt, count }))];
+      }
+      if (sql.startsWith('SELECT COUNT(*) as count FROM appointments WHERE service_id = ? AND starts_at = ?')) {
+        const [serviceId, startsAt, excludeId] = params;
+        const count = store.appointments.filter((appointment) => appointment.serviceId === serviceId
+          && `${appointment.startsAt}:00` === startsAt && appointment.status === 'booked' && appointment.id !== excludeId).length;
+        return [[{ count }]];
+      }
+      if (sql.startsWith('SELECT id FROM appointments WHERE service_id = ? AND application_type = ?')) {
+        const [serviceId, applicationType, applicationId] = params;
+        return [store.appointments
+          .filter((appointment) => appointment.serviceId === serviceId && appointment.applicationType === applicationType
+            && appointment.applicationId === Number(applicationId) && appointment.status === 'booked')
+          .map(({ id }) => ({ id }))];
+      }
+      if (sql.startsWith('INSERT INTO appointments')) {
+        const [serviceId, applicationType, applicationId, userId, userName, startsAt, endsAt] = params;
+        const appointment = {
+          id: store.appointments.length + 1, serviceId, applicationType, applicationId: Number(applicationId), userId, userName,
+          startsAt: startsAt.slice(0, 16), endsAt: endsAt.slice(0, 16), status: 'booked', sequence: 0, cancelledAt: null,
+        };
+        store.appointments.push(appointment);
+        return [{ insertId: appointment.id }];
+      }
+      if (/^SELECT a\.id, .* FROM appointments a JOIN appointment_services s ON s\.id = a\.service_id WHERE a\.id = \?( FOR UPDATE)?$/.test(sql)) {
+        const appointment = store.appointment(params[0]);
+        return [appointment ? [store.withService(appointment)] : []];
+      }
+      if (sql.startsWith('UPDATE appointments SET starts_at = ?, ends_at = ?, sequence = sequence + 1')) {
+        const appointment = store.appointment(params[2]);
+        Object.assign(appointment, { startsAt: params[0].slice(0, 16), endsAt: params[1].slice(0, 16), sequence: appointment.sequence + 1 });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE appointments SET status = 'cancelled'")) {
+        const appointment = store.appointment(params[0]);
+        Object.assign(appointment, { status: 'cancelled', cancelledAt: new Date(), sequence: appointment.sequence + 1 });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes('l.firstname as firstName') && sql.includes('WHERE a.starts_at >= ? AND a.starts_at < ?')) {
+        const date = params[0].slice(0, 10);
+        return [store.appointments
+          .filter((appointment) => appointment.startsAt.startsWith(date))
+          .filter((appointment) => !sql.includes("a.status = 'booked'") || appointment.status === 'booked')
+          .map((appointment) => ({ ...store.withService(appointment), firstName: 'Ann', lastName: 'Lee' }))];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+let db;
+let store;
+let applications;
+let events;
+let outbox;
+const server = await serve(app);
+
+const book = (account, startsAt, applicationId = 1) => server.request('POST', '/api/appointments', {
+  token: tokenFor(account),
+  body: { serviceId: 1, applicationType: 'visa', applicationId, startsAt },
+});
+
+const attachment = (message) => JSON.parse(message.attachments)[0];
+
+beforeEach(() => {
+  store = appointmentStore({
+    // Capacity 1: one applicant per half hour, every day from 09:00 to 12:00
+    services: [{
+      id: 1, code: 'biometrics', name: 'Biometrics', description: null, location: null, slotMinutes: 30, capacity: 1,
+      minNoticeHours: 24, bookingWindowDays: 60, applicationTypes: '["visa"]', applicationStatuses: null, active: 1,
+    }],
+    hours: [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({ serviceId: 1, weekday, opensAt: '09:00', closesAt: '12:00' })),
+    blackouts: [{ serviceId: null, date: nextDay }],
+    appointments: [{
+      id: 1, serviceId: 1, applicationType: 'visa', applicationId: 2, userId: 3, userName: bob.username,
+      startsAt: `${day} 09:00`, endsAt: `${day} 09:30`, status: 'booked', sequence: 0, cancelledAt: null,
+    }],
+  });
+  applications = applicationStore({
+    visa_applications: [
+      { id: 1, user_id: 1, user_name: ann.username, status: 'submitted', first_name: 'Ann', last_name: 'Lee' },
+      { id: 2, user_id: 3, user_name: bob.username, status: 'submitted', first_name: 'Bob', last_name: 'Ray' },
+    ],
+  });
+  events = eventStore();
+  outbox = outboxStore();
+  db = fakeDatabase(accountStore([ann, bob, clerk, supervisor]), store, applications, events, outbox);
+});
+
+after(() => server.close());
+
+test('slots follow the service hours, skip blackout days and show full ones as unavailable', async () => {
+  const response = await server.request('GET', `/api/appointments/services/1/slots?from=${day}&to=${nextDay}`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.slots.map((slot) => [slot.startsAt.slice(11), slot.available]), [
+    ['09:00', 0], ['09:30', 1], ['10:00', 1], ['10:30', 1], ['11:00', 1], ['11:30', 1],
+  ]);
+});
+
+test('an applicant books a slot for their own application, with a calendar invite', async () => {
+  const response = await book(ann, `${day}T10:00`);
+  assert.equal(response.status, 201);
+  assert.equal(response.body.appointment.startsAt, `${day} 10:00`);
+  assert.equal(response.body.appointment.endsAt, `${day} 10:30`);
+  assert.deepEqual(db.transactions, ['commit']);
+
+  assert.deepEqual(events.of('visa', 1).map((event) => event.event_type), ['appointment_booked']);
+  const [email] = outbox.messages;
+  assert.equal(email.template, 'appointment-confirmed');
+  assert.equal(email.to_address, ann.username);
+  const invite = attachment(email);
+  assert.equal(invite.filename, 'appointment.ics');
+  assert.match(invite.content, /METHOD:REQUEST\r\n/);
+  assert.match(invite.content, /SEQUENCE:0\r\n/);
+});
+
+test('the slot count is taken under the service row lock, and a full slot is refused', async () => {
+  const response = await book(ann, `${day} 09:00`);
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'This time slot is fully booked');
+  assert.equal(store.appointments.length, 1);
+  assert.deepEqual(db.transactions, ['rollback']);
+  assert.equal(outbox.messages.length, 0);
+
+  const sql = db.queries.map((query) => query.sql);
+  const lock = sql.findIndex((text) => /FROM appointment_services WHERE id = \? FOR UPDATE$/.test(text));
+  const count = sql.findIndex((text) => text.startsWith('SELECT COUNT(*) as count FROM appointments'));
+  assert.ok(lock >= 0 && lock < count, 'the service is locked before the bookings are counted');
+});
+
+test('slots outside the hours, on a blackout day or inside the notice period cannot be booked', async () => {
+  for (const startsAt of [`${day} 08:30`, `${day} 10:15`, `${nextDay} 10:00`, `${dateFromToday(0)} 11:00`]) {
+    const response = await book(ann, startsAt);
+    assert.equal(response.status, 400, startsAt);
+    assert.equal(response.body.error, 'This time slot is not available for booking');
+  }
+  assert.equal(store.appointments.length, 1);
+});
+
+test("an applicant cannot book for someone else's application, or twice for one", async () => {
+  assert.equal((await book(ann, `${day} 10:00`, 2)).status, 403);
+
+  assert.equal((await book(ann, `${day} 10:00`)).status, 201);
+  const again = await book(ann, `${day} 11:00`);
+  assert.equal(again.status, 409);
+  assert.equal(store.appointments.length, 2);
+});
+
+test('rescheduling moves the booking and sends an updated invite', async () => {
+  await book(ann, `${day} 10:00`);
+
+  const full = await server.request('PUT', '/api/appointments/2', { token: tokenFor(ann), body: { startsAt: `${day} 09:00` } });
+  assert.equal(full.status, 409);
+
+  const response = await server.request('PUT', '/api/appointments/2', { token: tokenFor(ann), body: { startsAt: `${day} 11:30` } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.appointment.startsAt, `${day} 11:30`);
+  assert.equal(response.body.appointment.sequence, 1);
+
+  const moved = events.of('visa', 1).find((event) => event.event_type === 'appointment_rescheduled');
+  assert.equal(JSON.parse(moved.details).previousStartsAt, `${day} 10:00`);
+  assert.match(attachment(outbox.messages.at(-1)).content, /SEQUENCE:1\r\n/);
+});
+
+test('cancelling frees the slot and sends a cancellation for the same invite', async () => {
+  assert.equal((await server.request('PUT', '/api/appointments/1/cancel', { token: tokenFor(ann) })).status, 403);
+
+  const response = await server.request('PUT', '/api/appointments/1/cancel', { token: tokenFor(bob) });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.appointment.status, 'cancelled');
+  assert.match(attachment(outbox.messages[0]).content, /METHOD:CANCEL\r\n[\s\S]*UID:appointment-1@/);
+
+  const again = await server.request('PUT', '/api/appointments/1/cancel', { token: tokenFor(bob) });
+  assert.equal(again.status, 409);
+  assert.equal((await book(ann, `${day} 09:00`)).status, 201);
+});
+
+test('staff see the daily agenda; only appointment managers change hours', async () => {
+  assert.equal((await server.request('GET', `/api/admin/appointments/agenda?date=${day}`, { token: tokenFor(ann) })).status, 403);
+
+  const agenda = await server.request('GET', `/api/admin/appointments/agenda?date=${day}`, { token: tokenFor(clerk) });
+  assert.equal(agenda.status, 200);
+  assert.equal(agenda.body.total, 1);
+  assert.equal(agenda.body.appointments[0].userName, bob.username);
+
+  const hours = [{ weekday: 1, opensAt: '13:00', closesAt: '15:00' }];
+  const denied = await server.request('PUT', '/api/admin/appointment-services/1/hours', { token: tokenFor(clerk), body: { hours } });
+  assert.equal(denied.status, 403);
+
+  const response = await server.request('PUT', '/api/admin/appointment-services/1/hours', { token: tokenFor(supervisor), body: { hours } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.service.hours, hours);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { recordAudit, verifyAuditLog, entryHash, GENESIS_HASH } from '../audit.js';
+import { fakeDatabase, auditStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const admin = { id: 1, username: 'admin@embassy.cf', role: 'system_admin' };
+const supervisor = { id: 3, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+let audit;
+const server = await serve(app);
+
+// Three entries, written the way the routes write them
+const recordThree = async () => {
+  for (const targetId of [5, 6, 7]) {
+    await recordAudit(pool, { actor: admin, action: 'application.view', targetType: 'visa', targetId });
+  }
+};
+
+beforeEach(() => {
+  audit = auditStore();
+  fakeDatabase(audit);
+});
+
+after(() => server.close());
+
+test('entries are numbered and each links to the one before it', async () => {
+  await recordThree();
+  assert.deepEqual(audit.entries.map((entry) => entry.id), [1, 2, 3]);
+  assert.equal(audit.entries[0].prev_hash, GENESIS_HASH);
+  assert.equal(audit.entries[1].prev_hash, audit.entries[0].hash);
+  assert.equal(audit.entries[2].hash, entryHash(audit.entries[2]));
+  assert.deepEqual(audit.head, { last_id: 3, last_hash: audit.entries[2].hash });
+
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, true);
+  assert.equal(result.checked, 3);
+});
+
+test('reading the log needs audit:read and is itself recorded', async () => {
+  await recordThree();
+  assert.equal((await server.request('GET', '/api/admin/audit', { token: tokenFor(supervisor) })).status, 403);
+
+  const response = await server.request('GET', '/api/admin/audit', { token: tokenFor(admin) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.entries.map((entry) => entry.action), ['audit.read', 'application.view', 'application.view', 'application.view']);
+  assert.equal(response.body.entries[0].actor.username, admin.username);
+  assert.equal((await verifyAuditLog()).ok, true);
+});
+
+test('a changed entry no longer matches its hash', async () => {
+  await recordThree();
+  audit.entries[1].target_id = '99';
+
+  const result = await verifyAuditLog();
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.problems, [{ id: 2, message: 'content does not match its hash' }]);
+});
+
+test('an entry rehashed after a change breaks the link from the next one', async () => {
+  await recordThree();
+  audit.entries[1].target_id = '99';
+  audit.entries[1].hash = entryHash(audit.entries[1]);
+
+  const result = await verifyAuditLog();
+  assert.deepEqual(result.problems, [{ id: 3, message: 'does not link to the entry before it' }]);
+});
+
+test('a chain rewritten in full passes alone but not against an earlier anchor', async () => {
+  await recordThree();
+  const anchor = { id: 2, hash: audit.entries[1].hash };
+  assert.equal((await verifyAuditLog({ anchor })).ok, true);
+
+  // Recomputed from the change onwards, head included
+  audit.entries[1].target_id = '99';
+  for (const entry of audit.entries.slice(1)) {
+    entry.prev_hash = audit.entries[entry.id - 2].hash;
+    entry.hash = entryHash(entry);
+  }
+  audit.head.last_hash = audit.entries[2].hash;
+  assert.equal((await verifyAuditLog()).ok, true);
+
+  const result = await verifyAuditLog({ anchor });
+  assert.deepEqual(result.problems, [{ id: 2, message: 'does not match the anchor; the chain has been rewritten up to here' }]);
+  assert.equal((await verifyAuditLog({ anchor: { id: 4, hash: anchor.hash } })).problems[0].id, 4);
+});
+
+test('removed entries are noticed, in the middle and at the end', async () => {
+  await recordThree();
+  audit.entries.splice(1, 1);
+  let result = await verifyAuditLog();
+  assert.deepEqual(result.problems.map((problem) => problem.id), [3, 3]);
+
+  audit.entries = audit.entries.slice(0, 1);
+  result = await verifyAuditLog();
+  assert.deepEqual(result.problems.map((problem) => problem.id), [null]);
+});
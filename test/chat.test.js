@@ -0,0 +1,230 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryPubSub } from '../pubsub.js';
+import { fakeDatabase, accountStore, auditStore, chatStore, faqStore, outboxStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const clerk = { id: 4, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk' };
+
+let chat;
+let outbox;
+const server = await serve(app);
+const streams = [];
+
+/**
+ * Opens an event stream. `next()` resolves to the next event carrying data
+ * ({ id, event, data }), skipping the retry line and keep-alive comments.
+ */
+const openEvents = async (path, headers = {}) => {
+  const controller = new AbortController();
+  const res = await fetch(server.base + path, { headers, signal: controller.signal });
+  const close = () => controller.abort();
+  streams.push(close);
+  if (res.status !== 200) {
+    close();
+    return { status: res.status };
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  const next = async () => {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('The stream ended');
+      buffer += value;
+    }
+    const block = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(block.length + 2);
+    const fields = Object.fromEntries(block.split('\n').filter((line) => /^\w+: /.test(line)).map((line) => line.split(/: (.*)/s)));
+    if (!fields.data) return next();
+    return { id: fields.id ? Number(fields.id) : null, event: fields.event, data: JSON.parse(fields.data) };
+  };
+  return { status: res.status, headers: res.headers, next, close };
+};
+
+const startConversation = (sessionId = 'visitor-1') => server.request('POST', '/api/chat/conversation', {
+  body: { sessionId, userName: 'Ann Lee', userEmail: 'ann@example.org' },
+});
+
+const reply = (conversationId, message) => server.request('POST', '/api/chat/admin-reply', {
+  token: tokenFor(clerk),
+  body: { conversationId, message },
+});
+
+beforeEach(() => {
+  streams.splice(0).forEach((close) => close());
+  chat = chatStore();
+  outbox = outboxStore();
+  fakeDatabase(chat, faqStore(), outbox, accountStore([clerk]), auditStore());
+});
+
+after(() => {
+  streams.forEach((close) => close());
+  return server.close();
+});
+
+test('a visitor stream receives staff replies, typing and read receipts as they happen', async () => {
+  const { body: { conversation, token } } = await startConversation();
+  const events = await openEvents(`/api/chat/session/visitor-1/events?token=${token}`);
+  assert.equal(events.status, 200);
+  assert.equal(events.headers.get('content-type'), 'text/event-stream');
+
+  await server.request('POST', `/api/chat/conversations/${conversation.id}/typing`, { token: tokenFor(clerk), body: { typing: true } });
+  const typing = await events.next();
+  assert.equal(typing.event, 'typing');
+  assert.deepEqual(typing.data, { conversationId: conversation.id, senderType: 'admin', senderName: 'Cleo Kanga', typing: true });
+
+  await reply(conversation.id, 'How can we help?');
+  const assigned = await events.next();
+  assert.equal(assigned.event, 'conversation');
+  assert.equal('assigned_to' in assigned.data, false);
+  const handedOff = await events.next();
+  assert.equal(handedOff.event, 'conversation');
+  assert.ok(handedOff.data.escalated_at);
+  assert.equal('escalation_reason' in handedOff.data, false);
+  const message = await events.next();
+  assert.equal(message.event, 'message');
+  assert.equal(message.id, 1);
+  assert.equal(message.data.message, 'How can we help?');
+
+  await server.request('POST', `/api/chat/conversations/${conversation.id}/read`, { token: tokenFor(clerk), body: {} });
+  const read = await events.next();
+  assert.equal(read.event, 'read');
+  assert.equal(read.data.reader, 'admin');
+  assert.equal(read.data.lastReadId, 1);
+});
+
+test('a visitor stream carries only its own conversation', async () => {
+  const { body: { token } } = await startConversation('visitor-1');
+  const { body: { conversation: other } } = await startConversation('visitor-2');
+  const events = await openEvents(`/api/chat/session/visitor-1/events?token=${token}`);
+
+  await reply(other.id, 'Not for you');
+  await server.request('POST', '/api/chat/message', { body: { sessionId: 'visitor-1', message: 'Hello' }, headers: { 'X-Chat-Token': token } });
+  const message = await events.next();
+  assert.equal(message.data.message, 'Hello');
+  assert.deepEqual(outbox.templates(), ['chat-message']);
+});
+
+test('a reconnecting stream replays the messages sent since Last-Event-ID', async () => {
+  const { body: { conversation, token } } = await startConversation();
+  await reply(conversation.id, 'One');
+  await reply(conversation.id, 'Two');
+  await reply(conversation.id, 'Three');
+
+  const events = await openEvents(`/api/chat/session/visitor-1/events?token=${token}`, { 'Last-Event-ID': '1' });
+  assert.deepEqual([(await events.next()).data.message, (await events.next()).data.message], ['Two', 'Three']);
+  assert.equal((await openEvents(`/api/chat/session/nobody/events?token=${token}`)).status, 404);
+});
+
+test('the staff stream needs chat:read, taken from the token cookie, and carries every conversation', async () => {
+  assert.equal((await openEvents('/api/chat/events')).status, 401);
+  assert.equal((await openEvents('/api/chat/events', { Cookie: `token=${tokenFor({ id: 9, username: 'ann@example.org' })}` })).status, 403);
+
+  const events = await openEvents('/api/chat/events', { Cookie: `token=${tokenFor(clerk)}` });
+  await startConversation('visitor-3');
+  const created = await events.next();
+  assert.equal(created.event, 'conversation');
+  assert.equal(created.data.session_id, 'visitor-3');
+
+  await server.request('PUT', `/api/chat/conversations/${created.data.id}/close`, { token: tokenFor(clerk) });
+  const closed = await events.next();
+  assert.equal(closed.data.status, 'closed');
+});
+
+test('read receipts only move forward', async () => {
+  const { body: { conversation, token } } = await startConversation();
+  await reply(conversation.id, 'One');
+  await reply(conversation.id, 'Two');
+
+  const read = (messageId) => server.request('POST', '/api/chat/session/visitor-1/read', {
+    body: { messageId },
+    headers: { 'X-Chat-Token': token },
+  });
+  assert.equal((await read(2)).body.lastReadId, 2);
+  assert.equal((await read(1)).body.lastReadId, 2);
+  assert.equal(chat.conversation(conversation.id).user_last_read_id, 2);
+});
+
+test('visitor endpoints need the conversation token; without the right one the conversation is not found', async () => {
+  const { body: { token } } = await startConversation('visitor-1');
+  const { body: { token: otherToken } } = await startConversation('visitor-2');
+  assert.equal(token.length, 43);
+  assert.notEqual(chat.tokens[0].token_hash, token);
+
+  const session = (headers) => server.request('GET', '/api/chat/session/visitor-1', { headers });
+  assert.equal((await session({})).status, 401);
+  assert.equal((await session({ 'X-Chat-Token': otherToken })).status, 404);
+  assert.equal((await session({ 'X-Chat-Token': token })).status, 200);
+  // Only the event stream takes the token in the query string
+  assert.equal((await server.request('GET', `/api/chat/session/visitor-1?token=${token}`)).status, 401);
+
+  chat.tokens[0].expires_at = new Date(Date.now() - 1000);
+  assert.equal((await session({ 'X-Chat-Token': token })).status, 404);
+
+  const taken = await startConversation('visitor-1');
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.token, undefined);
+});
+
+test('visitor messages are stored as the visitor whatever the body says', async () => {
+  const { body: { token } } = await startConversation();
+  const response = await server.request('POST', '/api/chat/message', {
+    body: { sessionId: 'visitor-1', senderType: 'admin', senderName: 'Consul', message: 'Your visa is approved' },
+    headers: { 'X-Chat-Token': token },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.message.sender_type, 'user');
+  assert.equal(response.body.message.sender_name, 'Ann Lee');
+});
+
+test('visitors see only the public fields of their conversation; staff see the whole row', async () => {
+  const staff = await openEvents('/api/chat/events', { Cookie: `token=${tokenFor(clerk)}` });
+  const { body: { conversation, token } } = await startConversation();
+  assert.equal((await staff.next()).data.user_id, null);
+  const visitor = await openEvents(`/api/chat/session/visitor-1/events?token=${token}`);
+
+  await server.request('PUT', `/api/chat/conversations/${conversation.id}/close`, { token: tokenFor(clerk) });
+  const [seenByVisitor, seenByStaff] = [await visitor.next(), await staff.next()];
+  assert.deepEqual(Object.keys(seenByVisitor.data), Object.keys(conversation));
+  assert.equal(seenByVisitor.data.status, 'closed');
+  assert.equal('escalation_reason' in seenByVisitor.data, false);
+  assert.equal('user_id' in seenByVisitor.data, false);
+  assert.ok('escalation_reason' in seenByStaff.data);
+
+  // Closing revokes the visitor's token
+  assert.equal(chat.tokens.length, 0);
+  const session = await server.request('GET', '/api/chat/session/visitor-1', { headers: { 'X-Chat-Token': token } });
+  assert.equal(session.status, 404);
+});
+
+test('a signed-in visitor chats under their account and resumes it from another device', async () => {
+  const ann = { id: 7, username: 'ann@example.org', firstname: 'Ann', lastname: 'Lee' };
+  fakeDatabase(chat, faqStore(), outbox, accountStore([ann, clerk]), auditStore());
+
+  const first = await server.request('POST', '/api/chat/conversation', {
+    token: tokenFor(ann),
+    body: { sessionId: 'laptop', userName: 'Someone Else', userEmail: 'else@example.org' },
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.conversation.user_name, 'Ann Lee');
+  assert.equal(first.body.conversation.user_email, ann.username);
+  assert.equal(chat.conversation(first.body.conversation.id).user_id, ann.id);
+
+  const phone = await server.request('POST', '/api/chat/conversation', { token: tokenFor(ann), body: { sessionId: 'phone' } });
+  assert.equal(phone.body.conversation.id, first.body.conversation.id);
+  assert.notEqual(phone.body.token, first.body.token);
+  assert.equal((await server.request('GET', '/api/chat/session/laptop', { token: tokenFor(ann) })).status, 200);
+});
+
+test('the memory pub/sub stops delivering once unsubscribed', async () => {
+  const pubsub = createMemoryPubSub();
+  const received = [];
+  const unsubscribe = await pubsub.subscribe('chat:staff', (payload) => received.push(payload));
+  await pubsub.publish('chat:staff', { event: 'typing' });
+  await pubsub.publish('chat:conversation:1', { event: 'message' });
+  unsubscribe();
+  await pubsub.publish('chat:staff', { event: 'read' });
+  assert.deepEqual(received, [{ event: 'typing' }]);
+});
@@ -0,0 +1,163 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDatabase, accountStore, auditStore, chatStore, faqStore, outboxStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const ann = { id: 1, username: 'ann@example.org' };
+const clerk = { id: 4, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk' };
+const otherClerk = { id: 6, username: 'desk@embassy.cf', role: 'clerk' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+let chat;
+const server = await serve(app);
+const tokens = {};
+
+const start = async (sessionId) => {
+  const response = await server.request('POST', '/api/chat/conversation', {
+    body: { sessionId, userName: 'Ann Lee', userEmail: ann.username },
+  });
+  tokens[sessionId] = response.body.token;
+  return response.body.conversation;
+};
+
+const say = (sessionId, message) => server.request('POST', '/api/chat/message', {
+  body: { sessionId, message },
+  headers: { 'X-Chat-Token': tokens[sessionId] },
+});
+
+const reply = (conversationId, body, account = clerk) => server.request('POST', '/api/chat/admin-reply', {
+  token: tokenFor(account),
+  body: { conversationId, ...body },
+});
+
+const inbox = (query = '', account = clerk) => server.request('GET', `/api/chat/conversations${query}`, { token: tokenFor(account) });
+
+const assign = (id, userId, account = clerk) => server.request('PUT', `/api/chat/conversations/${id}/assign`, {
+  token: tokenFor(account),
+  body: { userId },
+});
+
+beforeEach(() => {
+  chat = chatStore();
+  fakeDatabase(chat, faqStore(), outboxStore(), accountStore([ann, clerk, otherClerk, supervisor]), auditStore());
+});
+
+after(() => server.close());
+
+test('visitor messages wait on staff and count as unread for each agent until they read or answer', async () => {
+  const conversation = await start('visitor-1');
+  await say('visitor-1', 'Where is my passport?');
+  await say('visitor-1', 'It has been three weeks');
+  assert.equal(chat.conversation(conversation.id).waiting_on, 'pending_staff');
+
+  const [listed] = (await inbox()).body.conversations;
+  assert.equal(listed.unread_count, 2);
+  assert.equal(listed.last_message, 'It has been three weeks');
+  assert.deepEqual(listed.tags, []);
+
+  await reply(conversation.id, { message: 'Let me check' });
+  assert.equal(chat.conversation(conversation.id).waiting_on, 'pending_user');
+  assert.equal((await inbox()).body.conversations[0].unread_count, 0);
+  assert.equal((await inbox('', supervisor)).body.conversations[0].unread_count, 2);
+
+  const badge = await server.request('GET', '/api/chat/unread', { token: tokenFor(supervisor) });
+  assert.deepEqual(badge.body, { conversations: 1, messages: 2, assignedConversations: 0 });
+  const mine = await server.request('GET', '/api/chat/unread', { token: tokenFor(clerk) });
+  assert.deepEqual(mine.body, { conversations: 0, messages: 0, assignedConversations: 0 });
+});
+
+test('a signed-in visitor\'s message reopens a closed conversation', async () => {
+  const { body: { conversation } } = await server.request('POST', '/api/chat/conversation', { token: tokenFor(ann), body: { sessionId: 'visitor-1' } });
+  await server.request('PUT', `/api/chat/conversations/${conversation.id}/close`, { token: tokenFor(clerk) });
+  assert.equal(chat.conversation(conversation.id).waiting_on, null);
+
+  await server.request('POST', '/api/chat/message', { token: tokenFor(ann), body: { sessionId: 'visitor-1', message: 'One more question' } });
+  assert.equal(chat.conversation(conversation.id).status, 'active');
+  assert.equal(chat.conversation(conversation.id).waiting_on, 'pending_staff');
+});
+
+test('replying takes an unassigned conversation; handing it to someone else needs chat:manage', async () => {
+  const conversation = await start('visitor-1');
+  await reply(conversation.id, { message: 'Hello' });
+  assert.equal(chat.conversation(conversation.id).assigned_to, clerk.id);
+
+  assert.equal((await assign(conversation.id, clerk.id, otherClerk)).status, 403);
+  assert.equal((await assign(conversation.id, otherClerk.id)).status, 403);
+  assert.equal((await assign(conversation.id, ann.id, supervisor)).status, 400);
+
+  const handed = await assign(conversation.id, otherClerk.id, supervisor);
+  assert.equal(handed.status, 200);
+  assert.equal(handed.body.conversation.assigned_to, otherClerk.id);
+
+  const released = await assign(conversation.id, null, otherClerk);
+  assert.equal(released.body.conversation.assigned_to, null);
+  assert.equal((await inbox('?assignee=none')).body.conversations.length, 1);
+});
+
+test('tags are lowercased and replaced as a whole; the inbox filters on tag, priority and assignee', async () => {
+  const first = await start('visitor-1');
+  const second = await start('visitor-2');
+
+  const update = (id, body) => server.request('PUT', `/api/chat/conversations/${id}`, { token: tokenFor(clerk), body });
+  const tagged = await update(first.id, { priority: 'urgent', tags: ['Visa', 'lost-passport', 'visa'] });
+  assert.equal(tagged.status, 200);
+  assert.deepEqual(tagged.body.conversation.tags, ['lost-passport', 'visa']);
+  assert.deepEqual((await update(first.id, { tags: ['visa'] })).body.conversation.tags, ['visa']);
+  assert.equal((await update(first.id, { tags: ['two words'] })).status, 400);
+  assert.equal((await update(first.id, { priority: 'asap' })).status, 400);
+
+  await assign(second.id, clerk.id);
+  const ids = async (query) => (await inbox(query)).body.conversations.map((conversation) => conversation.id);
+  assert.deepEqual(await ids('?tag=visa'), [first.id]);
+  assert.deepEqual(await ids('?priority=urgent'), [first.id]);
+  assert.deepEqual(await ids('?assignee=me'), [second.id]);
+  assert.deepEqual(await ids(`?assignee=${otherClerk.id}`), []);
+});
+
+test('the inbox pages by cursor, most recent activity first, and filters on who must answer', async () => {
+  const conversations = [];
+  for (const sessionId of ['visitor-1', 'visitor-2', 'visitor-3']) conversations.push(await start(sessionId));
+  await say('visitor-1', 'Still there?');
+  await reply(conversations[2].id, { message: 'Hello' });
+
+  const first = await inbox('?limit=2');
+  assert.deepEqual(first.body.conversations.map((conversation) => conversation.id), [3, 1]);
+  assert.ok(first.body.nextCursor);
+
+  const second = await inbox(`?limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(second.body.conversations.map((conversation) => conversation.id), [2]);
+  assert.equal(second.body.nextCursor, null);
+
+  assert.equal((await inbox('?cursor=not-a-cursor')).status, 400);
+  assert.deepEqual((await inbox('?status=pending_staff')).body.conversations.map((conversation) => conversation.id), [1]);
+  assert.deepEqual((await inbox('?status=pending_user')).body.conversations.map((conversation) => conversation.id), [3]);
+});
+
+test('canned responses are managed with chat:manage and fill in the visitor and agent', async () => {
+  const canned = { title: 'Greeting', body: 'Hello {{visitorName}}, this is {{agentName}} about chat #{{conversationId}}.', language: 'en' };
+  assert.equal((await server.request('POST', '/api/admin/chat/canned-responses', { token: tokenFor(clerk), body: canned })).status, 403);
+
+  const created = await server.request('POST', '/api/admin/chat/canned-responses', { token: tokenFor(supervisor), body: canned });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.response.active, true);
+
+  const picker = await server.request('GET', '/api/chat/canned-responses?language=en', { token: tokenFor(clerk) });
+  assert.deepEqual(picker.body.responses.map((response) => response.title), ['Greeting']);
+
+  const conversation = await start('visitor-1');
+  const sent = await reply(conversation.id, { cannedResponseId: created.body.response.id });
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.message.message, `Hello Ann Lee, this is Cleo Kanga about chat #${conversation.id}.`);
+
+  await server.request('PUT', `/api/admin/chat/canned-responses/${created.body.response.id}`, {
+    token: tokenFor(supervisor),
+    body: { active: false },
+  });
+  assert.equal((await reply(conversation.id, { cannedResponseId: created.body.response.id })).status, 404);
+  assert.equal((await server.request('GET', '/api/chat/canned-responses', { token: tokenFor(clerk) })).body.responses.length, 0);
+
+  const removed = await server.request('DELETE', `/api/admin/chat/canned-responses/${created.body.response.id}`, { token: tokenFor(supervisor) });
+  assert.equal(removed.status, 200);
+  assert.equal((await reply(conversation.id, {})).status, 400);
+});
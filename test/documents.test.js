@@ -0,0 +1,130 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fakeDatabase, applicationStore, tokenFor, serve } from './helpers.js';
+
+// storage.js reads UPLOAD_DIR when it is first imported
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-test-'));
+const { app } = await import('../index.js');
+
+const applicant = { id: 8, username: 'ann@example.org', role: null };
+const other = { id: 9, username: 'bob@example.org', role: null };
+const clerk = { id: 2, username: 'clerk@embassy.cf', role: 'clerk' };
+
+const PDF = Buffer.from('%PDF-1.4\n%test\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+
+// The application_documents table
+const documentStore = () => {
+  const store = {
+    rows: [],
+    handle: (sql, params) => {
+      if (sql.startsWith('SELECT COUNT(*) as count FROM application_documents')) {
+        return [[{ count: store.rows.filter((row) => row.application_type === params[0] && row.application_id === params[1]).length }]];
+      }
+      if (sql.startsWith('INSERT INTO application_documents')) {
+        const [application_type, application_id, original_name, mime_type, size_bytes, storage_key, uploaded_by] = params;
+        const row = { id: store.rows.length + 1, application_type, application_id, original_name, mime_type, size_bytes, storage_key, uploaded_by };
+        store.rows.push(row);
+        return [{ insertId: row.id }];
+      }
+      if (sql.startsWith('SELECT id, original_name as originalName')) {
+        return [store.rows
+          .filter((row) => row.application_type === params[0] && row.application_id === params[1])
+          .map((row) => ({ id: row.id, originalName: row.original_name, mimeType: row.mime_type, size: row.size_bytes }))];
+      }
+      if (sql.startsWith('SELECT * FROM application_documents WHERE id = ?')) {
+        const [id, type, applicationId] = params;
+        return [store.rows.filter((row) => row.id === Number(id) && row.application_type === type && row.application_id === applicationId)];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+const upload = (files) => {
+  const form = new FormData();
+  files.forEach(([name, bytes, type]) => form.append('files', new Blob([bytes], { type }), name));
+  return form;
+};
+
+let documents;
+let server;
+
+before(async () => {
+  server = await serve(app);
+});
+
+beforeEach(() => {
+  documents = documentStore();
+  fakeDatabase(
+    applicationStore({
+      visa_applications: [{ id: 1, user_name: applicant.username, status: 'pending' }],
+      travel_pass_applications: [{ id: 1, user_name: applicant.username, status: 'pending' }],
+    }),
+    documents,
+  );
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+});
+
+test('the applicant uploads, lists and downloads documents', async () => {
+  const token = tokenFor(applicant);
+  const response = await server.request('POST', '/api/visa-applications/1/documents', {
+    token,
+    form: upload([['passport.pdf', PDF, 'application/pdf'], ['photo.png', PNG, 'image/png']]),
+  });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body.documents.map((d) => d.mimeType), ['application/pdf', 'image/png']);
+
+  const { storage_key } = documents.rows[0];
+  assert.match(storage_key, /^visa\/1\/[0-9a-f-]+\.pdf$/);
+  assert.deepEqual(fs.readFileSync(path.join(process.env.UPLOAD_DIR, storage_key)), PDF);
+
+  const list = await server.request('GET', '/api/visa-applications/1/documents', { token: tokenFor(clerk) });
+  assert.deepEqual(list.body.documents.map((d) => d.originalName), ['passport.pdf', 'photo.png']);
+
+  const download = await server.request('GET', '/api/visa-applications/1/documents/1', { token });
+  assert.equal(download.status, 200);
+  assert.equal(download.headers.get('content-type'), 'application/pdf');
+  assert.equal(download.body, PDF.toString());
+});
+
+test('the type comes from the file content, not its name or Content-Type', async () => {
+  const response = await server.request('POST', '/api/visa-applications/1/documents', {
+    token: tokenFor(applicant),
+    form: upload([['scan.pdf', Buffer.from('<html>not a pdf</html>'), 'application/pdf']]),
+  });
+  assert.equal(response.status, 415);
+  assert.equal(documents.rows.length, 0);
+});
+
+test('per-type count limits hold across uploads', async () => {
+  const token = tokenFor(applicant);
+  const five = Array.from({ length: 5 }, (_, i) => [`page${i}.pdf`, PDF, 'application/pdf']);
+  assert.equal((await server.request('POST', '/api/visa-applications/1/documents', { token, form: upload(five) })).status, 201);
+
+  // Visa applications take 6 documents
+  const two = five.slice(0, 2);
+  const response = await server.request('POST', '/api/visa-applications/1/documents', { token, form: upload(two) });
+  assert.equal(response.status, 400);
+  assert.equal(documents.rows.length, 5);
+
+  const seven = Array.from({ length: 7 }, (_, i) => [`page${i}.pdf`, PDF, 'application/pdf']);
+  assert.equal((await server.request('POST', '/api/travel-pass-applications/1/documents', { token, form: upload(seven) })).status, 201);
+});
+
+test('other applicants can neither upload nor read', async () => {
+  const token = tokenFor(other);
+  const form = upload([['passport.pdf', PDF, 'application/pdf']]);
+  assert.equal((await server.request('POST', '/api/visa-applications/1/documents', { token, form })).status, 403);
+  assert.equal((await server.request('GET', '/api/visa-applications/1/documents', { token })).status, 403);
+  assert.equal((await server.request('GET', '/api/visa-applications/1/documents/1', { token })).status, 403);
+  assert.equal((await server.request('GET', '/api/visa-applications/2/documents', { token })).status, 404);
+});
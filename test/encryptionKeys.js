@@ -0,0 +1,5 @@
+// Field encryption keys for the tests, read by fieldEncryption.js when it is
+// loaded. Import this before anything that loads the app, so applications
+// can be submitted.
+process.env.FIELD_ENCRYPTION_KEYS ||= `1:${'11'.repeat(32)}`;
+process.env.FIELD_BLIND_INDEX_KEY ||= '33'.repeat(32);
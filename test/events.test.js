@@ -0,0 +1,111 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { up } from '../migrations/003_application_events.js';
+import { fakeDatabase, answer, accountStore, applicationStore, auditStore, eventStore, outboxStore, feeStore, validApplications, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const applicant = { id: 8, username: 'ann@example.org', role: null };
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer' };
+
+let db;
+let applications;
+let events;
+const server = await serve(app);
+
+beforeEach(() => {
+  applications = applicationStore({
+    visa_applications: [{ id: 1, user_name: applicant.username, status: 'approved', tracking_number: null }],
+  });
+  events = eventStore();
+  db = fakeDatabase(accountStore([applicant]), applications, events, outboxStore(), feeStore(), auditStore());
+});
+
+after(() => server.close());
+
+test('submissions, status changes and tracking each leave an event', async () => {
+  const submitted = await server.request('POST', '/api/visa-applications', { token: tokenFor(applicant), body: validApplications().visa });
+  assert.deepEqual(
+    events.of('visa', submitted.body.id).map((e) => [e.event_type, e.new_status, e.actor_username]),
+    [['submitted', 'pending', applicant.username]]
+  );
+
+  const token = tokenFor(officer);
+  await server.request('PUT', '/api/visa-applications/1/tracking', { token, body: { trackingNumber: 'A1', note: 'Label printed' } });
+  await server.request('PUT', '/api/visa-applications/1/status', { token, body: { status: 'shipped', note: 'Sent by courier' } });
+
+  const [tracking, shipped] = events.of('visa', 1);
+  assert.equal(tracking.event_type, 'tracking_updated');
+  assert.deepEqual(JSON.parse(tracking.details), { tracking_number: 'A1', shipping_carrier: null });
+  assert.deepEqual(
+    [shipped.event_type, shipped.old_status, shipped.new_status, shipped.actor_id, shipped.note],
+    ['status_changed', 'approved', 'shipped', officer.id, 'Sent by courier']
+  );
+});
+
+test('a status change is undone when its event cannot be written', async () => {
+  db = fakeDatabase(
+    answer(/^INSERT INTO application_events/, () => { throw new Error('disk full'); }),
+    applications,
+    feeStore(),
+  );
+  const response = await server.request('PUT', '/api/visa-applications/1/status', {
+    token: tokenFor(officer),
+    body: { status: 'shipped', trackingNumber: 'A1' },
+  });
+  assert.equal(response.status, 500);
+  assert.deepEqual(db.transactions, ['rollback']);
+});
+
+test('the timeline shows staff names and notes to staff only', async () => {
+  await server.request('PUT', '/api/visa-applications/1/status', {
+    token: tokenFor(officer),
+    body: { status: 'shipped', trackingNumber: 'A1', note: 'Checked twice' },
+  });
+
+  const own = await server.request('GET', '/api/visa-applications/1/timeline', { token: tokenFor(applicant) });
+  assert.equal(own.status, 200);
+  const [event] = own.body.events;
+  assert.equal(event.newStatus, 'shipped');
+  assert.equal(event.actor, undefined);
+  assert.equal(event.note, undefined);
+
+  const staff = await server.request('GET', '/api/visa-applications/1/timeline', { token: tokenFor(officer) });
+  assert.equal(staff.body.events[0].actor, officer.username);
+  assert.equal(staff.body.events[0].note, 'Checked twice');
+
+  const other = tokenFor({ id: 9, username: 'bob@example.org', role: null });
+  assert.equal((await server.request('GET', '/api/visa-applications/1/timeline', { token: other })).status, 403);
+});
+
+test('the migration imports status_history JSON and drops the column', async () => {
+  const statements = [];
+  const migrationDb = {
+    query: async (sql, params) => {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      if (sql.includes('information_schema')) return [params[0] === 'visa_applications' ? [{ type: 'text' }] : []];
+      if (sql.startsWith('SELECT id, status_history')) {
+        return [[{
+          id: 4,
+          updated_at: new Date('2025-01-02'),
+          status_history: JSON.stringify([
+            { status: 'under_review', previousStatus: 'pending', changedBy: 'officer@embassy.cf', changedAt: '2025-01-01T10:00:00Z' },
+            { status: 'denied', previousStatus: 'under_review', reason: 'Incomplete', changedAt: 'yesterday-ish' },
+          ]),
+        }]];
+      }
+      return [{ affectedRows: 1 }];
+    },
+  };
+  await up(migrationDb);
+
+  const inserts = statements.filter(({ sql }) => sql.startsWith('INSERT INTO application_events'));
+  assert.equal(inserts.length, 2);
+  assert.deepEqual(inserts[0].params.slice(0, 6), ['visa', 4, 'pending', 'under_review', 'officer@embassy.cf', 'officer@embassy.cf']);
+  assert.deepEqual(inserts[0].params[8], new Date('2025-01-01T10:00:00Z'));
+  // An unreadable date falls back to the row's last update
+  assert.deepEqual(inserts[1].params[8], new Date('2025-01-02'));
+  assert.equal(inserts[1].params[6], 'Incomplete');
+  assert.ok(statements.some(({ sql, params }) => sql.startsWith('ALTER TABLE ?? DROP COLUMN') && params[0] === 'visa_applications'));
+});
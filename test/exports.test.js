@@ -0,0 +1,139 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { listBatches, idSort } from '../listing.js';
+import { fakeDatabase, answer, auditStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+const server = await serve(app);
+
+after(() => server.close());
+
+// The files of a ZIP archive by name, read through the central directory
+// because streamed entries carry their sizes after the data
+const unzip = (archive) => {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const files = {};
+  let offset = archive.readUInt32LE(end + 16);
+  for (let i = 0; i < archive.readUInt16LE(end + 10); i += 1) {
+    assert.equal(archive.readUInt32LE(offset), 0x02014b50);
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const local = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+    const data = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+    assert.equal(zlib.crc32(data), crc);
+    files[name] = data.toString();
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const download = async (path, account = supervisor) => {
+  const res = await fetch(server.base + path, { headers: { Authorization: `Bearer ${tokenFor(account)}` } });
+  return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+};
+
+// Answers one list page of `table` with every row (fewer than a batch)
+const listStore = (table, rows) => answer(/ LIMIT \? OFFSET \?$/, (sql, params) => (params[0] === table
+  ? [rows.map((row) => ({ ...row, cursor_value: row.id, cursor_id: row.id }))]
+  : undefined));
+
+const VISAS = [
+  {
+    id: 7, userName: 'ann@example.org', visaType: 'tourist', status: 'approved', firstName: '=HYPERLINK("x")', lastName: 'Lee, "Annie"',
+    tracking_number: 'VIS-2026-7', createdAt: new Date(2026, 2, 1, 9, 30), updatedAt: new Date(2026, 2, 2),
+  },
+  {
+    id: 8, userName: 'bob@example.org', visaType: 'business', status: 'pending', firstName: 'Bob', lastName: 'Kane\nJr',
+    tracking_number: null, createdAt: new Date(2026, 2, 3, 14, 5, 9), updatedAt: null,
+  },
+];
+
+test('applications export as CSV with a byte order mark, escaped cells and chosen columns', async () => {
+  const audit = auditStore();
+  const db = fakeDatabase(listStore('visa_applications', VISAS), audit);
+  const response = await download('/api/visa-applications/export?status=approved,pending');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+  assert.match(response.headers.get('content-disposition'), /visa-applications-\d{4}-\d{2}-\d{2}\.csv/);
+
+  const text = response.body.toString();
+  assert.ok(text.startsWith('\uFEFF'));
+  const lines = text.slice(1).split('\r\n');
+  assert.equal(lines[0], 'reference,id,userName,visaType,status,firstName,lastName,tracking_number,createdAt,updatedAt');
+  assert.equal(lines[1], `VIS-000007,7,ann@example.org,tourist,approved,"'=HYPERLINK(""x"")","Lee, ""Annie""",VIS-2026-7,2026-03-01 09:30:00,2026-03-02`);
+  assert.equal(lines[2], 'VIS-000008,8,bob@example.org,business,pending,Bob,"Kane\nJr",,2026-03-03 14:05:09,');
+  assert.equal(lines[3], '');
+
+  // One batch read, without counting, and the export audited
+  const reads = db.queries.filter((query) => query.params[0] === 'visa_applications');
+  assert.equal(reads.length, 1);
+  assert.deepEqual(reads[0].params.slice(1), [['approved', 'pending'], 501, 0]);
+  assert.deepEqual(audit.actions(), ['application.export']);
+
+  const picked = await download('/api/visa-applications/export?columns=status,reference');
+  assert.deepEqual(picked.body.toString().slice(1).split('\r\n').slice(0, 2), ['status,reference', 'approved,VIS-000007']);
+});
+
+test('applications export as an XLSX workbook with typed cells', async () => {
+  fakeDatabase(listStore('visa_applications', VISAS), auditStore());
+  const response = await download('/api/visa-applications/export?format=xlsx&columns=id,lastName,createdAt,updatedAt');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /\.xlsx"?$/);
+
+  const files = unzip(response.body);
+  assert.deepEqual(Object.keys(files), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml',
+  ]);
+  const rows = files['xl/worksheets/sheet1.xml'].match(/<row>[\s\S]*?<\/row>/g);
+  assert.equal(rows.length, 3);
+  assert.match(rows[0], /^<row><c t="inlineStr" s="3"><is><t xml:space="preserve">id<\/t>/);
+  assert.match(rows[1], /^<row><c><v>7<\/v><\/c><c t="inlineStr"><is><t xml:space="preserve">Lee, &quot;Annie&quot;<\/t><\/is><\/c><c s="2"><v>[\d.]+<\/v><\/c><c s="1"><v>\d+<\/v><\/c><\/row>$/);
+  assert.match(rows[2], /<c\/><\/row>$/);
+});
+
+test('bad formats and columns are refused, and only some roles may export applications', async () => {
+  fakeDatabase(listStore('visa_applications', VISAS), auditStore());
+  assert.equal((await download('/api/visa-applications/export?format=pdf')).status, 400);
+  assert.equal((await download('/api/visa-applications/export?columns=password')).status, 400);
+  assert.equal((await download('/api/visa-applications/export', clerk)).status, 403);
+  assert.equal((await download('/api/admin/chat/conversations/export', clerk)).status, 403);
+  assert.equal((await download('/api/admin/statistics/export', clerk)).status, 403);
+});
+
+test('the account export reads the login table', async () => {
+  fakeDatabase(listStore('login', [{ id: 1, username: 'ann@example.org', firstname: 'Ann', lastname: 'Lee', role: null, created_at: new Date(2026, 0, 5) }]), auditStore());
+  const response = await download('/api/admin/users/export');
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.toString().slice(1).split('\r\n').slice(0, 2), [
+    'id,username,firstName,lastName,role,createdAt',
+    '1,ann@example.org,Ann,Lee,,2026-01-05',
+  ]);
+});
+
+test('whole lists are read a keyset batch at a time', async () => {
+  const rows = [1, 2, 3, 4, 5].map((id) => ({ id }));
+  const db = fakeDatabase(answer(/FROM \?\?/, (sql, params) => {
+    const [limit] = params.slice(-2);
+    const after = sql.includes('id > ?') ? params.at(-3) : 0;
+    return [rows.filter((row) => row.id > after).slice(0, limit).map((row) => ({ ...row, cursor_value: row.id, cursor_id: row.id }))];
+  }));
+
+  const batches = [];
+  for await (const batch of listBatches({ table: 'visa_applications', select: 'id', sorts: { id: idSort }, sort: 'id', order: 'asc' }, 2)) {
+    batches.push(batch.map((row) => row.id));
+  }
+  assert.deepEqual(batches, [[1, 2], [3, 4], [5]]);
+  assert.equal(db.queries.length, 3);
+  assert.ok(db.queries.every((query) => !query.sql.startsWith('SELECT COUNT')));
+});
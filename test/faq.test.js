@@ -0,0 +1,153 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, rankEntries, asksForHuman } from '../faq.js';
+import { fakeDatabase, accountStore, auditStore, chatStore, faqStore, outboxStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const clerk = { id: 4, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+const ENTRIES = [
+  {
+    question: 'What are the embassy opening hours?',
+    variants: ['When is the embassy open?'],
+    answer: 'We are open Monday to Friday, 9am to 4pm.',
+    language: 'en',
+  },
+  {
+    question: 'How long does a visa take?',
+    variants: ['visa processing time'],
+    answer: 'A visa takes about ten working days.',
+    language: 'en',
+    applicationType: 'visa',
+  },
+  {
+    question: "Quelles sont les heures d'ouverture de l'ambassade ?",
+    answer: 'Nous sommes ouverts du lundi au vendredi, de 9 h à 16 h.',
+    language: 'fr',
+  },
+];
+
+let chat;
+let faq;
+let outbox;
+const server = await serve(app);
+
+// Chat access tokens by session id, as the widget keeps them
+const tokens = {};
+
+const start = async (sessionId = 'visitor-1', headers = {}) => {
+  const response = await server.request('POST', '/api/chat/conversation', {
+    body: { sessionId, userName: 'Ann Lee', userEmail: 'ann@example.org' },
+    headers,
+  });
+  tokens[sessionId] = response.body.token;
+  return response;
+};
+
+const say = (message, sessionId = 'visitor-1') => server.request('POST', '/api/chat/message', {
+  body: { sessionId, message },
+  headers: { 'X-Chat-Token': tokens[sessionId] },
+});
+
+beforeEach(() => {
+  chat = chatStore();
+  faq = faqStore(ENTRIES);
+  outbox = outboxStore();
+  fakeDatabase(chat, faq, outbox, accountStore([clerk]), auditStore());
+});
+
+after(() => server.close());
+
+test('matching ignores case, accents, common words and plural endings', () => {
+  assert.deepEqual(tokenize('What are the Opening HOURS?'), ['open', 'hour']);
+  assert.deepEqual(tokenize("Quelles sont les heures d'ouverture ?"), ['heur', 'ouvertur']);
+
+  const [best] = rankEntries('opening hour of the embassy', faq.entries.filter((entry) => entry.language === 'en'));
+  assert.equal(best.entry.id, 1);
+  assert.ok(best.score > 0.6);
+  assert.equal(rankEntries('the a of', faq.entries).length, 0);
+});
+
+test('asking for a person is recognised in English and French', () => {
+  assert.ok(asksForHuman('Can I talk to someone?'));
+  assert.ok(asksForHuman('Je veux parler à une personne'));
+  assert.ok(!asksForHuman('What are your hours?'));
+});
+
+test('the bot answers a close question and stays out of the staff inbox', async () => {
+  await start();
+  const response = await say('When is the embassy open?');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.escalated, false);
+  assert.equal(response.body.reply.sender_type, 'bot');
+  assert.equal(response.body.reply.sender_name, 'Embassy assistant');
+  assert.equal(response.body.reply.message, ENTRIES[0].answer);
+
+  assert.deepEqual(faq.replies.map(({ entryId, questionMessageId }) => [entryId, questionMessageId]), [[1, 1]]);
+  assert.equal(outbox.messages.length, 0);
+});
+
+test("the visitor's language is tried first, then the default one", async () => {
+  await start('visitor-fr', { 'Accept-Language': 'fr' });
+  const french = await say("Quelles sont les heures d'ouverture ?", 'visitor-fr');
+  assert.equal(french.body.reply.message, ENTRIES[2].answer);
+  assert.equal(french.body.reply.sender_name, "Assistant de l'ambassade");
+
+  const english = await say('visa processing time', 'visitor-fr');
+  assert.equal(english.body.reply.message, ENTRIES[1].answer);
+});
+
+test('an unanswered question hands the conversation to staff, who are emailed once', async () => {
+  await start();
+  const first = await say('My passport was damaged in the rain');
+  assert.equal(first.body.reply, null);
+  assert.equal(first.body.escalated, true);
+  assert.equal(chat.conversation(1).escalation_reason, 'no_answer');
+
+  const second = await say('When is the embassy open?');
+  assert.equal(second.body.reply, null);
+  assert.equal(second.body.escalated, true);
+  assert.deepEqual(outbox.templates(), ['chat-message']);
+});
+
+test('asking for a person after a bot answer flags that answer', async () => {
+  await start();
+  await say('When is the embassy open?');
+  const response = await say('That did not help, can I speak to a person?');
+  assert.equal(response.body.escalated, true);
+  assert.equal(chat.conversation(1).escalation_reason, 'requested');
+  assert.equal(faq.replies[0].humanRequested, true);
+  assert.equal(outbox.messages.length, 1);
+});
+
+test('a staff reply takes the conversation over from the bot', async () => {
+  await start();
+  await server.request('POST', '/api/chat/admin-reply', { token: tokenFor(clerk), body: { conversationId: 1, message: 'Hello Ann' } });
+  assert.equal(chat.conversation(1).escalation_reason, 'staff');
+
+  const response = await say('When is the embassy open?');
+  assert.equal(response.body.reply, null);
+  assert.equal(outbox.messages.length, 0);
+});
+
+test('the knowledge base is managed with faq:manage', async () => {
+  const entry = { question: 'Where do I pay?', variants: ['payment methods'], answer: 'At the counter.', language: 'en' };
+  assert.equal((await server.request('POST', '/api/admin/faq', { token: tokenFor(clerk), body: entry })).status, 403);
+
+  const created = await server.request('POST', '/api/admin/faq', { token: tokenFor(supervisor), body: entry });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.entry.variants, ['payment methods']);
+
+  const invalid = await server.request('POST', '/api/admin/faq', { token: tokenFor(supervisor), body: { ...entry, applicationType: 'pilot_licence' } });
+  assert.equal(invalid.status, 400);
+
+  const match = await server.request('POST', '/api/admin/faq/match', { token: tokenFor(supervisor), body: { message: 'payment methods' } });
+  assert.equal(match.body.matches[0].id, created.body.entry.id);
+  assert.equal(match.body.matches[0].score, 1);
+
+  const removed = await server.request('DELETE', `/api/admin/faq/${created.body.entry.id}`, { token: tokenFor(supervisor) });
+  assert.equal(removed.status, 200);
+  assert.equal((await server.request('GET', `/api/admin/faq/${created.body.entry.id}`, { token: tokenFor(supervisor) })).status, 404);
+});
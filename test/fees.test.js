@@ -0,0 +1,173 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { SHIPPING_WORKFLOW, planTransition } from '../workflow.js';
+import { fakeDatabase, accountStore, applicationStore, auditStore, eventStore, outboxStore, feeStore, validApplications, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const ann = { id: 1, username: 'ann@example.org' };
+const bob = { id: 3, username: 'bob@example.org' };
+const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk' };
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer' };
+
+let db;
+let fees;
+let applications;
+let events;
+const server = await serve(app);
+
+const submitVisa = (body = {}) => server.request('POST', '/api/visa-applications', {
+  token: tokenFor(ann),
+  body: { ...validApplications().visa, ...body },
+});
+
+const approve = (id) => server.request('PUT', `/api/visa-applications/${id}/status`, {
+  token: tokenFor(officer),
+  body: { status: 'approved' },
+});
+
+const recordPayment = (invoiceId, body, account = clerk) => server.request('POST', `/api/admin/invoices/${invoiceId}/payments`, {
+  token: tokenFor(account),
+  body,
+});
+
+const pay = (invoiceId, source, account = ann) => server.request('POST', `/api/invoices/${invoiceId}/pay`, {
+  token: tokenFor(account),
+  body: { source },
+});
+
+beforeEach(() => {
+  fees = feeStore([
+    { application_type: 'visa', kind: 'base', amount_cents: 8000 },
+    { application_type: 'visa', sub_type: 'longStay', kind: 'base', amount_cents: 15000 },
+    { application_type: 'visa', kind: 'expedited', amount_cents: 5000 },
+    { application_type: 'visa', kind: 'return_shipping', amount_cents: 2500, active: false },
+  ]);
+  applications = applicationStore();
+  events = eventStore();
+  db = fakeDatabase(accountStore([ann, bob, clerk, officer]), applications, events, outboxStore(), fees, auditStore());
+});
+
+after(() => server.close());
+
+test('a submission is invoiced from the active fees, a sub-type fee winning over the general one', async () => {
+  const response = await submitVisa({ visaType: 'longStay', expedited: true, returnShipping: true });
+  assert.equal(response.status, 200);
+  assert.match(response.body.invoice.invoiceNumber, /^INV-\d{4}-000001$/);
+  assert.equal(response.body.invoice.totalCents, 20000);
+  assert.deepEqual(fees.items.map((item) => [item.kind, item.subType, item.amountCents]), [
+    ['base', 'longStay', 15000],
+    ['expedited', '', 5000],
+  ]);
+  assert.deepEqual(db.transactions, ['commit']);
+
+  const shortStay = await submitVisa();
+  assert.equal(shortStay.body.invoice.totalCents, 8000);
+});
+
+test('nothing is owed when no fee applies', async () => {
+  const response = await server.request('POST', '/api/marriage-applications', { token: tokenFor(ann), body: validApplications().marriage });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.invoice, null);
+  assert.equal(fees.invoices.length, 0);
+});
+
+test('transitions marked requiresPayment wait for a paid invoice', () => {
+  const application = { status: 'under_review' };
+  const unpaid = planTransition(SHIPPING_WORKFLOW, application, 'approved', {}, { invoice: { status: 'unpaid', invoiceNumber: 'INV-1' } });
+  assert.equal(unpaid.statusCode, 402);
+  assert.equal(unpaid.error.key, 'workflow.paymentRequired');
+
+  assert.equal(planTransition(SHIPPING_WORKFLOW, application, 'approved', {}, { invoice: { status: 'paid' } }).error, undefined);
+  assert.equal(planTransition(SHIPPING_WORKFLOW, application, 'approved', {}, { invoice: null }).error, undefined);
+  assert.equal(planTransition(SHIPPING_WORKFLOW, application, 'denied', { reason: 'Incomplete' }, { invoice: { status: 'unpaid' } }).error, undefined);
+});
+
+test('an unpaid application cannot be approved until the counter records its payment', async () => {
+  const { body: { id, invoice } } = await submitVisa();
+  applications.row('visa_applications', id).status = 'under_review';
+
+  const refused = await approve(id);
+  assert.equal(refused.status, 402);
+  assert.equal(refused.body.error, `Invoice ${invoice.invoiceNumber} must be paid before moving to approved`);
+  assert.equal(applications.row('visa_applications', id).status, 'under_review');
+
+  const partial = await recordPayment(invoice.id, { method: 'cash', amountCents: 3000 });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.invoice.status, 'unpaid');
+  assert.equal(partial.body.invoice.balanceCents, 5000);
+  assert.equal((await approve(id)).status, 402);
+
+  const rest = await recordPayment(invoice.id, { method: 'money_order', amountCents: 5000, reference: 'MO-77' });
+  assert.equal(rest.body.invoice.status, 'paid');
+  assert.match(rest.body.payment.receiptNumber, /^RCT-\d{4}-\d{6}$/);
+  assert.equal((await approve(id)).status, 200);
+  assert.deepEqual(
+    events.of('visa', id).map((event) => event.event_type),
+    ['submitted', 'payment_received', 'payment_received', 'status_changed'],
+  );
+});
+
+test('manual payments need staff, a money order number, and no more than the balance', async () => {
+  const { body: { invoice } } = await submitVisa();
+
+  assert.equal((await recordPayment(invoice.id, { method: 'cash', amountCents: 8000 }, ann)).status, 403);
+  assert.equal((await recordPayment(invoice.id, { method: 'money_order', amountCents: 8000 })).status, 400);
+
+  const over = await recordPayment(invoice.id, { method: 'cash', amountCents: 9000 });
+  assert.equal(over.status, 400);
+  assert.equal(over.body.error, 'The amount exceeds the outstanding balance of $80.00');
+  assert.equal(fees.payments.length, 0);
+});
+
+test('a card payment pays the balance once; a declined card leaves the invoice open', async () => {
+  const { body: { invoice } } = await submitVisa();
+
+  assert.equal((await pay(invoice.id, 'tok_visa', bob)).status, 404);
+
+  const declined = await pay(invoice.id, 'tok_declined');
+  assert.equal(declined.status, 402);
+  assert.equal(declined.body.payment.status, 'failed');
+  assert.equal(fees.invoice(invoice.id).status, 'unpaid');
+
+  const paid = await pay(invoice.id, 'tok_visa');
+  assert.equal(paid.status, 201);
+  assert.equal(paid.body.payment.amountCents, 8000);
+  assert.equal(paid.body.invoice.status, 'paid');
+
+  const again = await pay(invoice.id, 'tok_visa');
+  assert.equal(again.status, 409);
+  assert.equal(fees.payments.filter((payment) => payment.status === 'succeeded').length, 1);
+});
+
+test('a card payment still pending blocks a second one', async () => {
+  const { body: { invoice } } = await submitVisa();
+  fees.payments.push({ id: 0, invoiceId: invoice.id, method: 'card', amountCents: 8000, status: 'pending' });
+
+  const response = await pay(invoice.id, 'tok_visa');
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'A card payment for this invoice is already in progress');
+});
+
+test('receipts are PDFs for the payer and staff only', async () => {
+  const { body: { invoice } } = await submitVisa();
+  const { body: { payment } } = await pay(invoice.id, 'tok_visa');
+
+  const receipt = await server.request('GET', `/api/payments/${payment.id}/receipt`, { token: tokenFor(ann) });
+  assert.equal(receipt.status, 200);
+  assert.equal(receipt.headers.get('content-type'), 'application/pdf');
+  assert.equal((await server.request('GET', `/api/payments/${payment.id}/receipt`, { token: tokenFor(clerk) })).status, 200);
+  assert.equal((await server.request('GET', `/api/payments/${payment.id}/receipt`, { token: tokenFor(bob) })).status, 404);
+});
+
+test('the application invoice lists its items and payments', async () => {
+  const { body: { id } } = await submitVisa({ expedited: true });
+
+  const response = await server.request('GET', `/api/visa-applications/${id}/invoice`, { token: tokenFor(ann) });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.invoice.balanceCents, 13000);
+  assert.deepEqual(response.body.invoice.items.map((item) => item.kind), ['base', 'expedited']);
+  assert.deepEqual(response.body.invoice.payments, []);
+  assert.equal((await server.request('GET', `/api/visa-applications/${id}/invoice`, { token: tokenFor(bob) })).status, 403);
+});
@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { fakeDatabase, answer, auditStore, tokenFor, serve } from './helpers.js';
+
+// Key 1 was current when the old values were written; key 2 is current now
+const KEY_1 = '11'.repeat(32);
+const KEY_2 = '22'.repeat(32);
+const BLIND_INDEX_KEY = '33'.repeat(32);
+
+// Encrypts `values` ({ context: value }) in a process that only has key 1
+const encryptWithKey1 = (values) => JSON.parse(execFileSync(process.execPath, [
+  '--input-type=module',
+  '-e',
+  `import { encryptValue } from './fieldEncryption.js';
+   const values = ${JSON.stringify(values)};
+   console.log(JSON.stringify(Object.fromEntries(Object.entries(values).map(([context, value]) => [context, encryptValue(value, context)]))));`,
+], { cwd: new URL('..', import.meta.url), env: { ...process.env, FIELD_ENCRYPTION_KEYS: `1:${KEY_1}`, FIELD_BLIND_INDEX_KEY: BLIND_INDEX_KEY } }));
+
+process.env.FIELD_ENCRYPTION_KEYS = `2:${KEY_2},1:${KEY_1}`;
+process.env.FIELD_BLIND_INDEX_KEY = BLIND_INDEX_KEY;
+const { CURRENT_KEY_VERSION, keyVersion, encryptValue, decryptValue, blindIndex } = await import('../fieldEncryption.js');
+const { APPLICATION_TYPES } = await import('../applicationTypes.js');
+const { rotateType, ACCOUNT_SECRETS } = await import('../encryption-rotate.js');
+const { app } = await import('../index.js');
+
+const clerk = { id: 2, username: 'clerk@embassy.cf', role: 'clerk' };
+
+const old = encryptWithKey1({
+  'visa_applications.place_of_birth': 'Bangui',
+  'visa_applications.father_name': 'Jean Ngoma',
+  'marriage_applications.spouse1_passport_number': 'CF 123-456',
+  'login.totp_secret': 'JBSWY3DPEHPK3PXP',
+});
+
+let server;
+
+before(async () => {
+  server = await serve(app);
+});
+
+after(() => server.close());
+
+test('values written under an older key still decrypt; new ones use the current key', () => {
+  assert.equal(CURRENT_KEY_VERSION, 2);
+  const value = old['visa_applications.place_of_birth'];
+  assert.equal(keyVersion(value), 1);
+  assert.equal(decryptValue(value, 'visa_applications.place_of_birth'), 'Bangui');
+  assert.throws(() => decryptValue(value, 'visa_applications.father_name'));
+
+  const fresh = encryptValue('Bangui', 'visa_applications.place_of_birth');
+  assert.equal(keyVersion(fresh), 2);
+  assert.notEqual(fresh, value);
+});
+
+test('staff read an application stored under the older key in plaintext', async () => {
+  fakeDatabase(auditStore(), answer(/^SELECT \* FROM \?\? WHERE id = \?$/, [[{
+    id: 5,
+    user_name: 'ann@example.org',
+    place_of_birth: old['visa_applications.place_of_birth'],
+    father_name: old['visa_applications.father_name'],
+  }]]));
+
+  const response = await server.request('GET', '/api/visa-applications/5', { token: tokenFor(clerk) });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.place_of_birth, 'Bangui');
+  assert.equal(response.body.father_name, 'Jean Ngoma');
+});
+
+// The table's rows, changed by the UPDATEs rotateType() writes
+const tableStore = (table, rows) => ({
+  rows,
+  updates: [],
+  handle(sql, params) {
+    if (params[1] !== table && params[0] !== table) return undefined;
+    if (sql.startsWith('SELECT id, ?? FROM ?? WHERE id > ?')) {
+      const [columns, , lastId, limit] = params;
+      return [this.rows.filter((row) => row.id > lastId).slice(0, limit)
+        .map((row) => Object.fromEntries([['id', row.id], ...columns.map((column) => [column, row[column] ?? null])]))];
+    }
+    if (sql.startsWith('UPDATE ?? SET ?')) {
+      const [, changes, id] = params;
+      this.updates.push({ sql, id });
+      Object.assign(this.rows.find((row) => row.id === id), changes);
+      return [{ affectedRows: 1 }];
+    }
+    return undefined;
+  },
+});
+
+test('rotation re-encrypts older and plaintext values and leaves current ones alone', async () => {
+  const current = encryptValue('Berbérati', 'visa_applications.place_of_birth');
+  const visas = tableStore('visa_applications', [
+    { id: 1, place_of_birth: old['visa_applications.place_of_birth'], father_name: old['visa_applications.father_name'] },
+    { id: 2, place_of_birth: 'Bambari', father_name: null },
+    { id: 3, place_of_birth: current, father_name: null },
+  ]);
+  fakeDatabase(visas);
+
+  await rotateType(APPLICATION_TYPES.visa, { dryRun: false, decrypt: false });
+  assert.deepEqual(visas.updates.map((update) => update.id), [1, 2]);
+  assert.match(visas.updates[0].sql, /updated_at = updated_at/);
+  assert.equal(visas.rows[2].place_of_birth, current);
+  for (const row of visas.rows) {
+    assert.equal(keyVersion(row.place_of_birth), 2);
+  }
+  assert.equal(decryptValue(visas.rows[0].place_of_birth, 'visa_applications.place_of_birth'), 'Bangui');
+  assert.equal(decryptValue(visas.rows[0].father_name, 'visa_applications.father_name'), 'Jean Ngoma');
+  assert.equal(decryptValue(visas.rows[1].place_of_birth, 'visa_applications.place_of_birth'), 'Bambari');
+
+  // Nothing is left to do on a second run
+  visas.updates = [];
+  await rotateType(APPLICATION_TYPES.visa, { dryRun: false, decrypt: false });
+  assert.deepEqual(visas.updates, []);
+});
+
+test('rotation recomputes blind indexes and covers two-factor secrets', async () => {
+  const context = 'marriage_applications.spouse1_passport_number';
+  const marriages = tableStore('marriage_applications', [
+    { id: 1, spouse1_passport_number: old[context], spouse1_passport_number_bidx: 'stale' },
+  ]);
+  const logins = tableStore('login', [{ id: 4, totp_secret: old['login.totp_secret'] }]);
+  fakeDatabase(marriages, logins);
+
+  await rotateType(APPLICATION_TYPES.marriage, { dryRun: false, decrypt: false });
+  assert.equal(keyVersion(marriages.rows[0].spouse1_passport_number), 2);
+  assert.equal(marriages.rows[0].spouse1_passport_number_bidx, blindIndex('CF123456', context));
+
+  await rotateType(ACCOUNT_SECRETS, { dryRun: false, decrypt: false });
+  assert.equal(decryptValue(logins.rows[0].totp_secret, 'login.totp_secret'), 'JBSWY3DPEHPK3PXP');
+  assert.equal(keyVersion(logins.rows[0].totp_secret), 2);
+  assert.doesNotMatch(logins.updates[0].sql, /updated_at/);
+});
+
+test('a dry run counts without writing', async () => {
+  const visas = tableStore('visa_applications', [{ id: 1, place_of_birth: old['visa_applications.place_of_birth'] }]);
+  fakeDatabase(visas);
+  await rotateType(APPLICATION_TYPES.visa, { dryRun: true, decrypt: false });
+  assert.deepEqual(visas.updates, []);
+  assert.equal(keyVersion(visas.rows[0].place_of_birth), 1);
+});
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import {
+  fakeDatabase, answer, accountStore, applicationStore, eventStore, outboxStore, feeStore, validApplications, tokenFor, serve,
+} from './helpers.js';
+
+const run = promisify(execFile);
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+const DB_PATH = path.join(directory, 'geoip.db');
+
+// Read by geoip.js when it is loaded
+process.env.GEOIP_DB_PATH = DB_PATH;
+const { lookupIp, geoipStatus } = await import('../geoip.js');
+const { flushVisits } = await import('../visitors.js');
+const { app } = await import('../index.js');
+
+const CSV = [
+  'ip_from,ip_to,country_code,region_name,city_name',
+  '203.0.113.0,203.0.113.255,cf,Bangui,Bangui',
+  '198.51.100.0,198.51.100.127,FR,Île-de-France,Paris',
+  // Unknown space and a range overlapping the one before are skipped
+  '198.51.100.128,198.51.100.255,ZZ,,',
+  '203.0.113.128,203.0.113.200,US,,',
+  '2001:db8::,2001:db8::ffff:ffff,CF,Ombella-M\'Poko,',
+].join('\n');
+
+const server = await serve(app);
+
+before(async () => {
+  fs.writeFileSync(path.join(directory, 'ranges.csv'), CSV);
+  const { stdout } = await run(process.execPath, ['geoip-import.js', path.join(directory, 'ranges.csv')], {
+    env: { ...process.env, GEOIP_DB_PATH: DB_PATH },
+  });
+  assert.match(stdout, /Imported 2 IPv4 and 1 IPv6 ranges \(4 locations\).*2 row\(s\) skipped/);
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('addresses are found in the imported ranges, IPv4-mapped ones included', () => {
+  assert.deepEqual(lookupIp('203.0.113.0'), { country: 'CF', region: 'Bangui', city: 'Bangui' });
+  assert.deepEqual(lookupIp('::ffff:203.0.113.255'), { country: 'CF', region: 'Bangui', city: 'Bangui' });
+  assert.equal(lookupIp('198.51.100.77').city, 'Paris');
+  assert.deepEqual(lookupIp('2001:db8::1:2'), { country: 'CF', region: "Ombella-M'Poko", city: null });
+
+  assert.equal(lookupIp('198.51.100.200'), null);
+  assert.equal(lookupIp('192.0.2.1'), null);
+  assert.equal(lookupIp('2001:db9::1'), null);
+  assert.equal(lookupIp('not-an-ip'), null);
+
+  assert.deepEqual(
+    { ...geoipStatus(), builtAt: undefined },
+    { installed: true, builtAt: undefined, source: 'ranges.csv', ipv4Ranges: 2, ipv6Ranges: 1, locations: 4 },
+  );
+});
+
+test('page views and submissions keep the location of the full address', async () => {
+  const visits = [];
+  const events = eventStore();
+  fakeDatabase(
+    answer(/^INSERT INTO visitor_logs/, (sql, [rows]) => {
+      visits.push(...rows);
+      return [{ affectedRows: rows.length }];
+    }),
+    accountStore([{ id: 1, username: 'ann@example.org' }]),
+    applicationStore(),
+    events,
+    outboxStore(),
+    feeStore(),
+  );
+  const headers = { 'X-Forwarded-For': '198.51.100.77' };
+
+  await server.request('POST', '/api/track-visitor', {
+    body: { pageUrl: '/visa' },
+    headers: { ...headers, 'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0' },
+  });
+  await flushVisits();
+  assert.deepEqual(visits[0].slice(0, 4), ['198.51.100.0', 'FR', 'Île-de-France', 'Paris']);
+
+  await server.request('POST', '/api/visa-applications', {
+    token: tokenFor({ id: 1, username: 'ann@example.org' }),
+    body: validApplications().visa,
+    headers,
+  });
+  assert.deepEqual([events.events[0].country, events.events[0].region], ['FR', 'Île-de-France']);
+});
+
+test('location analytics merge visitors, sign-ins and applications by country and region', async () => {
+  fakeDatabase(
+    answer(/FROM visitor_logs/, [[
+      { country: 'CF', region: 'Bangui', pageViews: 12, visitors: 4 },
+      { country: 'FR', region: null, pageViews: 3, visitors: 1 },
+    ]]),
+    answer(/FROM login_events/, [[{ country: 'CF', region: 'Bangui', logins: 2 }]]),
+    answer(/FROM application_events/, [[
+      { country: 'CF', region: 'Bangui', applicationType: 'visa', applications: 2 },
+      { country: 'CF', region: 'Ouham', applicationType: 'passport', applications: 1 },
+    ]]),
+  );
+  const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+  const response = await server.request('GET', '/api/admin/analytics/locations?days=7', {
+    token: tokenFor(supervisor),
+    headers: { 'Accept-Language': 'fr' },
+  });
+  assert.equal(response.status, 200);
+  const [cf, fr] = response.body.countries;
+  assert.equal(cf.name, 'République centrafricaine');
+  assert.deepEqual(
+    [cf.visitors, cf.pageViews, cf.logins, cf.applications, cf.applicationTypes],
+    [4, 12, 2, 3, { visa: 2, passport: 1 }],
+  );
+  assert.deepEqual(cf.regions.map((region) => [region.region, region.applications]), [['Bangui', 2], ['Ouham', 1]]);
+  assert.equal(fr.country, 'FR');
+  assert.equal(response.body.database.installed, true);
+
+  const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk' };
+  assert.equal((await server.request('GET', '/api/admin/analytics/locations', { token: tokenFor(clerk) })).status, 403);
+});
@@ -0,0 +1,767 @@
+import crypto from 'crypto';
+import { once } from 'events';
+import { pool } from '../db.js';
+import { generateAccessToken } from '../auth.js';
+import { GENESIS_HASH } from '../audit.js';
+
+// ========================================
+// ROUTE TEST HELPERS
+// ========================================
+//
+// The route tests serve the real app (index.js) with the MySQL pool replaced
+// by in-memory stores. Each store answers the queries of one area and
+// ignores the rest; a query no store answers fails the request, so a test
+// notices SQL it did not expect.
+
+/**
+ * Sends every query made through the pool, or through a transaction
+ * connection, to the first store whose `handle(sql, params)` returns a
+ * result ([rows] or [result], as mysql2 does). `sql` arrives with its
+ * whitespace collapsed. Returns the queries run and how each transaction
+ * ended ('commit' or 'rollback'). Every session an access token names is
+ * open unless a sessionStore says otherwise.
+ */
+export const fakeDatabase = (...stores) => {
+  const db = { queries: [], transactions: [] };
+  const query = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    db.queries.push({ sql: text, params });
+    for (const store of [...stores, openSessions]) {
+      const result = store.handle(text, params);
+      if (result !== undefined) return result;
+    }
+    throw new Error(`No test store answers: ${text}`);
+  };
+  pool.query = query;
+  pool.getConnection = async () => ({
+    query,
+    beginTransaction: async () => {},
+    commit: async () => { db.transactions.push('commit'); },
+    rollback: async () => { db.transactions.push('rollback'); },
+    release: () => {},
+  });
+  return db;
+};
+
+// Answers `match` with `result`, for one-off queries
+export const answer = (match, result) => ({
+  handle: (sql, params) => (match.test(sql) ? (typeof result === 'function' ? result(sql, params) : result) : undefined),
+});
+
+const SESSION_CHECK = /^SELECT id FROM sessions WHERE id = \? AND user_id = \? AND ended_at IS NULL/;
+
+// The session check of every signed-in request (auth.js), answered as open
+const openSessions = answer(SESSION_CHECK, (sql, [id]) => [[{ id }]]);
+
+// The queries a test made itself, without the session checks of its requests
+export const routeQueries = (db) => db.queries.filter((query) => !SESSION_CHECK.test(query.sql));
+
+/**
+ * `login` rows by id. Answers `SELECT <columns> FROM login WHERE id = ?` (or
+ * `WHERE username = ?`) with the listed columns, or all of them for `*`.
+ */
+export const accountStore = (accounts) => {
+  const store = {
+    accounts: Object.fromEntries(accounts.map((account) => [account.id, { role: null, language: 'en', ...account }])),
+    handle: (sql, params) => {
+      const match = sql.match(/^SELECT (.+) FROM login WHERE (id|username) = \?$/);
+      if (!match) return undefined;
+      const [, columns, key] = match;
+      const rows = Object.values(store.accounts)
+        .filter((account) => (key === 'id' ? account.id === Number(params[0]) : account.username === params[0]))
+        .map((account) => (columns === '*'
+          ? { ...account }
+          : Object.fromEntries(columns.split(', ').map((column) => [column, account[column]]))));
+      return [rows];
+    },
+  };
+  return store;
+};
+
+// A date `days` from today, as YYYY-MM-DD
+export const dateFromToday = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+// A submission of each application type that passes its validation
+export const validApplications = () => ({
+  visa: { userName: 'ann@example.org', visaType: 'shortStay', firstName: 'Ann', lastName: 'Lee' },
+  marriage: {
+    spouse1_first_name: 'Ann', spouse1_last_name: 'Lee', spouse1_birth_date: '1990-04-02', spouse1_nationality: 'Central African',
+    spouse2_first_name: 'Jean', spouse2_last_name: 'Ngai', spouse2_birth_date: '1988-11-20', spouse2_nationality: 'French',
+    marriage_date: '2024-06-01', marriage_place: 'Bangui', marriage_country: 'Central African Republic',
+    marriage_type: 'civil', certificate_purpose: 'Residence permit',
+  },
+  birth_certificate: {
+    child_first_name: 'Mia', child_last_name: 'Ngai', child_birth_date: '2020-02-14', child_birth_place: 'Bangui',
+    child_birth_country: 'Central African Republic', child_gender: 'female', child_nationality: 'Central African',
+    father_first_name: 'Jean', father_last_name: 'Ngai', father_nationality: 'Central African',
+    mother_first_name: 'Ann', mother_last_name: 'Lee', mother_nationality: 'Central African',
+    applicant_first_name: 'Ann', applicant_last_name: 'Lee', applicant_phone: '+236 70 00 00 00',
+    applicant_email: 'ann@example.org', applicant_address: '1 Avenue Boganda, Bangui', certificate_purpose: 'School enrolment',
+  },
+  travel_pass: {
+    first_name: 'Ann', last_name: 'Lee', date_of_birth: '1990-04-02', place_of_birth: 'Bangui',
+    country_of_birth: 'Central African Republic', gender: 'female', nationality: 'Central African',
+    current_address: '12 Rue de la Paix', city: 'Paris', country: 'France', phone: '+33 6 00 00 00 00',
+    email: 'ann@example.org', marital_status: 'single', travel_reason: 'Family visit',
+    destination_country: 'Central African Republic', departure_date: dateFromToday(30),
+    emergency_contact_name: 'Jean Ngai', emergency_contact_relationship: 'Brother', emergency_contact_phone: '+236 70 00 00 01',
+  },
+});
+
+/**
+ * Application rows by table. Answers the registry routes' reads and writes
+ * of one row by id: `UPDATE ?? SET ?` assigns the object's columns and
+ * `UPDATE ?? SET a = ?, b = ? ...` the listed ones in order, so new columns
+ * need no change here.
+ */
+export const applicationStore = (tables = {}) => {
+  const store = {
+    tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map((row) => ({ ...row }))])),
+    row: (table, id) => (store.tables[table] || []).find((row) => row.id === Number(id)),
+    handle: (sql, params) => {
+      if (sql.startsWith('INSERT INTO ?? (user_id, user_name, status, ??) VALUES')) {
+        const [table, columns, user_id, user_name, status, values] = params;
+        const rows = (store.tables[table] ||= []);
+        const row = { id: rows.length + 1, user_id, user_name, status };
+        columns.forEach((column, i) => { row[column] = values[i]; });
+        rows.push(row);
+        return [{ insertId: row.id }];
+      }
+      if (/^SELECT .* FROM \?\? WHERE id = \?( FOR UPDATE)?$/.test(sql)) {
+        const row = store.row(params[params.length - 2], params[params.length - 1]);
+        return [row ? [{ ...row }] : []];
+      }
+      if (/^UPDATE \?\? SET .* WHERE id = \?$/.test(sql)) {
+        const row = store.row(params[0], params[params.length - 1]);
+        if (!row) return [{ affectedRows: 0 }];
+        if (sql.startsWith('UPDATE ?? SET ?,')) {
+          Object.assign(row, params[1]);
+        } else {
+          const assigned = [...sql.matchAll(/(\w+) = \?/g)].map((match) => match[1]).slice(0, -1);
+          assigned.forEach((column, i) => { row[column] = params[i + 1]; });
+        }
+        return [{ affectedRows: 1 }];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+// application_events, as recordEvent() writes them and listEvents() reads them
+export const eventStore = () => {
+  const store = {
+    events: [],
+    of: (applicationType, applicationId) => store.events.filter((event) => (
+      event.application_type === applicationType && event.application_id === Number(applicationId)
+    )),
+    handle: (sql, params) => {
+      if (sql.startsWith('INSERT INTO application_events (application_type, application_id, event_type,')) {
+        const columns = sql.match(/\(([^)]*)\) VALUES/)[1].split(',').map((column) => column.trim());
+        const event = { id: store.events.length + 1, created_at: new Date() };
+        columns.forEach((column, i) => { event[column] = params[i]; });
+        store.events.push(event);
+        return [{ insertId: event.id }];
+      }
+      if (sql.startsWith('SELECT id, event_type, old_status, new_status, actor_username')) {
+        return [store.of(params[0], params[1]).map((event) => ({ ...event }))];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+/**
+ * email_outbox. `clock` stands in for NOW() in seconds; a message is due once
+ * its `next_attempt_at` is not after it.
+ */
+export const outboxStore = () => {
+  const store = {
+    messages: [],
+    clock: 0,
+    templates: () => store.messages.map((message) => message.template),
+    handle: (sql, params) => {
+      if (/^INSERT INTO email_outbox \(.*\) VALUES/.test(sql)) {
+        const columns = sql.match(/\(([^)]*)\) VALUES/)[1].split(',').map((column) => column.trim());
+        const message = {
+          id: store.messages.length + 1, attachments: null, status: 'pending', attempts: 0, next_attempt_at: store.clock,
+          last_error: null, provider_message_id: null, resend_of: null,
+        };
+        columns.forEach((column, i) => { message[column] = params[i]; });
+        store.messages.push(message);
+        return [{ insertId: message.id }];
+      }
+      if (/^INSERT INTO email_outbox \(.*\) SELECT/.test(sql)) {
+        const original = store.messages.find((message) => message.id === Number(params[1]) && message.html !== null);
+        if (!original) return [{ affectedRows: 0 }];
+        const copy = {
+          ...original, id: store.messages.length + 1, status: 'pending', attempts: 0, next_attempt_at: store.clock,
+          last_error: null, provider_message_id: null, max_attempts: params[0], resend_of: original.id,
+        };
+        store.messages.push(copy);
+        return [{ affectedRows: 1, insertId: copy.id }];
+      }
+      if (/^SELECT id, template, .* FROM email_outbox WHERE id = \?$/.test(sql)) {
+        const message = store.messages.find((m) => m.id === Number(params[0]));
+        if (!message) return [[]];
+        const { id, template, to_address: toAddress, subject, status, attempts, sensitive, html, text, attachments } = message;
+        return [[{ id, template, toAddress, subject, status, attempts, sensitive, html, text, attachments }]];
+      }
+      if (sql.startsWith("UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'")) return [{ affectedRows: 0 }];
+      if (sql.startsWith("SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= NOW()")) {
+        const due = store.messages.filter((message) => message.status === 'pending' && message.next_attempt_at <= store.clock);
+        return [due.slice(0, params[0]).map((message) => ({ ...message }))];
+      }
+      if (sql.startsWith("UPDATE email_outbox SET status = 'sending', attempts = attempts + 1 WHERE id IN (?)")) {
+        store.messages.filter((message) => params[0].includes(message.id))
+          .forEach((message) => Object.assign(message, { status: 'sending', attempts: message.attempts + 1 }));
+        return [{ affectedRows: params[0].length }];
+      }
+      if (sql.startsWith("UPDATE email_outbox SET status = 'sent'")) {
+        const message = store.messages.find((m) => m.id === params[1]);
+        Object.assign(message, { status: 'sent', provider_message_id: params[0], last_error: null });
+        if (sql.includes('html = NULL')) Object.assign(message, { html: null, text: null });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE email_outbox SET status = ?, last_error = ?')) {
+        const [status, last_error, delay, id] = params;
+        Object.assign(store.messages.find((m) => m.id === id), { status, last_error, next_attempt_at: store.clock + delay });
+        return [{ affectedRows: 1 }];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+// Payment ids run on from store to store, as AUTO_INCREMENT would: the fake
+// card gateway remembers every charge by its payment id
+let lastPaymentId = 0;
+
+/**
+ * fees, invoices, invoice_items and payments. Invoices and payments are kept
+ * with the column aliases the queries select; `fees` rows with their columns.
+ * With no fees, submissions get no invoice and nothing is owed.
+ */
+export const feeStore = (fees = []) => {
+  const store = {
+    fees: fees.map((fee) => ({ sub_type: '', active: true, ...fee })),
+    invoices: [],
+    items: [],
+    payments: [],
+    invoice: (id) => store.invoices.find((invoice) => invoice.id === Number(id)),
+    payment: (id) => store.payments.find((payment) => payment.id === Number(id)),
+    handle: (sql, params) => {
+      if (sql.startsWith('SELECT kind, sub_type, amount_cents FROM fees WHERE application_type = ? AND active = TRUE')) {
+        return [store.fees.filter((fee) => fee.application_type === params[0] && fee.active)];
+      }
+      if (sql.startsWith('INSERT INTO invoices')) {
+        const [applicationType, applicationId, userId, userName, currency, totalCents] = params;
+        const invoice = {
+          id: store.invoices.length + 1, invoiceNumber: null, applicationType, applicationId: Number(applicationId), userId,
+          userName, currency, totalCents, paidCents: 0, status: 'unpaid', paidAt: null, createdAt: new Date(),
+        };
+        store.invoices.push(invoice);
+        return [{ insertId: invoice.id }];
+      }
+      if (sql.startsWith('UPDATE invoices SET invoice_number = ?')) {
+        store.invoice(params[1]).invoiceNumber = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO invoice_items')) {
+        params[0].forEach(([invoiceId, kind, subType, amountCents]) => store.items.push({ invoiceId, kind, subType, amountCents }));
+        return [{ affectedRows: params[0].length }];
+      }
+      if (/^SELECT id, invoice_number as invoiceNumber, .* FROM invoices WHERE id = \?( FOR UPDATE)?$/.test(sql)) {
+        const invoice = store.invoice(params[0]);
+        return [invoice ? [{ ...invoice }] : []];
+      }
+      if (sql.includes("FROM invoices WHERE application_type = ? AND application_id = ? AND status <> 'void'")) {
+        const found = store.invoices.filter((invoice) => invoice.applicationType === params[0]
+          && invoice.applicationId === Number(params[1]) && invoice.status !== 'void');
+        return [found.slice(-1).map((invoice) => ({ ...invoice }))];
+      }
+      if (sql.startsWith('SELECT kind, sub_type as subType, amount_cents as amountCents FROM invoice_items')) {
+        return [store.items.filter((item) => item.invoiceId === params[0]).map(({ kind, subType, amountCents }) => ({ kind, subType, amountCents }))];
+      }
+      if (/^SELECT id, invoice_id as invoiceId, .* FROM payments WHERE (invoice_id|id) = \?/.test(sql)) {
+        const byInvoice = sql.includes('WHERE invoice_id = ?');
+        return [store.payments
+          .filter((payment) => (byInvoice ? payment.invoiceId === Number(params[0]) : payment.id === Number(params[0])))
+          .map((payment) => ({ ...payment }))];
+      }
+      if (sql.startsWith("SELECT id FROM payments WHERE invoice_id = ? AND status = 'pending'")) {
+        return [store.payments.filter((payment) => payment.invoiceId === params[0] && payment.status === 'pending').map(({ id }) => ({ id }))];
+      }
+      if (sql.startsWith('INSERT INTO payments')) {
+        const card = sql.includes("'card'");
+        const [invoiceId, ...rest] = params;
+        const [method, amountCents, currency, reference, recordedBy] = card ? ['card', ...rest.slice(0, 2), null, rest[3]] : rest;
+        const payment = {
+          id: ++lastPaymentId, invoiceId, receiptNumber: null, method, amountCents, currency, status: 'pending',
+          gateway: card ? rest[2] : null, reference, failureReason: null, recordedBy, completedAt: null, createdAt: new Date(),
+        };
+        store.payments.push(payment);
+        return [{ insertId: payment.id }];
+      }
+      if (sql.startsWith("UPDATE payments SET status = 'succeeded', receipt_number = ?")) {
+        Object.assign(store.payment(params[1]), { status: 'succeeded', receiptNumber: params[0], completedAt: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith("UPDATE payments SET status = 'failed', failure_reason = ?")) {
+        Object.assign(store.payment(params[1]), { status: 'failed', failureReason: params[0], completedAt: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE payments SET reference = ?')) {
+        store.payment(params[1]).reference = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE invoices SET paid_cents = ?')) {
+        const invoice = store.invoice(params[3]);
+        const paid = invoice.totalCents <= params[0];
+        Object.assign(invoice, { paidCents: params[0], status: paid ? 'paid' : 'unpaid', paidAt: paid ? new Date() : null });
+        return [{ affectedRows: 1 }];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+// MySQL's DATE_FORMAT(…, '%Y-%m-%d %H:%i:%s') for a UTC date
+const formatTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * chat_conversations, chat_messages and chat_tokens, plus the inbox tables
+ * (tags, per-agent reads, canned responses). The bot's hand-off to staff
+ * happens once per conversation, as the `escalated_at IS NULL` condition
+ * makes it.
+ */
+export const chatStore = () => {
+  // Activity times one second apart, so the inbox order is deterministic
+  let clock = Date.UTC(2026, 0, 1, 9);
+  const tick = () => new Date(clock += 1000);
+
+  const store = {
+    conversations: [],
+    messages: [],
+    tokens: [],
+    tags: [],
+    agentReads: [],
+    cannedResponses: [],
+    conversation: (id) => store.conversations.find((conversation) => conversation.id === Number(id)),
+    tagsOf: (id) => store.tags.filter((row) => row.conversation_id === id).map((row) => row.tag).sort(),
+    unread: (conversation, userId) => {
+      const read = store.agentReads.find((row) => row.conversation_id === conversation.id && row.user_id === userId);
+      return store.messages.filter((message) => message.conversation_id === conversation.id
+        && message.sender_type === 'user' && message.id > (read ? read.last_read_id : 0));
+    },
+    handle: (sql, params) => {
+      if (sql === 'SELECT * FROM chat_conversations WHERE id = ?') {
+        const conversation = store.conversation(params[0]);
+        return [conversation ? [{ ...conversation }] : []];
+      }
+      if (sql === 'SELECT * FROM chat_conversations WHERE session_id = ?') {
+        return [store.conversations.filter((conversation) => conversation.session_id === params[0]).map((row) => ({ ...row }))];
+      }
+      if (sql.startsWith('INSERT INTO chat_conversations')) {
+        const columns = sql.match(/\(([^)]*)\) VALUES/)[1].split(',').map((column) => column.trim());
+        const conversation = {
+          id: store.conversations.length + 1, user_id: null, status: 'active', waiting_on: null, assigned_to: null,
+          priority: 'normal', message_count: 0, last_message_id: null, language: null, escalated_at: null,
+          escalation_reason: null, user_last_read_id: null, admin_last_read_id: null,
+        };
+        conversation.created_at = conversation.last_message_at = tick();
+        columns.forEach((column, i) => { conversation[column] = params[i]; });
+        store.conversations.push(conversation);
+        return [{ insertId: conversation.id }];
+      }
+      if (sql.startsWith('SELECT * FROM chat_conversations WHERE created_at >= ? AND created_at < DATE_ADD(?, INTERVAL 1 DAY)')) {
+        const [from, to] = params;
+        return [store.conversations
+          .filter((conversation) => formatTime(conversation.created_at).slice(0, 10) >= from && formatTime(conversation.created_at).slice(0, 10) <= to)
+          .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+          .map((row) => ({ ...row }))];
+      }
+      if (sql.startsWith('SELECT * FROM chat_conversations WHERE user_id = ? AND status = \'active\'')) {
+        return [store.conversations.filter((conversation) => conversation.user_id === params[0] && conversation.status === 'active')
+          .slice(-1).map((row) => ({ ...row }))];
+      }
+      if (sql.startsWith('UPDATE chat_conversations SET user_id = ? WHERE id = ? AND user_id IS NULL')) {
+        const conversation = store.conversation(params[1]);
+        if (conversation.user_id) return [{ affectedRows: 0 }];
+        conversation.user_id = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('INSERT INTO chat_tokens (conversation_id, token_hash, expires_at)')) {
+        const [conversation_id, token_hash, days] = params;
+        store.tokens.push({ id: store.tokens.length + 1, conversation_id, token_hash, expires_at: new Date(Date.now() + days * 86400000) });
+        return [{ insertId: store.tokens.length }];
+      }
+      if (sql === 'SELECT id FROM chat_tokens WHERE token_hash = ? AND conversation_id = ? AND expires_at > NOW()') {
+        return [store.tokens
+          .filter((token) => token.token_hash === params[0] && token.conversation_id === params[1] && token.expires_at > new Date())
+          .map(({ id }) => ({ id }))];
+      }
+      if (sql === 'DELETE FROM chat_tokens WHERE conversation_id = ?') {
+        const before = store.tokens.length;
+        store.tokens = store.tokens.filter((token) => token.conversation_id !== params[0]);
+        return [{ affectedRows: before - store.tokens.length }];
+      }
+      if (sql.startsWith('INSERT INTO chat_messages')) {
+        const [conversation_id, sender_type, sender_name, message] = params;
+        const row = { id: store.messages.length + 1, conversation_id, sender_type, sender_name, message, created_at: new Date() };
+        store.messages.push(row);
+        return [{ insertId: row.id }];
+      }
+      if (sql.startsWith('UPDATE chat_conversations SET last_message_at = NOW()')) {
+        const [lastMessageId, waitingOn, conversationId] = params;
+        const conversation = store.conversation(conversationId);
+        Object.assign(conversation, {
+          last_message_at: tick(), message_count: conversation.message_count + 1, last_message_id: lastMessageId, waiting_on: waitingOn,
+        });
+        if (sql.includes("status = 'active'")) conversation.status = 'active';
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'SELECT * FROM chat_messages WHERE id = ?') {
+        return [store.messages.filter((message) => message.id === params[0])];
+      }
+      if (sql.startsWith('SELECT * FROM chat_messages WHERE conversation_id = ? AND id > ?')) {
+        return [store.messages.filter((message) => message.conversation_id === Number(params[0]) && message.id > params[1])];
+      }
+      if (sql.startsWith('SELECT * FROM chat_messages WHERE id > ?')) {
+        const [afterId, conversationId] = params;
+        return [store.messages.filter((message) => message.id > afterId && (!conversationId || message.conversation_id === conversationId))];
+      }
+      if (sql.startsWith('UPDATE chat_conversations SET escalated_at = NOW(), escalation_reason = ?')) {
+        const conversation = store.conversation(params[1]);
+        if (conversation.escalated_at) return [{ affectedRows: 0 }];
+        Object.assign(conversation, { escalated_at: new Date(), escalation_reason: params[0], waiting_on: 'pending_staff' });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE chat_conversations SET status = ?')) {
+        Object.assign(store.conversation(params[1]), { status: params[0] }, sql.includes('waiting_on = NULL') ? { waiting_on: null } : {});
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'UPDATE chat_conversations SET priority = ? WHERE id = ?') {
+        store.conversation(params[1]).priority = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'UPDATE chat_conversations SET assigned_to = ? WHERE id = ?') {
+        store.conversation(params[1]).assigned_to = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'DELETE FROM chat_conversation_tags WHERE conversation_id = ?') {
+        store.tags = store.tags.filter((row) => row.conversation_id !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'INSERT INTO chat_conversation_tags (conversation_id, tag) VALUES ?') {
+        store.tags.push(...params[0].map(([conversation_id, tag]) => ({ conversation_id, tag })));
+        return [{ affectedRows: params[0].length }];
+      }
+      if (sql.startsWith('SELECT conversation_id, tag FROM chat_conversation_tags WHERE conversation_id IN (?)')) {
+        return [store.tags.filter((row) => params[0].includes(row.conversation_id)).sort((a, b) => a.tag.localeCompare(b.tag))];
+      }
+      if (sql.startsWith('INSERT INTO chat_agent_reads')) {
+        const [conversation_id, user_id, last_read_id] = params;
+        const read = store.agentReads.find((row) => row.conversation_id === conversation_id && row.user_id === user_id);
+        if (read) read.last_read_id = Math.max(read.last_read_id, last_read_id);
+        else store.agentReads.push({ conversation_id, user_id, last_read_id });
+        return [{ affectedRows: 1 }];
+      }
+      // The inbox page: the filters come in the order listInbox adds them
+      if (sql.startsWith('SELECT c.*, DATE_FORMAT(c.last_message_at')) {
+        const [userId, ...rest] = params;
+        const limit = rest.pop();
+        const take = () => rest.shift();
+        const filters = [];
+        if (sql.includes('c.assigned_to IS NULL')) filters.push((c) => c.assigned_to === null);
+        if (sql.includes('c.assigned_to = ?')) {
+          const assignee = Number(take());
+          filters.push((c) => c.assigned_to === assignee);
+        }
+        if (sql.includes('c.waiting_on = ?')) {
+          const waitingOn = take();
+          filters.push((c) => c.status === 'active' && c.waiting_on === waitingOn);
+        } else if (sql.includes('c.status = ?')) {
+          const status = take();
+          filters.push((c) => c.status === status);
+        }
+        if (sql.includes('t.tag = ?')) {
+          const tag = take();
+          filters.push((c) => store.tagsOf(c.id).includes(tag));
+        }
+        if (sql.includes('c.priority = ?')) {
+          const priority = take();
+          filters.push((c) => c.priority === priority);
+        }
+        if (sql.includes('c.last_message_at < ?')) {
+          const [at, , id] = rest.splice(0, 3);
+          filters.push((c) => formatTime(c.last_message_at) < at || (formatTime(c.last_message_at) === at && c.id < id));
+        }
+        const rows = store.conversations
+          .filter((c) => filters.every((filter) => filter(c)))
+          .sort((a, b) => b.last_message_at - a.last_message_at || b.id - a.id)
+          .slice(0, limit)
+          .map((c) => {
+            const last = store.messages.find((message) => message.id === c.last_message_id);
+            return {
+              ...c,
+              cursor_at: formatTime(c.last_message_at),
+              last_message: last ? last.message : null,
+              last_sender_type: last ? last.sender_type : null,
+              unread_count: store.unread(c, userId).length,
+            };
+          });
+        return [rows];
+      }
+      if (sql.startsWith('SELECT COUNT(DISTINCT c.id) as conversations')) {
+        const userId = params[1];
+        const unread = store.conversations
+          .filter((c) => c.status === 'active')
+          .map((c) => [c, store.unread(c, userId).length])
+          .filter(([, count]) => count > 0);
+        return [[{
+          conversations: unread.length,
+          messages: unread.reduce((sum, [, count]) => sum + count, 0),
+          assignedConversations: unread.filter(([c]) => c.assigned_to === params[0]).length,
+        }]];
+      }
+      if (sql.startsWith('SELECT id, title, body, language, active, updated_at as updatedAt FROM chat_canned_responses')) {
+        if (sql.endsWith('WHERE id = ?')) return [store.cannedResponses.filter((response) => response.id === Number(params[0]))];
+        const language = sql.includes('language = ?') ? params[0] : null;
+        return [store.cannedResponses
+          .filter((response) => (!language || response.language === language) && (!sql.includes('active = TRUE') || response.active))
+          .sort((a, b) => a.title.localeCompare(b.title))];
+      }
+      if (sql === 'INSERT INTO chat_canned_responses SET ?') {
+        const { updated_by: updatedBy, ...row } = params[0];
+        const response = { id: store.cannedResponses.length + 1, active: true, ...row, updatedBy, updatedAt: new Date() };
+        store.cannedResponses.push(response);
+        return [{ insertId: response.id }];
+      }
+      if (sql === 'UPDATE chat_canned_responses SET ? WHERE id = ?') {
+        const response = store.cannedResponses.find((row) => row.id === Number(params[1]));
+        if (response) Object.assign(response, params[0]);
+        return [{ affectedRows: response ? 1 : 0 }];
+      }
+      if (sql === 'DELETE FROM chat_canned_responses WHERE id = ?') {
+        const before = store.cannedResponses.length;
+        store.cannedResponses = store.cannedResponses.filter((row) => row.id !== Number(params[0]));
+        return [{ affectedRows: before - store.cannedResponses.length }];
+      }
+      if (sql.startsWith('UPDATE chat_conversations SET ?? = GREATEST')) {
+        const [column, , conversationId, upTo] = params;
+        const conversation = store.conversation(conversationId);
+        const latest = Math.max(0, ...store.messages
+          .filter((message) => message.conversation_id === conversationId && message.id <= upTo)
+          .map((message) => message.id));
+        conversation[column] = Math.max(conversation[column] || 0, latest);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'SELECT ?? as lastReadId FROM chat_conversations WHERE id = ?') {
+        return [[{ lastReadId: store.conversation(params[1])[params[0]] }]];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+/**
+ * faq_entries and chat_bot_replies. Entries are given as the API takes them
+ * ({ question, variants, answer, language, applicationType }).
+ */
+export const faqStore = (entries = []) => {
+  const store = {
+    entries: entries.map((entry, i) => ({
+      id: i + 1, variants: [], applicationType: null, active: true, ...entry,
+    })),
+    replies: [],
+    entry: (id) => store.entries.find((entry) => entry.id === Number(id)),
+    row: (entry) => ({ ...entry, variants: JSON.stringify(entry.variants) }),
+    handle: (sql, params) => {
+      if (/^SELECT id, question, variants, .* FROM faq_entries WHERE id = \?$/.test(sql)) {
+        const entry = store.entry(params[0]);
+        return [entry ? [store.row(entry)] : []];
+      }
+      if (/^SELECT id, question, variants, .* FROM faq_entries/.test(sql)) {
+        const conditions = [...sql.matchAll(/(language|application_type) = \?/g)].map((match) => match[1]);
+        const rows = store.entries.filter((entry) => (!sql.includes('active = TRUE') || entry.active)
+          && conditions.every((column, i) => (column === 'language' ? entry.language : entry.applicationType) === params[i]));
+        return [rows.map(store.row)];
+      }
+      if (sql === 'INSERT INTO faq_entries SET ?' || sql === 'UPDATE faq_entries SET ? WHERE id = ?') {
+        const { variants, application_type: applicationType, updated_by: updatedBy, ...rest } = params[0];
+        const entry = sql.startsWith('INSERT') ? { id: store.entries.length + 1, variants: [], applicationType: null, active: true } : store.entry(params[1]);
+        if (!entry) return [{ affectedRows: 0 }];
+        Object.assign(entry, rest, { updatedBy }, variants !== undefined ? { variants: JSON.parse(variants) } : {},
+          applicationType !== undefined ? { applicationType } : {});
+        if (sql.startsWith('INSERT')) store.entries.push(entry);
+        return [{ insertId: entry.id, affectedRows: 1 }];
+      }
+      if (sql === 'DELETE FROM faq_entries WHERE id = ?') {
+        const before = store.entries.length;
+        store.entries = store.entries.filter((entry) => entry.id !== Number(params[0]));
+        return [{ affectedRows: before - store.entries.length }];
+      }
+      if (sql.startsWith('INSERT INTO chat_bot_replies')) {
+        const [conversationId, questionMessageId, messageId, entryId, score] = params;
+        store.replies.push({ id: store.replies.length + 1, conversationId, questionMessageId, messageId, entryId, score, humanRequested: false });
+        return [{ insertId: store.replies.length }];
+      }
+      if (sql.startsWith('UPDATE chat_bot_replies SET human_requested = TRUE WHERE conversation_id = ?')) {
+        const last = store.replies.filter((reply) => reply.conversationId === params[0]).at(-1);
+        if (last) last.humanRequested = true;
+        return [{ affectedRows: last ? 1 : 0 }];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+/**
+ * The audit log: entries as inserted, and the head. Also serves the keyset
+ * reads of listPage/listBatches, so verifyAuditLog() walks `entries`.
+ */
+export const auditStore = () => {
+  const store = {
+    entries: [],
+    head: { last_id: 0, last_hash: GENESIS_HASH },
+    actions: () => store.entries.map((entry) => entry.action),
+    handle: (sql, params) => {
+      if (/^SELECT last_id, last_hash FROM audit_log_head/.test(sql)) return [[{ ...store.head }]];
+      if (sql === 'INSERT INTO audit_log SET ?') {
+        store.entries.push({ ...params[0] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE audit_log_head')) {
+        store.head = { last_id: params[0], last_hash: params[1] };
+        return [{ affectedRows: 1 }];
+      }
+      if (params[0] !== 'audit_log') return undefined;
+      if (sql.startsWith('SELECT COUNT(*)')) return [[{ total: store.entries.length }]];
+
+      // listPage: [table, (cursor value, value, id), limit, offset]
+      const [limit, offset] = params.slice(-2);
+      const after = params.length > 3 ? params[3] : null;
+      const descending = / DESC, id DESC /.test(sql);
+      const rows = [...store.entries]
+        .sort((a, b) => (descending ? b.id - a.id : a.id - b.id))
+        .filter((entry) => after === null || (descending ? entry.id < after : entry.id > after))
+        .slice(offset, offset + limit)
+        .map((entry) => ({ ...entry, cursor_value: entry.id, cursor_id: entry.id }));
+      return [rows];
+    },
+  };
+  return store;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * The sessions table, joined to `accounts` (an accountStore) the way
+ * refreshSession() reads it. `clock` stands in for NOW() in seconds; move it
+ * forward to age rotations.
+ */
+export const sessionStore = (accounts) => {
+  const store = {
+    sessions: [],
+    clock: 0,
+    byToken: (token) => store.sessions.find((session) => session.token_hash === hashToken(token)),
+    handle: (sql, params) => {
+      if (sql.startsWith('INSERT INTO sessions SET ?')) {
+        const session = {
+          id: store.sessions.length + 1,
+          ...params[0],
+          previous_token_hash: null,
+          rotated_at: null,
+          ended_at: null,
+          end_reason: null,
+        };
+        store.sessions.push(session);
+        return [{ insertId: session.id }];
+      }
+      if (sql.startsWith('DELETE FROM sessions')) return [{ affectedRows: 0 }];
+      if (sql.includes('FROM sessions s JOIN login l')) {
+        const [grace, hash] = params;
+        const session = store.sessions.find((s) => s.token_hash === hash || s.previous_token_hash === hash);
+        if (!session) return [[]];
+        const { id, ...account } = accounts.accounts[session.user_id];
+        return [[{
+          ...account,
+          ...session,
+          expired: 0,
+          recently_rotated: session.rotated_at !== null && store.clock - session.rotated_at <= grace ? 1 : 0,
+        }]];
+      }
+      if (sql.includes('previous_token_hash = token_hash')) {
+        const session = store.sessions.find((s) => s.id === params[3]);
+        Object.assign(session, params[0], { previous_token_hash: session.token_hash, token_hash: params[1], rotated_at: store.clock });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE sessions SET ended_at = NOW()')) {
+        const [reason, ...where] = params;
+        let matches;
+        if (sql.includes('WHERE token_hash = ?')) {
+          matches = (s) => s.token_hash === where[0];
+        } else if (sql.includes('WHERE id = ?')) {
+          matches = (s) => s.id === Number(where[0]) && (where.length < 2 || s.user_id === where[1]);
+        } else {
+          matches = (s) => s.user_id === Number(where[0]) && (where.length < 2 || s.id !== where[1]);
+        }
+        const ended = store.sessions.filter((s) => !s.ended_at && matches(s));
+        ended.forEach((s) => Object.assign(s, { ended_at: new Date(), end_reason: reason }));
+        return [{ affectedRows: ended.length }];
+      }
+      if (SESSION_CHECK.test(sql)) {
+        const session = store.sessions.find((s) => s.id === params[0] && s.user_id === params[1] && !s.ended_at);
+        return [session ? [{ id: session.id }] : []];
+      }
+      if (sql.startsWith('SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at FROM sessions')) {
+        return [store.sessions.filter((s) => s.user_id === params[0] && !s.ended_at).reverse()];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+// ========================================
+// SERVING
+// ========================================
+
+// An access token for a login row, as a sign-in to session `sessionId` would issue
+export const tokenFor = (account, sessionId = 1) => generateAccessToken(account, sessionId);
+
+/**
+ * Serves `app` on a free port. `request(method, path, { token, body, form, cookie, headers })`
+ * sends `body` as JSON or `form` (a FormData) as multipart, and resolves to
+ * `{ status, body, headers }` with a JSON body parsed. `base` is the server's
+ * URL, for requests that do not end by themselves such as event streams.
+ */
+export const serve = async (app) => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, form, cookie, headers = {} } = {}) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...headers,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(cookie ? { Cookie: cookie } : {}),
+      },
+      body: form || (body ? JSON.stringify(body) : undefined),
+    });
+    const text = await res.text();
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, body: json ? JSON.parse(text) : text || null, headers: res.headers };
+  };
+
+  return { base, request, close: () => new Promise((resolve) => server.close(resolve)) };
+};
@@ -0,0 +1,101 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { t, msg, translate, parseAcceptLanguage, formatDate, loadCatalog } from '../i18n.js';
+import { fakeDatabase, answer, accountStore, applicationStore, auditStore, eventStore, outboxStore, feeStore, validApplications, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const applicant = { id: 8, username: 'ann@example.org', role: null, language: 'fr' };
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer', language: 'en' };
+
+let outbox;
+let accounts;
+const server = await serve(app);
+
+const request = (method, path, { language, ...options } = {}) => server.request(method, path, {
+  ...options,
+  ...(language ? { headers: { 'Accept-Language': language } } : {}),
+});
+
+beforeEach(() => {
+  outbox = outboxStore();
+  accounts = accountStore([applicant, officer]);
+  fakeDatabase(
+    accounts,
+    applicationStore({ visa_applications: [{ id: 1, user_id: applicant.id, user_name: applicant.username, status: 'pending' }] }),
+    eventStore(),
+    outbox,
+    feeStore(),
+    auditStore(),
+    answer(/^UPDATE login SET language = \? WHERE id = \?$/, (sql, [language, id]) => {
+      accounts.accounts[id].language = language;
+      return [{ affectedRows: 1 }];
+    }),
+  );
+});
+
+after(() => server.close());
+
+test('Accept-Language picks the best supported language', () => {
+  assert.equal(parseAcceptLanguage('fr-CA,fr;q=0.9,en;q=0.8'), 'fr');
+  assert.equal(parseAcceptLanguage('de-DE,en;q=0.5,fr;q=0.7'), 'fr');
+  assert.equal(parseAcceptLanguage('de, ja;q=0.9'), null);
+  assert.equal(parseAcceptLanguage('fr;q=0, en'), 'en');
+});
+
+test('messages fill placeholders and fall back to English', () => {
+  assert.equal(t('fr', 'errors.fileTooLarge', { mb: 5 }), loadCatalog('fr').errors.fileTooLarge.replace('{mb}', '5'));
+  assert.equal(t('de', 'errors.server'), t('en', 'errors.server'));
+  assert.equal(t('fr', 'no.such.key'), 'no.such.key');
+  assert.equal(t('sg', 'errors.fileTooLarge', { mb: 5 }), loadCatalog('sg').errors.fileTooLarge.replace('{mb}', '5'));
+  assert.equal(translate('fr', msg('workflow.finalStatus', { from: 'shipped', to: 'denied' })), t('fr', 'workflow.finalStatus', { from: 'shipped', to: 'denied' }));
+});
+
+test('dates are formatted for the locale', () => {
+  const date = new Date(Date.UTC(2026, 2, 14, 12));
+  assert.equal(formatDate('en', date), 'March 14, 2026');
+  assert.equal(formatDate('fr', date), '14 mars 2026');
+  assert.equal(formatDate('fr', null), '');
+});
+
+test('API errors follow the header, then the account preference', async () => {
+  const header = await request('GET', '/api/visa-applications/9', { token: tokenFor(officer), language: 'fr' });
+  assert.equal(header.body.error, t('fr', 'errors.applicationNotFound'));
+
+  const preference = await request('GET', '/api/visa-applications/9', { token: tokenFor(applicant) });
+  assert.equal(preference.body.error, t('fr', 'errors.applicationNotFound'));
+
+  const overridden = await request('GET', '/api/visa-applications/9', { token: tokenFor(applicant), language: 'en-US' });
+  assert.equal(overridden.body.error, 'Application not found');
+
+  assert.equal((await request('GET', '/api/admin/emails', { language: 'fr' })).body.error, t('fr', 'errors.authRequired'));
+});
+
+test('validation errors are translated per field', async () => {
+  const { marriage_date, ...body } = validApplications().marriage;
+  const response = await request('POST', '/api/marriage-applications', { token: tokenFor(applicant), body, language: 'fr' });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.fields.marriage_date, response.body.error);
+  assert.notEqual(response.body.error, (await request('POST', '/api/marriage-applications', { token: tokenFor(applicant), body, language: 'en' })).body.error);
+});
+
+test("status emails use the applicant's language, not the officer's", async () => {
+  await request('PUT', '/api/visa-applications/1/status', {
+    token: tokenFor(officer),
+    body: { status: 'under_review' },
+    language: 'en',
+  });
+  const [email] = outbox.messages;
+  assert.equal(email.subject, `Mise à jour de votre demande (${t('fr', 'applicationTypes.visa.label')}) - ${t('fr', 'statuses.under_review')}`);
+  assert.match(email.html, /Bonjour/);
+});
+
+test('the language preference can be changed', async () => {
+  const response = await request('PUT', '/api/account/language', { token: tokenFor(applicant), body: { language: 'en' } });
+  assert.equal(response.status, 200);
+  assert.equal(accounts.accounts[applicant.id].language, 'en');
+
+  const invalid = await request('PUT', '/api/account/language', { token: tokenFor(applicant), body: { language: 'de' } });
+  assert.equal(invalid.status, 400);
+});
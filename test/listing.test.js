@@ -0,0 +1,141 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { listPage, searchCondition, dateRangeConditions, isValidListCursor, timestampSort, idSort } from '../listing.js';
+import { fakeDatabase, auditStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+const server = await serve(app);
+let table;
+
+/**
+ * One table for listPage(): understands `status IN (?)`, the keyset
+ * condition and the ORDER BY on created_at or id, with created_at held as
+ * 'YYYY-MM-DD HH:MM:SS' so it compares like the cursor value.
+ */
+const tableStore = (name, rows) => {
+  const value = (sql, row) => (/ORDER BY created_at/.test(sql) ? row.created_at : row.id);
+  const matching = (sql, params) => {
+    const rest = [...params];
+    let result = rows;
+    if (sql.includes('status IN (?)')) {
+      const statuses = rest.shift();
+      result = result.filter((row) => statuses.includes(row.status));
+    }
+    return { result, rest };
+  };
+  return {
+    rows,
+    handle: (sql, [table, ...params]) => {
+      if (table !== name) return undefined;
+      if (sql.startsWith('SELECT COUNT(*) as total FROM ??')) return [[{ total: matching(sql, params).result.length }]];
+
+      const { result, rest } = matching(sql, params);
+      const descending = / DESC, id DESC/.test(sql);
+      const compare = (a, b) => (value(sql, a) < value(sql, b) ? -1 : value(sql, a) > value(sql, b) ? 1 : a.id - b.id);
+      let page = [...result].sort((a, b) => (descending ? compare(b, a) : compare(a, b)));
+      if (sql.includes('= ? AND id')) {
+        const [after, , afterId] = rest.splice(0, 3);
+        page = page.filter((row) => {
+          const order = value(sql, row) === after ? row.id - afterId : value(sql, row) < after ? -1 : 1;
+          return descending ? order < 0 : order > 0;
+        });
+      }
+      const [limit, offset] = rest;
+      return [page.slice(offset, offset + limit).map((row) => ({ ...row, cursor_value: value(sql, row), cursor_id: row.id }))];
+    },
+  };
+};
+
+const rowsAt = (...times) => times.map((time, i) => ({
+  id: i + 1, status: i % 2 ? 'approved' : 'pending', created_at: `2026-03-01 ${time}`,
+}));
+
+beforeEach(() => {
+  // Rows 2 and 3 share a timestamp; the id breaks the tie
+  table = tableStore('visa_applications', rowsAt('09:00:00', '10:00:00', '10:00:00', '11:00:00', '12:00:00'));
+  fakeDatabase(table);
+});
+
+after(() => server.close());
+
+const SORTS = { createdAt: timestampSort('created_at'), id: idSort };
+const page = (options) => listPage({ table: 'visa_applications', select: 'id', sorts: SORTS, sort: 'createdAt', limit: 2, ...options });
+
+test('cursors walk the whole list once, ties broken by id, in either order', async () => {
+  const walk = async (order) => {
+    const ids = [];
+    let cursor;
+    do {
+      const result = await page({ order, cursor });
+      ids.push(...result.rows.map((row) => row.id));
+      assert.equal(result.total, 5);
+      cursor = result.nextCursor;
+    } while (cursor);
+    return ids;
+  };
+  assert.deepEqual(await walk('desc'), [5, 4, 3, 2, 1]);
+  assert.deepEqual(await walk('asc'), [1, 2, 3, 4, 5]);
+});
+
+test('a cursor is not thrown off by rows added after the first page, unlike an offset', async () => {
+  const first = await page({});
+  assert.deepEqual(first.rows.map((row) => row.id), [5, 4]);
+  table.rows.push({ id: 6, status: 'pending', created_at: '2026-03-01 13:00:00' });
+
+  assert.deepEqual((await page({ cursor: first.nextCursor })).rows.map((row) => row.id), [3, 2]);
+  assert.deepEqual((await page({ offset: 2 })).rows.map((row) => row.id), [4, 3]);
+});
+
+test('a cursor only continues the sort it was made for', async () => {
+  const { nextCursor } = await page({});
+  assert.ok(isValidListCursor(nextCursor, 'createdAt'));
+  assert.ok(!isValidListCursor(nextCursor, 'id'));
+  assert.ok(!isValidListCursor('bm90IGEgY3Vyc29y', 'createdAt'));
+});
+
+test('search needs every word in some column and matches wildcards literally', () => {
+  const condition = searchCondition(['first_name', 'last_name'], '  ann 100%_ ');
+  assert.equal(condition.sql, '(first_name LIKE ? OR last_name LIKE ?) AND (first_name LIKE ? OR last_name LIKE ?)');
+  assert.deepEqual(condition.params, ['%ann%', '%ann%', '%100\\%\\_%', '%100\\%\\_%']);
+  assert.equal(searchCondition(['first_name'], '   '), null);
+  assert.equal(searchCondition(['first_name'], 'a b c d e f g').params.length, 5);
+
+  assert.deepEqual(dateRangeConditions('created_at', { from: '2026-03-01', to: '2026-03-31' }), {
+    conditions: ['created_at >= ?', 'created_at < DATE_ADD(?, INTERVAL 1 DAY)'],
+    params: ['2026-03-01', '2026-03-31'],
+  });
+});
+
+test('the application list pages by cursor and filters by status', async () => {
+  const list = (query) => server.request('GET', `/api/visa-applications${query}`, { token: tokenFor(officer) });
+
+  const first = await list('?limit=2&status=pending');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.applications.map((row) => row.id), [5, 3]);
+  assert.equal(first.body.total, 3);
+  assert.equal(first.body.offset, 0);
+
+  const second = await list(`?limit=2&status=pending&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(second.body.applications.map((row) => row.id), [1]);
+  assert.equal(second.body.nextCursor, null);
+  assert.equal(second.body.offset, null);
+
+  assert.equal((await list(`?sort=name&cursor=${first.body.nextCursor}`)).status, 400);
+  assert.equal((await list('?status=pending,lost')).status, 400);
+  assert.deepEqual((await list('?page=2&limit=2')).body.applications.map((row) => row.id), [3, 2]);
+});
+
+test('the user list filters staff accounts and searches names', async () => {
+  const users = fakeDatabase(tableStore('login', []), auditStore());
+  const response = await server.request('GET', '/api/admin/users?role=staff&q=ann', { token: tokenFor(supervisor) });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { users: [], total: 0, nextCursor: null, limit: 50, offset: 0 });
+  assert.equal((await server.request('GET', '/api/admin/users?role=pilot', { token: tokenFor(supervisor) })).status, 400);
+  const count = users.queries.find((query) => query.sql.startsWith('SELECT COUNT(*)'));
+  assert.match(count.sql, /WHERE role IS NOT NULL AND \(username LIKE \? OR firstname LIKE \? OR lastname LIKE \?\)$/);
+  assert.deepEqual(count.params, ['login', '%ann%', '%ann%', '%ann%']);
+});
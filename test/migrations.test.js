@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMigrations, getMigrationStatus, getPendingMigrations, migrateUp, migrateDown } from '../migrator.js';
+import { fakeDatabase } from './helpers.js';
+
+// schema_migrations with `applied` versions, over a schema where no table or
+// column exists yet; every other statement succeeds without effect
+const migrationStore = (applied, { locked = 1 } = {}) => {
+  const store = {
+    applied: new Map(applied.map((version) => [version, new Date('2026-01-01')])),
+    lockHeld: false,
+    handle: (sql, params) => {
+      if (sql === "SHOW TABLES LIKE 'schema_migrations'") return [store.applied.size ? [{}] : []];
+      if (sql === 'SELECT version, applied_at FROM schema_migrations') {
+        return [[...store.applied].map(([version, applied_at]) => ({ version, applied_at }))];
+      }
+      if (sql.startsWith('SELECT GET_LOCK')) {
+        store.lockHeld = locked === 1;
+        return [[{ locked }]];
+      }
+      if (sql.startsWith('SELECT RELEASE_LOCK')) {
+        store.lockHeld = false;
+        return [[{}]];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        store.applied.set(params[0], new Date());
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        store.applied.delete(params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (/^(SELECT|SHOW)\b/.test(sql)) return [[]];
+      return [{ affectedRows: 0, insertId: 0 }];
+    },
+  };
+  return store;
+};
+
+const versions = (migrations) => migrations.map((migration) => migration.version);
+
+test('migration files load in version order, each with up and down', async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length >= 2);
+  assert.deepEqual(versions(migrations), versions(migrations).slice().sort());
+  assert.equal(new Set(versions(migrations)).size, migrations.length);
+  assert.equal(migrations[0].file, '001_initial_schema.js');
+});
+
+test('status lists pending migrations, and applied ones whose file is gone', async () => {
+  fakeDatabase(migrationStore(['001', '999']));
+  const status = await getMigrationStatus();
+
+  assert.ok(status.find((migration) => migration.version === '001').appliedAt);
+  assert.equal(status.find((migration) => migration.version === '002').appliedAt, null);
+  assert.deepEqual(status.at(-1), { version: '999', name: null, appliedAt: new Date('2026-01-01'), missing: true });
+
+  const pending = await getPendingMigrations();
+  assert.ok(!versions(pending).includes('001'));
+  assert.ok(versions(pending).includes('002'));
+});
+
+test('a database without schema_migrations has every migration pending', async () => {
+  fakeDatabase(migrationStore([]));
+  assert.deepEqual(versions(await getPendingMigrations()), versions(await loadMigrations()));
+});
+
+test('up applies the pending migrations in order, under the lock', async () => {
+  const store = migrationStore(['001']);
+  const db = fakeDatabase(store);
+  const applied = await migrateUp({ log: () => {} });
+
+  const expected = versions(await loadMigrations()).slice(1);
+  assert.deepEqual(versions(applied), expected);
+  assert.deepEqual([...store.applied.keys()], ['001', ...expected]);
+  assert.equal(store.lockHeld, false);
+  assert.ok(db.queries.some(({ sql }) => sql.startsWith('ALTER TABLE')));
+
+  assert.deepEqual(await migrateUp({ log: () => {} }), []);
+});
+
+test('a dry run prints the statements and records nothing', async () => {
+  const store = migrationStore([]);
+  const db = fakeDatabase(store);
+  const lines = [];
+  const applied = await migrateUp({ dryRun: true, log: (line) => lines.push(line) });
+
+  assert.equal(applied.length, (await loadMigrations()).length);
+  assert.equal(store.applied.size, 0);
+  assert.ok(lines.includes('[dry-run] Applying 001_initial_schema.js'));
+  assert.ok(lines.some((line) => /^CREATE TABLE IF NOT EXISTS visa_applications/.test(line)));
+  // Only reads reach the database
+  assert.ok(db.queries.every(({ sql }) => /^(SELECT|SHOW)\b/.test(sql)));
+});
+
+test('down reverts the most recent migrations first', async () => {
+  const store = migrationStore(['001', '002']);
+  fakeDatabase(store);
+  assert.deepEqual(versions(await migrateDown({ steps: 1, log: () => {} })), ['002']);
+  assert.deepEqual([...store.applied.keys()], ['001']);
+});
+
+test('a second run waits for the lock and then gives up', async () => {
+  fakeDatabase(migrationStore([], { locked: 0 }));
+  await assert.rejects(migrateUp({ log: () => {} }), /holds the schema_migrations lock/);
+});
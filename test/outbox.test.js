@@ -0,0 +1,158 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { fakeDatabase, outboxStore, tokenFor, serve } from './helpers.js';
+
+// ========================================
+// LOCAL SMTP STAND-IN
+// ========================================
+
+// Accepts every message, or refuses recipients while `refuse` is set
+const smtp = { messages: [], refuse: false };
+const smtpServer = net.createServer((socket) => {
+  let data = null;
+  socket.setEncoding('utf8');
+  socket.write('220 stand-in ESMTP\r\n');
+  let buffer = '';
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      if (data !== null) {
+        if (line === '.') {
+          smtp.messages.push(data.join('\n'));
+          data = null;
+          socket.write(`250 OK id=${smtp.messages.length}\r\n`);
+        } else {
+          data.push(line);
+        }
+      } else if (/^(EHLO|HELO)/i.test(line)) {
+        socket.write('250 stand-in\r\n');
+      } else if (/^RCPT/i.test(line) && smtp.refuse) {
+        socket.write('451 Try again later\r\n');
+      } else if (/^DATA/i.test(line)) {
+        data = [];
+        socket.write('354 End data with .\r\n');
+      } else if (/^QUIT/i.test(line)) {
+        socket.end('221 Bye\r\n');
+      } else {
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+});
+smtpServer.listen(0, '127.0.0.1');
+await once(smtpServer, 'listening');
+
+// mailer.js reads these when it is first imported
+Object.assign(process.env, {
+  SMTP_HOST: '127.0.0.1',
+  SMTP_PORT: String(smtpServer.address().port),
+  SMTP_SECURE: 'false',
+  EMAIL_RETRY_BASE_SECONDS: '60',
+  EMAIL_MAX_ATTEMPTS: '3',
+});
+const { app } = await import('../index.js');
+const { queueEmail, processOutbox, retryDelaySeconds } = await import('../outbox.js');
+const { renderEmail, fillTemplate } = await import('../emailTemplates.js');
+
+const supervisor = { id: 3, username: 'supervisor@embassy.cf', role: 'supervisor' };
+const admin = { id: 1, username: 'admin@embassy.cf', role: 'system_admin' };
+
+let outbox;
+let server;
+
+before(async () => {
+  server = await serve(app);
+});
+
+beforeEach(() => {
+  outbox = outboxStore();
+  fakeDatabase(outbox);
+  smtp.messages = [];
+  smtp.refuse = false;
+});
+
+after(async () => {
+  await server.close();
+  smtpServer.close();
+});
+
+test('templates escape variables and render inside the layout', () => {
+  assert.equal(fillTemplate('{{a}} {{{a}}}{{#if b}} b{{/if}}', { a: '<i>' }), '&lt;i&gt; <i>');
+
+  const email = renderEmail('application-status', {
+    typeLabel: 'Visa', statusLabel: 'DENIED', applicantName: 'Ann <Lee>', applicationId: 4, reason: 'Missing photo',
+  });
+  assert.equal(email.subject, 'Visa Application Status Update - DENIED');
+  assert.ok(email.html.includes('Dear Ann &lt;Lee&gt;,'));
+  assert.ok(email.html.includes('<strong>Reason:</strong> Missing photo'));
+  assert.match(email.html, /<h1 style="[^"]*">Visa Application Status Update<\/h1>/);
+  assert.equal(renderEmail('password-reset', { resetLink: 'https://x' }).sensitive, true);
+  assert.throws(() => renderEmail('../layout'), /Invalid email template name/);
+
+  // Sango has its own templates rather than falling back to French
+  const sango = renderEmail('password-reset', { firstName: 'Ann', resetLink: 'https://x' }, 'sg');
+  assert.equal(sango.subject, 'Fini mot de passe - Ambassade ti Bêafrîka');
+  assert.ok(sango.html.includes('Balaô Ann'));
+  assert.equal(sango.sensitive, true);
+});
+
+test('queued emails are delivered by the worker', async () => {
+  await queueEmail({ template: 'application-status', to: 'ann@example.org', vars: { typeLabel: 'Visa', statusLabel: 'APPROVED' } });
+  assert.equal(outbox.messages[0].status, 'pending');
+
+  await processOutbox();
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /Subject: Visa Application Status Update - APPROVED/);
+  assert.equal(outbox.messages[0].status, 'sent');
+  assert.equal(outbox.messages[0].attempts, 1);
+});
+
+test('failed sends back off exponentially, then give up', async () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelaySeconds), [60, 120, 240, 480]);
+  assert.equal(retryDelaySeconds(40), 6 * 60 * 60);
+
+  smtp.refuse = true;
+  await queueEmail({ template: 'application-status', to: 'ann@example.org', vars: {} });
+  const [message] = outbox.messages;
+
+  await processOutbox();
+  assert.deepEqual([message.status, message.attempts, message.next_attempt_at], ['pending', 1, 60]);
+  assert.match(message.last_error, /451/);
+
+  // Not due yet
+  await processOutbox();
+  assert.equal(message.attempts, 1);
+
+  outbox.clock = 60;
+  await processOutbox();
+  assert.deepEqual([message.status, message.attempts, message.next_attempt_at], ['pending', 2, 180]);
+
+  outbox.clock = 180;
+  await processOutbox();
+  assert.equal(message.status, 'failed');
+  assert.equal(smtp.messages.length, 0);
+});
+
+test('one-time links are cleared once sent and cannot be resent', async () => {
+  await queueEmail({ template: 'password-reset', to: 'ann@example.org', vars: { resetLink: 'https://example.org/reset?token=abc' } });
+  await queueEmail({ template: 'application-status', to: 'ann@example.org', vars: {} });
+  await processOutbox();
+  assert.equal(outbox.messages[0].html, null);
+  assert.notEqual(outbox.messages[1].html, null);
+
+  const token = tokenFor(admin);
+  assert.equal((await server.request('POST', '/api/admin/emails/1/resend', { token })).status, 409);
+
+  const resent = await server.request('POST', '/api/admin/emails/2/resend', { token });
+  assert.deepEqual(resent.body, { success: true, id: 3 });
+  assert.equal(outbox.messages[2].resend_of, 2);
+
+  // Supervisors read the log but cannot resend
+  assert.equal((await server.request('POST', '/api/admin/emails/2/resend', { token: tokenFor(supervisor) })).status, 403);
+  assert.equal((await server.request('GET', '/api/admin/emails/2', { token: tokenFor(supervisor) })).body.status, 'sent');
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateToken } from '../auth.js';
+import { ROLES, PERMISSIONS, getPermissions, hasPermission, isStaffRole } from '../permissions.js';
+import { fakeDatabase, answer, applicationStore, auditStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const applicant = { id: 8, username: 'ann@example.org', role: null };
+const clerk = { id: 2, username: 'clerk@embassy.cf', role: 'clerk' };
+const supervisor = { id: 3, username: 'supervisor@embassy.cf', role: 'supervisor' };
+const admin = { id: 1, username: 'admin@embassy.cf', role: 'system_admin' };
+
+const application = { id: 5, user_name: applicant.username, first_name: 'Ann', last_name: 'Lee', status: 'submitted' };
+
+let audit;
+let server;
+
+before(async () => {
+  audit = auditStore();
+  fakeDatabase(
+    audit,
+    answer(/FROM login WHERE role IS NOT NULL/, [[{ id: 1, username: admin.username, role: 'system_admin' }]]),
+    applicationStore({ visa_applications: [application] }),
+  );
+  server = await serve(app);
+});
+
+after(() => server.close());
+
+test('roles carry only known permissions, and system_admin carries all of them', () => {
+  for (const [role, { permissions }] of Object.entries(ROLES)) {
+    assert.ok(isStaffRole(role));
+    for (const permission of permissions) assert.ok(PERMISSIONS.includes(permission), `${role}: ${permission}`);
+  }
+  assert.deepEqual(getPermissions('system_admin'), PERMISSIONS);
+  assert.deepEqual(getPermissions(null), []);
+  assert.deepEqual(getPermissions('constructor'), []);
+  assert.equal(hasPermission({ role: 'clerk' }, 'users:manage'), false);
+  assert.equal(hasPermission({ role: 'supervisor' }, 'analytics:read'), true);
+});
+
+test('staff routes refuse requests without an access token', async () => {
+  assert.equal((await server.request('GET', '/api/admin/staff')).status, 401);
+  assert.equal((await server.request('GET', '/api/admin/staff', { token: 'not-a-token' })).status, 401);
+  const resetToken = generateToken({ id: admin.id, username: admin.username, type: 'password_reset' }, '1h');
+  assert.equal((await server.request('GET', '/api/admin/staff', { token: resetToken })).status, 401);
+});
+
+test('each route needs its permission, not just a staff role', async () => {
+  const staffList = (account) => server.request('GET', '/api/admin/staff', { token: tokenFor(account) });
+  assert.equal((await staffList(applicant)).status, 403);
+  assert.equal((await staffList(clerk)).status, 403);
+  assert.equal((await staffList(supervisor)).status, 403);
+
+  const response = await staffList(admin);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.staff.length, 1);
+
+  // Tokens from before sessions, with the old isAdmin flag, no longer sign in
+  const legacy = generateToken({ id: 4, username: 'old@embassy.cf', isAdmin: true });
+  assert.equal((await server.request('GET', '/api/admin/staff', { token: legacy })).status, 401);
+});
+
+test('applicants reach only their own applications; staff reading one are audited', async () => {
+  const own = await server.request('GET', '/api/visa-applications/5', { token: tokenFor(applicant) });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.first_name, 'Ann');
+  assert.deepEqual(audit.actions(), []);
+
+  const other = { id: 9, username: 'bob@example.org', role: null };
+  assert.equal((await server.request('GET', '/api/visa-applications/5', { token: tokenFor(other) })).status, 403);
+
+  assert.equal((await server.request('GET', '/api/visa-applications/5', { token: tokenFor(clerk) })).status, 200);
+  assert.deepEqual(audit.actions(), ['application.view']);
+  assert.equal(audit.entries[0].actor_role, 'clerk');
+});
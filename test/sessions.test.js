@@ -0,0 +1,120 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import { verifyToken } from '../auth.js';
+import { fakeDatabase, answer, accountStore, auditStore, sessionStore, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const PASSWORD = 'Strong#Pass1';
+
+let accounts;
+let sessions;
+let server;
+let passwordHash;
+
+before(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+  server = await serve(app);
+});
+
+beforeEach(() => {
+  accounts = accountStore([
+    { id: 8, username: 'ann@example.org', firstname: 'Ann', lastname: 'Lee', language: 'fr', password: passwordHash },
+  ]);
+  sessions = sessionStore(accounts);
+  fakeDatabase(
+    accounts,
+    sessions,
+    auditStore(),
+    answer(/^INSERT INTO login_events/, [{ affectedRows: 1 }]),
+    answer(/^UPDATE login SET language = \? WHERE id = \?$/, (sql, [language, id]) => {
+      accounts.accounts[id].language = language;
+      return [{ affectedRows: 1 }];
+    }),
+  );
+});
+
+after(() => server.close());
+
+const signIn = async () => {
+  const response = await server.request('POST', '/api/login', { body: { username: 'ann@example.org', password: PASSWORD } });
+  assert.equal(response.status, 200);
+  return response;
+};
+
+const refresh = (refreshToken) => server.request('POST', '/api/token/refresh', { body: { refreshToken } });
+
+test('signing in opens a session with an access token and a refresh token', async () => {
+  const { body, headers } = await signIn();
+  assert.equal(body.user.language, 'fr');
+  assert.match(headers.get('set-cookie'), /^refresh_token=[^;]+;.*HttpOnly/);
+
+  const claims = verifyToken(body.token);
+  assert.equal(claims.type, 'access');
+  assert.equal(claims.sid, 1);
+  assert.equal(sessions.byToken(body.refreshToken).id, 1);
+
+  const listed = await server.request('GET', '/api/account/sessions', { token: body.token });
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.sessions.map((session) => [session.id, session.current]), [[1, true]]);
+});
+
+test('a refresh replaces the refresh token and reads the account again', async () => {
+  const { body: first } = await signIn();
+  accounts.accounts[8].language = 'en';
+
+  const response = await refresh(first.refreshToken);
+  assert.equal(response.status, 200);
+  assert.notEqual(response.body.refreshToken, first.refreshToken);
+  assert.equal(verifyToken(response.body.token).language, 'en');
+  assert.equal(sessions.sessions.length, 1);
+});
+
+test('the replaced token is refused, briefly without ending the session', async () => {
+  const { body: first } = await signIn();
+  const { body: second } = await refresh(first.refreshToken);
+
+  // Another tab refreshing at the same moment
+  const late = await refresh(first.refreshToken);
+  assert.equal(late.status, 409);
+  assert.equal(sessions.sessions[0].ended_at, null);
+  assert.equal((await refresh(second.refreshToken)).status, 200);
+});
+
+test('a replaced token coming back later ends the session', async () => {
+  const { body: first } = await signIn();
+  const { body: second } = await refresh(first.refreshToken);
+  sessions.clock += 60;
+
+  const reused = await refresh(first.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.match(reused.headers.get('set-cookie'), /^refresh_token=;/);
+  assert.equal(sessions.sessions[0].end_reason, 'token_reuse');
+
+  // Whoever held the newest token is signed out too
+  assert.equal((await refresh(second.refreshToken)).status, 401);
+});
+
+test('signed-out and disabled accounts cannot refresh', async () => {
+  const { body: first } = await signIn();
+  assert.equal((await server.request('POST', '/api/logout', { token: first.token })).status, 200);
+  assert.equal(sessions.sessions[0].end_reason, 'logout');
+  assert.equal((await refresh(first.refreshToken)).status, 401);
+  // The access token of an ended session is refused before it expires
+  assert.equal((await server.request('GET', '/api/account/sessions', { token: first.token })).status, 401);
+
+  const { body: second } = await signIn();
+  accounts.accounts[8].disabled_at = new Date();
+  assert.equal((await refresh(second.refreshToken)).status, 401);
+});
+
+test('changing the language does not issue a token', async () => {
+  const { body } = await signIn();
+  const response = await server.request('PUT', '/api/account/language', { token: body.token, body: { language: 'en' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { success: true, language: 'en' });
+
+  // The next refresh carries it
+  assert.equal(verifyToken((await refresh(body.refreshToken)).body.token).language, 'en');
+});
@@ -0,0 +1,123 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeDatabase, accountStore, auditStore, sessionStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const admin = { id: 1, username: 'admin@embassy.cf', firstname: 'Ada', lastname: 'Admin', role: 'system_admin' };
+const token = tokenFor(admin);
+
+// The staff routes' own queries, on top of the shared login rows
+const staffStore = (accounts) => ({
+  handle: (sql, params) => {
+    if (sql === 'SELECT id, role FROM login WHERE username = ?') {
+      return [Object.values(accounts.accounts).filter((a) => a.username === params[0]).map(({ id, role }) => ({ id, role }))];
+    }
+    if (sql.startsWith('SELECT id, role FROM login WHERE id = ? AND role IS NOT NULL')) {
+      const account = accounts.accounts[params[0]];
+      return [account && account.role ? [{ id: account.id, role: account.role }] : []];
+    }
+    if (sql.startsWith('INSERT INTO login (username, password, firstname, lastname, role)')) {
+      const [username, password, firstname, lastname, role] = params;
+      const id = Math.max(...Object.keys(accounts.accounts).map(Number)) + 1;
+      accounts.accounts[id] = { id, username, password, firstname, lastname, role };
+      return [{ insertId: id }];
+    }
+    if (sql === 'UPDATE login SET role = ? WHERE id = ?') {
+      accounts.accounts[params[1]].role = params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql === 'UPDATE login SET role = NULL WHERE id = ?') {
+      accounts.accounts[params[0]].role = null;
+      return [{ affectedRows: 1 }];
+    }
+    return undefined;
+  },
+});
+
+let db;
+let accounts;
+let audit;
+let sessions;
+const server = await serve(app);
+
+beforeEach(() => {
+  accounts = accountStore([
+    admin,
+    { id: 5, username: 'bob@example.org', firstname: 'Bob', lastname: 'Ngai' },
+    { id: 6, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk' },
+  ]);
+  audit = auditStore();
+  sessions = sessionStore(accounts);
+  db = fakeDatabase(accounts, staffStore(accounts), audit, sessions);
+  // The session `token` names
+  sessions.handle('INSERT INTO sessions SET ?', [{ user_id: admin.id, token_hash: 'admin' }]);
+});
+
+after(() => server.close());
+
+test('creates a staff account', async () => {
+  const response = await server.request('POST', '/api/admin/staff', {
+    token,
+    body: { username: 'New@Embassy.cf', password: 'Strong#Pass1', firstName: 'Nia', lastName: 'Wali', role: 'clerk' },
+  });
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body, { success: true, id: 7, role: 'clerk', created: true });
+  assert.equal(accounts.accounts[7].username, 'new@embassy.cf');
+  assert.notEqual(accounts.accounts[7].password, 'Strong#Pass1');
+  assert.deepEqual(audit.actions(), ['staff.grant']);
+  assert.deepEqual(db.transactions, ['commit']);
+
+  const unknown = await server.request('POST', '/api/admin/staff', {
+    token,
+    body: { username: 'new2@embassy.cf', password: 'Strong#Pass1', firstName: 'Nia', lastName: 'Wali', role: 'janitor' },
+  });
+  assert.equal(unknown.status, 400);
+});
+
+test('grants a role to an existing account and signs it out', async () => {
+  sessions.handle('INSERT INTO sessions SET ?', [{ user_id: 5, token_hash: 'b' }]);
+
+  const response = await server.request('POST', '/api/admin/staff', {
+    token,
+    body: { username: 'bob@example.org', role: 'consular_officer' },
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { success: true, id: 5, role: 'consular_officer', created: false });
+  assert.equal(accounts.accounts[5].role, 'consular_officer');
+  assert.equal(audit.entries[0].diff, JSON.stringify({ role: [null, 'consular_officer'] }));
+  assert.equal(sessions.sessions[1].end_reason, 'role_changed');
+  assert.deepEqual(db.transactions, ['commit']);
+});
+
+test('changes a role and signs the account out; applicant accounts are not staff', async () => {
+  sessions.handle('INSERT INTO sessions SET ?', [{ user_id: 6, token_hash: 'a' }]);
+  const clerkToken = tokenFor(accounts.accounts[6], 2);
+  assert.equal((await server.request('GET', '/api/account/sessions', { token: clerkToken })).status, 200);
+
+  const response = await server.request('PUT', '/api/admin/staff/6', { token, body: { role: 'supervisor' } });
+  assert.equal(response.status, 200);
+  assert.equal(accounts.accounts[6].role, 'supervisor');
+  assert.equal(sessions.sessions[1].end_reason, 'role_changed');
+  // The old token, still naming the clerk role, stops working at once
+  assert.equal((await server.request('GET', '/api/account/sessions', { token: clerkToken })).status, 401);
+  assert.deepEqual(audit.actions(), ['staff.update']);
+
+  const missing = await server.request('PUT', '/api/admin/staff/5', { token, body: { role: 'supervisor' } });
+  assert.equal(missing.status, 404);
+  assert.equal(accounts.accounts[5].role, null);
+  assert.deepEqual(db.transactions, ['commit', 'rollback']);
+});
+
+test('revokes staff access and signs the account out, but not from yourself', async () => {
+  sessions.handle('INSERT INTO sessions SET ?', [{ user_id: 6, token_hash: 'a' }]);
+
+  const response = await server.request('DELETE', '/api/admin/staff/6', { token });
+  assert.equal(response.status, 200);
+  assert.equal(accounts.accounts[6].role, null);
+  assert.equal(sessions.sessions[1].end_reason, 'role_removed');
+  assert.deepEqual(audit.actions(), ['staff.revoke']);
+
+  assert.equal((await server.request('DELETE', '/api/admin/staff/1', { token })).status, 400);
+  assert.equal((await server.request('PUT', '/api/admin/staff/1', { token, body: { role: 'clerk' } })).status, 400);
+});
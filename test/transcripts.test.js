@@ -0,0 +1,147 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import zlib from 'zlib';
+import { createZipWriter } from '../zip.js';
+import { transcriptJson } from '../transcripts.js';
+import { fakeDatabase, accountStore, auditStore, chatStore, faqStore, outboxStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const clerk = { id: 4, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk' };
+const supervisor = { id: 5, username: 'supervisor@embassy.cf', role: 'supervisor' };
+
+let chat;
+let outbox;
+const server = await serve(app);
+
+// The files of a ZIP archive by name, read from the local headers
+const unzip = (archive) => {
+  const files = {};
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + archive.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+    assert.equal(zlib.crc32(data), archive.readUInt32LE(offset + 14));
+    files[name] = data;
+    offset = start + compressedSize;
+  }
+  assert.equal(archive.readUInt32LE(archive.length - 22), 0x06054b50);
+  assert.equal(archive.readUInt16LE(archive.length - 12), Object.keys(files).length);
+  return files;
+};
+
+const download = async (path, token) => {
+  const res = await fetch(server.base + path, { headers: { Authorization: `Bearer ${token}` } });
+  return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+};
+
+const start = async (sessionId, headers = {}) => {
+  const response = await server.request('POST', '/api/chat/conversation', {
+    body: { sessionId, userName: 'Ann Lee', userEmail: 'ann@example.org' },
+    headers,
+  });
+  return response.body;
+};
+
+const reply = (conversationId, message) => server.request('POST', '/api/chat/admin-reply', {
+  token: tokenFor(clerk),
+  body: { conversationId, message },
+});
+
+beforeEach(() => {
+  chat = chatStore();
+  outbox = outboxStore();
+  fakeDatabase(chat, faqStore(), outbox, accountStore([clerk]), auditStore());
+});
+
+after(() => server.close());
+
+test('the ZIP writer produces an archive with every file', async () => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+
+  const zip = createZipWriter(output);
+  await zip.addFile('chat-1.txt', 'Hello');
+  await zip.addFile('chat-2.json', Buffer.from('{"id":2}'));
+  await zip.finish();
+
+  const files = unzip(Buffer.concat(chunks));
+  assert.deepEqual(Object.keys(files), ['chat-1.txt', 'chat-2.json']);
+  assert.equal(files['chat-1.txt'].toString(), 'Hello');
+});
+
+test('visitors download their own transcript in their language', async () => {
+  const { conversation, token } = await start('visitor-1', { 'Accept-Language': 'fr' });
+  await reply(conversation.id, 'Bonjour Ann');
+
+  const text = await server.request('GET', '/api/chat/session/visitor-1/transcript?format=txt', {
+    headers: { 'X-Chat-Token': token, 'Accept-Language': 'fr' },
+  });
+  assert.equal(text.status, 200);
+  assert.match(text.headers.get('content-disposition'), /chat-1\.txt/);
+  assert.match(text.body, /^Transcription de la discussion n° 1/);
+  assert.match(text.body, /Cleo Kanga \(Personnel\):\nBonjour Ann/);
+
+  const pdf = await server.request('GET', '/api/chat/session/visitor-1/transcript', { headers: { 'X-Chat-Token': token } });
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.equal((await server.request('GET', '/api/chat/session/visitor-1/transcript')).status, 401);
+});
+
+test('the JSON transcript leaves out staff-only fields', async () => {
+  const { conversation } = await start('visitor-1');
+  await server.request('PUT', `/api/chat/conversations/${conversation.id}`, { token: tokenFor(clerk), body: { priority: 'high', tags: ['visa'] } });
+  await reply(conversation.id, 'Hello');
+
+  const response = await server.request('GET', `/api/chat/conversations/${conversation.id}/transcript?format=json`, { token: tokenFor(clerk) });
+  assert.equal(response.status, 200);
+  const transcript = response.body;
+  assert.match(response.headers.get('content-disposition'), /chat-1\.json/);
+  assert.deepEqual(Object.keys(transcript), Object.keys(transcriptJson({ conversation: {}, messages: [] })));
+  assert.equal(transcript.messages[0].message, 'Hello');
+
+  assert.equal((await server.request('GET', `/api/chat/conversations/${conversation.id}/transcript?format=doc`, { token: tokenFor(clerk) })).status, 400);
+  assert.equal((await server.request('GET', '/api/chat/conversations/99/transcript', { token: tokenFor(clerk) })).status, 404);
+});
+
+test('closing with emailTranscript queues a copy for the visitor in their language', async () => {
+  const { conversation } = await start('visitor-1', { 'Accept-Language': 'fr' });
+  await reply(conversation.id, 'Bonjour');
+
+  const close = (body) => server.request('PUT', `/api/chat/conversations/${conversation.id}/close`, { token: tokenFor(clerk), body });
+  assert.equal((await close({})).body.transcriptEmailed, false);
+  assert.equal(outbox.messages.length, 0);
+
+  assert.equal((await close({ emailTranscript: true })).body.transcriptEmailed, true);
+  const [email] = outbox.messages;
+  assert.equal(email.template, 'chat-transcript');
+  assert.equal(email.to_address, 'ann@example.org');
+  assert.equal(email.subject, "Votre conversation avec l'Ambassade de la RCA (n° 1)");
+  assert.match(email.html, /Personnel\):\nBonjour/);
+});
+
+test('the bulk export zips the conversations started in the range, for chat:manage only', async () => {
+  await start('visitor-1');
+  await start('visitor-2');
+  await start('visitor-3');
+  chat.conversation(3).created_at = new Date(Date.UTC(2026, 0, 5, 9));
+
+  const path = (query) => `/api/admin/chat/transcripts${query}`;
+  assert.equal((await download(path('?from=2026-01-01&to=2026-01-01'), tokenFor(clerk))).status, 403);
+  assert.equal((await download(path('?from=2026-01-01&to=2027-01-02'), tokenFor(supervisor))).status, 400);
+
+  const archive = await download(path('?from=2026-01-01&to=2026-01-01&format=txt'), tokenFor(supervisor));
+  assert.equal(archive.status, 200);
+  assert.match(archive.headers.get('content-disposition'), /chat-transcripts-2026-01-01-2026-01-01\.zip/);
+  const files = unzip(archive.body);
+  assert.deepEqual(Object.keys(files), ['chat-1.txt', 'chat-2.txt']);
+  assert.match(files['chat-2.txt'].toString(), /Ann Lee <ann@example\.org>/);
+
+  const pdfs = unzip((await download(path('?from=2026-01-05&to=2026-01-05'), tokenFor(supervisor))).body);
+  assert.deepEqual(Object.keys(pdfs), ['chat-3.pdf']);
+  assert.equal(pdfs['chat-3.pdf'].subarray(0, 5).toString(), '%PDF-');
+});
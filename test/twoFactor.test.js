@@ -0,0 +1,209 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { totpCode } from '../twoFactor.js';
+import { fakeDatabase, answer, accountStore, auditStore, sessionStore, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const PASSWORD = 'Strong#Pass1';
+const hashCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toUpperCase()).digest('hex');
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+/**
+ * The two-factor columns of `login` and the recovery codes. `clock` stands in
+ * for NOW() in minutes; move it forward to let a lock expire.
+ */
+const twoFactorStore = (accounts) => {
+  const store = {
+    recoveryCodes: [],
+    clock: 0,
+    handle: (sql, params) => {
+      const account = (id) => accounts.accounts[id];
+      if (sql.startsWith('UPDATE login SET totp_secret = ?, totp_last_step = NULL')) {
+        const [secret, id] = params;
+        if (account(id).totp_enabled_at) return [{ affectedRows: 0 }];
+        Object.assign(account(id), { totp_secret: secret, totp_last_step: null });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT totp_secret, totp_enabled_at FROM login')) return [[{ ...account(params[0]) }]];
+      if (sql.startsWith('UPDATE login SET totp_enabled_at = NOW()')) {
+        Object.assign(account(params[1]), { totp_enabled_at: new Date(), totp_last_step: params[0], two_factor_failures: 0 });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('SELECT totp_secret, totp_enabled_at, totp_last_step, two_factor_failures')) {
+        const [lockMinutes, id] = params;
+        const row = account(id);
+        const failedAt = row.two_factor_failed_at ?? null;
+        return [[{ ...row, recent_failure: failedAt !== null && store.clock - failedAt <= lockMinutes ? 1 : 0 }]];
+      }
+      if (sql.startsWith('UPDATE login SET two_factor_failures = IF(')) {
+        const [lockMinutes, id] = params;
+        const row = account(id);
+        const recent = row.two_factor_failed_at != null && store.clock - row.two_factor_failed_at <= lockMinutes;
+        Object.assign(row, { two_factor_failures: recent ? row.two_factor_failures + 1 : 1, two_factor_failed_at: store.clock });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'UPDATE login SET two_factor_failures = 0 WHERE id = ?') {
+        account(params[0]).two_factor_failures = 0;
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'UPDATE login SET totp_last_step = ? WHERE id = ?') {
+        account(params[1]).totp_last_step = params[0];
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?') {
+        store.recoveryCodes = store.recoveryCodes.filter((code) => code.user_id !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (sql === 'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?') {
+        store.recoveryCodes.push(...params[0].map(([userId, codeHash]) => ({ user_id: userId, code_hash: codeHash, used_at: null })));
+        return [{ affectedRows: params[0].length }];
+      }
+      if (sql.startsWith('UPDATE two_factor_recovery_codes SET used_at = NOW()')) {
+        const code = store.recoveryCodes.find((c) => c.user_id === params[0] && c.code_hash === params[1] && !c.used_at);
+        if (code) code.used_at = new Date();
+        return [{ affectedRows: code ? 1 : 0 }];
+      }
+      if (sql.startsWith('SELECT l.totp_secret IS NOT NULL as has_secret')) {
+        const row = account(params[0]);
+        const unused = store.recoveryCodes.filter((c) => c.user_id === row.id && !c.used_at).length;
+        return [[{ has_secret: row.totp_secret ? 1 : 0, totp_enabled_at: row.totp_enabled_at, recovery_codes: unused }]];
+      }
+      return undefined;
+    },
+  };
+  return store;
+};
+
+let accounts;
+let audit;
+let sessions;
+let twoFactor;
+let server;
+let passwordHash;
+
+before(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+  server = await serve(app);
+});
+
+beforeEach(() => {
+  accounts = accountStore([
+    { id: 2, username: 'clerk@embassy.cf', firstname: 'Cleo', lastname: 'Kanga', role: 'clerk', password: passwordHash },
+  ]);
+  audit = auditStore();
+  sessions = sessionStore(accounts);
+  twoFactor = twoFactorStore(accounts);
+  fakeDatabase(accounts, twoFactor, sessions, audit, answer(/^INSERT INTO login_events/, [{ affectedRows: 1 }]));
+});
+
+after(() => server.close());
+
+const challenge = async () => {
+  const response = await server.request('POST', '/api/login', { body: { username: 'clerk@embassy.cf', password: PASSWORD } });
+  assert.equal(response.status, 200);
+  return response.body;
+};
+
+const signInWith = async (code) => server.request('POST', '/api/login/two-factor', {
+  body: { challengeToken: (await challenge()).challengeToken, code },
+});
+
+// Enrolls through the sign-in steps; returns the secret, the recovery codes and the step used
+const enroll = async () => {
+  const { challengeToken } = await challenge();
+  const { body: { secret } } = await server.request('POST', '/api/login/two-factor/setup', { body: { challengeToken } });
+  const step = currentStep();
+  const response = await server.request('POST', '/api/login/two-factor/enable', {
+    body: { challengeToken, code: totpCode(secret, step) },
+  });
+  assert.equal(response.status, 200);
+  return { secret, step, recoveryCodes: response.body.recoveryCodes };
+};
+
+test('staff get no tokens for a password alone, and must set up a second factor', async () => {
+  const body = await challenge();
+  assert.equal(body.twoFactorRequired, true);
+  assert.equal(body.setupRequired, true);
+  assert.equal(body.token, undefined);
+  assert.equal(sessions.sessions.length, 0);
+
+  // The challenge cannot be used as an access token
+  assert.equal((await server.request('GET', '/api/account/two-factor', { token: body.challengeToken })).status, 401);
+});
+
+test('enrolling during sign-in checks a first code, then signs in with recovery codes', async () => {
+  const { challengeToken } = await challenge();
+  const setup = await server.request('POST', '/api/login/two-factor/setup', { body: { challengeToken } });
+  assert.equal(setup.status, 200);
+  assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\//);
+
+  const wrong = await server.request('POST', '/api/login/two-factor/enable', { body: { challengeToken, code: '000000' } });
+  assert.equal(wrong.status, 400);
+  assert.ok(!accounts.accounts[2].totp_enabled_at);
+
+  const response = await server.request('POST', '/api/login/two-factor/enable', {
+    body: { challengeToken, code: totpCode(setup.body.secret, currentStep()) },
+  });
+  assert.equal(response.status, 200);
+  assert.ok(response.body.token);
+  assert.equal(response.body.recoveryCodes.length, 10);
+  assert.ok(accounts.accounts[2].totp_enabled_at);
+  assert.deepEqual(audit.actions(), ['auth.two_factor_enable', 'auth.login']);
+});
+
+test('an app code works only once', async () => {
+  const { secret, step } = await enroll();
+
+  const replayed = await signInWith(totpCode(secret, step));
+  assert.equal(replayed.status, 400);
+  assert.equal(audit.actions().at(-1), 'auth.login_failed');
+
+  // The next code is still accepted
+  const next = await signInWith(totpCode(secret, step + 1));
+  assert.equal(next.status, 200);
+  assert.ok(next.body.token);
+});
+
+test('a recovery code works only once', async () => {
+  const { recoveryCodes } = await enroll();
+
+  const first = await signInWith(recoveryCodes[0].toUpperCase());
+  assert.equal(first.status, 200);
+  assert.equal(first.body.recoveryCodesRemaining, 9);
+  assert.ok(twoFactor.recoveryCodes.find((code) => code.code_hash === hashCode(recoveryCodes[0])).used_at);
+
+  assert.equal((await signInWith(recoveryCodes[0])).status, 400);
+});
+
+test('five wrong codes lock the account out for 15 minutes, even with a right code', async () => {
+  const { secret, step } = await enroll();
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    assert.equal((await signInWith('123456')).status, 400);
+  }
+  const locked = await signInWith(totpCode(secret, step + 1));
+  assert.equal(locked.status, 429);
+  assert.equal(accounts.accounts[2].totp_last_step, step);
+
+  twoFactor.clock += 16;
+  assert.equal((await signInWith(totpCode(secret, step + 1))).status, 200);
+  assert.equal(accounts.accounts[2].two_factor_failures, 0);
+});
+
+test('staff cannot turn it off, and cannot refresh a session opened without it', async () => {
+  const { secret, step } = await enroll();
+  const signedIn = await signInWith(totpCode(secret, step + 1));
+  const off = await server.request('DELETE', '/api/account/two-factor', {
+    token: signedIn.body.token,
+    body: { code: totpCode(secret, step + 1) },
+  });
+  assert.equal(off.status, 403);
+
+  // A session from before two-factor authentication was required
+  accounts.accounts[2].totp_enabled_at = null;
+  const refreshed = await server.request('POST', '/api/token/refresh', { body: { refreshToken: signedIn.body.refreshToken } });
+  assert.equal(refreshed.status, 401);
+});
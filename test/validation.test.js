@@ -0,0 +1,95 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { fakeDatabase, applicationStore, eventStore, feeStore, validApplications, dateFromToday, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const token = tokenFor({ id: 8, username: 'ann@example.org', role: null });
+
+let applications;
+const server = await serve(app);
+
+beforeEach(() => {
+  applications = applicationStore();
+  fakeDatabase(applications, eventStore(), feeStore());
+});
+
+after(() => server.close());
+
+const submit = (path, body) => server.request('POST', `/api/${path}`, { token, body });
+
+test('every invalid field is reported, not only the first', async () => {
+  const response = await submit('marriage-applications', {
+    ...validApplications().marriage,
+    spouse1_first_name: '',
+    spouse2_email: 'not-an-email',
+    marriage_type: 'elopement',
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(Object.keys(response.body.fields).sort(), ['marriage_type', 'spouse1_first_name', 'spouse2_email']);
+  assert.equal(response.body.fields.marriage_type, 'Marriage type must be one of: civil, religious, traditional, other');
+  assert.equal(response.body.error, response.body.fields.spouse1_first_name);
+  assert.equal(applications.tables.marriage_applications, undefined);
+});
+
+test('a stolen passport needs a police report', async () => {
+  const stolen = { ...validApplications().travel_pass, passport_stolen: true };
+  const response = await submit('travel-pass-applications', stolen);
+  assert.equal(response.status, 400);
+  assert.deepEqual(Object.keys(response.body.fields).sort(), ['police_report_date', 'police_report_number']);
+
+  // A lost passport does not
+  assert.equal((await submit('travel-pass-applications', { ...validApplications().travel_pass, passport_lost: 'true' })).status, 200);
+
+  const reported = await submit('travel-pass-applications', {
+    ...stolen,
+    police_report_number: 'PR-2026-114',
+    police_report_date: '2026-01-05T10:00:00Z',
+  });
+  assert.equal(reported.status, 200);
+  const row = applications.row('travel_pass_applications', reported.body.id);
+  assert.equal(row.passport_stolen, true);
+  assert.equal(row.police_report_date, '2026-01-05');
+});
+
+test('travel dates must follow each other', async () => {
+  const base = validApplications().travel_pass;
+  const early = await submit('travel-pass-applications', { ...base, return_date: base.departure_date });
+  assert.equal(early.status, 400);
+  assert.equal(early.body.fields.return_date, 'Return date must be after Departure date');
+
+  const past = await submit('travel-pass-applications', { ...base, departure_date: dateFromToday(-2) });
+  assert.equal(past.body.fields.departure_date, 'Departure date cannot be in the past');
+
+  const married = await submit('travel-pass-applications', { ...base, marital_status: 'married' });
+  assert.equal(married.body.fields.spouse_name, 'Spouse name is required when married');
+});
+
+test("parents are born before the child, spouses before the marriage", async () => {
+  const birth = await submit('birth-certificate-applications', {
+    ...validApplications().birth_certificate,
+    mother_birth_date: '2021-01-01',
+    father_birth_date: '1985-03-03',
+  });
+  assert.equal(birth.status, 400);
+  assert.deepEqual(birth.body.fields, { mother_birth_date: "Mother's birth date must be before Child's birth date" });
+
+  const marriage = await submit('marriage-applications', { ...validApplications().marriage, spouse2_birth_date: '2025-01-01' });
+  assert.equal(marriage.body.fields.spouse2_birth_date, 'Spouse 2 birth date must be before Marriage date');
+});
+
+test('formats: ISO dates, phones, enums and booleans', async () => {
+  const response = await submit('birth-certificate-applications', {
+    ...validApplications().birth_certificate,
+    child_birth_date: '14/02/2020',
+    applicant_phone: 'call me',
+    child_gender: 'f',
+    is_minor: 'maybe',
+  });
+  assert.deepEqual(Object.keys(response.body.fields).sort(), ['applicant_phone', 'child_birth_date', 'child_gender', 'is_minor']);
+
+  const valid = await submit('birth-certificate-applications', { ...validApplications().birth_certificate, is_minor: 'false' });
+  assert.equal(valid.status, 200);
+  assert.equal(applications.row('birth_certificate_applications', valid.body.id).is_minor, false);
+});
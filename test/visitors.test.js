@@ -0,0 +1,122 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import { fakeDatabase, answer, tokenFor, serve } from './helpers.js';
+
+// Small batches, read when visitors.js is loaded
+process.env.VISITOR_BATCH_SIZE = '2';
+const { parseUserAgent, anonymizeIp, flushVisits, purgeOldVisits } = await import('../visitors.js');
+const { app } = await import('../index.js');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+let inserts;
+let failures;
+const server = await serve(app);
+
+const beacon = (body, headers = {}) => server.request('POST', '/api/track-visitor', {
+  form: JSON.stringify(body),
+  headers: { 'Content-Type': 'text/plain', 'User-Agent': FIREFOX, 'X-Forwarded-For': '203.0.113.45', ...headers },
+});
+
+beforeEach(async () => {
+  inserts = [];
+  failures = 0;
+  fakeDatabase(answer(/^INSERT INTO visitor_logs/, (sql, [rows]) => {
+    if (failures > 0) {
+      failures -= 1;
+      throw new Error('connect ECONNREFUSED');
+    }
+    const columns = sql.match(/\(([^)]*)\) VALUES/)[1].split(', ');
+    // A value too long for its column, as MySQL reports it
+    if (rows.some((row) => row[columns.indexOf('page_url')] === '/too-long')) {
+      throw Object.assign(new Error("Data too long for column 'page_url'"), { sqlState: '22001' });
+    }
+    inserts.push(rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]]))));
+    return [{ affectedRows: rows.length }];
+  }));
+  await flushVisits();
+});
+
+after(() => server.close());
+
+test('user agents are reduced to a device type, browser and system; bots are flagged', () => {
+  assert.deepEqual(parseUserAgent(FIREFOX), { deviceType: 'desktop', browser: 'Firefox', os: 'Windows', bot: false });
+  assert.deepEqual(parseUserAgent(IPHONE), { deviceType: 'mobile', browser: 'Safari', os: 'iOS', bot: false });
+  assert.equal(parseUserAgent('Mozilla/5.0 (compatible; Googlebot/2.1)').bot, true);
+  assert.equal(parseUserAgent('').bot, true);
+});
+
+test('addresses lose their host part', () => {
+  assert.equal(anonymizeIp('203.0.113.45'), '203.0.113.0');
+  assert.equal(anonymizeIp('::ffff:203.0.113.45'), '203.0.113.0');
+  assert.equal(anonymizeIp('2001:db8:85a3::8a2e:370:7334'), '2001:db8:85a3::');
+  assert.equal(anonymizeIp('::1'), '0:0:0::');
+  assert.equal(anonymizeIp('not-an-ip'), null);
+});
+
+test('page views are written in batches, without query strings or full addresses', async () => {
+  assert.equal((await beacon({ pageUrl: '/reset-password?token=secret', sessionId: 'abc' })).status, 204);
+  assert.equal(inserts.length, 0);
+  await beacon({ pageUrl: '/visa' }, { 'User-Agent': IPHONE });
+  await beacon({ pageUrl: '/contact' });
+  await nextTick();
+  await flushVisits();
+
+  assert.deepEqual(inserts.map((rows) => rows.length), [2, 1]);
+  const [first, second] = inserts[0];
+  assert.equal(first.ip_address, '203.0.113.0');
+  assert.equal(first.page_url, '/reset-password');
+  assert.equal(first.session_id, 'abc');
+  assert.deepEqual([first.device_type, first.browser, first.os], ['desktop', 'Firefox', 'Windows']);
+  assert.deepEqual([second.device_type, second.browser, second.os], ['mobile', 'Safari', 'iOS']);
+});
+
+test('bots and visitors asking not to be tracked are not recorded', async () => {
+  assert.equal((await beacon({ pageUrl: '/' }, { 'User-Agent': 'curl/8.4.0' })).status, 204);
+  await beacon({ pageUrl: '/' }, { DNT: '1' });
+  await beacon({ pageUrl: '/' }, { 'Sec-GPC': '1' });
+  assert.equal((await beacon({ sessionId: 'not a session id' })).status, 400);
+  await flushVisits();
+  assert.equal(inserts.length, 0);
+});
+
+test('views stay buffered while the database is unreachable', async () => {
+  failures = 1;
+  await beacon({ pageUrl: '/visa' });
+  await flushVisits();
+  assert.equal(inserts.length, 0);
+
+  await flushVisits();
+  assert.deepEqual(inserts.flat().map((row) => row.page_url), ['/visa']);
+});
+
+test('a row the database rejects is dropped after three flushes, and the rest of its batch written', async () => {
+  await beacon({ pageUrl: '/visa' });
+  // A full batch starts the first flush
+  await beacon({ pageUrl: '/too-long' });
+  await nextTick();
+  await flushVisits();
+  assert.equal(inserts.length, 0);
+
+  await flushVisits();
+  assert.deepEqual(inserts.flat().map((row) => row.page_url), ['/visa']);
+
+  // Later views are written again straight away
+  await beacon({ pageUrl: '/contact' });
+  await flushVisits();
+  assert.deepEqual(inserts.map((rows) => rows.length), [1, 1]);
+});
+
+test('old rows are purged a chunk at a time', async () => {
+  const deletes = [5000, 5000, 12];
+  const db = fakeDatabase(answer(/^DELETE FROM visitor_logs/, () => [{ affectedRows: deletes.shift() }]));
+  assert.equal(await purgeOldVisits(), 10012);
+  assert.equal(db.queries.length, 3);
+});
+
+test('statistics need analytics:read', async () => {
+  const clerk = { id: 4, username: 'clerk@embassy.cf', role: 'clerk' };
+  assert.equal((await server.request('GET', '/api/admin/visitors/stats', { token: tokenFor(clerk) })).status, 403);
+});
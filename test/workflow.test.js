@@ -0,0 +1,138 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './encryptionKeys.js';
+import { msg } from '../i18n.js';
+import { pool } from '../db.js';
+import { isEncrypted, decryptValue, blindIndex } from '../fieldEncryption.js';
+import { SHIPPING_WORKFLOW, TRAVEL_PASS_WORKFLOW, planTransition, workflowStatuses, trackingStatuses } from '../workflow.js';
+import { fakeDatabase, accountStore, applicationStore, auditStore, eventStore, outboxStore, feeStore, tokenFor, serve } from './helpers.js';
+
+const { app } = await import('../index.js');
+
+const officer = { id: 2, username: 'officer@embassy.cf', role: 'consular_officer' };
+const token = tokenFor(officer);
+
+let db;
+let applications;
+let events;
+let outbox;
+let audit;
+const server = await serve(app);
+
+const setStatus = (path, id, body) => server.request('PUT', `/api/${path}/${id}/status`, { token, body });
+
+beforeEach(() => {
+  applications = applicationStore({
+    visa_applications: [
+      { id: 1, user_name: 'ann@example.org', status: 'denied', tracking_number: null },
+      { id: 2, user_name: 'ann@example.org', status: 'approved', tracking_number: null },
+      { id: 3, user_name: 'ann@example.org', status: 'under_review', tracking_number: null },
+    ],
+    travel_pass_applications: [{ id: 1, user_name: 'ann@example.org', status: 'approved' }],
+  });
+  events = eventStore();
+  outbox = outboxStore();
+  audit = auditStore();
+  db = fakeDatabase(accountStore([]), applications, events, outbox, feeStore(), audit);
+});
+
+after(() => server.close());
+
+test('every transition leads to a status of the same workflow', () => {
+  for (const workflow of [SHIPPING_WORKFLOW, TRAVEL_PASS_WORKFLOW]) {
+    const statuses = workflowStatuses(workflow);
+    assert.ok(statuses.includes(workflow.initial));
+    for (const status of statuses) {
+      for (const to of Object.keys(workflow.transitions[status])) assert.ok(statuses.includes(to), `${status} -> ${to}`);
+    }
+  }
+});
+
+test('tracking numbers belong to the statuses around shipping', () => {
+  assert.deepEqual(trackingStatuses(SHIPPING_WORKFLOW), ['approved', 'shipped']);
+  assert.deepEqual(trackingStatuses(TRAVEL_PASS_WORKFLOW), []);
+});
+
+test('planTransition rejects unknown statuses, illegal moves and missing inputs', () => {
+  const denied = { status: 'denied' };
+  assert.equal(planTransition(SHIPPING_WORKFLOW, denied, 'collected').statusCode, 400);
+  assert.equal(planTransition(SHIPPING_WORKFLOW, denied, 'shipped').statusCode, 409);
+  assert.equal(planTransition(SHIPPING_WORKFLOW, { status: 'shipped' }, 'approved').error.key, 'workflow.finalStatus');
+
+  const noReason = planTransition(SHIPPING_WORKFLOW, { status: 'under_review' }, 'denied', { reason: '  ' });
+  assert.deepEqual(noReason.fields, { reason: msg('workflow.fieldRequired', { field: 'reason', status: 'denied' }) });
+
+  const plan = planTransition(SHIPPING_WORKFLOW, { status: 'under_review' }, 'denied', { reason: 'Incomplete file' });
+  assert.deepEqual(plan, { updates: {}, effects: ['notifyStatus'] });
+});
+
+test('a denied application cannot jump to shipped', async () => {
+  const response = await setStatus('visa-applications', 1, { status: 'shipped', trackingNumber: '1Z999' });
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, 'Cannot change status from denied to shipped. Allowed next statuses: under_review');
+  assert.equal(applications.row('visa_applications', 1).status, 'denied');
+  assert.deepEqual(db.transactions, ['rollback']);
+});
+
+test('shipping needs a tracking number, and stores one sent with it', async () => {
+  const without = await setStatus('visa-applications', 2, { status: 'shipped' });
+  assert.equal(without.status, 400);
+  assert.equal(applications.row('visa_applications', 2).status, 'approved');
+
+  const response = await setStatus('visa-applications', 2, { status: 'shipped', trackingNumber: ' 1Z999 ', carrier: 'ups' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.application, { id: 2, status: 'shipped', previousStatus: 'approved', allowedTransitions: [] });
+
+  const row = applications.row('visa_applications', 2);
+  assert.equal(row.tracking_number, '1Z999');
+  assert.equal(row.shipping_carrier, 'ups');
+  assert.deepEqual(outbox.templates(), ['application-status', 'application-tracking']);
+  assert.deepEqual(db.transactions, ['rollback', 'commit']);
+});
+
+test('the change is made on a locked row, in one transaction', async () => {
+  const response = await setStatus('visa-applications', 3, { status: 'denied', reason: 'Incomplete file', note: 'Called twice' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.application.allowedTransitions, ['under_review']);
+
+  assert.equal(applications.row('visa_applications', 3).status, 'denied');
+  const update = db.queries.find(({ sql }) => sql.startsWith('UPDATE'));
+  assert.equal(update.sql, 'UPDATE ?? SET ?, updated_at = NOW() WHERE id = ?');
+  assert.ok(db.queries.some(({ sql }) => sql.endsWith('FOR UPDATE')));
+});
+
+test('a database that cannot be reached gives a server error', async () => {
+  pool.getConnection = async () => { throw new Error('connect ECONNREFUSED'); };
+  const response = await setStatus('visa-applications', 3, { status: 'denied', reason: 'Incomplete file' });
+  assert.equal(response.status, 500);
+  assert.equal(response.body.error, 'Server error');
+  assert.deepEqual(db.transactions, []);
+});
+
+test('travel passes are issued with a document number and valid dates', async () => {
+  const path = 'travel-pass-applications';
+  const missing = await setStatus(path, 1, { status: 'issued' });
+  assert.deepEqual(Object.keys(missing.body.fields), ['documentNumber', 'issueDate', 'expiryDate']);
+
+  const backwards = await setStatus(path, 1, { status: 'issued', documentNumber: 'TP1', issueDate: '2026-05-01', expiryDate: '2026-04-01' });
+  assert.equal(backwards.body.error, 'Expiry date must be after the issue date');
+
+  const issued = await setStatus(path, 1, { status: 'issued', documentNumber: 'TP1', issueDate: '2026-05-01', expiryDate: '2027-05-01' });
+  assert.equal(issued.status, 200);
+  const row = applications.row('travel_pass_applications', 1);
+  assert.equal(row.issue_date, '2026-05-01');
+
+  // The pass number is stored encrypted, found through its blind index, and kept out of the records
+  const context = 'travel_pass_applications.document_number';
+  assert.ok(isEncrypted(row.document_number));
+  assert.equal(decryptValue(row.document_number, context), 'TP1');
+  assert.equal(row.document_number_bidx, blindIndex('tp-1', context));
+  const [event] = events.of('travel_pass', 1);
+  assert.deepEqual(JSON.parse(event.details), { issue_date: '2026-05-01', expiry_date: '2027-05-01' });
+  assert.ok(!audit.entries[0].diff.includes('TP1'));
+
+  const workflow = await server.request('GET', `/api/${path}/workflow`, { token });
+  assert.deepEqual(workflow.body.statuses.find((s) => s.status === 'approved').transitions, [
+    { to: 'issued', requires: ['documentNumber', 'issueDate', 'expiryDate'], requiresPayment: true },
+  ]);
+});
@@ -0,0 +1,67 @@
+import { pool } from './db.js';
+import { t, formatDate } from './i18n.js';
+import { listMessages } from './chat.js';
+
+// ========================================
+// CHAT TRANSCRIPTS
+// ========================================
+//
+// A transcript is { conversation, messages } as loaded by loadTranscript().
+// The formatters below turn one into plain text or JSON; the PDF version is
+// in pdf.js.
+
+export const TRANSCRIPT_FORMATS = ['pdf', 'txt', 'json'];
+
+// Longest span for a bulk export
+export const MAX_TRANSCRIPT_EXPORT_DAYS = 366;
+
+export const loadTranscript = async (conversation) => ({ conversation, messages: await listMessages(conversation.id) });
+
+export const transcriptFilename = (conversation, format) => `chat-${conversation.id}.${format}`;
+
+// "Name (Visitor)", "Name (Staff)", ...
+export const senderLabel = (locale, message) =>
+  `${message.sender_name} (${t(locale, `chat.senderTypes.${message.sender_type}`)})`;
+
+// One block per message, as used in the staff notification email
+export const transcriptMessages = (locale, messages) => messages
+  .map((message) => `[${formatDate(locale, message.created_at, { time: true })}] ${senderLabel(locale, message)}:\n${message.message}\n`)
+  .join('\n');
+
+export const transcriptText = (locale, { conversation, messages }) => [
+  t(locale, 'chat.transcript.title', { id: conversation.id }),
+  `${t(locale, 'chat.transcript.visitor')}: ${conversation.user_name} <${conversation.user_email}>`,
+  `${t(locale, 'chat.transcript.started')}: ${formatDate(locale, conversation.created_at, { time: true })}`,
+  `${t(locale, 'chat.transcript.status')}: ${t(locale, `chat.statuses.${conversation.status}`)}`,
+  '',
+  transcriptMessages(locale, messages),
+].join('\n');
+
+// Staff-only inbox fields (assignment, priority, tags) are left out
+export const transcriptJson = ({ conversation, messages }) => ({
+  id: conversation.id,
+  userName: conversation.user_name,
+  userEmail: conversation.user_email,
+  language: conversation.language,
+  status: conversation.status,
+  createdAt: conversation.created_at,
+  lastMessageAt: conversation.last_message_at,
+  messages: messages.map((message) => ({
+    id: message.id,
+    senderType: message.sender_type,
+    senderName: message.sender_name,
+    message: message.message,
+    createdAt: message.created_at,
+  })),
+});
+
+// Conversations started between `from` and `to` (YYYY-MM-DD, both inclusive), oldest first
+export const listConversationsStarted = async ({ from, to }) => {
+  const [rows] = await pool.query(
+    `SELECT * FROM chat_conversations
+     WHERE created_at >= ? AND created_at < DATE_ADD(?, INTERVAL 1 DAY)
+     ORDER BY created_at, id`,
+    [from, to]
+  );
+  return rows;
+};
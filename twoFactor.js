@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import bwipjs from 'bwip-js';
+import { pool, withTransaction } from './db.js';
+import { isStaffRole } from './permissions.js';
+import { CURRENT_KEY_VERSION, encryptValue, decryptValue } from './fieldEncryption.js';
+
+dotenv.config();
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION
+// ========================================
+//
+// RFC 6238 TOTP codes (SHA-1, 6 digits, 30-second steps), as shown by
+// authenticator apps, plus one-time recovery codes (TWO_FACTOR.md). The
+// secret is encrypted with the field encryption key when one is set.
+
+// Name the authenticator app shows next to the account
+const ISSUER = process.env.TOTP_ISSUER || 'Central African Republic Embassy';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step before or after are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// After this many wrong codes in a row, codes are refused for LOCK_MINUTES
+const MAX_FAILURES = 5;
+const LOCK_MINUTES = 15;
+
+const SECRET_CONTEXT = 'login.totp_secret';
+
+// Accounts with staff access cannot sign in without a second factor
+export const twoFactorRequired = (role) => isStaffRole(role);
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    value = ((value << 5) | BASE32.indexOf(char)) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// The code for one time step (RFC 4226 HOTP with the step as counter)
+export const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const number = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(number).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The step `code` belongs to, or null. Steps up to `lastStep` were used already.
+const matchTotp = (secret, code, lastStep) => {
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (lastStep !== null && step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+// "123 456" is a TOTP code; anything else is tried as a recovery code
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+const isTotpCode = (code) => new RegExp(`^\\d{${DIGITS}}$`).test(code);
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+// Ten characters in two groups, e.g. "k3vq7-xm2pa"
+const newRecoveryCode = () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+const sealSecret = (secret) => (CURRENT_KEY_VERSION ? encryptValue(secret, SECRET_CONTEXT) : secret);
+const openSecret = (stored) => decryptValue(stored, SECRET_CONTEXT);
+
+const otpauthUrl = (secret, username) => {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({ secret, issuer: ISSUER, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const qrCode = async (text) => {
+  const png = await bwipjs.toBuffer({ bcid: 'qrcode', text, scale: 4 });
+  return `data:image/png;base64,${png.toString('base64')}`;
+};
+
+export const twoFactorStatus = async (userId) => {
+  const [rows] = await pool.query(
+    `SELECT l.totp_secret IS NOT NULL as has_secret, l.totp_enabled_at,
+            (SELECT COUNT(*) FROM two_factor_recovery_codes c WHERE c.user_id = l.id AND c.used_at IS NULL) as recovery_codes
+     FROM login l WHERE l.id = ?`,
+    [userId]
+  );
+  const row = rows[0];
+  return {
+    enabled: !!row.totp_enabled_at,
+    enabledAt: row.totp_enabled_at,
+    setupStarted: !row.totp_enabled_at && !!row.has_secret,
+    recoveryCodesRemaining: row.totp_enabled_at ? Number(row.recovery_codes) : 0,
+  };
+};
+
+/**
+ * Starts (or restarts) enrollment with a new secret. Returns the secret, the
+ * otpauth:// URL and a QR code of it as a PNG data URL, or `{ status, error }`
+ * when two-factor authentication is already on.
+ */
+export const startEnrollment = async (userId, username) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const [result] = await pool.query(
+    'UPDATE login SET totp_secret = ?, totp_last_step = NULL WHERE id = ? AND totp_enabled_at IS NULL',
+    [sealSecret(secret), userId]
+  );
+  if (!result.affectedRows) return { status: 409, error: 'errors.twoFactorAlreadyEnabled' };
+
+  const url = otpauthUrl(secret, username);
+  return { secret, otpauthUrl: url, qrCode: await qrCode(url) };
+};
+
+// Replaces the account's recovery codes and returns the new ones; they are only ever shown once
+export const replaceRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await db.query(
+    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map((code) => [userId, hashRecoveryCode(code)])]
+  );
+  return codes;
+};
+
+/**
+ * Finishes enrollment once `code` shows the app has the secret. Returns
+ * `{ recoveryCodes }` or `{ status, error }`. Runs in `db`'s transaction.
+ */
+export const enableTwoFactor = async (db, userId, code) => {
+  const [rows] = await db.query('SELECT totp_secret, totp_enabled_at FROM login WHERE id = ? FOR UPDATE', [userId]);
+  const user = rows[0];
+  if (user.totp_enabled_at) return { status: 409, error: 'errors.twoFactorAlreadyEnabled' };
+  if (!user.totp_secret) return { status: 400, error: 'errors.twoFactorSetupMissing' };
+
+  const normalized = normalizeCode(code);
+  const step = isTotpCode(normalized) ? matchTotp(openSecret(user.totp_secret), normalized, null) : null;
+  if (step === null) return { status: 400, error: 'errors.invalidTwoFactorCode' };
+
+  await db.query(
+    'UPDATE login SET totp_enabled_at = NOW(), totp_last_step = ?, two_factor_failures = 0 WHERE id = ?',
+    [step, userId]
+  );
+  return { recoveryCodes: await replaceRecoveryCodes(db, userId) };
+};
+
+/**
+ * Checks a TOTP code or an unused recovery code. Returns `{ method }`
+ * ('totp' or 'recovery_code') or `{ status, error }`. A recovery code is used
+ * up; wrong codes count towards the lock.
+ */
+export const checkSecondFactor = async (userId, code) => {
+  const result = await withTransaction(async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT totp_secret, totp_enabled_at, totp_last_step, two_factor_failures,
+              two_factor_failed_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE) as recent_failure
+       FROM login WHERE id = ? FOR UPDATE`,
+      [LOCK_MINUTES, userId]
+    );
+    const user = rows[0];
+    if (!user || !user.totp_enabled_at) return { status: 400, error: 'errors.twoFactorNotEnabled' };
+    if (user.recent_failure && user.two_factor_failures >= MAX_FAILURES) {
+      return { status: 429, error: 'errors.tooManyTwoFactorAttempts' };
+    }
+
+    const normalized = normalizeCode(code);
+    let method = null;
+    if (isTotpCode(normalized)) {
+      const lastStep = user.totp_last_step === null ? null : Number(user.totp_last_step);
+      const step = matchTotp(openSecret(user.totp_secret), normalized, lastStep);
+      if (step !== null) {
+        await connection.query('UPDATE login SET totp_last_step = ? WHERE id = ?', [step, userId]);
+        method = 'totp';
+      }
+    } else if (normalized) {
+      const [used] = await connection.query(
+        'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1',
+        [userId, hashRecoveryCode(normalized)]
+      );
+      if (used.affectedRows) method = 'recovery_code';
+    }
+
+    // Counted in the same transaction, which must commit, so no `error` here
+    if (!method) {
+      await connection.query(
+        `UPDATE login
+         SET two_factor_failures = IF(two_factor_failed_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE), two_factor_failures + 1, 1),
+             two_factor_failed_at = NOW()
+         WHERE id = ?`,
+        [LOCK_MINUTES, userId]
+      );
+      return { failed: true };
+    }
+    await connection.query('UPDATE login SET two_factor_failures = 0 WHERE id = ?', [userId]);
+    return { method };
+  });
+
+  if (result.failed) return { status: 400, error: 'errors.invalidTwoFactorCode' };
+  return result;
+};
+
+// Turns two-factor authentication off and deletes the recovery codes
+export const disableTwoFactor = async (db, userId) => {
+  await db.query(
+    `UPDATE login
+     SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, two_factor_failures = 0, two_factor_failed_at = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+};
@@ -0,0 +1,253 @@
+import { pool, withTransaction } from './db.js';
+import { authMiddleware, requirePermission, generateToken, verifyToken } from './auth.js';
+import {
+  twoFactorRequired,
+  twoFactorStatus,
+  startEnrollment,
+  enableTwoFactor,
+  checkSecondFactor,
+  replaceRecoveryCodes,
+  disableTwoFactor,
+} from './twoFactor.js';
+import { endUserSessions } from './sessions.js';
+import { completeSignIn } from './sessionRoutes.js';
+import { recordAudit, requestActor } from './audit.js';
+import { twoFactorChallengeValidation, twoFactorLoginValidation, twoFactorCodeValidation } from './validation.js';
+
+// Time between the password and the code
+const CHALLENGE_TTL = '5m';
+
+/**
+ * The response to a correct password when a code is still needed. The
+ * challenge token stands in for the password in the /api/login/two-factor
+ * steps; `setupRequired` means the account must enroll first.
+ */
+export const twoFactorChallenge = (user) => ({
+  success: true,
+  twoFactorRequired: true,
+  setupRequired: !user.totp_enabled_at,
+  challengeToken: generateToken({ id: user.id, type: 'two_factor' }, CHALLENGE_TTL),
+  challengeExpiresIn: CHALLENGE_TTL,
+});
+
+// The login row a challenge token was issued for, or `{ status, error }`
+const challengeUser = async (challengeToken) => {
+  const decoded = verifyToken(challengeToken);
+  if (!decoded || decoded.type !== 'two_factor') return { status: 401, error: 'errors.invalidChallenge' };
+
+  const [rows] = await pool.query('SELECT * FROM login WHERE id = ?', [decoded.id]);
+  if (!rows.length) return { status: 401, error: 'errors.invalidChallenge' };
+  if (rows[0].disabled_at) return { status: 403, error: 'errors.accountDisabled' };
+  return { user: rows[0] };
+};
+
+const accountActor = (user) => ({ id: user.id, username: user.username, role: user.role });
+
+export const registerTwoFactorRoutes = (app) => {
+  // Second sign-in step: a code from the authenticator app, or a recovery code
+  app.post('/api/login/two-factor', twoFactorLoginValidation, async (req, res) => {
+    try {
+      const { user, ...failure } = await challengeUser(req.body.challengeToken);
+      if (failure.error) return res.status(failure.status).json({ error: req.t(failure.error) });
+
+      const result = await checkSecondFactor(user.id, req.body.code);
+      if (result.error) {
+        await recordAudit(pool, {
+          ...requestActor(req),
+          action: 'auth.login_failed',
+          targetType: 'user',
+          targetId: user.id,
+          details: { username: user.username, reason: 'two_factor' },
+        });
+        return res.status(result.status).json({ error: req.t(result.error) });
+      }
+
+      // Someone signing in with a recovery code should know how many are left
+      const extra = result.method === 'recovery_code'
+        ? { recoveryCodesRemaining: (await twoFactorStatus(user.id)).recoveryCodesRemaining }
+        : {};
+      await completeSignIn(req, res, user, { secondFactor: result.method, extra });
+    } catch (err) {
+      console.error('Two-factor sign-in error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Enrollment during sign-in, for staff accounts that have no second factor yet
+  app.post('/api/login/two-factor/setup', twoFactorChallengeValidation, async (req, res) => {
+    try {
+      const { user, ...failure } = await challengeUser(req.body.challengeToken);
+      if (failure.error) return res.status(failure.status).json({ error: req.t(failure.error) });
+
+      const result = await startEnrollment(user.id, user.username);
+      if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error('Two-factor setup error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Confirms enrollment with a first code and signs in; the recovery codes are shown once
+  app.post('/api/login/two-factor/enable', twoFactorLoginValidation, async (req, res) => {
+    try {
+      const { user, ...failure } = await challengeUser(req.body.challengeToken);
+      if (failure.error) return res.status(failure.status).json({ error: req.t(failure.error) });
+
+      const result = await withTransaction(async (connection) => {
+        const enabled = await enableTwoFactor(connection, user.id, req.body.code);
+        if (enabled.error) return enabled;
+        await recordAudit(connection, {
+          ...requestActor(req),
+          actor: accountActor(user),
+          action: 'auth.two_factor_enable',
+          targetType: 'user',
+          targetId: user.id,
+        });
+        return enabled;
+      });
+      if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+
+      await completeSignIn(req, res, { ...user, totp_enabled_at: new Date() }, {
+        secondFactor: 'totp',
+        extra: { recoveryCodes: result.recoveryCodes },
+      });
+    } catch (err) {
+      console.error('Two-factor enable error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ACCOUNT TWO-FACTOR SETTINGS
+  // ========================================
+
+  app.get('/api/account/two-factor', authMiddleware, async (req, res) => {
+    try {
+      const status = await twoFactorStatus(req.user.id);
+      res.json({ ...status, required: twoFactorRequired(req.user.role) });
+    } catch (err) {
+      console.error('Two-factor status error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Applicants opt in here; staff enroll while signing in, or here again after a reset
+  app.post('/api/account/two-factor/setup', authMiddleware, async (req, res) => {
+    try {
+      const result = await startEnrollment(req.user.id, req.user.username);
+      if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error('Two-factor setup error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Turning it on signs out the account's other sessions, which did not use a code
+  app.post('/api/account/two-factor/enable', authMiddleware, twoFactorCodeValidation, async (req, res) => {
+    try {
+      const result = await withTransaction(async (connection) => {
+        const enabled = await enableTwoFactor(connection, req.user.id, req.body.code);
+        if (enabled.error) return enabled;
+        await endUserSessions(connection, req.user.id, 'two_factor_enabled', req.user.sid);
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'auth.two_factor_enable',
+          targetType: 'user',
+          targetId: req.user.id,
+        });
+        return enabled;
+      });
+      if (result.error) return res.status(result.status).json({ error: req.t(result.error) });
+      res.json({ success: true, recoveryCodes: result.recoveryCodes });
+    } catch (err) {
+      console.error('Two-factor enable error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // New recovery codes replace the old ones; needs a current code
+  app.post('/api/account/two-factor/recovery-codes', authMiddleware, twoFactorCodeValidation, async (req, res) => {
+    try {
+      const check = await checkSecondFactor(req.user.id, req.body.code);
+      if (check.error) return res.status(check.status).json({ error: req.t(check.error) });
+
+      const recoveryCodes = await withTransaction(async (connection) => {
+        const codes = await replaceRecoveryCodes(connection, req.user.id);
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'auth.recovery_codes',
+          targetType: 'user',
+          targetId: req.user.id,
+        });
+        return codes;
+      });
+      res.json({ success: true, recoveryCodes });
+    } catch (err) {
+      console.error('Recovery codes error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // Only where it is optional; needs a current code
+  app.delete('/api/account/two-factor', authMiddleware, twoFactorCodeValidation, async (req, res) => {
+    if (twoFactorRequired(req.user.role)) {
+      return res.status(403).json({ error: req.t('errors.twoFactorMandatory') });
+    }
+
+    try {
+      const check = await checkSecondFactor(req.user.id, req.body.code);
+      if (check.error) return res.status(check.status).json({ error: req.t(check.error) });
+
+      await withTransaction(async (connection) => {
+        await disableTwoFactor(connection, req.user.id);
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'auth.two_factor_disable',
+          targetType: 'user',
+          targetId: req.user.id,
+        });
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Two-factor disable error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  // ========================================
+  // ADMIN: TWO-FACTOR RESET
+  // ========================================
+
+  // For a lost device with no recovery codes left: turns 2FA off and signs the account out.
+  // Staff accounts enroll again at their next sign-in.
+  app.delete('/api/admin/users/:id/two-factor', authMiddleware, requirePermission('users:manage'), async (req, res) => {
+    if (Number(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: req.t('errors.cannotResetOwnTwoFactor') });
+    }
+
+    try {
+      const [users] = await pool.query('SELECT id, totp_enabled_at FROM login WHERE id = ?', [req.params.id]);
+      if (!users.length) return res.status(404).json({ error: req.t('errors.userNotFound') });
+
+      const user = users[0];
+      await withTransaction(async (connection) => {
+        await disableTwoFactor(connection, user.id);
+        const ended = await endUserSessions(connection, user.id, 'two_factor_reset');
+        await recordAudit(connection, {
+          ...requestActor(req),
+          action: 'users.two_factor_reset',
+          targetType: 'user',
+          targetId: user.id,
+          diff: { twoFactor: [!!user.totp_enabled_at, false] },
+          details: { endedSessions: ended },
+        });
+      });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Two-factor reset error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -1,64 +1,127 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { ROLES } from './permissions.js';
+import { SUPPORTED_LOCALES, msg, translate, requestLocale } from './i18n.js';
+import { FEE_KINDS, MANUAL_PAYMENT_METHODS } from './fees.js';
+import { CHAT_PRIORITIES, INBOX_STATUSES, CHAT_TAG, isValidCursor } from './chat.js';
+import { TRANSCRIPT_FORMATS } from './transcripts.js';
+import { EXPORT_FORMATS } from './spreadsheets.js';
+import { AUDIT_ACTIONS } from './audit.js';
+import { MAX_LIST_LIMIT, SORT_ORDERS, isValidListCursor } from './listing.js';
+import { APPLICATION_SORTS, APPLICATION_DATE_FIELDS, QUEUE_SORTS, QUEUE_DATE_FIELDS } from './applicationLists.js';
 
+// Messages are msg() descriptors, translated here into the request's locale
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ error: errors.array()[0].msg });
+    const locale = requestLocale(req);
+    const message = (err) => translate(locale, err.msg === 'Invalid value' ? msg('validation.invalidValue') : err.msg);
+
+    // `error` keeps the first message for older clients; `fields` has one per field
+    const fields = {};
+    errors.array().forEach((err) => {
+      const field = err.path || err.param;
+      if (field && !fields[field]) fields[field] = message(err);
+    });
+    return res.status(400).json({ error: message(errors.array()[0]), fields });
   }
   next();
 };
 
+const fieldLabel = (key, params) => msg(`fields.${key}`, params);
+
+export const VISA_TYPES = ['shortStay', 'mediumStay', 'longStay'];
+
+const languageRule = (chain) => chain
+  .isIn(SUPPORTED_LOCALES)
+  .withMessage(msg('validation.oneOf', { label: fieldLabel('language'), values: SUPPORTED_LOCALES.join(', ') }));
+
 export const signupValidation = [
   body('username')
     .isEmail()
-    .withMessage('Valid email is required')
+    .withMessage(msg('validation.email'))
     .normalizeEmail(),
   body('password')
     .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
+    .withMessage(msg('validation.passwordLength', { min: 8 }))
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/)
-    .withMessage('Password must contain uppercase, lowercase, number, and special character'),
+    .withMessage(msg('validation.passwordStrength')),
   body('firstName')
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('First name is required (max 100 characters)')
+    .withMessage(msg('validation.requiredMax', { label: fieldLabel('firstName'), max: 100 }))
     .matches(/^[a-zA-Z\s\-']+$/)
-    .withMessage('First name can only contain letters, spaces, hyphens, and apostrophes'),
+    .withMessage(msg('validation.name', { label: fieldLabel('firstName') })),
   body('lastName')
     .trim()
     .isLength({ min: 1, max: 100 })
-    .withMessage('Last name is required (max 100 characters)')
+    .withMessage(msg('validation.requiredMax', { label: fieldLabel('lastName'), max: 100 }))
     .matches(/^[a-zA-Z\s\-']+$/)
-    .withMessage('Last name can only contain letters, spaces, hyphens, and apostrophes'),
+    .withMessage(msg('validation.name', { label: fieldLabel('lastName') })),
+  languageRule(body('language').optional()),
+  handleValidationErrors,
+];
+
+export const languageValidation = [
+  languageRule(body('language')),
   handleValidationErrors,
 ];
 
 export const loginValidation = [
   body('username')
     .isEmail()
-    .withMessage('Valid email is required')
+    .withMessage(msg('validation.email'))
     .normalizeEmail(),
   body('password')
     .notEmpty()
-    .withMessage('Password is required'),
+    .withMessage(msg('validation.required', { label: fieldLabel('password') })),
+  handleValidationErrors,
+];
+
+const twoFactorCodeRule = () => body('code')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage(msg('validation.required', { label: fieldLabel('twoFactorCode') }))
+  .isLength({ max: 20 })
+  .withMessage(msg('validation.invalid', { label: fieldLabel('twoFactorCode') }));
+
+const challengeTokenRule = () => body('challengeToken')
+  .isString()
+  .notEmpty()
+  .withMessage(msg('validation.required', { label: fieldLabel('challengeToken') }));
+
+// Second sign-in step: the challenge from POST /api/login and, except to start setup, a code
+export const twoFactorChallengeValidation = [
+  challengeTokenRule(),
+  handleValidationErrors,
+];
+
+export const twoFactorLoginValidation = [
+  challengeTokenRule(),
+  twoFactorCodeRule(),
+  handleValidationErrors,
+];
+
+export const twoFactorCodeValidation = [
+  twoFactorCodeRule(),
   handleValidationErrors,
 ];
 
 export const contactValidation = [
   body('email')
     .isEmail()
-    .withMessage('Valid email is required')
+    .withMessage(msg('validation.email'))
     .normalizeEmail(),
   body('message')
     .trim()
     .isLength({ min: 10, max: 5000 })
-    .withMessage('Message must be between 10 and 5000 characters'),
+    .withMessage(msg('validation.lengthBetween', { label: fieldLabel('message'), min: 10, max: 5000 })),
   handleValidationErrors,
 ];
 
 export const visaApplicationValidation = [
-  body('userName').isEmail().withMessage('Valid email is required').normalizeEmail(),
-  body('visaType').isIn(['shortStay', 'mediumStay', 'longStay']).withMessage('Invalid visa type'),
+  body('userName').isEmail().withMessage(msg('validation.email')).normalizeEmail(),
+  body('visaType').isIn(VISA_TYPES).withMessage(msg('validation.invalid', { label: fieldLabel('visaType') })),
   body('firstName').optional().trim().isLength({ max: 100 }).matches(/^[a-zA-Z\s\-']+$/),
   body('lastName').optional().trim().isLength({ max: 100 }).matches(/^[a-zA-Z\s\-']+$/),
   body('gender').optional().isIn(['male', 'female', 'other']),
@@ -78,3 +141,771 @@ export const visaApplicationValidation = [
   body('employerAddress').optional().trim().isLength({ max: 500 }),
   handleValidationErrors,
 ];
+
+// ========================================
+// CONSULAR APPLICATION FIELD RULES
+// ========================================
+
+const PERSON_NAME = /^[\p{L}\s\-'.]+$/u;
+const PHONE = /^\+?[0-9\s\-().]{7,20}$/;
+const GENDERS = ['male', 'female', 'other'];
+const MARITAL_STATUSES = ['single', 'married', 'divorced', 'widowed'];
+const MARRIAGE_TYPES = ['civil', 'religious', 'traditional', 'other'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const parseDate = (value) => (isBlank(value) ? null : Date.parse(value));
+const today = () => new Date().toISOString().slice(0, 10);
+
+const requiredText = (field, label, max) => body(field)
+  .trim()
+  .notEmpty()
+  .withMessage(msg('validation.required', { label }))
+  .bail()
+  .isLength({ max })
+  .withMessage(msg('validation.maxLength', { label, max }));
+
+const optionalText = (field, label, max) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isLength({ max })
+  .withMessage(msg('validation.maxLength', { label, max }));
+
+const requiredName = (field, label) => requiredText(field, label, 100)
+  .matches(PERSON_NAME)
+  .withMessage(msg('validation.name', { label }));
+
+const optionalName = (field, label, max = 100) => optionalText(field, label, max)
+  .matches(PERSON_NAME)
+  .withMessage(msg('validation.name', { label }));
+
+// Dates are stored as DATE columns, so anything ISO 8601 is cut to YYYY-MM-DD
+const dateRule = (chain, label) => chain
+  .isISO8601({ strict: true })
+  .withMessage(msg('validation.date', { label }))
+  .bail()
+  .customSanitizer((value) => value.slice(0, 10));
+
+const requiredDate = (field, label) => dateRule(
+  body(field).notEmpty().withMessage(msg('validation.required', { label })).bail(),
+  label
+);
+
+const optionalDate = (field, label) => dateRule(body(field).optional({ values: 'falsy' }), label);
+
+const pastDate = (chain, label) => chain
+  .custom((value) => value <= today())
+  .withMessage(msg('validation.notFuture', { label }));
+
+// Fails when `field` is not strictly before `otherField` (skipped if either is empty)
+const beforeField = (otherField) => (value, { req }) => {
+  const date = parseDate(value);
+  const other = parseDate(req.body[otherField]);
+  if (date === null || other === null || Number.isNaN(other)) return true;
+  return date < other;
+};
+
+const afterField = (otherField) => (value, { req }) => {
+  const date = parseDate(value);
+  const other = parseDate(req.body[otherField]);
+  if (date === null || other === null || Number.isNaN(other)) return true;
+  return date > other;
+};
+
+const requiredWhen = (condition) => (value, { req }) =>
+  !(condition(req.body) && isBlank(typeof value === 'string' ? value.trim() : value));
+
+const requiredEmail = (field, label) => body(field)
+  .trim()
+  .notEmpty()
+  .withMessage(msg('validation.required', { label }))
+  .bail()
+  .isEmail()
+  .withMessage(msg('validation.emailField', { label }));
+
+const optionalEmail = (field, label) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isEmail()
+  .withMessage(msg('validation.emailField', { label }));
+
+const requiredPhone = (field, label) => body(field)
+  .trim()
+  .notEmpty()
+  .withMessage(msg('validation.required', { label }))
+  .bail()
+  .matches(PHONE)
+  .withMessage(msg('validation.phone', { label }));
+
+const optionalPhone = (field, label) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .matches(PHONE)
+  .withMessage(msg('validation.phone', { label }));
+
+const requiredEnum = (field, label, values) => body(field)
+  .notEmpty()
+  .withMessage(msg('validation.required', { label }))
+  .bail()
+  .isIn(values)
+  .withMessage(msg('validation.oneOf', { label, values: values.join(', ') }));
+
+const optionalBoolean = (field, label) => body(field)
+  .optional({ values: 'null' })
+  .isBoolean()
+  .withMessage(msg('validation.boolean', { label }))
+  .toBoolean(true);
+
+const spouseValidation = (n) => [
+  requiredName(`spouse${n}_first_name`, fieldLabel('spouseFirstName', { n })),
+  requiredName(`spouse${n}_last_name`, fieldLabel('spouseLastName', { n })),
+  pastDate(requiredDate(`spouse${n}_birth_date`, fieldLabel('spouseBirthDate', { n })), fieldLabel('spouseBirthDate', { n }))
+    .custom(beforeField('marriage_date'))
+    .withMessage(msg('validation.before', { label: fieldLabel('spouseBirthDate', { n }), other: fieldLabel('marriageDate') })),
+  optionalText(`spouse${n}_birth_place`, fieldLabel('spouseBirthPlace', { n }), 150),
+  requiredText(`spouse${n}_nationality`, fieldLabel('spouseNationality', { n }), 100),
+  optionalText(`spouse${n}_passport_number`, fieldLabel('spousePassportNumber', { n }), 50)
+    .matches(/^[A-Za-z0-9]+$/)
+    .withMessage(msg('validation.alphanumeric', { label: fieldLabel('spousePassportNumber', { n }) })),
+  optionalText(`spouse${n}_address`, fieldLabel('spouseAddress', { n }), 500),
+  optionalPhone(`spouse${n}_phone`, fieldLabel('spousePhone', { n })),
+  optionalEmail(`spouse${n}_email`, fieldLabel('spouseEmail', { n })),
+  optionalText(`spouse${n}_occupation`, fieldLabel('spouseOccupation', { n }), 150),
+  optionalName(`spouse${n}_father_name`, fieldLabel('spouseFatherName', { n }), 150),
+  optionalName(`spouse${n}_mother_name`, fieldLabel('spouseMotherName', { n }), 150),
+];
+
+export const marriageApplicationValidation = [
+  pastDate(requiredDate('marriage_date', fieldLabel('marriageDate')), fieldLabel('marriageDate')),
+  ...spouseValidation(1),
+  ...spouseValidation(2),
+  requiredText('marriage_place', fieldLabel('marriagePlace'), 150),
+  requiredText('marriage_country', fieldLabel('marriageCountry'), 100),
+  requiredEnum('marriage_type', fieldLabel('marriageType'), MARRIAGE_TYPES),
+  requiredText('certificate_purpose', fieldLabel('certificatePurpose'), 2000),
+  handleValidationErrors,
+];
+
+const parentValidation = (parent) => [
+  requiredName(`${parent}_first_name`, fieldLabel(`${parent}FirstName`)),
+  requiredName(`${parent}_last_name`, fieldLabel(`${parent}LastName`)),
+  pastDate(optionalDate(`${parent}_birth_date`, fieldLabel(`${parent}BirthDate`)), fieldLabel(`${parent}BirthDate`))
+    .custom(beforeField('child_birth_date'))
+    .withMessage(msg('validation.before', { label: fieldLabel(`${parent}BirthDate`), other: fieldLabel('childBirthDate') })),
+  optionalText(`${parent}_birth_place`, fieldLabel(`${parent}BirthPlace`), 150),
+  requiredText(`${parent}_nationality`, fieldLabel(`${parent}Nationality`), 100),
+  optionalText(`${parent}_occupation`, fieldLabel(`${parent}Occupation`), 100),
+  optionalText(`${parent}_address`, fieldLabel(`${parent}Address`), 500),
+];
+
+export const birthCertificateApplicationValidation = [
+  requiredName('child_first_name', fieldLabel('childFirstName')),
+  requiredName('child_last_name', fieldLabel('childLastName')),
+  optionalName('child_middle_name', fieldLabel('childMiddleName')),
+  pastDate(requiredDate('child_birth_date', fieldLabel('childBirthDate')), fieldLabel('childBirthDate')),
+  requiredText('child_birth_place', fieldLabel('childBirthPlace'), 150),
+  requiredText('child_birth_country', fieldLabel('childBirthCountry'), 100),
+  requiredEnum('child_gender', fieldLabel('childGender'), GENDERS),
+  requiredText('child_nationality', fieldLabel('childNationality'), 100),
+  ...parentValidation('father'),
+  ...parentValidation('mother'),
+  optionalName('mother_maiden_name', fieldLabel('motherMaidenName')),
+  optionalText('applicant_relationship', fieldLabel('applicantRelationship'), 100),
+  requiredName('applicant_first_name', fieldLabel('applicantFirstName')),
+  requiredName('applicant_last_name', fieldLabel('applicantLastName')),
+  requiredPhone('applicant_phone', fieldLabel('applicantPhone')),
+  requiredEmail('applicant_email', fieldLabel('applicantEmail')),
+  requiredText('applicant_address', fieldLabel('applicantAddress'), 500),
+  requiredText('certificate_purpose', fieldLabel('certificatePurpose'), 2000),
+  optionalBoolean('is_minor', fieldLabel('isMinor')),
+  optionalText('original_registration_number', fieldLabel('originalRegistrationNumber'), 100),
+  handleValidationErrors,
+];
+
+const passportFlagSet = (flag) => (formData) => formData[flag] === true || formData[flag] === 'true';
+
+export const travelPassApplicationValidation = [
+  requiredName('first_name', fieldLabel('firstName')),
+  requiredName('last_name', fieldLabel('lastName')),
+  optionalName('maiden_name', fieldLabel('maidenName')),
+  pastDate(requiredDate('date_of_birth', fieldLabel('dateOfBirth')), fieldLabel('dateOfBirth')),
+  requiredText('place_of_birth', fieldLabel('placeOfBirth'), 150),
+  requiredText('country_of_birth', fieldLabel('countryOfBirth'), 100),
+  requiredEnum('gender', fieldLabel('gender'), GENDERS),
+  requiredText('nationality', fieldLabel('nationality'), 100),
+  optionalText('height', fieldLabel('height'), 20),
+  optionalText('eye_color', fieldLabel('eyeColor'), 50),
+  optionalText('hair_color', fieldLabel('hairColor'), 50),
+  optionalText('distinguishing_marks', fieldLabel('distinguishingMarks'), 1000),
+  requiredText('current_address', fieldLabel('currentAddress'), 500),
+  requiredText('city', fieldLabel('city'), 100),
+  requiredText('country', fieldLabel('country'), 100),
+  requiredPhone('phone', fieldLabel('phone')),
+  requiredEmail('email', fieldLabel('email')),
+  optionalName('father_name', fieldLabel('fatherName'), 160),
+  optionalName('mother_name', fieldLabel('motherName'), 160),
+  optionalName('mother_maiden_name', fieldLabel('motherMaidenName')),
+  requiredEnum('marital_status', fieldLabel('maritalStatus'), MARITAL_STATUSES),
+  body('spouse_name')
+    .custom(requiredWhen((formData) => formData.marital_status === 'married'))
+    .withMessage(msg('validation.spouseNameRequired'))
+    .bail()
+    .if((value) => !isBlank(value))
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('spouseName'), max: 160 }))
+    .matches(PERSON_NAME)
+    .withMessage(msg('validation.name', { label: fieldLabel('spouseName') })),
+  requiredText('travel_reason', fieldLabel('travelReason'), 2000),
+  requiredText('destination_country', fieldLabel('destinationCountry'), 100),
+  optionalText('destination_city', fieldLabel('destinationCity'), 100),
+  requiredDate('departure_date', fieldLabel('departureDate'))
+    .custom((value) => value >= today())
+    .withMessage(msg('validation.notPast', { label: fieldLabel('departureDate') })),
+  optionalDate('return_date', fieldLabel('returnDate'))
+    .custom(afterField('departure_date'))
+    .withMessage(msg('validation.after', { label: fieldLabel('returnDate'), other: fieldLabel('departureDate') })),
+  optionalText('travel_duration', fieldLabel('travelDuration'), 50),
+  requiredName('emergency_contact_name', fieldLabel('emergencyContactName')),
+  requiredText('emergency_contact_relationship', fieldLabel('emergencyContactRelationship'), 100),
+  requiredPhone('emergency_contact_phone', fieldLabel('emergencyContactPhone')),
+  optionalText('emergency_contact_address', fieldLabel('emergencyContactAddress'), 500),
+  optionalBoolean('passport_lost', fieldLabel('passportLost')),
+  optionalBoolean('passport_stolen', fieldLabel('passportStolen')),
+  optionalBoolean('passport_expired', fieldLabel('passportExpired')),
+  optionalText('previous_passport_number', fieldLabel('previousPassportNumber'), 100),
+  pastDate(optionalDate('passport_issue_date', fieldLabel('passportIssueDate')), fieldLabel('passportIssueDate')),
+  optionalDate('passport_expiry_date', fieldLabel('passportExpiryDate'))
+    .custom(afterField('passport_issue_date'))
+    .withMessage(msg('validation.after', { label: fieldLabel('passportExpiryDate'), other: fieldLabel('passportIssueDate') })),
+  body('police_report_number')
+    .custom(requiredWhen(passportFlagSet('passport_stolen')))
+    .withMessage(msg('validation.policeReportRequired', { label: fieldLabel('policeReportNumber') }))
+    .bail()
+    .if((value) => !isBlank(value))
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('policeReportNumber'), max: 100 })),
+  body('police_report_date')
+    .custom(requiredWhen(passportFlagSet('passport_stolen')))
+    .withMessage(msg('validation.policeReportRequired', { label: fieldLabel('policeReportDate') }))
+    .bail()
+    .if((value) => !isBlank(value))
+    .isISO8601({ strict: true })
+    .withMessage(msg('validation.date', { label: fieldLabel('policeReportDate') }))
+    .bail()
+    .customSanitizer((value) => value.slice(0, 10))
+    .custom((value) => value <= today())
+    .withMessage(msg('validation.notFuture', { label: fieldLabel('policeReportDate') })),
+  handleValidationErrors,
+];
+
+export const staffCreateValidation = [
+  body('username')
+    .isEmail()
+    .withMessage(msg('validation.email'))
+    .normalizeEmail(),
+  body('role')
+    .isIn(Object.keys(ROLES))
+    .withMessage(msg('validation.oneOf', { label: fieldLabel('role'), values: Object.keys(ROLES).join(', ') })),
+  body('password')
+    .optional()
+    .isLength({ min: 8 })
+    .withMessage(msg('validation.passwordLength', { min: 8 }))
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/)
+    .withMessage(msg('validation.passwordStrength')),
+  body('firstName').optional().trim().isLength({ min: 1, max: 100 }),
+  body('lastName').optional().trim().isLength({ min: 1, max: 100 }),
+  handleValidationErrors,
+];
+
+export const staffUpdateValidation = [
+  body('role')
+    .isIn(Object.keys(ROLES))
+    .withMessage(msg('validation.oneOf', { label: fieldLabel('role'), values: Object.keys(ROLES).join(', ') })),
+  handleValidationErrors,
+];
+
+export const userDisableValidation = [
+  body('disabled')
+    .isBoolean()
+    .withMessage(msg('validation.boolean', { label: fieldLabel('disabled') }))
+    .toBoolean(true),
+  handleValidationErrors,
+];
+
+// ========================================
+// APPOINTMENTS
+// ========================================
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}[ T]([01]\d|2[0-3]):[0-5]\d$/;
+const SERVICE_CODE = /^[a-z0-9_-]{1,50}$/;
+
+const id = (chain, label) => chain
+  .isInt({ min: 1 })
+  .withMessage(msg('validation.invalid', { label }))
+  .toInt();
+
+const integerBetween = (chain, label, min, max) => chain
+  .isInt({ min, max })
+  .withMessage(msg('validation.integerBetween', { label, min, max }))
+  .toInt();
+
+const stringList = (field, label) => [
+  body(field)
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage(msg('validation.list', { label })),
+  body(`${field}.*`)
+    .isString()
+    .withMessage(msg('validation.list', { label })),
+];
+
+// Slot start in the embassy's time zone, normalized to 'YYYY-MM-DD HH:MM'
+const startsAtRule = () => body('startsAt')
+  .matches(LOCAL_DATE_TIME)
+  .withMessage(msg('validation.dateTime', { label: fieldLabel('startsAt') }))
+  .customSanitizer((value) => value.replace('T', ' '));
+
+const queryDate = (field, label) => query(field)
+  .isISO8601({ strict: true })
+  .withMessage(msg('validation.date', { label }))
+  .bail()
+  .customSanitizer((value) => value.slice(0, 10));
+
+export const appointmentBookingValidation = [
+  id(body('serviceId'), fieldLabel('serviceId')),
+  requiredText('applicationType', fieldLabel('applicationType'), 50),
+  id(body('applicationId'), fieldLabel('applicationId')),
+  startsAtRule(),
+  handleValidationErrors,
+];
+
+export const appointmentRescheduleValidation = [
+  startsAtRule(),
+  handleValidationErrors,
+];
+
+export const appointmentSlotsValidation = [
+  queryDate('from', fieldLabel('from')),
+  queryDate('to', fieldLabel('to'))
+    .custom((value, { req }) => value >= req.query.from)
+    .withMessage(msg('validation.after', { label: fieldLabel('to'), other: fieldLabel('from') })),
+  handleValidationErrors,
+];
+
+export const appointmentAgendaValidation = [
+  queryDate('date', fieldLabel('date')),
+  id(query('serviceId').optional(), fieldLabel('serviceId')),
+  handleValidationErrors,
+];
+
+// Everything but the code can be changed later, so updates make every field optional
+const serviceValidation = ({ create }) => [
+  ...(create
+    ? [body('code')
+      .trim()
+      .matches(SERVICE_CODE)
+      .withMessage(msg('validation.code', { label: fieldLabel('serviceCode') }))]
+    : []),
+  create
+    ? requiredText('name', fieldLabel('serviceName'), 255)
+    : requiredText('name', fieldLabel('serviceName'), 255).optional(),
+  optionalText('description', fieldLabel('description'), 2000),
+  optionalText('location', fieldLabel('location'), 500),
+  integerBetween(body('slotMinutes').optional(), fieldLabel('slotMinutes'), 5, 480),
+  integerBetween(body('capacity').optional(), fieldLabel('capacity'), 1, 500),
+  integerBetween(body('minNoticeHours').optional(), fieldLabel('minNoticeHours'), 0, 720),
+  integerBetween(body('bookingWindowDays').optional(), fieldLabel('bookingWindowDays'), 1, 365),
+  ...stringList('applicationTypes', fieldLabel('applicationTypes')),
+  ...stringList('applicationStatuses', fieldLabel('applicationStatuses')),
+  optionalBoolean('active', fieldLabel('active')),
+  handleValidationErrors,
+];
+
+export const appointmentServiceCreateValidation = serviceValidation({ create: true });
+export const appointmentServiceUpdateValidation = serviceValidation({ create: false });
+
+export const appointmentHoursValidation = [
+  body('hours')
+    .isArray({ max: 50 })
+    .withMessage(msg('validation.list', { label: fieldLabel('hours') })),
+  integerBetween(body('hours.*.weekday'), fieldLabel('weekday'), 0, 6),
+  body('hours.*.opensAt')
+    .matches(TIME)
+    .withMessage(msg('validation.time', { label: fieldLabel('opensAt') })),
+  body('hours.*.closesAt')
+    .matches(TIME)
+    .withMessage(msg('validation.time', { label: fieldLabel('closesAt') }))
+    .bail()
+    .custom((value, { req, path }) => {
+      const { opensAt } = req.body.hours[Number(path.match(/\d+/)[0])];
+      return !TIME.test(opensAt) || value > opensAt;
+    })
+    .withMessage(msg('validation.after', { label: fieldLabel('closesAt'), other: fieldLabel('opensAt') })),
+  handleValidationErrors,
+];
+
+export const appointmentBlackoutValidation = [
+  requiredDate('date', fieldLabel('date')),
+  id(body('serviceId').optional({ values: 'null' }), fieldLabel('serviceId')),
+  optionalText('reason', fieldLabel('reason'), 255),
+  handleValidationErrors,
+];
+
+// ========================================
+// FEES AND PAYMENTS
+// ========================================
+
+// Optional invoice items chosen at submission; run before a type's own rules
+export const feeOptionRules = [
+  optionalBoolean('expedited', fieldLabel('expedited')),
+  optionalBoolean('returnShipping', fieldLabel('returnShipping')),
+];
+
+export const feeValidation = [
+  requiredText('applicationType', fieldLabel('applicationType'), 50),
+  optionalText('subType', fieldLabel('subType'), 50),
+  requiredEnum('kind', fieldLabel('kind'), FEE_KINDS),
+  integerBetween(body('amountCents'), fieldLabel('amountCents'), 0, 100000000),
+  optionalBoolean('active', fieldLabel('active')),
+  handleValidationErrors,
+];
+
+export const manualPaymentValidation = [
+  requiredEnum('method', fieldLabel('paymentMethod'), MANUAL_PAYMENT_METHODS),
+  integerBetween(body('amountCents'), fieldLabel('amountCents'), 1, 100000000),
+  // The money order number is what finance reconciles against
+  body('reference')
+    .custom(requiredWhen((data) => data.method === 'money_order'))
+    .withMessage(msg('validation.moneyOrderReference', { label: fieldLabel('reference') }))
+    .bail()
+    .if((value) => !isBlank(value))
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('reference'), max: 255 })),
+  handleValidationErrors,
+];
+
+export const cardPaymentValidation = [
+  requiredText('source', fieldLabel('cardToken'), 255),
+  handleValidationErrors,
+];
+
+// Updates may send any subset of the fields
+const faqValidation = ({ create }) => [
+  create
+    ? requiredText('question', fieldLabel('question'), 500)
+    : requiredText('question', fieldLabel('question'), 500).optional(),
+  ...stringList('variants', fieldLabel('variants')),
+  body('variants.*')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('variants'), max: 500 })),
+  create
+    ? requiredText('answer', fieldLabel('answer'), 5000)
+    : requiredText('answer', fieldLabel('answer'), 5000).optional(),
+  create ? languageRule(body('language')) : languageRule(body('language').optional()),
+  optionalText('applicationType', fieldLabel('applicationType'), 50),
+  optionalBoolean('active', fieldLabel('active')),
+  handleValidationErrors,
+];
+
+export const faqCreateValidation = faqValidation({ create: true });
+export const faqUpdateValidation = faqValidation({ create: false });
+
+export const faqMatchValidation = [
+  requiredText('message', fieldLabel('message'), 5000),
+  languageRule(body('language').optional()),
+  handleValidationErrors,
+];
+
+export const faqStatsValidation = [
+  queryDate('from', fieldLabel('from')),
+  queryDate('to', fieldLabel('to')),
+  handleValidationErrors,
+];
+
+const CHAT_INBOX_FILTER_RULES = [
+  query('assignee')
+    .optional()
+    .matches(/^(me|none|\d+)$/)
+    .withMessage(msg('validation.invalid', { label: fieldLabel('assignee') })),
+  query('status')
+    .optional()
+    .isIn(INBOX_STATUSES)
+    .withMessage(msg('validation.oneOf', { label: fieldLabel('status'), values: INBOX_STATUSES.join(', ') })),
+  query('priority')
+    .optional()
+    .isIn(CHAT_PRIORITIES)
+    .withMessage(msg('validation.oneOf', { label: fieldLabel('priority'), values: CHAT_PRIORITIES.join(', ') })),
+  query('tag')
+    .optional()
+    .matches(CHAT_TAG)
+    .withMessage(msg('validation.code', { label: fieldLabel('tag') })),
+];
+
+export const chatInboxValidation = [
+  ...CHAT_INBOX_FILTER_RULES,
+  integerBetween(query('limit').optional(), fieldLabel('limit'), 1, 100),
+  query('cursor')
+    .optional()
+    .custom(isValidCursor)
+    .withMessage(msg('validation.invalid', { label: fieldLabel('cursor') })),
+  handleValidationErrors,
+];
+
+export const chatConversationUpdateValidation = [
+  body('priority')
+    .optional()
+    .isIn(CHAT_PRIORITIES)
+    .withMessage(msg('validation.oneOf', { label: fieldLabel('priority'), values: CHAT_PRIORITIES.join(', ') })),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage(msg('validation.list', { label: fieldLabel('tags') })),
+  body('tags.*')
+    .trim()
+    .toLowerCase()
+    .matches(CHAT_TAG)
+    .withMessage(msg('validation.code', { label: fieldLabel('tags') })),
+  handleValidationErrors,
+];
+
+// A missing or null userId unassigns
+export const chatAssignValidation = [
+  id(body('userId').optional({ values: 'null' }), fieldLabel('assignee')),
+  handleValidationErrors,
+];
+
+export const chatReplyValidation = [
+  id(body('conversationId'), fieldLabel('conversationId')),
+  body('message')
+    .if((value, { req }) => !req.body.cannedResponseId)
+    .trim()
+    .notEmpty()
+    .withMessage(msg('validation.required', { label: fieldLabel('message') }))
+    .bail()
+    .isLength({ max: 5000 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('message'), max: 5000 })),
+  id(body('cannedResponseId').optional({ values: 'null' }), fieldLabel('cannedResponse')),
+  handleValidationErrors,
+];
+
+const transcriptFormat = query('format')
+  .optional()
+  .isIn(TRANSCRIPT_FORMATS)
+  .withMessage(msg('validation.oneOf', { label: fieldLabel('format'), values: TRANSCRIPT_FORMATS.join(', ') }));
+
+export const chatTranscriptValidation = [transcriptFormat, handleValidationErrors];
+
+export const chatTranscriptExportValidation = [
+  queryDate('from', fieldLabel('from')),
+  queryDate('to', fieldLabel('to')),
+  transcriptFormat,
+  handleValidationErrors,
+];
+
+export const chatCloseValidation = [
+  optionalBoolean('emailTranscript', fieldLabel('emailTranscript')),
+  handleValidationErrors,
+];
+
+const cannedResponseValidation = ({ create }) => [
+  create
+    ? requiredText('title', fieldLabel('title'), 255)
+    : requiredText('title', fieldLabel('title'), 255).optional(),
+  create
+    ? requiredText('body', fieldLabel('body'), 5000)
+    : requiredText('body', fieldLabel('body'), 5000).optional(),
+  create ? languageRule(body('language')) : languageRule(body('language').optional()),
+  optionalBoolean('active', fieldLabel('active')),
+  handleValidationErrors,
+];
+
+export const cannedResponseCreateValidation = cannedResponseValidation({ create: true });
+export const cannedResponseUpdateValidation = cannedResponseValidation({ create: false });
+
+export const visitorTrackValidation = [
+  body('pageUrl')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('pageUrl'), max: 2000 })),
+  body('referrer')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('referrer'), max: 2000 })),
+  body('sessionId')
+    .optional({ values: 'falsy' })
+    .matches(/^[A-Za-z0-9_-]{1,100}$/)
+    .withMessage(msg('validation.invalid', { label: fieldLabel('sessionId') })),
+  handleValidationErrors,
+];
+
+// ?days= for the visitor and location analytics
+export const analyticsPeriodValidation = [
+  integerBetween(query('days').optional(), fieldLabel('days'), 1, 366),
+  handleValidationErrors,
+];
+
+// ========================================
+// ADMIN LISTS
+// ========================================
+
+// Empty parameters, as sent by blank filter inputs, are ignored
+const oneOf = (field, values) => query(field)
+  .optional({ values: 'falsy' })
+  .isIn(values)
+  .withMessage(msg('validation.oneOf', { label: fieldLabel(field), values: values.join(', ') }));
+
+// ?from= and ?to=, both inclusive
+const dateRangeRules = () => [
+  queryDate('from', fieldLabel('from')).optional({ values: 'falsy' }),
+  queryDate('to', fieldLabel('to'))
+    .optional({ values: 'falsy' })
+    .custom((value, { req }) => !req.query.from || value >= req.query.from)
+    .withMessage(msg('validation.after', { label: fieldLabel('to'), other: fieldLabel('from') })),
+];
+
+// Sorting, ?q= search and the date range (listing.js)
+const searchRules = (sorts) => [
+  oneOf('sort', sorts),
+  oneOf('order', SORT_ORDERS),
+  query('q')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('search'), max: 200 })),
+  ...dateRangeRules(),
+];
+
+// Paging, sorting and ?q= search (listing.js)
+const listRules = (sorts, defaultSort) => [
+  integerBetween(query('limit').optional(), fieldLabel('limit'), 1, MAX_LIST_LIMIT),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage(msg('validation.invalid', { label: fieldLabel('offset') }))
+    .toInt(),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage(msg('validation.invalid', { label: fieldLabel('page') }))
+    .toInt(),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => isValidListCursor(value, req.query.sort || defaultSort))
+    .withMessage(msg('validation.invalid', { label: fieldLabel('cursor') })),
+  ...searchRules(sorts),
+];
+
+// Comma-separated values, each one of `values`; sanitized to an array
+const commaList = (field, values) => query(field)
+  .optional({ values: 'falsy' })
+  .custom((value) => String(value).split(',').every((item) => values.includes(item)))
+  .withMessage(msg('validation.oneOf', { label: fieldLabel(field), values: values.join(', ') }))
+  .customSanitizer((value) => String(value).split(','));
+
+const listFilterRules = (filters) => filters.map((filter) => query(filter)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isLength({ max: 120 })
+  .withMessage(msg('validation.maxLength', { label: fieldLabel(filter), max: 120 })));
+
+// ?format= and ?columns= of an export (spreadsheets.js); `columns` are its keys
+const exportRules = (columns) => [
+  oneOf('format', EXPORT_FORMATS),
+  commaList('columns', columns),
+];
+
+const applicationFilterRules = ({ statuses, filters }) => [
+  commaList('status', statuses),
+  oneOf('dateField', Object.keys(APPLICATION_DATE_FIELDS)),
+  ...listFilterRules(filters),
+];
+
+// `statuses` are the type's workflow statuses and `filters` its listFilters
+export const applicationListValidation = ({ statuses, filters }) => [
+  ...listRules(APPLICATION_SORTS, 'createdAt'),
+  ...applicationFilterRules({ statuses, filters }),
+  handleValidationErrors,
+];
+
+// The list's filters and sorting, without paging
+export const applicationExportValidation = ({ statuses, filters, columns }) => [
+  ...searchRules(APPLICATION_SORTS),
+  ...applicationFilterRules({ statuses, filters }),
+  ...exportRules(columns),
+  handleValidationErrors,
+];
+
+// Cross-type queue and its counters; `types` are the registry keys
+export const applicationQueueValidation = ({ types, statuses, filters }) => [
+  ...listRules(QUEUE_SORTS, 'createdAt'),
+  commaList('type', types),
+  commaList('status', statuses),
+  query('assignee')
+    .optional({ values: 'falsy' })
+    .matches(/^(me|none|\d+)$/)
+    .withMessage(msg('validation.invalid', { label: fieldLabel('assignee') })),
+  oneOf('dateField', Object.keys(QUEUE_DATE_FIELDS)),
+  ...listFilterRules(filters),
+  handleValidationErrors,
+];
+
+// A missing or null userId unassigns
+export const applicationAssignValidation = [
+  id(body('userId').optional({ values: 'null' }), fieldLabel('assignee')),
+  handleValidationErrors,
+];
+
+const USER_SORTS = ['createdAt', 'name', 'username', 'id'];
+// Staff roles, plus every staff account or every applicant account
+const USER_ROLE_FILTERS = [...Object.keys(ROLES), 'staff', 'applicant'];
+
+export const userListValidation = [
+  ...listRules(USER_SORTS, 'createdAt'),
+  oneOf('role', USER_ROLE_FILTERS),
+  handleValidationErrors,
+];
+
+export const userExportValidation = (columns) => [
+  ...searchRules(USER_SORTS),
+  oneOf('role', USER_ROLE_FILTERS),
+  ...exportRules(columns),
+  handleValidationErrors,
+];
+
+// The inbox filters plus a range on the conversation's start
+export const chatExportValidation = (columns) => [
+  ...CHAT_INBOX_FILTER_RULES,
+  ...dateRangeRules(),
+  ...exportRules(columns),
+  handleValidationErrors,
+];
+
+export const statisticsExportValidation = (columns) => [
+  ...exportRules(columns),
+  handleValidationErrors,
+];
+
+// ========================================
+// AUDIT LOG
+// ========================================
+
+export const auditListValidation = [
+  ...listRules(['id'], 'id'),
+  id(query('actor').optional({ values: 'falsy' }), fieldLabel('actor')),
+  commaList('action', AUDIT_ACTIONS),
+  query('targetType')
+    .optional({ values: 'falsy' })
+    .matches(/^[a-z_]{1,50}$/)
+    .withMessage(msg('validation.invalid', { label: fieldLabel('targetType') })),
+  query('targetId')
+    .optional({ values: 'falsy' })
+    .isLength({ max: 64 })
+    .withMessage(msg('validation.maxLength', { label: fieldLabel('targetId'), max: 64 })),
+  handleValidationErrors,
+];
@@ -0,0 +1,69 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { authMiddleware, optionalAuth, requirePermission } from './auth.js';
+import { recordVisit, visitorStats, recentVisitors } from './visitors.js';
+import { visitorTrackValidation, analyticsPeriodValidation } from './validation.js';
+
+export const TRACK_VISITOR_PATH = '/api/track-visitor';
+
+// The beacon fires on every page, so it has its own per-address limit
+// instead of counting against the general /api/ limiter
+const trackLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.VISITOR_TRACK_RATE_LIMIT || '30'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: (req) => req.t('errors.tooManyRequests'),
+});
+
+// navigator.sendBeacon() posts JSON as text/plain
+const beaconBody = express.json({ type: ['application/json', 'text/plain'], limit: '4kb' });
+
+// Do Not Track and Global Privacy Control are honoured
+const optedOut = (req) => req.get('DNT') === '1' || req.get('Sec-GPC') === '1';
+
+export const registerVisitorRoutes = (app) => {
+  // ========================================
+  // BEACON
+  // ========================================
+
+  app.post(TRACK_VISITOR_PATH, trackLimiter, beaconBody, optionalAuth, visitorTrackValidation, (req, res) => {
+    if (!optedOut(req)) {
+      recordVisit({
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        // The beacon request's own Referer is the page being viewed
+        pageUrl: req.body.pageUrl || req.get('Referer'),
+        referrer: req.body.referrer,
+        sessionId: req.body.sessionId,
+        userId: req.user?.id,
+      });
+    }
+    res.status(204).end();
+  });
+
+  // ========================================
+  // ADMIN
+  // ========================================
+
+  app.get('/api/admin/visitors/stats', authMiddleware, requirePermission('analytics:read'), analyticsPeriodValidation, async (req, res) => {
+    try {
+      res.json(await visitorStats({ days: parseInt(req.query.days) || 30 }));
+    } catch (err) {
+      console.error('Visitor stats error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+
+  app.get('/api/admin/visitors/recent', authMiddleware, requirePermission('analytics:read'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    try {
+      res.json(await recentVisitors({ limit, offset }));
+    } catch (err) {
+      console.error('Recent visitors error:', err);
+      res.status(500).json({ error: req.t('errors.server') });
+    }
+  });
+};
@@ -0,0 +1,294 @@
+import net from 'net';
+import { pool } from './db.js';
+import { lookupIp } from './geoip.js';
+
+// ========================================
+// VISITOR TRACKING
+// ========================================
+//
+// Page views arrive from a beacon on every page, so they are buffered in
+// memory and written in batches instead of one INSERT per request. Addresses
+// are anonymized before they are buffered and rows older than the retention
+// window are deleted. A normal shutdown writes the buffer first (index.js);
+// a crash loses whatever was still in it.
+// The location is looked up from the full address before it is anonymized.
+
+const BATCH_SIZE = parseInt(process.env.VISITOR_BATCH_SIZE || '200');
+const FLUSH_INTERVAL_MS = parseInt(process.env.VISITOR_FLUSH_INTERVAL_MS || '5000');
+// Views kept while the database is unreachable; newer ones are dropped
+const MAX_BUFFERED = BATCH_SIZE * 25;
+// Flushes a batch the database rejects gets before its rows are written one
+// by one and the rejected ones dropped
+const MAX_FLUSH_ATTEMPTS = 3;
+export const VISITOR_RETENTION_DAYS = parseInt(process.env.VISITOR_RETENTION_DAYS || '180');
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const PURGE_CHUNK = 5000;
+
+// ========================================
+// USER AGENTS AND ADDRESSES
+// ========================================
+
+const BOT_AGENT = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse|pingdom|uptime|curl|wget|python-requests|axios|node-fetch/i;
+
+// Order matters: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['Internet Explorer', /MSIE |Trident\//],
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Chrome OS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const firstMatch = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+
+/**
+ * Device type, browser and operating system family from a User-Agent header.
+ * `bot` is true for crawlers, monitors and scripts, which are not recorded.
+ */
+export const parseUserAgent = (userAgent = '') => {
+  const ua = String(userAgent);
+  let deviceType = 'desktop';
+  if (/iPad|Tablet|Android(?!.*Mobile)|Silk\//.test(ua)) deviceType = 'tablet';
+  else if (/Mobi|iPhone|iPod|Android|Windows Phone/.test(ua)) deviceType = 'mobile';
+
+  return {
+    deviceType,
+    browser: firstMatch(BROWSERS, ua),
+    os: firstMatch(SYSTEMS, ua),
+    bot: !ua || BOT_AGENT.test(ua),
+  };
+};
+
+/**
+ * Drops the host part of an address: the last octet of IPv4 (1.2.3.4 ->
+ * 1.2.3.0) and everything after the first 48 bits of IPv6. Returns null for
+ * anything that is not an IP address.
+ */
+export const anonymizeIp = (ip) => {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (net.isIPv4(address)) return address.replace(/\.\d+$/, '.0');
+  if (!net.isIPv6(address)) return null;
+
+  // Expand "::" so the first three groups can be read off
+  const [head, tail = ''] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 3).map((group) => parseInt(group, 16).toString(16)).join(':')}::`;
+};
+
+// ========================================
+// INGESTION
+// ========================================
+
+let buffer = [];
+let flushing = null;
+let flushTimer = null;
+let purgeTimer = null;
+
+// Query strings and fragments can carry tokens (password reset links), so only the path is kept
+const stripQuery = (url) => (url ? String(url).split(/[?#]/)[0].slice(0, 500) : null);
+
+const COLUMNS = ['ip_address', 'country', 'region', 'city', 'user_agent', 'device_type', 'browser', 'os', 'page_url', 'referrer', 'session_id', 'user_id', 'visited_at'];
+
+/**
+ * Buffers one page view. Returns false when it was not recorded (a bot, or
+ * the buffer is full because the database has been unreachable).
+ */
+export const recordVisit = ({ ip, userAgent, pageUrl, referrer, sessionId, userId }) => {
+  const agent = parseUserAgent(userAgent);
+  if (agent.bot || buffer.length >= MAX_BUFFERED) return false;
+
+  const location = lookupIp(ip) || {};
+  buffer.push([
+    anonymizeIp(ip) || 'unknown',
+    location.country || null,
+    location.region || null,
+    location.city || null,
+    userAgent ? String(userAgent).slice(0, 500) : null,
+    agent.deviceType,
+    agent.browser,
+    agent.os,
+    stripQuery(pageUrl),
+    stripQuery(referrer),
+    sessionId || null,
+    userId || null,
+    new Date(),
+  ]);
+  if (buffer.length >= BATCH_SIZE) setImmediate(flushVisits);
+  return true;
+};
+
+// How many flushes in a row the database has rejected the first batch of
+let failedFlushes = 0;
+
+const insertVisits = (rows) => pool.query(`INSERT INTO visitor_logs (${COLUMNS.join(', ')}) VALUES ?`, [rows]);
+
+// Errors the server reports about the rows carry an SQL state; a lost or
+// refused connection does not, and is worth waiting out
+const isRowError = (err) => !!err.sqlState && !err.fatal;
+
+// Writes the buffer's first `count` rows one at a time, skipping the ones the
+// database rejects, and returns how many were skipped
+const insertOneByOne = async (count) => {
+  let skipped = 0;
+  for (let i = 0; i < count; i += 1) {
+    try {
+      await insertVisits([buffer[0]]);
+    } catch (err) {
+      if (!isRowError(err)) throw err;
+      skipped += 1;
+    }
+    buffer = buffer.slice(1);
+  }
+  return skipped;
+};
+
+// Writes everything buffered so far; concurrent calls share one flush. With
+// nothing buffered no flush is started: its finally would run before
+// `flushing` is assigned and leave it set for good.
+export const flushVisits = () => {
+  if (!flushing && buffer.length) {
+    flushing = (async () => {
+      try {
+        while (buffer.length) {
+          const batch = buffer.slice(0, BATCH_SIZE);
+          try {
+            await insertVisits(batch);
+            buffer = buffer.slice(batch.length);
+          } catch (err) {
+            // One bad row fails the whole batch; after a few tries, save the others
+            if (!isRowError(err) || failedFlushes + 1 < MAX_FLUSH_ATTEMPTS) {
+              if (isRowError(err)) failedFlushes += 1;
+              throw err;
+            }
+            const skipped = await insertOneByOne(batch.length);
+            console.error(`Visitor log flush: skipped ${skipped} row(s) the database rejected (${err.message})`);
+          }
+          failedFlushes = 0;
+        }
+      } catch (err) {
+        // Kept in the buffer for the next interval
+        console.error('Visitor log flush error:', err.message);
+      } finally {
+        flushing = null;
+      }
+    })();
+  }
+  return flushing;
+};
+
+// Deletes rows older than the retention window, a chunk at a time so the table is never locked for long
+export const purgeOldVisits = async () => {
+  let deleted = 0;
+  let affected;
+  do {
+    const [result] = await pool.query(
+      'DELETE FROM visitor_logs WHERE visited_at < DATE_SUB(NOW(), INTERVAL ? DAY) LIMIT ?',
+      [VISITOR_RETENTION_DAYS, PURGE_CHUNK]
+    );
+    affected = result.affectedRows;
+    deleted += affected;
+  } while (affected === PURGE_CHUNK);
+  return deleted;
+};
+
+const purge = () => purgeOldVisits().catch((err) => console.error('Visitor log purge error:', err.message));
+
+export const startVisitorTracking = () => {
+  if (flushTimer) return;
+  flushTimer = setInterval(flushVisits, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+  setImmediate(purge);
+};
+
+// Stops the timers and writes what is still buffered
+export const stopVisitorTracking = async () => {
+  clearInterval(flushTimer);
+  clearInterval(purgeTimer);
+  flushTimer = null;
+  purgeTimer = null;
+  await flushVisits();
+};
+
+// ========================================
+// ADMIN QUERIES
+// ========================================
+
+// A visitor is a browser session, or an anonymized address when the beacon sent none
+const VISITOR_KEY = 'COALESCE(session_id, ip_address)';
+
+const counts = (rows) => rows.map((row) => ({ ...row, count: Number(row.count) }));
+
+/**
+ * Totals and breakdowns for the last `days` days, plus a per-day series for
+ * charts. Days are in the database's time zone.
+ */
+export const visitorStats = async ({ days = 30 } = {}) => {
+  const since = 'visited_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)';
+  const sinceParams = [days - 1];
+
+  const [[totals]] = await pool.query(
+    `SELECT COUNT(*) as pageViews, COUNT(DISTINCT ${VISITOR_KEY}) as visitors,
+       COUNT(CASE WHEN visited_at >= CURDATE() THEN 1 END) as pageViewsToday,
+       COUNT(DISTINCT CASE WHEN visited_at >= CURDATE() THEN ${VISITOR_KEY} END) as visitorsToday
+     FROM visitor_logs WHERE ${since}`,
+    sinceParams
+  );
+  const breakdown = async (column, limit = 10) => {
+    const [rows] = await pool.query(
+      `SELECT COALESCE(??, 'unknown') as name, COUNT(*) as count
+       FROM visitor_logs WHERE ${since}
+       GROUP BY name ORDER BY count DESC LIMIT ?`,
+      [column, ...sinceParams, limit]
+    );
+    return counts(rows);
+  };
+  const [daily] = await pool.query(
+    `SELECT DATE_FORMAT(visited_at, '%Y-%m-%d') as date, COUNT(*) as pageViews,
+       COUNT(DISTINCT ${VISITOR_KEY}) as visitors
+     FROM visitor_logs WHERE ${since}
+     GROUP BY date ORDER BY date`,
+    sinceParams
+  );
+
+  return {
+    days,
+    retentionDays: VISITOR_RETENTION_DAYS,
+    pageViews: Number(totals.pageViews),
+    visitors: Number(totals.visitors),
+    pageViewsToday: Number(totals.pageViewsToday),
+    visitorsToday: Number(totals.visitorsToday),
+    devices: await breakdown('device_type'),
+    browsers: await breakdown('browser'),
+    systems: await breakdown('os'),
+    countries: await breakdown('country'),
+    pages: await breakdown('page_url'),
+    referrers: await breakdown('referrer'),
+    daily: daily.map((row) => ({ ...row, pageViews: Number(row.pageViews), visitors: Number(row.visitors) })),
+  };
+};
+
+export const recentVisitors = async ({ limit = 50, offset = 0 } = {}) => {
+  const [rows] = await pool.query(
+    `SELECT id, ip_address as ipAddress, country, region, city, device_type as deviceType, browser, os,
+       page_url as pageUrl, referrer, session_id as sessionId, user_id as userId, visited_at as visitedAt
+     FROM visitor_logs ORDER BY visited_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+  const [[{ total }]] = await pool.query('SELECT COUNT(*) as total FROM visitor_logs');
+  return { visitors: rows, total: Number(total) };
+};
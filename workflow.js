@@ -0,0 +1,163 @@
+import { msg } from './i18n.js';
+
+// ========================================
+// APPLICATION STATUS WORKFLOWS
+// ========================================
+//
+// A workflow lists, for every status, the statuses it may move to. Each
+// transition can declare:
+//   requires  - body fields that must be non-empty (e.g. a denial reason)
+//   requiresPayment - the application's invoice must be paid first
+//   guard     - (application, input) => msg() error descriptor or null
+//   updates   - (input) => extra columns written with the status change
+//   effects   - notifications queued in the same transaction as the change
+//               ('notifyStatus', 'notifyTracking')
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+const NOTIFY = { effects: ['notifyStatus'] };
+
+// Every step past review waits for the fees to be paid
+const PAID = { requiresPayment: true, effects: ['notifyStatus'] };
+
+const DENY = {
+  requires: ['reason'],
+  effects: ['notifyStatus'],
+};
+
+const REOPEN = {
+  requires: ['reason'],
+  effects: ['notifyStatus'],
+};
+
+// A tracking number must exist before shipping; it may come with the request
+const SHIP = {
+  requiresPayment: true,
+  guard: (application, input) => (
+    isBlank(application.tracking_number) && isBlank(input.trackingNumber)
+      ? msg('workflow.trackingRequired')
+      : null
+  ),
+  updates: (input) => (isBlank(input.trackingNumber)
+    ? {}
+    : { tracking_number: String(input.trackingNumber).trim(), shipping_carrier: input.carrier || null }),
+  effects: ['notifyStatus', 'notifyTracking'],
+};
+
+const ISSUE = {
+  requires: ['documentNumber', 'issueDate', 'expiryDate'],
+  requiresPayment: true,
+  guard: (application, input) => {
+    if (!isIsoDate(input.issueDate) || !isIsoDate(input.expiryDate)) {
+      return msg('workflow.issueDatesInvalid');
+    }
+    if (input.expiryDate <= input.issueDate) {
+      return msg('workflow.expiryBeforeIssue');
+    }
+    return null;
+  },
+  updates: (input) => ({
+    document_number: String(input.documentNumber).trim(),
+    issue_date: input.issueDate,
+    expiry_date: input.expiryDate,
+  }),
+  effects: ['notifyStatus'],
+};
+
+export const SHIPPING_WORKFLOW = {
+  initial: 'pending',
+  transitions: {
+    pending: { under_review: NOTIFY, denied: DENY },
+    under_review: { approved: PAID, denied: DENY },
+    approved: { shipped: SHIP },
+    denied: { under_review: REOPEN },
+    shipped: {},
+  },
+};
+
+export const TRAVEL_PASS_WORKFLOW = {
+  initial: 'pending',
+  transitions: {
+    pending: { under_review: NOTIFY, denied: DENY },
+    under_review: { approved: PAID, denied: DENY },
+    approved: { issued: ISSUE },
+    issued: { collected: PAID },
+    denied: { under_review: REOPEN },
+    collected: {},
+  },
+};
+
+export const workflowStatuses = (workflow) => Object.keys(workflow.transitions);
+
+export const allowedTransitions = (workflow, status) => Object.keys(workflow.transitions[status] || {});
+
+// Where a tracking number may be set on its own: where the application can
+// ship and where it has shipped. Empty for workflows that never ship.
+export const trackingStatuses = (workflow) => workflowStatuses(workflow).filter((status) => (
+  Object.values(workflow.transitions[status]).includes(SHIP)
+  || Object.values(workflow.transitions).some((next) => next[status] === SHIP)
+));
+
+// Serializable description of a workflow for admin clients
+export const describeWorkflow = (workflow) => ({
+  initial: workflow.initial,
+  statuses: workflowStatuses(workflow).map((status) => ({
+    status,
+    transitions: Object.entries(workflow.transitions[status]).map(([to, transition]) => ({
+      to,
+      requires: transition.requires || [],
+      requiresPayment: !!transition.requiresPayment,
+    })),
+  })),
+});
+
+/**
+ * Checks a requested status change against the workflow.
+ * `context.invoice` is the application's current invoice (null when nothing
+ * is owed). Returns `{ statusCode, error, fields? }` (msg() descriptors) when
+ * the change is not allowed, otherwise `{ updates, effects }` to apply.
+ */
+export const planTransition = (workflow, application, status, input = {}, context = {}) => {
+  if (!workflow.transitions[status]) {
+    return {
+      statusCode: 400,
+      error: msg('workflow.invalidStatus', { statuses: workflowStatuses(workflow).join(', ') }),
+    };
+  }
+
+  const transition = (workflow.transitions[application.status] || {})[status];
+  if (!transition) {
+    const allowed = allowedTransitions(workflow, application.status);
+    return {
+      statusCode: 409,
+      error: allowed.length
+        ? msg('workflow.illegalTransition', { from: application.status, to: status, allowed: allowed.join(', ') })
+        : msg('workflow.finalStatus', { from: application.status, to: status }),
+    };
+  }
+
+  const missing = (transition.requires || []).filter((field) => isBlank(input[field]));
+  if (missing.length) {
+    const fields = Object.fromEntries(missing.map((field) => [field, msg('workflow.fieldRequired', { field, status })]));
+    return { statusCode: 400, error: fields[missing[0]], fields };
+  }
+
+  const { invoice } = context;
+  if (transition.requiresPayment && invoice && invoice.status !== 'paid') {
+    return {
+      statusCode: 402,
+      error: msg('workflow.paymentRequired', { invoice: invoice.invoiceNumber, status }),
+    };
+  }
+
+  const guardError = transition.guard ? transition.guard(application, input) : null;
+  if (guardError) {
+    return { statusCode: 400, error: guardError };
+  }
+
+  return {
+    updates: transition.updates ? transition.updates(input) : {},
+    effects: transition.effects || [],
+  };
+};
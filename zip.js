@@ -0,0 +1,154 @@
+import zlib from 'zlib';
+import { once } from 'events';
+
+// ========================================
+// ZIP ARCHIVES
+// ========================================
+//
+// Minimal ZIP writer for downloads: each file is compressed in memory and
+// written out straight away, so only one file is held at a time. Large files
+// can instead be streamed with addStream(). No ZIP64, so archives must stay
+// under 4 GB and 65535 files.
+
+// MS-DOS date and time, in the server's time zone
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// General purpose flags: UTF-8 names, and sizes in a trailing data descriptor
+const UTF8_NAMES = 0x0800;
+const DATA_DESCRIPTOR = 0x0008;
+
+const localHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // version needed
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.fileName.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.fileName]);
+};
+
+/**
+ * Writes a ZIP archive to `output` (a writable stream such as an Express
+ * response). Call addFile(name, content, modifiedAt) or addStream(name,
+ * source, modifiedAt) for each file, then finish() once; all resolve when the
+ * bytes have been handed to the stream.
+ */
+export const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  // Waits for the stream to drain, or to close when the client goes away;
+  // once it has, the rest of the archive is dropped
+  const write = (buffer) => new Promise((resolve) => {
+    offset += buffer.length;
+    if (output.destroyed || output.write(buffer)) return resolve();
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+
+  return {
+    async addFile(name, content, modifiedAt = new Date()) {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+      const compressed = zlib.deflateRawSync(data);
+      const entry = {
+        fileName: Buffer.from(name),
+        flags: UTF8_NAMES,
+        ...dosDateTime(modifiedAt),
+        crc: zlib.crc32(data),
+        size: data.length,
+        compressedSize: compressed.length,
+        offset,
+      };
+
+      entries.push(entry);
+      await write(localHeader(entry));
+      await write(compressed);
+    },
+
+    // `source` is an async iterable of strings or Buffers, compressed as it is
+    // read; the sizes and checksum follow the data in a data descriptor
+    async addStream(name, source, modifiedAt = new Date()) {
+      const entry = {
+        fileName: Buffer.from(name),
+        flags: UTF8_NAMES | DATA_DESCRIPTOR,
+        ...dosDateTime(modifiedAt),
+        crc: 0,
+        size: 0,
+        compressedSize: 0,
+        offset,
+      };
+      entries.push(entry);
+      await write(localHeader(entry));
+
+      const deflate = zlib.createDeflateRaw();
+      const feed = (async () => {
+        try {
+          for await (const chunk of source) {
+            const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            entry.crc = zlib.crc32(data, entry.crc);
+            entry.size += data.length;
+            if (!deflate.write(data)) await once(deflate, 'drain');
+          }
+          deflate.end();
+        } catch (err) {
+          deflate.destroy(err);
+        }
+      })();
+      for await (const compressed of deflate) {
+        entry.compressedSize += compressed.length;
+        await write(compressed);
+      }
+      await feed;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+    },
+
+    async finish() {
+      const start = offset;
+      for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(entry.flags, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.fileName.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+        await write(Buffer.concat([header, entry.fileName]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+      output.end();
+    },
+  };
+};